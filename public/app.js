@@ -2,7 +2,8 @@ class AdminPanel {
     constructor() {
         this.baseURL = window.location.origin;
         this.socket = null;
-        this.adminUserId = null;
+        this.adminUser = null;
+        this.adminToken = null;
         this.gamesCurrentPage = 1;
         this.gamesPerPage = 25;
         this.gamesTotal = 0;
@@ -13,7 +14,7 @@ class AdminPanel {
     async init() {
         this.initializeSocket();
         this.bindEventListeners();
-        await this.getOrCreateAdminUser();
+        this.updateSessionControls();
         await this.loadGameTypesForModal(); // Load game types for the modal dropdown
         await this.loadDashboard();
     }
@@ -40,6 +41,16 @@ class AdminPanel {
     }
 
     bindEventListeners() {
+        // Sign in and out
+        document.getElementById('admin-login-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.login();
+        });
+
+        document.getElementById('adminLogoutBtn').addEventListener('click', () => {
+            this.logout();
+        });
+
         // Tab switching - use click events instead of Bootstrap tab events
         document.querySelectorAll('[data-bs-toggle="tab"]').forEach(tab => {
             tab.addEventListener('click', (e) => {
@@ -151,14 +162,15 @@ class AdminPanel {
         try {
             const [games, users, gameTypes] = await Promise.all([
                 this.fetchAPI('/api/games'),
-                this.fetchAPI('/api/users'), // Will implement this endpoint
+                // Only admins may list users
+                this.fetchAPI('/api/users').catch(() => null),
                 this.fetchAPI('/api/game-types')
             ]);
 
             document.getElementById('total-games').textContent = games.length || 0;
             document.getElementById('active-games').textContent = 
                 games.filter(g => g.status === 'active').length || 0;
-            document.getElementById('total-users').textContent = users?.length || 0;
+            document.getElementById('total-users').textContent = users ? users.length : '-';
             document.getElementById('total-game-types').textContent = Object.keys(gameTypes || {}).length;
         } catch (error) {
             console.error('Error loading dashboard:', error);
@@ -230,7 +242,7 @@ class AdminPanel {
                         <button class="btn btn-sm btn-primary view-image-btn" data-game-id="${game.id}" title="View Board">
                             <i class="bi bi-image"></i>
                         </button>
-                        ${game.status === 'waiting' ? `
+                        ${game.status === 'waiting' && this.adminToken ? `
                         <button class="btn btn-sm btn-success force-start-btn" data-game-id="${game.id}" title="Force Start Game">
                             <i class="bi bi-play-fill"></i>
                         </button>
@@ -365,9 +377,15 @@ class AdminPanel {
     }
 
     async loadUsers() {
+        const tbody = document.getElementById('users-table');
+
+        if (!this.adminUser || this.adminUser.role !== 'admin') {
+            tbody.innerHTML = '<tr><td colspan="5" class="text-center text-muted">Sign in as an admin to see users</td></tr>';
+            return;
+        }
+
         try {
             const users = await this.fetchAPI('/api/users');
-            const tbody = document.getElementById('users-table');
             
             if (users.length === 0) {
                 tbody.innerHTML = '<tr><td colspan="5" class="text-center">No users found</td></tr>';
@@ -459,9 +477,17 @@ class AdminPanel {
         console.log('createGame function called');
         const gameType = document.getElementById('gameType').value;
         const gameName = document.getElementById('gameName').value;
+        const timeControl = document.getElementById('timeControl').value;
+        const visibility = document.getElementById('visibility').value;
+        const startFen = document.getElementById('startFen').value.trim();
 
         console.log('Game type:', gameType, 'Game name:', gameName);
 
+        if (!this.adminToken) {
+            alert('Please sign in to create games');
+            return;
+        }
+
         if (!gameType) {
             alert('Please select a game type');
             return;
@@ -471,9 +497,22 @@ class AdminPanel {
             const gameData = { 
                 gameType,
                 name: gameName || `${gameType} Game ${Date.now()}`,
-                creatorId: this.adminUserId // Use dynamic admin user ID
+                creatorId: this.adminUser.id,
+                visibility,
+                settings: {}
             };
 
+            if (timeControl) {
+                const [type, days, incrementDays] = timeControl.split(':');
+                gameData.settings.timeControl = type === 'per_move'
+                    ? { type, daysPerMove: Number(days) }
+                    : { type, initialDays: Number(days), incrementDays: Number(incrementDays) };
+            }
+
+            if (startFen && gameType === 'chess') {
+                gameData.settings.startFen = startFen;
+            }
+
             console.log('Sending game data:', gameData);
 
             const response = await this.fetchAPI('/api/games', {
@@ -639,43 +678,60 @@ class AdminPanel {
         this.loadDashboard();
     }
 
-    async getOrCreateAdminUser() {
-        try {
-            // First, try to find existing admin user
-            const users = await this.fetchAPI('/api/users');
-            const adminUser = users.find(user => user.username === 'admin');
-            
-            if (adminUser) {
-                this.adminUserId = adminUser.id;
-                console.log('Found existing admin user:', adminUser.id);
-                return;
-            }
+    async login() {
+        const username = document.getElementById('adminUsername').value.trim();
+        const password = document.getElementById('adminPassword').value;
 
-            // If no admin user exists, create one
-            console.log('Creating admin user...');
-            const newAdmin = await this.fetchAPI('/api/users/register', {
+        try {
+            const session = await this.fetchAPI('/api/users/login', {
                 method: 'POST',
-                body: JSON.stringify({
-                    username: 'admin',
-                    email: 'admin@admin.com',
-                    password: 'admin123'
-                })
+                body: JSON.stringify({ username, password })
             });
-            
-            this.adminUserId = newAdmin.user.id;
-            console.log('Created new admin user:', this.adminUserId);
+
+            // Only the token is kept; the password is dropped with the form
+            this.adminUser = session.user;
+            this.adminToken = session.token;
+            document.getElementById('admin-login-form').reset();
+            this.updateSessionControls();
+            await Promise.all([this.loadDashboard(), this.loadUsers()]);
         } catch (error) {
-            console.error('Error getting/creating admin user:', error);
-            // Fallback to a default admin ID - this will fail gracefully if the user doesn't exist
-            this.adminUserId = 'admin';
+            alert('Sign in failed: ' + error.message);
+        }
+    }
+
+    logout() {
+        this.adminUser = null;
+        this.adminToken = null;
+        this.updateSessionControls();
+        this.loadDashboard();
+        this.loadUsers();
+    }
+
+    updateSessionControls() {
+        // Without a session the panel is read-only
+        const signedIn = Boolean(this.adminToken);
+
+        document.getElementById('admin-login-form').style.display = signedIn ? 'none' : 'flex';
+        document.getElementById('admin-session').style.display = signedIn ? 'inline' : 'none';
+        document.getElementById('admin-username-display').textContent = signedIn ? this.adminUser.username : '';
+        document.getElementById('createGameBtn').disabled = !signedIn;
+        document.getElementById('purgeDataBtn').disabled = !signedIn;
+
+        if (this.allGames.length > 0) {
+            this.renderGamesTable();
         }
     }
 
     async fetchAPI(endpoint, options = {}) {
+        const headers = {
+            'Content-Type': 'application/json',
+        };
+        if (this.adminToken) {
+            headers['Authorization'] = `Bearer ${this.adminToken}`;
+        }
+
         const config = {
-            headers: {
-                'Content-Type': 'application/json',
-            },
+            headers,
             ...options
         };
 
@@ -71,6 +71,128 @@ class GamePluginManager {
       getDescription: () => 'Classic two-player chess game with standard rules'
     });
 
+    this.registerPlugin('checkers', {
+      parseMove: (moveText) => {
+        if (!moveText || typeof moveText !== 'string') {
+          throw new Error('Invalid move input');
+        }
+        // Squares are lowercase and spaces between squares are treated as steps
+        return moveText.trim().toLowerCase().replace(/\s+/g, '-');
+      },
+
+      formatMove: (moveData) => {
+        if (typeof moveData === 'string') {
+          return moveData;
+        }
+        if (moveData && moveData.from && moveData.to) {
+          return `${moveData.from}-${moveData.to}`;
+        }
+        return JSON.stringify(moveData);
+      },
+
+      getMoveInputPlaceholder: () => {
+        return 'Enter move (e.g., c3-d4, c3xe5)';
+      },
+
+      getMoveInputHelp: () => {
+        return 'Move diagonally with a dash (c3-d4). Jump with x (c3xe5); chain jumps as c3xe5xg7. Captures are mandatory.';
+      },
+
+      validateMoveFormat: (moveText) => {
+        if (!moveText || typeof moveText !== 'string') {
+          return { valid: false, error: 'Move cannot be empty' };
+        }
+
+        const normalized = moveText.trim().toLowerCase().replace(/\s+/g, '-');
+        if (normalized.length === 0) {
+          return { valid: false, error: 'Move cannot be empty' };
+        }
+
+        if (!/^[a-h][1-8]([-x][a-h][1-8])+$/.test(normalized)) {
+          return { valid: false, error: 'Use squares like c3-d4 or c3xe5' };
+        }
+
+        return { valid: true };
+      },
+
+      getDisplayName: () => 'Checkers',
+      getDescription: () => 'Classic two-player checkers with mandatory and chain captures'
+    });
+
+    const suitCodes = { c: 'clubs', d: 'diamonds', s: 'spades', h: 'hearts' };
+    const suitSymbols = { clubs: '♣', diamonds: '♦', spades: '♠', hearts: '♥' };
+    const parseCard = (text) => {
+      const match = /^(10|[2-9jqka])([cdsh])$/i.exec(text);
+      if (!match) {
+        throw new Error(`Unknown card: ${text}`);
+      }
+      return { suit: suitCodes[match[2].toLowerCase()], rank: match[1].toUpperCase() };
+    };
+    const formatCard = (card) => `${card.rank}${suitSymbols[card.suit] || card.suit}`;
+
+    this.registerPlugin('hearts', {
+      parseMove: (moveText) => {
+        if (!moveText || typeof moveText !== 'string') {
+          throw new Error('Invalid move input');
+        }
+        // "pass 2c 3d qs" passes three cards, "play qs" or just "qs" plays one
+        const words = moveText.trim().toLowerCase().split(/[\s,]+/);
+        let type = 'play';
+        if (words[0] === 'pass' || words[0] === 'play') {
+          type = words.shift();
+        }
+        const cards = words.map(parseCard);
+        if (type === 'pass') {
+          return { type, cards };
+        }
+        if (cards.length !== 1) {
+          throw new Error('Play exactly one card, e.g. "play qs"');
+        }
+        return { type, card: cards[0] };
+      },
+
+      formatMove: (moveData) => {
+        if (typeof moveData === 'string') {
+          return moveData;
+        }
+        if (moveData && moveData.type === 'pass') {
+          return Array.isArray(moveData.cards)
+            ? `Pass ${moveData.cards.map(formatCard).join(' ')}`
+            : 'Pass';
+        }
+        if (moveData && moveData.type === 'play' && moveData.card) {
+          return `Play ${formatCard(moveData.card)}`;
+        }
+        return JSON.stringify(moveData);
+      },
+
+      getMoveInputPlaceholder: () => {
+        return 'Enter move (e.g., pass 2c 3d qs, play qs)';
+      },
+
+      getMoveInputHelp: () => {
+        return 'Cards are rank + suit (2c, 10h, qs, ah). Pass three cards with "pass 2c 3d qs"; play a card with "play qs" or just "qs".';
+      },
+
+      validateMoveFormat: (moveText) => {
+        if (!moveText || typeof moveText !== 'string' || moveText.trim().length === 0) {
+          return { valid: false, error: 'Move cannot be empty' };
+        }
+        try {
+          const move = this.getPlugin('hearts').parseMove(moveText);
+          if (move.type === 'pass' && move.cards.length !== 3) {
+            return { valid: false, error: 'Must pass exactly 3 cards' };
+          }
+        } catch (error) {
+          return { valid: false, error: error.message };
+        }
+        return { valid: true };
+      },
+
+      getDisplayName: () => 'Hearts',
+      getDescription: () => 'Classic four-player trick-taking card game'
+    });
+
     // Fallback plugin for unknown game types
     this.registerPlugin('default', {
       parseMove: (moveText) => moveText.trim(),
@@ -3,6 +3,7 @@ class BoardGamePlayer {
         this.baseURL = window.location.origin;
         this.socket = null;
         this.currentUser = null;
+        this.token = null;
         this.currentGame = null;
         this.pluginManager = new GamePluginManager();
         this.init();
@@ -17,12 +18,17 @@ class BoardGamePlayer {
         const urlParams = new URLSearchParams(window.location.search);
         const gameId = urlParams.get('game');
         const userId = urlParams.get('user');
+        // Links to private games carry the invite token needed to join
+        this.inviteToken = urlParams.get('invite');
         
         // Check if user is already logged in (simple localStorage check)
         const savedUser = localStorage.getItem('boardgame-user');
-        if (savedUser) {
+        const savedToken = localStorage.getItem('boardgame-token');
+        if (savedUser && savedToken) {
             try {
                 this.currentUser = JSON.parse(savedUser);
+                this.token = savedToken;
+                this.updateVacationButton();
                 
                 // If we have a game ID in URL, try to load that game directly
                 if (gameId) {
@@ -32,6 +38,7 @@ class BoardGamePlayer {
                 }
             } catch (error) {
                 localStorage.removeItem('boardgame-user');
+                localStorage.removeItem('boardgame-token');
                 this.showLoginSection();
             }
         } else if (gameId && userId) {
@@ -41,10 +48,12 @@ class BoardGamePlayer {
     }
 
     initializeSocket() {
-        this.socket = io();
+        // The token is read on every (re)connect so the server knows who owns the socket
+        this.socket = io({ auth: (cb) => cb({ token: this.token }) });
         
         this.socket.on('connect', () => {
             this.updateConnectionStatus('Connected', 'success');
+            this.joinUserRoom();
         });
 
         this.socket.on('disconnect', () => {
@@ -58,12 +67,99 @@ class BoardGamePlayer {
             }
         });
 
+        this.socket.on('game-complete', (data) => {
+            console.log('Game complete:', data);
+            if (this.currentGame && this.currentGame.id === data.gameId) {
+                this.loadCurrentGame();
+            }
+        });
+
         this.socket.on('move-made', (data) => {
             console.log('Move made:', data);
             if (this.currentGame && this.currentGame.id === data.gameId) {
                 this.handleMoveUpdate(data);
             }
         });
+
+        // Draw offers and takeback requests
+        ['offer-made', 'offer-resolved', 'move-taken-back'].forEach(event => {
+            this.socket.on(event, (data) => {
+                console.log(`${event}:`, data);
+                if (this.currentGame && this.currentGame.id === data.gameId) {
+                    this.loadCurrentGame();
+                }
+            });
+        });
+
+        this.socket.on('rematch-offered', (data) => {
+            console.log('Rematch offered:', data);
+            if (this.currentGame && this.currentGame.id === data.gameId) {
+                if (data.offeredBy !== this.currentUser.id) {
+                    this.showNotification('Your opponent wants a rematch', 'info');
+                }
+                this.loadCurrentGame();
+            }
+        });
+
+        this.socket.on('spectators-updated', (data) => {
+            if (this.currentGame && this.currentGame.id === data.gameId) {
+                document.getElementById('spectator-count').textContent = data.spectatorCount;
+            }
+        });
+
+        this.socket.on('spectate-error', (data) => {
+            console.error('Could not spectate game:', data);
+            this.showNotification(`Could not watch this game: ${data.error}`, 'warning');
+        });
+
+        this.socket.on('chat-message', (data) => {
+            if (this.currentGame && this.currentGame.id === data.gameId && data.channel === this.chatChannel) {
+                this.appendChatMessage(data);
+            }
+        });
+
+        this.socket.on('chat-message-deleted', (data) => {
+            if (this.currentGame && this.currentGame.id === data.gameId && data.channel === this.chatChannel) {
+                this.loadChat();
+            }
+        });
+
+        this.socket.on('match-found', (data) => {
+            console.log('Match found:', data);
+            this.showNotification('Opponent found! Opening your new game', 'success');
+            this.joinGame(data.gameId);
+        });
+
+        // Challenges sent to or by this user arrive in the user room
+        ['challenge', 'challenge_accepted', 'challenge_declined', 'challenge_cancelled', 'challenge_expired'].forEach(event => {
+            this.socket.on(event, (data) => {
+                console.log(`${event}:`, data);
+                if (event === 'challenge') {
+                    this.showNotification('You have been challenged to a game!', 'info');
+                }
+                this.loadChallenges();
+            });
+        });
+    }
+
+    joinUserRoom() {
+        // Moves in games with hidden information are delivered per player in the user room
+        if (this.socket && this.currentUser) {
+            this.socket.emit('join-user-room', this.currentUser.id);
+        }
+    }
+
+    setSession(response) {
+        this.currentUser = response.user;
+        this.token = response.token;
+        localStorage.setItem('boardgame-user', JSON.stringify(this.currentUser));
+        localStorage.setItem('boardgame-token', this.token);
+        this.updateVacationButton();
+
+        // Reconnect so the socket handshake carries the new token before joining the user room
+        if (this.socket) {
+            this.socket.disconnect().connect();
+        }
     }
 
     setupResponsiveHandling() {
@@ -125,11 +221,77 @@ class BoardGamePlayer {
             this.leaveGame();
         });
 
+        // End the game early
+        document.getElementById('resign-game-btn').addEventListener('click', () => {
+            this.terminateGame('resign');
+        });
+
+        document.getElementById('abort-game-btn').addEventListener('click', () => {
+            this.terminateGame('abort');
+        });
+
+        // Negotiate with the opponent
+        document.getElementById('rematch-btn').addEventListener('click', () => {
+            this.requestRematch();
+        });
+
+        document.getElementById('fork-btn').addEventListener('click', () => {
+            this.forkGame();
+        });
+
+        document.getElementById('offer-draw-btn').addEventListener('click', () => {
+            this.makeOffer('draw');
+        });
+
+        document.getElementById('request-takeback-btn').addEventListener('click', () => {
+            this.makeOffer('takeback');
+        });
+
+        // Prepare replies while the opponent is to move
+        document.getElementById('conditional-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveConditionalLine();
+        });
+
+        document.getElementById('clear-conditional-btn').addEventListener('click', () => {
+            this.clearConditionalMoves();
+        });
+
+        document.getElementById('chat-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.sendChatMessage();
+        });
+
+        document.getElementById('save-notes-btn').addEventListener('click', () => {
+            this.saveNotes();
+        });
+
+        // Step through finished games
+        document.querySelectorAll('.replay-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.stepReplay(button.dataset.step);
+            });
+        });
+
         // Test move button (for debugging)
         document.getElementById('test-move-btn').addEventListener('click', () => {
             this.testMove();
         });
 
+        // Pause or restart the clocks in all of the user's games
+        document.getElementById('challenge-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.sendChallenge();
+        });
+
+        document.getElementById('find-match-btn').addEventListener('click', () => {
+            this.toggleMatchmaking();
+        });
+
+        document.getElementById('vacation-btn').addEventListener('click', () => {
+            this.toggleVacation();
+        });
+
         // Switch user button (for easy testing)
         document.getElementById('switch-user-btn').addEventListener('click', () => {
             this.switchUser();
@@ -185,8 +347,7 @@ class BoardGamePlayer {
                 body: JSON.stringify({ username, password })
             });
 
-            this.currentUser = response.user;
-            localStorage.setItem('boardgame-user', JSON.stringify(this.currentUser));
+            this.setSession(response);
             
             document.getElementById('username-display').textContent = this.currentUser.username;
             document.getElementById('user-info').style.display = 'block';
@@ -228,6 +389,9 @@ class BoardGamePlayer {
         document.getElementById('game-list-section').style.display = 'block';
         document.getElementById('game-play-section').style.display = 'none';
         this.loadAvailableGames();
+        this.loadChallengeForm();
+        this.loadChallenges();
+        this.loadQueueStatus();
     }
 
     showGamePlay() {
@@ -272,9 +436,12 @@ class BoardGamePlayer {
             const isUserInGame = game.players.some(p => p.userId === this.currentUser.id);
             
             if (!isUserInGame) {
-                // Try to join the game if it's still waiting
+                // Try to join the game if it's still waiting, otherwise watch it
                 if (game.status === 'waiting') {
                     await this.joinGameInternal(gameId);
+                } else if (game.settings.allowSpectators !== false) {
+                    this.spectateGame(game);
+                    return;
                 } else {
                     alert('You are not a player in this game');
                     this.showGameList();
@@ -455,7 +622,7 @@ class BoardGamePlayer {
             // Join the game
             const response = await this.fetchAPI(`/api/games/${gameId}/join`, {
                 method: 'POST',
-                body: JSON.stringify({ userId: this.currentUser.id })
+                body: JSON.stringify({ userId: this.currentUser.id, inviteToken: this.inviteToken })
             });
             console.log('Joined game:', response);
         }
@@ -474,9 +641,12 @@ class BoardGamePlayer {
             document.getElementById('game-status').textContent = this.currentGame.status;
             document.getElementById('game-status').className = `badge bg-${this.getStatusColor(this.currentGame.status)}`;
             document.getElementById('move-count').textContent = this.currentGame.moveCount || 0;
+            document.getElementById('spectator-count').textContent = this.currentGame.spectatorCount || 0;
 
             // Update turn info
-            const isMyTurn = this.currentGame.currentPlayerId === this.currentUser.id;
+            // The owner of an analysis game moves for every side
+            const isMyTurn = this.currentGame.currentPlayerId === this.currentUser.id ||
+                (this.currentGame.mode === 'analysis' && this.currentGame.ownerId === this.currentUser.id);
             const isActive = this.currentGame.status === 'active';
             
             console.log('Turn check:', {
@@ -500,12 +670,34 @@ class BoardGamePlayer {
             // Update players list
             this.renderPlayersList();
 
-            // Load board image
-            this.loadBoardImage();
+            // Load board image, or the position being replayed
+            if (this.currentGame.status !== 'completed') {
+                this.replayMove = null;
+            }
+            this.loadBoardImage(this.replayMove ?? null);
+            this.updateReplayControls();
 
             // Load move history
             this.loadMoveHistory();
 
+            // Show offers waiting for an answer
+            this.loadPendingOffers();
+
+            // Offer a rematch once the game is over
+            this.updateRematchControls();
+
+            // Fork an analysis game, or show where this one was forked from
+            this.updateForkControls();
+
+            // Show the replies prepared for the opponent's next move
+            this.loadConditionalMoves();
+
+            // Players talk among themselves; everyone else sees the spectators' channel
+            this.loadChat();
+
+            // Private notes for players
+            this.loadNotes();
+
             // Update move input UI for current game type
             this.updateMoveInputUI();
 
@@ -557,6 +749,9 @@ class BoardGamePlayer {
                         ${player.color ? `<small class="text-muted">(${player.color})</small>` : ''}
                     </div>
                     <div>
+                        ${player.timeRemaining !== null && player.timeRemaining !== undefined
+                            ? `<small class="text-muted me-1" title="Time remaining">${this.formatTimeRemaining(player.timeRemaining)}</small>`
+                            : ''}
                         ${isCurrentPlayer ? '<i class="bi bi-cursor text-success" title="Current turn"></i>' : ''}
                     </div>
                 </div>
@@ -566,7 +761,19 @@ class BoardGamePlayer {
         playersList.innerHTML = playersHtml;
     }
 
-    async loadBoardImage() {
+    formatTimeRemaining(ms) {
+        const totalMinutes = Math.floor(ms / 60000);
+        const days = Math.floor(totalMinutes / (24 * 60));
+        const hours = Math.floor((totalMinutes % (24 * 60)) / 60);
+        const minutes = totalMinutes % 60;
+
+        if (days > 0) {
+            return `${days}d ${hours}h`;
+        }
+        return `${hours}h ${minutes}m`;
+    }
+
+    async loadBoardImage(moveNumber = null) {
         try {
             const boardImage = document.getElementById('board-image');
             const boardLoading = document.getElementById('board-loading');
@@ -594,9 +801,13 @@ class BoardGamePlayer {
             };
             
             // Add size parameters to the image URL
-            const imageUrl = new URL(`${this.baseURL}/api/games/${this.currentGame.id}/image`);
+            // A move number shows an earlier position while stepping through a finished game
+            const imagePath = moveNumber === null ? 'image' : `positions/${moveNumber}/image`;
+            const imageUrl = new URL(`${this.baseURL}/api/games/${this.currentGame.id}/${imagePath}`);
             imageUrl.searchParams.set('width', requestedSize);
             imageUrl.searchParams.set('height', requestedSize);
+            // Image requests cannot send headers, so the token goes in the query string
+            imageUrl.searchParams.set('token', this.token);
             imageUrl.searchParams.set('t', Date.now()); // Cache busting
             
             boardImage.src = imageUrl.toString();
@@ -638,17 +849,129 @@ class BoardGamePlayer {
             }
             
             const moveText = this.formatMove(moveData, this.currentGame?.gameType);
+            // Finished games let players annotate their own moves
+            const canAnnotate = ['completed', 'cancelled'].includes(this.currentGame?.status) &&
+                move.player.id === this.currentUser.id;
             
             return `
                 <div class="mb-1">
                     <strong>${move.moveNumber}.</strong> 
-                    ${move.player.username}: ${moveText}
+                    ${move.player.username}: ${moveText}${move.annotation ? this.escapeHtml(move.annotation) : ''}
+                    ${canAnnotate ? `<a href="#" class="annotate-move-link small ms-1" data-move-number="${move.moveNumber}" title="Annotate"><i class="bi bi-pencil"></i></a>` : ''}
+                    ${move.comment ? `<div class="small text-muted ms-3">${this.escapeHtml(move.comment)}</div>` : ''}
                 </div>
             `;
         }).join('');
 
         moveHistory.innerHTML = movesHtml;
         moveHistory.scrollTop = moveHistory.scrollHeight;
+
+        moveHistory.querySelectorAll('.annotate-move-link').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                const move = moves.find(m => m.moveNumber === Number(link.dataset.moveNumber));
+                this.annotateMove(move);
+            });
+        });
+    }
+
+    stepReplay(step) {
+        const last = this.currentGame.moveCount;
+        const current = this.replayMove ?? last;
+        const target = {
+            first: 0,
+            prev: Math.max(0, current - 1),
+            next: Math.min(last, current + 1),
+            last
+        }[step];
+
+        // The final position is the live board
+        this.replayMove = target === last ? null : target;
+        this.loadBoardImage(this.replayMove);
+        this.updateReplayControls();
+    }
+
+    async updateReplayControls() {
+        const controls = document.getElementById('replay-controls');
+        const label = document.getElementById('replay-position');
+        controls.style.display = this.currentGame.status === 'completed' ? 'block' : 'none';
+        if (controls.style.display === 'none') {
+            return;
+        }
+
+        const moveNumber = this.replayMove ?? this.currentGame.moveCount;
+        label.textContent = `Position after move ${moveNumber} of ${this.currentGame.moveCount}`;
+        if (moveNumber === 0) {
+            label.textContent = 'Starting position';
+            return;
+        }
+
+        try {
+            const position = await this.fetchAPI(`/api/games/${this.currentGame.id}/positions/${moveNumber}`);
+            const moveText = this.formatMove(position.move, this.currentGame.gameType);
+            label.textContent = `${moveNumber}. ${position.player.username}: ${moveText}${position.annotation || ''}` +
+                ` (move ${moveNumber} of ${this.currentGame.moveCount})`;
+        } catch (error) {
+            console.error('Error loading position:', error);
+        }
+    }
+
+    async annotateMove(move) {
+        const annotation = prompt('Annotation glyph (!!, !, !?, ?!, ?, ??), or empty for none', move.annotation || '');
+        if (annotation === null) {
+            return;
+        }
+        const comment = prompt('Comment, or empty for none', move.comment || '');
+        if (comment === null) {
+            return;
+        }
+
+        try {
+            await this.fetchAPI(`/api/games/${this.currentGame.id}/moves/${move.moveNumber}/annotation`, {
+                method: 'PUT',
+                body: JSON.stringify({ annotation: annotation.trim() || null, comment: comment.trim() || null })
+            });
+            this.loadMoveHistory();
+        } catch (error) {
+            alert(`Could not annotate move: ${error.message}`);
+        }
+    }
+
+    async loadNotes() {
+        const isPlayer = this.currentGame.players.some(p => p.userId === this.currentUser.id);
+        document.getElementById('notes-card').style.display = isPlayer ? 'block' : 'none';
+        if (!isPlayer) {
+            return;
+        }
+
+        try {
+            const notes = await this.fetchAPI(`/api/games/${this.currentGame.id}/notes`);
+            const input = document.getElementById('notes-input');
+            // Don't overwrite what the player is typing when the game refreshes
+            if (document.activeElement !== input) {
+                input.value = notes.notes;
+            }
+        } catch (error) {
+            console.error('Error loading notes:', error);
+        }
+    }
+
+    async saveNotes() {
+        try {
+            await this.fetchAPI(`/api/games/${this.currentGame.id}/notes`, {
+                method: 'PUT',
+                body: JSON.stringify({ notes: document.getElementById('notes-input').value })
+            });
+            this.showNotification('Notes saved', 'success');
+        } catch (error) {
+            alert(`Could not save notes: ${error.message}`);
+        }
+    }
+
+    escapeHtml(text) {
+        const element = document.createElement('div');
+        element.textContent = text;
+        return element.innerHTML;
     }
 
     formatMove(moveData, gameType) {
@@ -695,18 +1018,26 @@ class BoardGamePlayer {
                 method: 'POST',
                 body: JSON.stringify({
                     userId: this.currentUser.id,
-                    move: move
+                    move: move,
+                    // The server rejects the move if the board changed since we loaded it
+                    expectedMoveCount: this.currentGame.moveCount
                 })
             });
 
             console.log('Move submitted successfully:', response);
             moveInput.value = '';
+            if (response.conditionalReply) {
+                this.showNotification('Your opponent answered with a prepared reply', 'info');
+            }
             
             // Refresh game state
             this.loadCurrentGame();
             
         } catch (error) {
             console.error('Move submission error:', error);
+            if (error.message.includes('Game has changed')) {
+                this.loadCurrentGame();
+            }
             alert('Error submitting move: ' + error.message);
         } finally {
             // Restore button
@@ -814,7 +1145,10 @@ class BoardGamePlayer {
             return;
         }
 
-        const gameUrl = `${window.location.origin}${window.location.pathname}?game=${this.currentGame.id}&user=${this.currentUser.id}`;
+        let gameUrl = `${window.location.origin}${window.location.pathname}?game=${this.currentGame.id}&user=${this.currentUser.id}`;
+        if (this.currentGame.inviteToken) {
+            gameUrl += `&invite=${encodeURIComponent(this.currentGame.inviteToken)}`;
+        }
         
         // Try to use the modern clipboard API
         if (navigator.clipboard && window.isSecureContext) {
@@ -853,7 +1187,477 @@ class BoardGamePlayer {
         }
     }
 
+    async terminateGame(action) {
+        if (!this.currentGame) {
+            return;
+        }
+
+        const question = action === 'resign'
+            ? 'Resign this game? Your opponent will be awarded the win.'
+            : 'Abort this game? It will be cancelled without a result.';
+        if (!confirm(question)) {
+            return;
+        }
+
+        try {
+            await this.fetchAPI(`/api/games/${this.currentGame.id}/${action}`, { method: 'POST' });
+            this.loadCurrentGame();
+        } catch (error) {
+            alert(`Could not ${action} game: ${error.message}`);
+        }
+    }
+
+    async makeOffer(type) {
+        if (!this.currentGame) {
+            return;
+        }
+
+        try {
+            await this.fetchAPI(`/api/games/${this.currentGame.id}/offers`, {
+                method: 'POST',
+                body: JSON.stringify({ type })
+            });
+            this.showNotification(type === 'draw' ? 'Draw offered' : 'Takeback requested', 'info');
+            this.loadPendingOffers();
+        } catch (error) {
+            alert(`Could not send offer: ${error.message}`);
+        }
+    }
+
+    async respondToOffer(offerId, response) {
+        try {
+            await this.fetchAPI(`/api/games/${this.currentGame.id}/offers/${offerId}/${response}`, { method: 'POST' });
+            this.loadCurrentGame();
+        } catch (error) {
+            alert(`Could not ${response} offer: ${error.message}`);
+        }
+    }
+
+    async loadPendingOffers() {
+        const container = document.getElementById('pending-offers');
+        container.innerHTML = '';
+
+        if (!this.currentGame || this.currentGame.status !== 'active') {
+            return;
+        }
+
+        try {
+            const offers = await this.fetchAPI(`/api/games/${this.currentGame.id}/offers`);
+
+            offers.forEach(offer => {
+                const label = offer.type === 'draw' ? 'Draw offer' : 'Takeback request';
+                const row = document.createElement('div');
+                row.className = 'alert alert-info py-1 px-2 mb-1';
+
+                if (offer.offeredBy === this.currentUser.id) {
+                    row.textContent = `${label} sent, waiting for a reply`;
+                } else {
+                    row.textContent = `${label} from your opponent `;
+                    ['accept', 'decline'].forEach(response => {
+                        const button = document.createElement('button');
+                        button.className = `btn btn-sm ms-1 ${response === 'accept' ? 'btn-success' : 'btn-outline-danger'}`;
+                        button.textContent = response === 'accept' ? 'Accept' : 'Decline';
+                        button.addEventListener('click', () => this.respondToOffer(offer.id, response));
+                        row.appendChild(button);
+                    });
+                }
+
+                container.appendChild(row);
+            });
+        } catch (error) {
+            console.error('Error loading offers:', error);
+        }
+    }
+
+    async loadChallengeForm() {
+        try {
+            const [users, gameTypes] = await Promise.all([
+                this.fetchAPI('/api/users'),
+                this.fetchAPI('/api/game-types')
+            ]);
+            this.usernames = Object.fromEntries(users.map(user => [user.id, user.username]));
+
+            document.getElementById('challenge-opponent').innerHTML =
+                '<option value="">Choose an opponent...</option>' +
+                users.filter(user => user.id !== this.currentUser.id)
+                    .map(user => `<option value="${user.id}">${user.username}</option>`).join('');
+
+            // Challenges are always one against one
+            document.getElementById('challenge-game-type').innerHTML =
+                '<option value="">Choose a game...</option>' +
+                gameTypes.filter(gameType => gameType.minPlayers <= 2 && gameType.maxPlayers >= 2)
+                    .map(gameType => `<option value="${gameType.type}">${gameType.name}</option>`).join('');
+        } catch (error) {
+            console.error('Error loading challenge form:', error);
+        }
+    }
+
+    async sendChallenge() {
+        try {
+            await this.fetchAPI('/api/challenges', {
+                method: 'POST',
+                body: JSON.stringify({
+                    challengedId: document.getElementById('challenge-opponent').value,
+                    gameType: document.getElementById('challenge-game-type').value
+                })
+            });
+            this.showNotification('Challenge sent', 'success');
+            this.loadChallenges();
+        } catch (error) {
+            alert(`Could not send challenge: ${error.message}`);
+        }
+    }
+
+    async respondToChallenge(challengeId, response) {
+        try {
+            const result = await this.fetchAPI(`/api/challenges/${challengeId}/${response}`, { method: 'POST' });
+            if (response === 'accept') {
+                await this.joinGame(result.game.id);
+            } else {
+                this.loadChallenges();
+            }
+        } catch (error) {
+            alert(`Could not ${response} challenge: ${error.message}`);
+            this.loadChallenges();
+        }
+    }
+
+    async loadChallenges() {
+        const container = document.getElementById('challenges-list');
+        if (!container || !this.currentUser) {
+            return;
+        }
+
+        try {
+            const challenges = await this.fetchAPI('/api/challenges?status=pending');
+            container.innerHTML = challenges.length === 0
+                ? '<p class="text-muted small mb-0">No open challenges</p>'
+                : '';
+
+            challenges.forEach(challenge => {
+                const sent = challenge.challengerId === this.currentUser.id;
+                const otherId = sent ? challenge.challengedId : challenge.challengerId;
+                const other = (this.usernames && this.usernames[otherId]) || 'another player';
+                const row = document.createElement('div');
+                row.className = 'alert alert-info py-1 px-2 mb-1';
+                row.textContent = sent
+                    ? `You challenged ${other} to ${this.formatGameType(challenge.gameType)} `
+                    : `${other} challenges you to ${this.formatGameType(challenge.gameType)} `;
+
+                const responses = sent ? ['cancel'] : ['accept', 'decline'];
+                responses.forEach(response => {
+                    const button = document.createElement('button');
+                    button.className = `btn btn-sm ms-1 ${response === 'accept' ? 'btn-success' : 'btn-outline-danger'}`;
+                    button.textContent = response.charAt(0).toUpperCase() + response.slice(1);
+                    button.addEventListener('click', () => this.respondToChallenge(challenge.id, response));
+                    row.appendChild(button);
+                });
+
+                container.appendChild(row);
+            });
+        } catch (error) {
+            console.error('Error loading challenges:', error);
+        }
+    }
+
+    async toggleMatchmaking() {
+        try {
+            if (this.queueEntry) {
+                await this.fetchAPI(`/api/matchmaking/queue/${this.queueEntry.id}`, { method: 'DELETE' });
+                this.loadQueueStatus();
+                return;
+            }
+
+            const gameType = document.getElementById('challenge-game-type').value;
+            if (!gameType) {
+                alert('Choose a game first');
+                return;
+            }
+
+            const result = await this.fetchAPI('/api/matchmaking/queue', {
+                method: 'POST',
+                body: JSON.stringify({ gameType })
+            });
+            if (result.game) {
+                this.joinGame(result.game.id);
+            } else {
+                this.loadQueueStatus();
+            }
+        } catch (error) {
+            alert(`Matchmaking failed: ${error.message}`);
+            this.loadQueueStatus();
+        }
+    }
+
+    async loadQueueStatus() {
+        try {
+            const entries = await this.fetchAPI('/api/matchmaking/queue?status=waiting');
+            this.queueEntry = entries[0] || null;
+            document.getElementById('find-match-btn').innerHTML = this.queueEntry
+                ? '<i class="bi bi-x-circle"></i> Leave queue'
+                : '<i class="bi bi-shuffle"></i> Find me an opponent';
+            document.getElementById('queue-status').textContent = this.queueEntry
+                ? `Waiting for a ${this.formatGameType(this.queueEntry.gameType)} opponent...`
+                : '';
+        } catch (error) {
+            console.error('Error loading queue status:', error);
+        }
+    }
+
+    async updateRematchControls() {
+        const button = document.getElementById('rematch-btn');
+        const isPlayer = this.currentGame.players.some(p => p.userId === this.currentUser.id);
+        const canRematch = isPlayer && this.currentGame.status === 'completed' && this.currentGame.mode !== 'analysis';
+        button.style.display = canRematch ? 'inline-block' : 'none';
+        document.getElementById('rematch-btn-label').textContent = this.currentGame.rematchId ? 'Go to rematch' : 'Rematch';
+
+        const seriesInfo = document.getElementById('rematch-series');
+        seriesInfo.textContent = '';
+        if (!this.currentGame.rematchOf && !this.currentGame.rematchId) {
+            return;
+        }
+
+        try {
+            const series = await this.fetchAPI(`/api/games/${this.currentGame.id}/series`);
+            const index = series.findIndex(game => game.id === this.currentGame.id);
+            const wins = {};
+            series.forEach(game => {
+                if (game.winnerId) {
+                    wins[game.winnerId] = (wins[game.winnerId] || 0) + 1;
+                }
+            });
+            const score = this.currentGame.players
+                .map(p => `${p.username} ${wins[p.userId] || 0}`)
+                .join(' - ');
+            seriesInfo.textContent = `Game ${index + 1} of ${series.length} in this series (${score})`;
+        } catch (error) {
+            console.error('Error loading rematch series:', error);
+        }
+    }
+
+    async requestRematch() {
+        if (!this.currentGame) {
+            return;
+        }
+
+        try {
+            const rematch = await this.fetchAPI(`/api/games/${this.currentGame.id}/rematch`, { method: 'POST' });
+            await this.joinGame(rematch.id);
+        } catch (error) {
+            alert(`Could not start a rematch: ${error.message}`);
+        }
+    }
+
+    updateForkControls() {
+        const button = document.getElementById('fork-btn');
+        button.style.display = this.currentGame.status === 'waiting' ? 'none' : 'inline-block';
+
+        const info = document.getElementById('analysis-info');
+        info.style.display = this.currentGame.mode === 'analysis' ? 'block' : 'none';
+        if (this.currentGame.mode === 'analysis') {
+            info.innerHTML = `Analysis board forked from <a href="#" id="forked-from-link">this game</a> ` +
+                `after move ${this.currentGame.forkedAtMove}; you move for every side`;
+            document.getElementById('forked-from-link').addEventListener('click', (e) => {
+                e.preventDefault();
+                this.joinGame(this.currentGame.forkedFrom);
+            });
+        }
+    }
+
+    async forkGame() {
+        if (!this.currentGame) {
+            return;
+        }
+
+        try {
+            // Fork the position being replayed, or the latest one
+            const fork = await this.fetchAPI(`/api/games/${this.currentGame.id}/fork`, {
+                method: 'POST',
+                body: JSON.stringify({ moveNumber: this.replayMove ?? null })
+            });
+            await this.joinGame(fork.id);
+        } catch (error) {
+            alert(`Could not open an analysis board: ${error.message}`);
+        }
+    }
+
+    async loadConditionalMoves() {
+        const card = document.getElementById('conditional-moves-card');
+        const container = document.getElementById('conditional-lines');
+        const isPlayer = this.currentGame.players.some(p => p.userId === this.currentUser.id);
+        const opponentToMove = this.currentGame.status === 'active' &&
+            this.currentGame.currentPlayerId !== this.currentUser.id;
+
+        card.style.display = (isPlayer && opponentToMove && this.currentGame.players.length === 2) ? 'block' : 'none';
+        container.innerHTML = '';
+        if (card.style.display === 'none') {
+            return;
+        }
+
+        try {
+            const lines = await this.fetchAPI(`/api/games/${this.currentGame.id}/conditional-moves`);
+            if (lines.length === 0) {
+                container.innerHTML = '<span class="text-muted">No lines prepared</span>';
+                return;
+            }
+
+            lines.forEach(line => {
+                const row = document.createElement('div');
+                row.className = 'd-flex justify-content-between align-items-center mb-1';
+                const text = document.createElement('span');
+                text.textContent = line.moves.map(move => typeof move === 'string' ? move : JSON.stringify(move)).join(', ');
+                const button = document.createElement('button');
+                button.className = 'btn btn-sm btn-link text-danger p-0';
+                button.innerHTML = '<i class="bi bi-x"></i>';
+                button.addEventListener('click', () => this.clearConditionalMoves(line.id));
+                row.appendChild(text);
+                row.appendChild(button);
+                container.appendChild(row);
+            });
+        } catch (error) {
+            console.error('Error loading conditional moves:', error);
+        }
+    }
+
+    async saveConditionalLine() {
+        const input = document.getElementById('conditional-input');
+        const moveTexts = input.value.split(',').map(text => text.trim()).filter(Boolean);
+        if (!this.currentGame || moveTexts.length === 0) {
+            return;
+        }
+
+        try {
+            const moves = moveTexts.map(text => this.parseMove(text, this.currentGame.gameType));
+            await this.fetchAPI(`/api/games/${this.currentGame.id}/conditional-moves`, {
+                method: 'POST',
+                body: JSON.stringify({ moves })
+            });
+            input.value = '';
+            this.loadConditionalMoves();
+        } catch (error) {
+            alert(`Could not save line: ${error.message}`);
+        }
+    }
+
+    async clearConditionalMoves(lineId = null) {
+        if (!this.currentGame) {
+            return;
+        }
+
+        try {
+            const path = lineId ? `conditional-moves/${lineId}` : 'conditional-moves';
+            await this.fetchAPI(`/api/games/${this.currentGame.id}/${path}`, { method: 'DELETE' });
+            this.loadConditionalMoves();
+        } catch (error) {
+            alert(`Could not clear conditional moves: ${error.message}`);
+        }
+    }
+
+    updateVacationButton() {
+        const onVacation = Boolean(this.currentUser && this.currentUser.vacationStartedAt);
+        document.getElementById('vacation-btn-label').textContent = onVacation ? 'End vacation' : 'Go on vacation';
+    }
+
+    async toggleVacation() {
+        if (!this.currentUser) {
+            return;
+        }
+
+        const onVacation = Boolean(this.currentUser.vacationStartedAt);
+        try {
+            const response = await this.fetchAPI(`/api/users/${this.currentUser.id}/vacation`, {
+                method: onVacation ? 'DELETE' : 'POST'
+            });
+
+            this.currentUser.vacationStartedAt = onVacation ? null : response.vacationStartedAt;
+            this.currentUser.vacationDaysRemaining = response.vacationDaysRemaining;
+            localStorage.setItem('boardgame-user', JSON.stringify(this.currentUser));
+            this.updateVacationButton();
+
+            const days = Math.floor(response.vacationDaysRemaining);
+            this.showNotification(
+                onVacation ? `Welcome back! ${days} vacation days left` : 'Vacation started; your clocks are paused',
+                'info'
+            );
+            this.loadCurrentGame();
+        } catch (error) {
+            alert(`Could not change vacation: ${error.message}`);
+        }
+    }
+
+    async loadChat() {
+        const isPlayer = this.currentGame.players.some(p => p.userId === this.currentUser.id);
+        const chatEnabled = this.currentGame.settings.allowChat !== false;
+        this.chatChannel = isPlayer ? 'players' : 'spectators';
+
+        document.getElementById('chat-card').style.display = chatEnabled ? 'block' : 'none';
+        document.getElementById('chat-title').textContent = isPlayer ? 'Chat' : 'Spectator chat';
+        if (!chatEnabled) {
+            return;
+        }
+
+        const container = document.getElementById('chat-messages');
+        try {
+            const messages = await this.fetchAPI(`/api/games/${this.currentGame.id}/chat?channel=${this.chatChannel}`);
+            container.innerHTML = messages.length === 0 ? '<p class="text-muted">No messages yet</p>' : '';
+            messages.forEach(message => this.appendChatMessage(message));
+        } catch (error) {
+            console.error('Error loading chat:', error);
+        }
+    }
+
+    appendChatMessage(message) {
+        const container = document.getElementById('chat-messages');
+        const placeholder = container.querySelector('.text-muted');
+        if (placeholder && !container.querySelector('.chat-line')) {
+            placeholder.remove();
+        }
+
+        const line = document.createElement('div');
+        line.className = 'chat-line';
+        const author = document.createElement('strong');
+        author.textContent = `${message.username}: `;
+        line.appendChild(author);
+        line.appendChild(document.createTextNode(message.message));
+        container.appendChild(line);
+        container.scrollTop = container.scrollHeight;
+    }
+
+    async sendChatMessage() {
+        const input = document.getElementById('chat-input');
+        const message = input.value.trim();
+        if (!this.currentGame || !message) {
+            return;
+        }
+
+        try {
+            // The message comes back through the socket room
+            await this.fetchAPI(`/api/games/${this.currentGame.id}/chat`, {
+                method: 'POST',
+                body: JSON.stringify({ message })
+            });
+            input.value = '';
+        } catch (error) {
+            alert(`Could not send message: ${error.message}`);
+        }
+    }
+
+    spectateGame(game) {
+        // Read-only: the move form stays disabled because it is never this user's turn
+        this.currentGame = game;
+        this.spectatingGameId = game.id;
+        this.showGamePlay();
+        this.loadCurrentGame();
+        this.socket.emit('spectate-game', game.id);
+        this.showNotification('You are watching this game as a spectator', 'info');
+    }
+
     leaveGame() {
+        this.replayMove = null;
+        if (this.spectatingGameId) {
+            this.socket.emit('stop-spectating', this.spectatingGameId);
+            this.spectatingGameId = null;
+        }
         this.currentGame = null;
         this.clearURLParams(); // Remove game parameters from URL
         this.showGameList();
@@ -901,8 +1705,7 @@ class BoardGamePlayer {
                 body: JSON.stringify({ username, password })
             });
 
-            this.currentUser = response.user;
-            localStorage.setItem('boardgame-user', JSON.stringify(this.currentUser));
+            this.setSession(response);
             
             document.getElementById('username-display').textContent = this.currentUser.username;
             document.getElementById('user-info').style.display = 'block';
@@ -949,8 +1752,7 @@ class BoardGamePlayer {
                 })
             });
 
-            this.currentUser = response.user;
-            localStorage.setItem('boardgame-user', JSON.stringify(this.currentUser));
+            this.setSession(response);
             
             document.getElementById('username-display').textContent = this.currentUser.username;
             
@@ -988,10 +1790,15 @@ class BoardGamePlayer {
     }
 
     async fetchAPI(endpoint, options = {}) {
+        const headers = {
+            'Content-Type': 'application/json',
+        };
+        if (this.token) {
+            headers['Authorization'] = `Bearer ${this.token}`;
+        }
+
         const config = {
-            headers: {
-                'Content-Type': 'application/json',
-            },
+            headers,
             ...options
         };
 
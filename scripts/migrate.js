@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Database Migration Script
+ * Applies, rolls back and reports schema migrations
+ *
+ * Usage:
+ *   node scripts/migrate.js up            Apply all pending migrations
+ *   node scripts/migrate.js down [steps]  Roll back the last migration (or the last N)
+ *   node scripts/migrate.js status        Show which migrations have been applied
+ */
+
+const { getDatabase, closeDatabase } = require('../src/database/init');
+const { migrate, rollback, getMigrationStatus } = require('../src/database/migrator');
+
+async function migrateUp() {
+  const applied = await migrate(getDatabase());
+  if (applied.length === 0) {
+    console.log('✅ Database is up to date');
+    return;
+  }
+  applied.forEach(migration => console.log(`  ⬆️  ${migration.version}_${migration.name}`));
+  console.log(`✅ Applied ${applied.length} migration(s)`);
+}
+
+async function migrateDown(stepsArg = '1') {
+  const steps = parseInt(stepsArg, 10);
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new Error(`Invalid number of steps: ${stepsArg}`);
+  }
+
+  const rolledBack = await rollback(getDatabase(), { steps });
+  if (rolledBack.length === 0) {
+    console.log('ℹ️  No migrations to roll back');
+    return;
+  }
+  rolledBack.forEach(migration => console.log(`  ⬇️  ${migration.version}_${migration.name}`));
+  console.log(`✅ Rolled back ${rolledBack.length} migration(s)`);
+}
+
+async function showStatus() {
+  const status = await getMigrationStatus(getDatabase());
+
+  console.log('📊 Migration Status:');
+  status.forEach(migration => {
+    const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+    console.log(`  ${migration.applied ? '✓' : '•'} ${migration.version}_${migration.name} (${state})`);
+  });
+
+  const pending = status.filter(migration => !migration.applied).length;
+  console.log(`\n  ${status.length - pending} applied, ${pending} pending`);
+}
+
+async function main() {
+  const [command = 'status', ...args] = process.argv.slice(2);
+  const commands = { up: migrateUp, down: migrateDown, status: showStatus };
+
+  if (!commands[command]) {
+    console.log('Usage: node scripts/migrate.js <up|down [steps]|status>');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await commands[command](...args);
+  } finally {
+    await closeDatabase();
+  }
+}
+
+main().catch(error => {
+  console.error('💥 Migration script failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+/**
+ * User Role Script
+ * Grants or revokes the admin role from the command line, so the first admin
+ * can be created without going through the admin API
+ *
+ * Usage:
+ *   node scripts/set-role.js <username> [admin|user]   Set the user's role (default: admin)
+ */
+
+const { initializeDatabase, closeDatabase } = require('../src/database/init');
+const dependencies = require('../src/config/dependencies');
+
+async function setRole(username, role = 'admin') {
+  if (!username) {
+    throw new Error('Usage: node scripts/set-role.js <username> [admin|user]');
+  }
+
+  await initializeDatabase();
+
+  const userService = dependencies.getUserService();
+  const user = await userService.findUserByUsername(username);
+  if (!user) {
+    throw new Error(`User not found: ${username}`);
+  }
+
+  const updatedUser = await userService.changeUserRole(user.id, role);
+  console.log(`✅ ${updatedUser.username} is now ${updatedUser.role}`);
+}
+
+async function main() {
+  try {
+    await setRole(...process.argv.slice(2));
+  } finally {
+    await closeDatabase();
+  }
+}
+
+main().catch(error => {
+  console.error('💥 Setting the role failed:', error.message);
+  process.exit(1);
+});
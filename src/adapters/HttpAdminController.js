@@ -0,0 +1,108 @@
+const express = require('express');
+
+/**
+ * HTTP adapter for admin operations
+ * Every route on this router requires an authenticated admin
+ */
+class HttpAdminController {
+  constructor(adminService, authMiddleware) {
+    this.adminService = adminService;
+    this.auth = authMiddleware;
+    this.router = express.Router();
+    this._setupRoutes();
+  }
+
+  /**
+   * Get the Express router with all routes configured
+   * @returns {express.Router}
+   */
+  getRouter() {
+    return this.router;
+  }
+
+  /**
+   * Setup all HTTP routes
+   * @private
+   */
+  _setupRoutes() {
+    // Guard the whole router so new admin routes cannot be added unprotected
+    this.router.use(this.auth.authenticate(), this.auth.requireAdmin());
+
+    // Purge database
+    this.router.post('/purge', this._purgeDatabase.bind(this));
+
+    // Change a user's role
+    this.router.put('/users/:id/role', this._changeUserRole.bind(this));
+
+    // Get audit log
+    this.router.get('/audit-log', this._getAuditLog.bind(this));
+  }
+
+  /**
+   * Delete all games and non-admin users
+   */
+  async _purgeDatabase(req, res) {
+    try {
+      await this.adminService.purgeDatabase(req.user);
+
+      console.log('Database purged successfully');
+      res.json({ 
+        success: true, 
+        message: 'Database purged successfully',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error purging database:', error);
+      res.status(500).json({ error: 'Failed to purge database: ' + error.message });
+    }
+  }
+
+  /**
+   * Grant or revoke the admin role
+   */
+  async _changeUserRole(req, res) {
+    try {
+      const { role } = req.body;
+
+      if (!role) {
+        return res.status(400).json({ error: 'Role is required' });
+      }
+
+      const user = await this.adminService.changeUserRole(req.user, req.params.id, role);
+
+      res.json(user.toSafeObject());
+    } catch (error) {
+      console.error('Error changing user role:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+
+      if (error.message.includes('Invalid user role') || error.message.includes('own role')) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      res.status(500).json({ error: 'Failed to change user role' });
+    }
+  }
+
+  /**
+   * Get audit log entries, newest first
+   */
+  async _getAuditLog(req, res) {
+    try {
+      const { limit, offset } = req.query;
+      const entries = await this.adminService.getAuditLog(req.user, {
+        limit: limit ? parseInt(limit) : undefined,
+        offset: offset ? parseInt(offset) : undefined
+      });
+
+      res.json(entries);
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+      res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+  }
+}
+
+module.exports = HttpAdminController;
@@ -0,0 +1,106 @@
+/**
+ * HTTP adapter for authentication
+ * Turns the bearer token on a request into the acting user
+ */
+class HttpAuthMiddleware {
+  constructor(userService) {
+    this.userService = userService;
+  }
+
+  /**
+   * Middleware that requires a valid token and sets req.user
+   * @returns {Function} Express middleware
+   */
+  authenticate() {
+    return async (req, res, next) => {
+      const token = this._extractToken(req);
+      if (!token) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+
+      try {
+        const user = await this.userService.getUserFromToken(token);
+        if (!user) {
+          return res.status(401).json({ error: 'User not found' });
+        }
+
+        req.user = user;
+        next();
+      } catch (error) {
+        res.status(401).json({ error: 'Invalid token' });
+      }
+    };
+  }
+
+  /**
+   * Middleware that sets req.user when a valid token is present
+   * Requests without a usable token continue anonymously.
+   * @param {Object} [options]
+   * @param {boolean} [options.allowQueryToken=false] - Also accept ?token=, for image URLs
+   *   loaded by <img> tags that cannot set headers
+   * @returns {Function} Express middleware
+   */
+  identify({ allowQueryToken = false } = {}) {
+    return async (req, res, next) => {
+      const token = this._extractToken(req, allowQueryToken);
+      if (token) {
+        try {
+          req.user = await this.userService.getUserFromToken(token);
+        } catch (error) {
+          req.user = null;
+        }
+      }
+      next();
+    };
+  }
+
+  /**
+   * Middleware that rejects requests acting for someone other than the token's user
+   * Must run after authenticate().
+   * @param {string} field - Request body field naming the acting user
+   * @returns {Function} Express middleware
+   */
+  requireBodyUser(field) {
+    return (req, res, next) => {
+      const claimedUserId = req.body && req.body[field];
+      if (claimedUserId && claimedUserId !== req.user.id) {
+        return res.status(403).json({ error: `${field} does not match the authenticated user` });
+      }
+      next();
+    };
+  }
+
+  /**
+   * Middleware that only lets admins through
+   * Must run after authenticate().
+   * @returns {Function} Express middleware
+   */
+  requireAdmin() {
+    return (req, res, next) => {
+      if (!req.user || !req.user.isAdmin()) {
+        return res.status(403).json({ error: 'Admin access required' });
+      }
+      next();
+    };
+  }
+
+  /**
+   * Read the token from the Authorization header
+   * @param {Object} req - Express request
+   * @param {boolean} [allowQueryToken=false] - Fall back to ?token= when there is no header
+   * @returns {string|null} Token or null
+   * @private
+   */
+  _extractToken(req, allowQueryToken = false) {
+    const header = req.headers.authorization;
+    if (header && header.startsWith('Bearer ')) {
+      return header.slice('Bearer '.length).trim();
+    }
+    if (!allowQueryToken) {
+      return null;
+    }
+    return req.query && typeof req.query.token === 'string' ? req.query.token : null;
+  }
+}
+
+module.exports = HttpAuthMiddleware;
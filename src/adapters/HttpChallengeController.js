@@ -0,0 +1,169 @@
+const express = require('express');
+
+/**
+ * HTTP adapter for challenges between users
+ * Every route acts for the authenticated user
+ */
+class HttpChallengeController {
+  constructor(challengeService, authMiddleware) {
+    this.challengeService = challengeService;
+    this.auth = authMiddleware;
+    this.router = express.Router();
+    this._setupRoutes();
+  }
+
+  /**
+   * Get the Express router with all routes configured
+   * @returns {express.Router}
+   */
+  getRouter() {
+    return this.router;
+  }
+
+  /**
+   * Setup all HTTP routes
+   * @private
+   */
+  _setupRoutes() {
+    this.router.use(this.auth.authenticate());
+
+    // Challenge another user
+    this.router.post('/', this._createChallenge.bind(this));
+
+    // Get the challenges the user sent or received
+    this.router.get('/', this._getChallenges.bind(this));
+
+    // Answer or withdraw a challenge
+    this.router.post('/:id/accept', this._acceptChallenge.bind(this));
+    this.router.post('/:id/decline', this._declineChallenge.bind(this));
+    this.router.post('/:id/cancel', this._cancelChallenge.bind(this));
+  }
+
+  /**
+   * Challenge another user to a game
+   */
+  async _createChallenge(req, res) {
+    try {
+      const { challengedId, gameType, gameName, settings } = req.body;
+
+      if (!challengedId || !gameType) {
+        return res.status(400).json({ error: 'challengedId and gameType are required' });
+      }
+
+      const challenge = await this.challengeService.createChallenge({
+        challengerId: req.user.id,
+        challengedId,
+        gameType,
+        gameName,
+        settings: settings || {}
+      });
+
+      res.status(201).json(challenge.toObject());
+    } catch (error) {
+      console.error('Error creating challenge:', error);
+      this._sendChallengeError(res, error, 'Failed to create challenge');
+    }
+  }
+
+  /**
+   * Get the challenges the user sent or received
+   */
+  async _getChallenges(req, res) {
+    try {
+      const challenges = await this.challengeService.getChallenges(req.user.id, {
+        status: req.query.status
+      });
+
+      res.json(challenges.map(challenge => challenge.toObject()));
+    } catch (error) {
+      console.error('Error fetching challenges:', error);
+      this._sendChallengeError(res, error, 'Failed to fetch challenges');
+    }
+  }
+
+  /**
+   * Accept a challenge and start its game
+   */
+  async _acceptChallenge(req, res) {
+    try {
+      const { challenge, game } = await this.challengeService.acceptChallenge(req.params.id, req.user.id);
+
+      res.json({
+        challenge: challenge.toObject(),
+        game: {
+          id: game.id,
+          name: game.name,
+          gameType: game.gameType,
+          status: game.status,
+          currentPlayerId: game.currentPlayerId
+        }
+      });
+    } catch (error) {
+      console.error('Error accepting challenge:', error);
+      this._sendChallengeError(res, error, 'Failed to accept challenge');
+    }
+  }
+
+  /**
+   * Decline a challenge
+   */
+  async _declineChallenge(req, res) {
+    try {
+      const challenge = await this.challengeService.declineChallenge(req.params.id, req.user.id);
+      res.json(challenge.toObject());
+    } catch (error) {
+      console.error('Error declining challenge:', error);
+      this._sendChallengeError(res, error, 'Failed to decline challenge');
+    }
+  }
+
+  /**
+   * Withdraw a challenge
+   */
+  async _cancelChallenge(req, res) {
+    try {
+      const challenge = await this.challengeService.cancelChallenge(req.params.id, req.user.id);
+      res.json(challenge.toObject());
+    } catch (error) {
+      console.error('Error cancelling challenge:', error);
+      this._sendChallengeError(res, error, 'Failed to cancel challenge');
+    }
+  }
+
+  /**
+   * Map challenge errors to HTTP status codes
+   * @param {Object} res - Express response
+   * @param {Error} error - Error from the challenge service
+   * @param {string} fallbackMessage - Message for unexpected errors
+   * @private
+   */
+  _sendChallengeError(res, error, fallbackMessage) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('Only the')) {
+      return res.status(403).json({ error: error.message });
+    }
+
+    const badRequestMessages = [
+      'Cannot challenge',
+      'Unsupported game type',
+      'two-player',
+      'Invalid time control',
+      'Invalid starting position',
+      'allowSpectators',
+      'allowChat',
+      'already pending',
+      'no longer pending',
+      'expired',
+      'status must be'
+    ];
+    if (badRequestMessages.some(message => error.message.includes(message))) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: fallbackMessage });
+  }
+}
+
+module.exports = HttpChallengeController;
@@ -5,11 +5,15 @@ const express = require('express');
  * Primary port that handles HTTP requests and delegates to domain services
  */
 class HttpGameController {
-  constructor(gameService, userService, notificationService, imageService) {
+  constructor(gameService, userService, notificationService, imageService, authMiddleware, adminService, spectatorService, chatService) {
     this.gameService = gameService;
     this.userService = userService;
     this.notificationService = notificationService;
     this.imageService = imageService;
+    this.auth = authMiddleware;
+    this.adminService = adminService;
+    this.spectatorService = spectatorService;
+    this.chatService = chatService;
     this.router = express.Router();
     this._setupRoutes();
   }
@@ -27,29 +31,84 @@ class HttpGameController {
    * @private
    */
   _setupRoutes() {
+    const authenticate = this.auth.authenticate();
+    const identify = this.auth.identify();
+    const identifyImage = this.auth.identify({ allowQueryToken: true });
+
     // Create a new game
-    this.router.post('/', this._createGame.bind(this));
+    this.router.post('/', authenticate, this.auth.requireBodyUser('creatorId'), this._createGame.bind(this));
     
     // Get all games
-    this.router.get('/', this._getAllGames.bind(this));
+    this.router.get('/', identify, this._getAllGames.bind(this));
     
     // Get specific game state
-    this.router.get('/:id', this._getGame.bind(this));
+    this.router.get('/:id', identify, this._getGame.bind(this));
     
     // Join a game
-    this.router.post('/:id/join', this._joinGame.bind(this));
+    this.router.post('/:id/join', authenticate, this.auth.requireBodyUser('userId'), this._joinGame.bind(this));
+    
+    // Issue or revoke the invite token of a private game
+    this.router.post('/:id/invite', authenticate, this._createInvite.bind(this));
+    this.router.delete('/:id/invite', authenticate, this._revokeInvite.bind(this));
     
     // Make a move
-    this.router.post('/:id/move', this._makeMove.bind(this));
+    this.router.post('/:id/move', authenticate, this.auth.requireBodyUser('userId'), this._makeMove.bind(this));
+    
+    // Resign from a game
+    this.router.post('/:id/resign', authenticate, this.auth.requireBodyUser('userId'), this._resignGame.bind(this));
+    
+    // Abort a game that has not really started
+    this.router.post('/:id/abort', authenticate, this.auth.requireBodyUser('userId'), this._abortGame.bind(this));
+    
+    // List pending draw offers and takeback requests
+    this.router.get('/:id/offers', identify, this._getOffers.bind(this));
+    
+    // Offer a draw or request a takeback
+    this.router.post('/:id/offers', authenticate, this.auth.requireBodyUser('userId'), this._makeOffer.bind(this));
+    
+    // Accept or decline an opponent's offer
+    this.router.post('/:id/offers/:offerId/accept', authenticate, this.auth.requireBodyUser('userId'), this._acceptOffer.bind(this));
+    this.router.post('/:id/offers/:offerId/decline', authenticate, this.auth.requireBodyUser('userId'), this._declineOffer.bind(this));
     
     // Get game board as image
-    this.router.get('/:id/image', this._getBoardImage.bind(this));
+    this.router.get('/:id/image', identifyImage, this._getBoardImage.bind(this));
     
     // Get game move history
-    this.router.get('/:id/moves', this._getMoveHistory.bind(this));
+    this.router.get('/:id/moves', identify, this._getMoveHistory.bind(this));
+    this.router.put('/:id/moves/:moveNumber/annotation', authenticate, this._annotateMove.bind(this));
+
+    // Positions at earlier plies, for stepping through a game
+    this.router.get('/:id/positions/:moveNumber', identify, this._getPosition.bind(this));
+    this.router.get('/:id/positions/:moveNumber/image', identifyImage, this._getPositionImage.bind(this));
+    this.router.get('/:id/replay', identify, this._getReplay.bind(this));
+
+    // Fork a private analysis game from any position
+    this.router.post('/:id/fork', authenticate, this._forkGame.bind(this));
+
+    // Private notes, visible only to the player who wrote them
+    this.router.get('/:id/notes', authenticate, this._getNotes.bind(this));
+    this.router.put('/:id/notes', authenticate, this._saveNotes.bind(this));
+
+    // Rematch a completed game, and list the rematch series a game belongs to
+    this.router.post('/:id/rematch', authenticate, this._rematchGame.bind(this));
+    this.router.get('/:id/series', identify, this._getRematchSeries.bind(this));
+
+    // Who is watching live
+    this.router.get('/:id/spectators', this._getSpectators.bind(this));
+
+    // In-game chat; players and spectators post to separate channels
+    this.router.get('/:id/chat', identify, this._getChatMessages.bind(this));
+    this.router.post('/:id/chat', authenticate, this._postChatMessage.bind(this));
+    this.router.delete('/:id/chat/:messageId', authenticate, this.auth.requireAdmin(), this._deleteChatMessage.bind(this));
+
+    // Conditional pre-moves, private to each player
+    this.router.get('/:id/conditional-moves', authenticate, this._getConditionalMoves.bind(this));
+    this.router.post('/:id/conditional-moves', authenticate, this._setConditionalMoves.bind(this));
+    this.router.delete('/:id/conditional-moves', authenticate, this._clearConditionalMoves.bind(this));
+    this.router.delete('/:id/conditional-moves/:lineId', authenticate, this._clearConditionalMoves.bind(this));
     
     // Force start a game (admin feature)
-    this.router.post('/:id/force-start', this._forceStartGame.bind(this));
+    this.router.post('/:id/force-start', authenticate, this.auth.requireAdmin(), this._forceStartGame.bind(this));
   }
 
   /**
@@ -57,10 +116,11 @@ class HttpGameController {
    */
   async _createGame(req, res) {
     try {
-      const { name, gameType, creatorId, settings = {} } = req.body;
+      const { name, gameType, settings = {}, visibility = 'public' } = req.body;
+      const creatorId = req.user.id;
 
-      if (!name || !creatorId || !gameType) {
-        return res.status(400).json({ error: 'Name, gameType, and creatorId are required' });
+      if (!name || !gameType) {
+        return res.status(400).json({ error: 'Name and gameType are required' });
       }
 
       // Validate creator exists
@@ -74,7 +134,8 @@ class HttpGameController {
         name,
         gameType,
         creatorId,
-        settings
+        settings,
+        visibility
       });
 
       res.status(201).json({
@@ -82,11 +143,18 @@ class HttpGameController {
         name: game.name,
         gameType: game.gameType,
         status: game.status,
+        visibility: game.visibility,
+        inviteToken: game.inviteToken,
         moveCount: game.moveCount,
         createdAt: game.createdAt
       });
     } catch (error) {
       console.error('Error creating game:', error);
+
+      if (['Invalid time control', 'Invalid starting position', 'Visibility', 'allowSpectators', 'allowChat'].some(phrase => error.message.includes(phrase))) {
+        return res.status(400).json({ error: error.message });
+      }
+
       res.status(500).json({ error: error.message || 'Failed to create game' });
     }
   }
@@ -103,6 +171,11 @@ class HttpGameController {
       if (gameType) criteria.gameType = gameType;
       if (playerId) criteria.playerId = playerId;
       if (limit) criteria.limit = parseInt(limit);
+
+      // Admins see every game; everyone else only public games and their own
+      if (!req.user || !req.user.isAdmin()) {
+        criteria.visibleTo = this._getViewerId(req);
+      }
       
       const games = await this.gameService.findGames(criteria);
       
@@ -111,6 +184,8 @@ class HttpGameController {
         name: game.name,
         gameType: game.gameType,
         status: game.status,
+        visibility: game.visibility,
+        mode: game.mode,
         moveCount: game.moveCount,
         createdAt: game.createdAt,
         updatedAt: game.updatedAt
@@ -133,22 +208,43 @@ class HttpGameController {
       }
 
       const players = await this.gameService.getGamePlayers(game.id);
+      const seats = this.gameService.getSeats(game, players);
+
+      const viewerId = this._getViewerId(req);
+      const boardState = this.gameService.getBoardStateForViewer(game, players, viewerId);
+      const isPlayer = players.some(p => p.user_id === viewerId);
+      const timeRemaining = game.getRemainingTime(seats.map(p => p.user_id));
+      const rematch = await this.gameService.findRematch(game.id);
       
       res.json({
         id: game.id,
         name: game.name,
         gameType: game.gameType,
         status: game.status,
+        visibility: game.visibility,
+        // Only players may pass the invite on
+        inviteToken: isPlayer ? game.inviteToken : null,
         currentPlayerId: game.currentPlayerId,
-        boardState: game.boardState,
+        boardState: JSON.stringify(boardState),
         moveCount: game.moveCount,
-        players: players.map(p => ({
+        mode: game.mode,
+        // Analysis games are played by their owner alone, for every seat listed in players
+        ownerId: game.isAnalysis() ? players[0].user_id : null,
+        forkedFrom: game.forkedFrom,
+        forkedAtMove: game.forkedAtMove,
+        players: seats.map(p => ({
           id: p.id,
           userId: p.user_id,
           username: p.username,
           playerOrder: p.player_order,
-          color: p.color
+          color: p.color,
+          timeRemaining: timeRemaining ? timeRemaining[p.user_id] : null
         })),
+        moveDeadline: game.moveDeadline,
+        clockPaused: game.isClockPaused(),
+        rematchOf: game.rematchOf,
+        rematchId: rematch ? rematch.id : null,
+        spectatorCount: this.spectatorService.getSpectatorCount(game.id),
         createdAt: game.createdAt,
         updatedAt: game.updatedAt,
         settings: game.settings
@@ -164,12 +260,8 @@ class HttpGameController {
    */
   async _joinGame(req, res) {
     try {
-      const { userId } = req.body;
+      const userId = req.user.id;
       const gameId = req.params.id;
-      
-      if (!userId) {
-        return res.status(400).json({ error: 'UserId is required' });
-      }
 
       // Verify user exists
       const user = await this.userService.findUserById(userId);
@@ -178,7 +270,7 @@ class HttpGameController {
       }
 
       // Join game using domain service
-      const result = await this.gameService.joinGame(gameId, userId);
+      const result = await this.gameService.joinGame(gameId, userId, req.body.inviteToken || null);
 
       // Send real-time notifications if game started
       if (result.gameStarted) {
@@ -203,6 +295,11 @@ class HttpGameController {
       });
     } catch (error) {
       console.error('Error joining game:', error);
+
+      if (error.message.includes('invite token') || error.message.includes('reserved for')) {
+        return res.status(403).json({ error: error.message });
+      }
+
       res.status(500).json({ error: error.message || 'Failed to join game' });
     }
   }
@@ -212,84 +309,412 @@ class HttpGameController {
    */
   async _makeMove(req, res) {
     try {
-      const { userId, move } = req.body;
+      const { move, expectedMoveCount } = req.body;
+      const userId = req.user.id;
       const gameId = req.params.id;
       
-      if (!userId || !move) {
-        return res.status(400).json({ error: 'UserId and move are required' });
+      if (!move) {
+        return res.status(400).json({ error: 'Move is required' });
       }
 
-      // Make move using domain service
-      const result = await this.gameService.makeMove(gameId, userId, move);
-
-      // Send real-time notifications
-      await this.notificationService.broadcastToGame(gameId, 'move-made', {
-        gameId,
-        move,
-        newBoardState: result.newBoardState,
-        currentPlayerId: result.nextPlayerId,
-        moveCount: result.moveCount,
-        isGameComplete: result.isGameComplete,
-        winner: result.winner
-      });
-
-      // Handle game completion or next turn notifications
-      if (result.isGameComplete) {
-        if (result.winner) {
-          await this.notificationService.sendNotification(
-            result.winner,
-            'game_won',
-            'Congratulations! You won the game!',
-            { gameId }
-          );
-          
-          // Notify other players
-          const players = await this.gameService.getGamePlayers(gameId);
-          for (const player of players) {
-            if (player.user_id !== result.winner) {
-              await this.notificationService.sendNotification(
-                player.user_id,
-                'game_lost',
-                'Game completed - better luck next time!',
-                { gameId }
-              );
-            }
-          }
-        } else {
-          // Draw/tie game
-          const players = await this.gameService.getGamePlayers(gameId);
-          for (const player of players) {
-            await this.notificationService.sendNotification(
-              player.user_id,
-              'game_draw',
-              'Game ended in a draw!',
-              { gameId }
-            );
-          }
-        }
-      } else {
-        // Notify next player it's their turn
-        await this.notificationService.sendNotification(
-          result.nextPlayerId,
-          'turn',
-          'It\'s your turn!',
-          { gameId }
-        );
+      if (expectedMoveCount !== undefined && !Number.isInteger(expectedMoveCount)) {
+        return res.status(400).json({ error: 'expectedMoveCount must be an integer' });
       }
 
+      // Make move using domain service (which also sends the notifications)
+      const result = await this.gameService.makeMove(gameId, userId, move, expectedMoveCount ?? null);
+
       res.json({ 
         message: 'Move recorded successfully',
         nextPlayerId: result.nextPlayerId,
         moveCount: result.moveCount,
-        isGameComplete: result.isGameComplete,
-        winner: result.winner
+        isGameComplete: result.gameComplete,
+        winner: result.winner,
+        conditionalReply: result.conditionalReply
       });
     } catch (error) {
       console.error('Error making move:', error);
+
+      if (error.message.includes('Game has changed')) {
+        return res.status(409).json({ error: error.message });
+      }
+
+      const rejections = ['Invalid move', 'Not your turn', 'Game is not active'];
+      if (rejections.some(phrase => error.message.includes(phrase))) {
+        return res.status(400).json({ error: error.message });
+      }
+
       res.status(500).json({ error: error.message || 'Failed to record move' });
     }
   }
 
+  /**
+   * Resign from a game
+   */
+  async _resignGame(req, res) {
+    try {
+      const result = await this.gameService.resignGame(req.params.id, req.user.id);
+
+      res.json({
+        message: 'Resigned from game',
+        status: result.status,
+        winner: result.winner,
+        terminationReason: result.terminationReason
+      });
+    } catch (error) {
+      console.error('Error resigning game:', error);
+      this._sendGameActionError(res, error, 'Failed to resign game');
+    }
+  }
+
+  /**
+   * Abort a game
+   */
+  async _abortGame(req, res) {
+    try {
+      const result = await this.gameService.abortGame(req.params.id, req.user.id);
+
+      res.json({
+        message: 'Game aborted',
+        status: result.status,
+        terminationReason: result.terminationReason
+      });
+    } catch (error) {
+      console.error('Error aborting game:', error);
+      this._sendGameActionError(res, error, 'Failed to abort game');
+    }
+  }
+
+  /**
+   * Issue a new invite token
+   */
+  async _createInvite(req, res) {
+    try {
+      const game = await this.gameService.createInvite(req.params.id, req.user.id);
+      res.json({ inviteToken: game.inviteToken });
+    } catch (error) {
+      console.error('Error creating invite:', error);
+      this._sendGameActionError(res, error, 'Failed to create invite');
+    }
+  }
+
+  /**
+   * Offer or accept a rematch of a completed game
+   */
+  async _rematchGame(req, res) {
+    try {
+      const { game, created } = await this.gameService.rematchGame(req.params.id, req.user.id);
+      const players = await this.gameService.getGamePlayers(game.id);
+
+      res.status(created ? 201 : 200).json({
+        id: game.id,
+        name: game.name,
+        gameType: game.gameType,
+        status: game.status,
+        visibility: game.visibility,
+        rematchOf: game.rematchOf,
+        players: players.map(p => ({
+          userId: p.user_id,
+          username: p.username,
+          playerOrder: p.player_order,
+          color: p.color
+        }))
+      });
+    } catch (error) {
+      console.error('Error creating rematch:', error);
+      this._sendGameActionError(res, error, 'Failed to create rematch');
+    }
+  }
+
+  /**
+   * Get the series of rematches a game belongs to
+   */
+  async _getRematchSeries(req, res) {
+    try {
+      const series = await this.gameService.getRematchSeries(req.params.id);
+
+      res.json(series.map(game => ({
+        id: game.id,
+        name: game.name,
+        status: game.status,
+        winnerId: game.settings.winnerId ?? null,
+        terminationReason: game.settings.terminationReason ?? null,
+        rematchOf: game.rematchOf,
+        createdAt: game.createdAt
+      })));
+    } catch (error) {
+      console.error('Error fetching rematch series:', error);
+      this._sendGameActionError(res, error, 'Failed to fetch rematch series');
+    }
+  }
+
+  /**
+   * List the people watching a game live
+   */
+  async _getSpectators(req, res) {
+    try {
+      res.json(await this.spectatorService.getSpectators(req.params.id));
+    } catch (error) {
+      console.error('Error fetching spectators:', error);
+      this._sendGameActionError(res, error, 'Failed to fetch spectators');
+    }
+  }
+
+  /**
+   * Get a game's recent chat messages
+   */
+  async _getChatMessages(req, res) {
+    try {
+      const limit = req.query.limit ? Math.min(500, Math.max(1, parseInt(req.query.limit) || 100)) : undefined;
+      const messages = await this.chatService.getMessages(req.params.id, this._getViewerId(req), {
+        channel: req.query.channel || 'players',
+        limit
+      });
+
+      res.json(messages.map(message => message.toObject()));
+    } catch (error) {
+      console.error('Error fetching chat messages:', error);
+      this._sendGameActionError(res, error, 'Failed to fetch chat messages');
+    }
+  }
+
+  /**
+   * Post to the game's chat, in the players' or spectators' channel depending on the author
+   */
+  async _postChatMessage(req, res) {
+    try {
+      const { message } = req.body;
+
+      if (typeof message !== 'string') {
+        return res.status(400).json({ error: 'message is required' });
+      }
+
+      const posted = await this.chatService.postMessage(req.params.id, req.user.id, message);
+      res.status(201).json(posted.toObject());
+    } catch (error) {
+      console.error('Error posting chat message:', error);
+      this._sendGameActionError(res, error, 'Failed to post chat message');
+    }
+  }
+
+  /**
+   * Remove a chat message (admin only)
+   */
+  async _deleteChatMessage(req, res) {
+    try {
+      const message = await this.adminService.deleteChatMessage(req.user, req.params.id, req.params.messageId);
+      res.json({ message: 'Chat message deleted', id: message.id, deletedAt: message.deletedAt });
+    } catch (error) {
+      console.error('Error deleting chat message:', error);
+      this._sendGameActionError(res, error, 'Failed to delete chat message');
+    }
+  }
+
+  /**
+   * Comment on or annotate one of the user's moves in a finished game
+   */
+  async _annotateMove(req, res) {
+    try {
+      const moveNumber = Number(req.params.moveNumber);
+      if (!Number.isInteger(moveNumber)) {
+        return res.status(400).json({ error: 'Move number must be an integer' });
+      }
+
+      const { comment, annotation } = req.body;
+      const move = await this.gameService.annotateMove(req.params.id, moveNumber, req.user.id, { comment, annotation });
+
+      res.json({
+        moveNumber: move.moveNumber,
+        comment: move.comment,
+        annotation: move.annotation
+      });
+    } catch (error) {
+      console.error('Error annotating move:', error);
+      this._sendGameActionError(res, error, 'Failed to annotate move');
+    }
+  }
+
+  /**
+   * Get the user's private notes on a game
+   */
+  async _getNotes(req, res) {
+    try {
+      res.json(await this.gameService.getNotes(req.params.id, req.user.id));
+    } catch (error) {
+      console.error('Error fetching notes:', error);
+      this._sendGameActionError(res, error, 'Failed to fetch notes');
+    }
+  }
+
+  /**
+   * Replace the user's private notes on a game
+   */
+  async _saveNotes(req, res) {
+    try {
+      res.json(await this.gameService.saveNotes(req.params.id, req.user.id, req.body.notes));
+    } catch (error) {
+      console.error('Error saving notes:', error);
+      this._sendGameActionError(res, error, 'Failed to save notes');
+    }
+  }
+
+  /**
+   * Get the user's conditional lines for the current position
+   */
+  async _getConditionalMoves(req, res) {
+    try {
+      const lines = await this.gameService.getConditionalMoves(req.params.id, req.user.id);
+      res.json(lines);
+    } catch (error) {
+      console.error('Error fetching conditional moves:', error);
+      this._sendGameActionError(res, error, 'Failed to fetch conditional moves');
+    }
+  }
+
+  /**
+   * Store a conditional line: opponent move, reply, opponent move, reply, ...
+   */
+  async _setConditionalMoves(req, res) {
+    try {
+      const { moves } = req.body;
+
+      if (!Array.isArray(moves)) {
+        return res.status(400).json({ error: 'moves must be an array' });
+      }
+
+      const line = await this.gameService.setConditionalMoves(req.params.id, req.user.id, moves);
+      res.status(201).json(line);
+    } catch (error) {
+      console.error('Error setting conditional moves:', error);
+      this._sendGameActionError(res, error, 'Failed to set conditional moves');
+    }
+  }
+
+  /**
+   * Drop one conditional line, or all of the user's lines
+   */
+  async _clearConditionalMoves(req, res) {
+    try {
+      const deleted = await this.gameService.clearConditionalMoves(req.params.id, req.user.id, req.params.lineId || null);
+      res.json({ message: 'Conditional moves cleared', deleted });
+    } catch (error) {
+      console.error('Error clearing conditional moves:', error);
+      this._sendGameActionError(res, error, 'Failed to clear conditional moves');
+    }
+  }
+
+  /**
+   * Revoke the invite token
+   */
+  async _revokeInvite(req, res) {
+    try {
+      await this.gameService.revokeInvite(req.params.id, req.user.id);
+      res.json({ message: 'Invite revoked' });
+    } catch (error) {
+      console.error('Error revoking invite:', error);
+      this._sendGameActionError(res, error, 'Failed to revoke invite');
+    }
+  }
+
+  /**
+   * List pending offers
+   */
+  async _getOffers(req, res) {
+    try {
+      const offers = await this.gameService.getPendingOffers(req.params.id);
+      res.json(offers);
+    } catch (error) {
+      console.error('Error fetching offers:', error);
+      this._sendGameActionError(res, error, 'Failed to fetch offers');
+    }
+  }
+
+  /**
+   * Offer a draw or request a takeback
+   */
+  async _makeOffer(req, res) {
+    try {
+      const { type } = req.body;
+      const gameId = req.params.id;
+
+      let offer;
+      if (type === 'draw') {
+        offer = await this.gameService.offerDraw(gameId, req.user.id);
+      } else if (type === 'takeback') {
+        offer = await this.gameService.requestTakeback(gameId, req.user.id);
+      } else {
+        return res.status(400).json({ error: 'type must be draw or takeback' });
+      }
+
+      res.status(201).json(offer);
+    } catch (error) {
+      console.error('Error making offer:', error);
+      this._sendGameActionError(res, error, 'Failed to make offer');
+    }
+  }
+
+  /**
+   * Accept an offer
+   */
+  async _acceptOffer(req, res) {
+    try {
+      const result = await this.gameService.acceptOffer(req.params.id, req.params.offerId, req.user.id);
+
+      res.json({
+        message: 'Offer accepted',
+        ...result
+      });
+    } catch (error) {
+      console.error('Error accepting offer:', error);
+      this._sendGameActionError(res, error, 'Failed to accept offer');
+    }
+  }
+
+  /**
+   * Decline an offer
+   */
+  async _declineOffer(req, res) {
+    try {
+      const offer = await this.gameService.declineOffer(req.params.id, req.params.offerId, req.user.id);
+
+      res.json({
+        message: 'Offer declined',
+        offer
+      });
+    } catch (error) {
+      console.error('Error declining offer:', error);
+      this._sendGameActionError(res, error, 'Failed to decline offer');
+    }
+  }
+
+  /**
+   * Map errors from player actions on an existing game to HTTP status codes
+   * @param {Object} res - Express response
+   * @param {Error} error - Error from the game service
+   * @param {string} fallbackMessage - Message for unexpected errors
+   * @private
+   */
+  _sendGameActionError(res, error, fallbackMessage) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('Sign in')) {
+      return res.status(401).json({ error: error.message });
+    }
+    const forbidden = ['not in this game', 'Only the game creator', 'Only players can chat', 'spectator chat', "move's author", 'This game is private'];
+    if (forbidden.some(phrase => error.message.includes(phrase))) {
+      return res.status(403).json({ error: error.message });
+    }
+    if (error.message.includes('Game has changed')) {
+      return res.status(409).json({ error: error.message });
+    }
+    const ruleViolations = ['Can only', 'no longer', 'already pending', 'Cannot respond', 'only available', 'Only private games', 'Conditional line', 'Chat', 'Annotation', 'Notes must', 'Cannot fork'];
+    if (ruleViolations.some(phrase => error.message.includes(phrase))) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: fallbackMessage });
+  }
+
   /**
    * Get game board as image
    */
@@ -301,30 +726,161 @@ class HttpGameController {
         return res.status(404).json({ error: 'Game not found' });
       }
 
-      // Parse image size parameters from query string
-      const width = parseInt(req.query.width) || 800;
-      const height = parseInt(req.query.height) || 800;
-      
-      // Validate and constrain image dimensions for security and performance
-      const constrainedWidth = Math.min(1600, Math.max(200, width));
-      const constrainedHeight = Math.min(1600, Math.max(200, height));
+      await this._sendBoardImage(req, res, game);
+    } catch (error) {
+      console.error('Error generating board image:', error);
+      res.status(500).json({ error: 'Failed to generate board image' });
+    }
+  }
 
-      const players = await this.gameService.getGamePlayers(game.id);
-      const imageBuffer = await this.imageService.generateGameImage(game, players, {
-        width: constrainedWidth,
-        height: constrainedHeight
+  /**
+   * Get the board as an image at an earlier ply
+   */
+  async _getPositionImage(req, res) {
+    try {
+      const moveNumber = this._parseMoveNumber(req, res);
+      if (moveNumber === null) {
+        return;
+      }
+
+      const game = await this.gameService.getGameAtMove(req.params.id, moveNumber);
+      await this._sendBoardImage(req, res, game, { cacheSeconds: game.hasStatus('active') ? 300 : 86400 });
+    } catch (error) {
+      console.error('Error generating position image:', error);
+      this._sendGameActionError(res, error, 'Failed to generate board image');
+    }
+  }
+
+  /**
+   * Render a game's board state for the requesting viewer and send it as a PNG
+   * @param {Object} req - Express request; width and height come from its query string
+   * @param {Object} res - Express response
+   * @param {Game} game - Game carrying the board state to draw
+   * @param {Object} options - Response options
+   * @param {number} options.cacheSeconds - How long clients may cache the image
+   * @private
+   */
+  async _sendBoardImage(req, res, game, { cacheSeconds = 300 } = {}) {
+    // Parse image size parameters from query string
+    const width = parseInt(req.query.width) || 800;
+    const height = parseInt(req.query.height) || 800;
+    
+    // Validate and constrain image dimensions for security and performance
+    const constrainedWidth = Math.min(1600, Math.max(200, width));
+    const constrainedHeight = Math.min(1600, Math.max(200, height));
+
+    const players = this.gameService.getSeats(game, await this.gameService.getGamePlayers(game.id));
+    const viewerId = this._getViewerId(req);
+    const imageBuffer = await this.imageService.generateGameImage(game, players, {
+      width: constrainedWidth,
+      height: constrainedHeight,
+      viewerId
+    });
+    
+    res.set({
+      'Content-Type': 'image/png',
+      'Content-Length': imageBuffer.length,
+      // Images rendered for a player must not be shared
+      'Cache-Control': `${viewerId ? 'private' : 'public'}, max-age=${cacheSeconds}`
+    });
+    
+    res.send(imageBuffer);
+  }
+
+  /**
+   * Get the position after a given move
+   */
+  async _getPosition(req, res) {
+    try {
+      const moveNumber = this._parseMoveNumber(req, res);
+      if (moveNumber === null) {
+        return;
+      }
+
+      const position = await this.gameService.getPositionAt(req.params.id, moveNumber, this._getViewerId(req));
+      res.json({
+        ...position,
+        imageUrl: `/api/games/${req.params.id}/positions/${moveNumber}/image`
       });
-      
-      res.set({
-        'Content-Type': 'image/png',
-        'Content-Length': imageBuffer.length,
-        'Cache-Control': 'public, max-age=300' // Cache for 5 minutes
+    } catch (error) {
+      console.error('Error fetching position:', error);
+      this._sendGameActionError(res, error, 'Failed to fetch position');
+    }
+  }
+
+  /**
+   * Stream every position of a game as newline-delimited JSON, starting position first
+   */
+  async _getReplay(req, res) {
+    try {
+      const positions = await this.gameService.getReplay(req.params.id, this._getViewerId(req));
+
+      res.set('Content-Type', 'application/x-ndjson');
+      for (const position of positions) {
+        res.write(JSON.stringify({
+          ...position,
+          imageUrl: `/api/games/${req.params.id}/positions/${position.moveNumber}/image`
+        }) + '\n');
+      }
+      res.end();
+    } catch (error) {
+      console.error('Error replaying game:', error);
+      this._sendGameActionError(res, error, 'Failed to replay game');
+    }
+  }
+
+  /**
+   * Read the :moveNumber route parameter, answering 400 if it is not a ply number
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {number|null} Move number, or null once the error has been sent
+   * @private
+   */
+  _parseMoveNumber(req, res) {
+    const moveNumber = Number(req.params.moveNumber);
+    if (!Number.isInteger(moveNumber) || moveNumber < 0) {
+      res.status(400).json({ error: 'Move number must be a non-negative integer' });
+      return null;
+    }
+    return moveNumber;
+  }
+
+  /**
+   * Fork a private analysis game from the position after a given move, or the latest one
+   */
+  async _forkGame(req, res) {
+    try {
+      let moveNumber = null;
+      if (req.body.moveNumber !== undefined && req.body.moveNumber !== null) {
+        moveNumber = Number(req.body.moveNumber);
+        if (!Number.isInteger(moveNumber) || moveNumber < 0) {
+          return res.status(400).json({ error: 'Move number must be a non-negative integer' });
+        }
+      }
+
+      const game = await this.gameService.forkGame(req.params.id, req.user.id, moveNumber);
+
+      res.status(201).json({
+        id: game.id,
+        name: game.name,
+        gameType: game.gameType,
+        status: game.status,
+        visibility: game.visibility,
+        mode: game.mode,
+        forkedFrom: game.forkedFrom,
+        forkedAtMove: game.forkedAtMove,
+        currentPlayerId: game.currentPlayerId,
+        moveCount: game.moveCount,
+        players: game.analysisSeats.map(p => ({
+          userId: p.user_id,
+          username: p.username,
+          playerOrder: p.player_order,
+          color: p.color
+        }))
       });
-      
-      res.send(imageBuffer);
     } catch (error) {
-      console.error('Error generating board image:', error);
-      res.status(500).json({ error: 'Failed to generate board image' });
+      console.error('Error forking game:', error);
+      this._sendGameActionError(res, error, 'Failed to fork game');
     }
   }
 
@@ -339,7 +895,7 @@ class HttpGameController {
         return res.status(404).json({ error: 'Game not found' });
       }
 
-      const moves = await this.gameService.getMoveHistory(req.params.id);
+      const moves = await this.gameService.getMoveHistory(req.params.id, this._getViewerId(req));
 
       res.json(moves.map(move => ({
         id: move.id,
@@ -349,6 +905,8 @@ class HttpGameController {
           id: move.playerId,
           username: move.username
         },
+        comment: move.comment,
+        annotation: move.annotation,
         timestamp: move.timestamp
       })));
     } catch (error) {
@@ -380,7 +938,7 @@ class HttpGameController {
       }
 
       // Force start the game
-      const result = await this.gameService.forceStartGame(gameId);
+      const result = await this.adminService.forceStartGame(req.user, gameId);
 
       // Send real-time notifications
       await this.notificationService.broadcastToGame(gameId, 'game-started', {
@@ -406,6 +964,16 @@ class HttpGameController {
       res.status(500).json({ error: error.message || 'Failed to start game' });
     }
   }
+
+  /**
+   * Get the ID of the authenticated viewer, if any
+   * @param {Object} req - Express request
+   * @returns {string|null} Viewer user ID or null for anonymous requests
+   * @private
+   */
+  _getViewerId(req) {
+    return req.user ? req.user.id : null;
+  }
 }
 
 module.exports = HttpGameController;
\ No newline at end of file
@@ -0,0 +1,137 @@
+const express = require('express');
+
+/**
+ * HTTP adapter for the matchmaking queue
+ * Every route acts for the authenticated user
+ */
+class HttpMatchmakingController {
+  constructor(matchmakingService, authMiddleware) {
+    this.matchmakingService = matchmakingService;
+    this.auth = authMiddleware;
+    this.router = express.Router();
+    this._setupRoutes();
+  }
+
+  /**
+   * Get the Express router with all routes configured
+   * @returns {express.Router}
+   */
+  getRouter() {
+    return this.router;
+  }
+
+  /**
+   * Setup all HTTP routes
+   * @private
+   */
+  _setupRoutes() {
+    this.router.use(this.auth.authenticate());
+
+    // Join the queue for a game type
+    this.router.post('/queue', this._joinQueue.bind(this));
+
+    // Get the user's queue entries
+    this.router.get('/queue', this._getQueueEntries.bind(this));
+
+    // Leave the queue
+    this.router.delete('/queue/:entryId', this._leaveQueue.bind(this));
+  }
+
+  /**
+   * Join the queue, pairing immediately if a compatible player is waiting
+   */
+  async _joinQueue(req, res) {
+    try {
+      const { gameType, minRating, maxRating, timeControl } = req.body;
+
+      if (!gameType) {
+        return res.status(400).json({ error: 'gameType is required' });
+      }
+
+      const { entry, game } = await this.matchmakingService.joinQueue(req.user.id, {
+        gameType,
+        minRating: minRating ?? null,
+        maxRating: maxRating ?? null,
+        timeControl: timeControl || null
+      });
+
+      res.status(201).json({
+        entry: entry.toObject(),
+        game: game ? {
+          id: game.id,
+          name: game.name,
+          gameType: game.gameType,
+          status: game.status,
+          currentPlayerId: game.currentPlayerId
+        } : null
+      });
+    } catch (error) {
+      console.error('Error joining matchmaking queue:', error);
+      this._sendMatchmakingError(res, error, 'Failed to join queue');
+    }
+  }
+
+  /**
+   * Get the user's queue entries
+   */
+  async _getQueueEntries(req, res) {
+    try {
+      const entries = await this.matchmakingService.getQueueEntries(req.user.id, {
+        status: req.query.status
+      });
+
+      res.json(entries.map(entry => entry.toObject()));
+    } catch (error) {
+      console.error('Error fetching queue entries:', error);
+      this._sendMatchmakingError(res, error, 'Failed to fetch queue entries');
+    }
+  }
+
+  /**
+   * Leave the queue
+   */
+  async _leaveQueue(req, res) {
+    try {
+      const entry = await this.matchmakingService.leaveQueue(req.params.entryId, req.user.id);
+      res.json(entry.toObject());
+    } catch (error) {
+      console.error('Error leaving matchmaking queue:', error);
+      this._sendMatchmakingError(res, error, 'Failed to leave queue');
+    }
+  }
+
+  /**
+   * Map matchmaking errors to HTTP status codes
+   * @param {Object} res - Express response
+   * @param {Error} error - Error from the matchmaking service
+   * @param {string} fallbackMessage - Message for unexpected errors
+   * @private
+   */
+  _sendMatchmakingError(res, error, fallbackMessage) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('Can only')) {
+      return res.status(403).json({ error: error.message });
+    }
+    if (error.message.startsWith('Already queued')) {
+      return res.status(409).json({ error: error.message });
+    }
+
+    const badRequestMessages = [
+      'Unsupported game type',
+      'two-player',
+      'Invalid time control',
+      'Rating range',
+      'no longer waiting',
+      'status must be'
+    ];
+    if (badRequestMessages.some(message => error.message.includes(message))) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: fallbackMessage });
+  }
+}
+
+module.exports = HttpMatchmakingController;
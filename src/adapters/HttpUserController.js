@@ -1,16 +1,17 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 
 /**
  * HTTP adapter for user operations
  * Primary port that handles HTTP requests and delegates to domain services
  */
 class HttpUserController {
-  constructor(userService, notificationService) {
+  constructor(userService, notificationService, authMiddleware, vacationService, gameService) {
     this.userService = userService;
     this.notificationService = notificationService;
+    this.auth = authMiddleware;
+    this.vacationService = vacationService;
+    this.gameService = gameService;
     this.router = express.Router();
-    this.jwtSecret = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
     this._setupRoutes();
   }
 
@@ -28,7 +29,7 @@ class HttpUserController {
    */
   _setupRoutes() {
     // Get all users (for admin panel)
-    this.router.get('/', this._getAllUsers.bind(this));
+    this.router.get('/', this.auth.authenticate(), this.auth.requireAdmin(), this._getAllUsers.bind(this));
     
     // Register a new user
     this.router.post('/register', this._registerUser.bind(this));
@@ -40,10 +41,14 @@ class HttpUserController {
     this.router.get('/:id', this._getUserProfile.bind(this));
     
     // Get user's games
-    this.router.get('/:id/games', this._getUserGames.bind(this));
+    this.router.get('/:id/games', this.auth.authenticate(), this._getUserGames.bind(this));
+    
+    // Start or end a vacation
+    this.router.post('/:id/vacation', this.auth.authenticate(), this._startVacation.bind(this));
+    this.router.delete('/:id/vacation', this.auth.authenticate(), this._endVacation.bind(this));
     
     // Get user's notifications
-    this.router.get('/:id/notifications', this._getUserNotifications.bind(this));
+    this.router.get('/:id/notifications', this.auth.authenticate(), this._getUserNotifications.bind(this));
     
     // Mark notification as read
     this.router.put('/notifications/:notificationId/read', this._markNotificationAsRead.bind(this));
@@ -60,6 +65,7 @@ class HttpUserController {
         id: user.id,
         username: user.username,
         email: user.email,
+        role: user.role,
         createdAt: user.createdAt,
         lastActive: user.lastActive,
         gamesPlayed: user.gamesPlayed || 0
@@ -84,7 +90,7 @@ class HttpUserController {
       // Use domain service to create user
       const user = await this.userService.createUser({ username, email, password });
       
-      const token = jwt.sign({ userId: user.id }, this.jwtSecret, { expiresIn: '7d' });
+      const token = this.userService.generateToken(user.id);
 
       res.status(201).json({
         user: user.toSafeObject(),
@@ -120,7 +126,7 @@ class HttpUserController {
         return res.status(401).json({ error: 'Invalid credentials' });
       }
 
-      const token = jwt.sign({ userId: authResult.user.id }, this.jwtSecret, { expiresIn: '7d' });
+      const token = this.userService.generateToken(authResult.user.id);
 
       res.json({
         user: authResult.user.toSafeObject(),
@@ -161,7 +167,14 @@ class HttpUserController {
         return res.status(404).json({ error: 'User not found' });
       }
 
-      const games = await this.userService.getUserGames(req.params.id);
+      let games = await this.userService.getUserGames(req.params.id);
+
+      // Users and admins see every game; everyone else only what the game list would show them
+      if (req.params.id !== req.user.id && !req.user.isAdmin()) {
+        const visibleGames = await this.gameService.findGames({ playerId: req.params.id, visibleTo: req.user.id });
+        const visibleIds = new Set(visibleGames.map(game => game.id));
+        games = games.filter(game => visibleIds.has(game.id));
+      }
       
       res.json(games.map(game => ({
         id: game.id,
@@ -181,11 +194,78 @@ class HttpUserController {
     }
   }
 
+  /**
+   * Start a vacation
+   */
+  async _startVacation(req, res) {
+    try {
+      if (req.params.id !== req.user.id) {
+        return res.status(403).json({ error: 'Can only change your own vacation' });
+      }
+
+      const result = await this.vacationService.startVacation(req.user.id);
+
+      res.json({
+        message: 'Vacation started',
+        vacationStartedAt: result.user.vacationStartedAt,
+        vacationEndsAt: result.user.getVacationEnd(),
+        vacationDaysRemaining: result.user.vacationDaysRemaining,
+        pausedGames: result.gameCount
+      });
+    } catch (error) {
+      console.error('Error starting vacation:', error);
+      this._sendVacationError(res, error, 'Failed to start vacation');
+    }
+  }
+
+  /**
+   * End a vacation
+   */
+  async _endVacation(req, res) {
+    try {
+      if (req.params.id !== req.user.id) {
+        return res.status(403).json({ error: 'Can only change your own vacation' });
+      }
+
+      const result = await this.vacationService.endVacation(req.user.id);
+
+      res.json({
+        message: 'Vacation ended',
+        vacationDaysRemaining: result.user.vacationDaysRemaining,
+        resumedGames: result.gameCount
+      });
+    } catch (error) {
+      console.error('Error ending vacation:', error);
+      this._sendVacationError(res, error, 'Failed to end vacation');
+    }
+  }
+
+  /**
+   * Map vacation errors to HTTP status codes
+   * @param {Object} res - Express response
+   * @param {Error} error - Error from the vacation service
+   * @param {string} fallbackMessage - Message for unexpected errors
+   * @private
+   */
+  _sendVacationError(res, error, fallbackMessage) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.includes('vacation') || error.message.includes('allowance')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: fallbackMessage });
+  }
+
   /**
    * Get user's notifications
    */
   async _getUserNotifications(req, res) {
     try {
+      if (req.params.id !== req.user.id && !req.user.isAdmin()) {
+        return res.status(403).json({ error: 'Can only read your own notifications' });
+      }
+
       const user = await this.userService.findUserById(req.params.id);
       
       if (!user) {
@@ -206,6 +286,7 @@ class HttpUserController {
         read: Boolean(notification.read),
         gameId: notification.gameId,
         gameName: notification.gameName,
+        challengeId: notification.challengeId,
         createdAt: notification.createdAt
       })));
     } catch (error) {
@@ -0,0 +1,112 @@
+/**
+ * Socket.IO adapter for real-time connections
+ * Authenticates sockets and manages the game, spectator and user rooms notifications are sent to
+ */
+class SocketIoController {
+  constructor(userService, gameService, spectatorService) {
+    this.userService = userService;
+    this.gameService = gameService;
+    this.spectatorService = spectatorService;
+  }
+
+  /**
+   * Register authentication and room handlers on a Socket.IO server
+   * @param {Object} io - Socket.IO server instance
+   */
+  attach(io) {
+    io.use(this._authenticate.bind(this));
+    io.on('connection', this._onConnection.bind(this));
+  }
+
+  /**
+   * Socket.IO middleware that resolves the user from the handshake token
+   * Sockets without a token connect anonymously and may only spectate.
+   * @param {Object} socket - Socket being connected
+   * @param {Function} next - Continuation callback
+   * @private
+   */
+  _authenticate(socket, next) {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    if (!token) {
+      socket.data.userId = null;
+      return next();
+    }
+
+    try {
+      socket.data.userId = this.userService.verifyToken(token).userId;
+      next();
+    } catch (error) {
+      next(new Error('Invalid token'));
+    }
+  }
+
+  /**
+   * Set up event handlers for a connected socket
+   * @param {Object} socket - Connected socket
+   * @private
+   */
+  _onConnection(socket) {
+    console.log('User connected:', socket.id);
+
+    socket.on('join-game', async (gameId) => {
+      // The game room is for players; everyone else watches from the spectator room
+      try {
+        const players = await this.gameService.getGamePlayers(gameId);
+        if (!socket.data.userId || !players.some(p => p.user_id === socket.data.userId)) {
+          socket.emit('auth-error', { error: 'Only players can join the game room; spectate the game instead' });
+          return;
+        }
+
+        socket.join(gameId);
+        console.log(`User ${socket.id} joined game ${gameId}`);
+      } catch (error) {
+        console.error('Error joining game room:', error);
+        socket.emit('auth-error', { error: 'Could not join the game room' });
+      }
+    });
+
+    socket.on('spectate-game', async (gameId) => {
+      try {
+        // Only join the room once the game has agreed to be watched; the new spectator
+        // gets the updated count in the reply rather than the room broadcast
+        const spectatorCount = await this.spectatorService.startWatching(gameId, socket.id, socket.data.userId);
+        socket.join(`spectate-${gameId}`);
+        socket.emit('spectating', { gameId, spectatorCount });
+        console.log(`User ${socket.id} is spectating game ${gameId}`);
+      } catch (error) {
+        socket.emit('spectate-error', { gameId, error: error.message });
+      }
+    });
+
+    socket.on('stop-spectating', async (gameId) => {
+      try {
+        socket.leave(`spectate-${gameId}`);
+        await this.spectatorService.stopWatching(gameId, socket.id);
+      } catch (error) {
+        console.error('Error stopping spectating:', error);
+      }
+    });
+
+    socket.on('join-user-room', (userId) => {
+      // Personal rooms carry private notifications, so only their owner may join
+      if (!socket.data.userId || socket.data.userId !== userId) {
+        socket.emit('auth-error', { error: 'Not authorized to join this user room' });
+        return;
+      }
+
+      socket.join(`user-${userId}`);
+      console.log(`User ${socket.id} joined user room ${userId}`);
+    });
+
+    socket.on('disconnect', async () => {
+      console.log('User disconnected:', socket.id);
+      try {
+        await this.spectatorService.stopWatchingAll(socket.id);
+      } catch (error) {
+        console.error('Error cleaning up after disconnect:', error);
+      }
+    });
+  }
+}
+
+module.exports = SocketIoController;
@@ -0,0 +1,79 @@
+const AuditLog = require('../ports/AuditLog');
+const { getDatabase } = require('../database/init');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * SQLite implementation of AuditLog port
+ */
+class SqliteAuditLog extends AuditLog {
+  async record({ actorId, action, targetType = null, targetId = null, details = {} }) {
+    const db = getDatabase();
+    const entry = {
+      id: uuidv4(),
+      actorId,
+      action,
+      targetType,
+      targetId,
+      details,
+      createdAt: new Date().toISOString()
+    };
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO audit_log (id, actor_id, action, target_type, target_id, details, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      db.run(query, [
+        entry.id,
+        entry.actorId,
+        entry.action,
+        entry.targetType,
+        entry.targetId,
+        JSON.stringify(entry.details),
+        entry.createdAt
+      ], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(entry);
+        }
+      });
+    });
+  }
+
+  async findEntries(options = {}) {
+    const db = getDatabase();
+    const limit = options.limit || 100;
+    const offset = options.offset || 0;
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT a.*, u.username AS actor_username
+        FROM audit_log a
+        LEFT JOIN users u ON a.actor_id = u.id
+        ORDER BY a.created_at DESC, a.rowid DESC
+        LIMIT ? OFFSET ?
+      `;
+
+      db.all(query, [limit, offset], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => ({
+            id: row.id,
+            actorId: row.actor_id,
+            actorUsername: row.actor_username,
+            action: row.action,
+            targetType: row.target_type,
+            targetId: row.target_id,
+            details: row.details ? JSON.parse(row.details) : {},
+            createdAt: row.created_at
+          })));
+        }
+      });
+    });
+  }
+}
+
+module.exports = SqliteAuditLog;
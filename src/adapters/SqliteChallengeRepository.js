@@ -0,0 +1,163 @@
+const ChallengeRepository = require('../ports/ChallengeRepository');
+const Challenge = require('../domain/Challenge');
+const { getDatabase } = require('../database/init');
+
+/**
+ * SQLite implementation of ChallengeRepository port
+ * Handles persistence of challenge entities to SQLite database
+ */
+class SqliteChallengeRepository extends ChallengeRepository {
+  async save(challenge) {
+    const db = getDatabase();
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO challenges (
+          id, challenger_id, challenged_id, game_type, game_name,
+          settings, status, game_id, created_at, expires_at, resolved_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      db.run(query, [
+        challenge.id,
+        challenge.challengerId,
+        challenge.challengedId,
+        challenge.gameType,
+        challenge.gameName,
+        JSON.stringify(challenge.settings || {}),
+        challenge.status,
+        challenge.gameId,
+        this._toDateValue(challenge.createdAt),
+        this._toDateValue(challenge.expiresAt),
+        this._toDateValue(challenge.resolvedAt)
+      ], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(challenge);
+        }
+      });
+    });
+  }
+
+  async findById(challengeId) {
+    const db = getDatabase();
+
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM challenges WHERE id = ?', [challengeId], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? this._mapRowToChallenge(row) : null);
+        }
+      });
+    });
+  }
+
+  async findForUser(userId, criteria = {}) {
+    const db = getDatabase();
+
+    return new Promise((resolve, reject) => {
+      let query = 'SELECT * FROM challenges WHERE (challenger_id = ? OR challenged_id = ?)';
+      const params = [userId, userId];
+
+      if (criteria.status) {
+        query += ' AND status = ?';
+        params.push(criteria.status);
+      }
+
+      query += ' ORDER BY created_at DESC, rowid DESC';
+
+      db.all(query, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => this._mapRowToChallenge(row)));
+        }
+      });
+    });
+  }
+
+  async findExpired(now) {
+    const db = getDatabase();
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM challenges
+        WHERE status = 'pending' AND expires_at <= ?
+        ORDER BY expires_at
+      `;
+
+      db.all(query, [now.toISOString()], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => this._mapRowToChallenge(row)));
+        }
+      });
+    });
+  }
+
+  async resolve(challenge) {
+    const db = getDatabase();
+
+    return new Promise((resolve, reject) => {
+      // Guarded on the pending status so two answers cannot both win
+      const query = `
+        UPDATE challenges
+        SET status = ?, game_id = ?, resolved_at = ?
+        WHERE id = ? AND status = 'pending'
+      `;
+
+      db.run(query, [
+        challenge.status,
+        challenge.gameId,
+        this._toDateValue(challenge.resolvedAt),
+        challenge.id
+      ], function(err) {
+        if (err) {
+          reject(err);
+        } else if (this.changes === 0) {
+          reject(new Error('Challenge is no longer pending'));
+        } else {
+          resolve(challenge);
+        }
+      });
+    });
+  }
+
+  /**
+   * Maps database row to domain Challenge entity
+   * @param {Object} row - Database row
+   * @returns {Challenge} Domain challenge entity
+   * @private
+   */
+  _mapRowToChallenge(row) {
+    return new Challenge({
+      id: row.id,
+      challengerId: row.challenger_id,
+      challengedId: row.challenged_id,
+      gameType: row.game_type,
+      gameName: row.game_name,
+      settings: row.settings ? JSON.parse(row.settings) : {},
+      status: row.status,
+      gameId: row.game_id,
+      createdAt: new Date(row.created_at),
+      expiresAt: new Date(row.expires_at),
+      resolvedAt: row.resolved_at ? new Date(row.resolved_at) : null
+    });
+  }
+
+  /**
+   * Store dates as ISO strings so they compare correctly as text
+   * @param {Date|null} date - Date to store
+   * @returns {string|null}
+   * @private
+   */
+  _toDateValue(date) {
+    return date ? new Date(date).toISOString() : null;
+  }
+}
+
+module.exports = SqliteChallengeRepository;
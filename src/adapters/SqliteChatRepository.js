@@ -0,0 +1,128 @@
+const ChatRepository = require('../ports/ChatRepository');
+const ChatMessage = require('../domain/ChatMessage');
+const { getDatabase } = require('../database/init');
+
+/**
+ * SQLite implementation of ChatRepository port
+ * Handles persistence of in-game chat messages to SQLite database
+ */
+class SqliteChatRepository extends ChatRepository {
+  async save(message) {
+    const db = getDatabase();
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO game_messages (id, game_id, user_id, channel, message, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+
+      db.run(query, [
+        message.id,
+        message.gameId,
+        message.userId,
+        message.channel,
+        message.message,
+        message.createdAt.toISOString()
+      ], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(message);
+        }
+      });
+    });
+  }
+
+  async findById(messageId) {
+    const db = getDatabase();
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT gm.*, u.username
+        FROM game_messages gm
+        JOIN users u ON gm.user_id = u.id
+        WHERE gm.id = ?
+      `;
+
+      db.get(query, [messageId], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? this._mapRowToMessage(row) : null);
+        }
+      });
+    });
+  }
+
+  async findForGame(gameId, channel, options = {}) {
+    const db = getDatabase();
+    const limit = options.limit || 100;
+
+    return new Promise((resolve, reject) => {
+      // Take the newest messages, then put them back in reading order
+      const query = `
+        SELECT * FROM (
+          SELECT gm.*, u.username, gm.rowid AS position
+          FROM game_messages gm
+          JOIN users u ON gm.user_id = u.id
+          WHERE gm.game_id = ? AND gm.channel = ? AND gm.deleted_at IS NULL
+          ORDER BY gm.created_at DESC, gm.rowid DESC
+          LIMIT ?
+        )
+        ORDER BY created_at, position
+      `;
+
+      db.all(query, [gameId, channel, limit], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => this._mapRowToMessage(row)));
+        }
+      });
+    });
+  }
+
+  async markDeleted(message) {
+    const db = getDatabase();
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE game_messages
+        SET deleted_at = ?, deleted_by = ?
+        WHERE id = ? AND deleted_at IS NULL
+      `;
+
+      db.run(query, [message.deletedAt.toISOString(), message.deletedBy, message.id], function(err) {
+        if (err) {
+          reject(err);
+        } else if (this.changes === 0) {
+          reject(new Error('Chat message was already deleted'));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Maps database row to domain ChatMessage entity
+   * @param {Object} row - Database row joined with the author's username
+   * @returns {ChatMessage} Domain chat message
+   * @private
+   */
+  _mapRowToMessage(row) {
+    return new ChatMessage({
+      id: row.id,
+      gameId: row.game_id,
+      userId: row.user_id,
+      username: row.username,
+      channel: row.channel,
+      message: row.message,
+      createdAt: new Date(row.created_at),
+      deletedAt: row.deleted_at ? new Date(row.deleted_at) : null,
+      deletedBy: row.deleted_by
+    });
+  }
+}
+
+module.exports = SqliteChatRepository;
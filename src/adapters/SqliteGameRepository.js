@@ -1,6 +1,6 @@
 const GameRepository = require('../ports/GameRepository');
 const Game = require('../domain/Game');
-const { getDatabase } = require('../database/init');
+const { getDatabase, withTransaction } = require('../database/init');
 const { v4: uuidv4 } = require('uuid');
 
 /**
@@ -15,10 +15,12 @@ class SqliteGameRepository extends GameRepository {
       const query = `
         INSERT OR REPLACE INTO games (
           id, name, game_type, status, current_player_id, 
-          board_state, move_count, min_players, max_players, 
-          settings, created_at, updated_at
+          board_state, initial_board_state, move_count, min_players, max_players, 
+          settings, move_deadline, time_remaining, clock_paused_at, visibility, invite_token,
+          rematch_of, reserved_seats, mode, forked_from, forked_at_move, analysis_seats,
+          created_at, updated_at
         )
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
       `;
 
       // Handle both domain Game objects and plain objects
@@ -35,10 +37,22 @@ class SqliteGameRepository extends GameRepository {
         gameData.status,
         gameData.currentPlayerId,
         boardStateJson,
+        this._toBoardStateValue(gameData.initialBoardState),
         gameData.moveCount,
         gameData.minPlayers,
         gameData.maxPlayers,
         JSON.stringify(gameData.settings || {}),
+        this._toDeadlineValue(gameData.moveDeadline),
+        gameData.timeRemaining ? JSON.stringify(gameData.timeRemaining) : null,
+        this._toDeadlineValue(gameData.clockPausedAt),
+        gameData.visibility || 'public',
+        gameData.inviteToken || null,
+        gameData.rematchOf || null,
+        gameData.reservedSeats ? JSON.stringify(gameData.reservedSeats) : null,
+        gameData.mode || 'standard',
+        gameData.forkedFrom || null,
+        gameData.forkedAtMove ?? null,
+        gameData.analysisSeats ? JSON.stringify(gameData.analysisSeats) : null,
         gameData.createdAt
       ], function(err) {
         if (err) {
@@ -72,34 +86,44 @@ class SqliteGameRepository extends GameRepository {
     const db = getDatabase();
     
     return new Promise((resolve, reject) => {
-      let query = 'SELECT * FROM games';
+      let query = 'SELECT g.* FROM games g';
       const params = [];
       const conditions = [];
 
       if (criteria.status) {
-        conditions.push('status = ?');
+        conditions.push('g.status = ?');
         params.push(criteria.status);
       }
 
       if (criteria.gameType) {
-        conditions.push('game_type = ?');
+        conditions.push('g.game_type = ?');
         params.push(criteria.gameType);
       }
 
+      if (criteria.rematchOf) {
+        conditions.push('g.rematch_of = ?');
+        params.push(criteria.rematchOf);
+      }
+
       if (criteria.playerId) {
-        query = `
-          SELECT g.* FROM games g
-          JOIN game_players gp ON g.id = gp.game_id
-        `;
+        query += ' JOIN game_players gp ON g.id = gp.game_id';
         conditions.push('gp.user_id = ?');
         params.push(criteria.playerId);
       }
 
+      // Unlisted and private games are only listed for their own players
+      if (criteria.visibleTo !== undefined) {
+        conditions.push(`(g.visibility = 'public' OR EXISTS (
+          SELECT 1 FROM game_players own WHERE own.game_id = g.id AND own.user_id = ?
+        ))`);
+        params.push(criteria.visibleTo);
+      }
+
       if (conditions.length > 0) {
         query += ' WHERE ' + conditions.join(' AND ');
       }
 
-      query += ' ORDER BY created_at DESC';
+      query += ' ORDER BY g.created_at DESC';
 
       if (criteria.limit) {
         query += ' LIMIT ?';
@@ -116,8 +140,30 @@ class SqliteGameRepository extends GameRepository {
     });
   }
 
-  async update(gameId, updates) {
+  async findOverdue(now) {
+    const db = getDatabase();
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM games
+        WHERE status = 'active' AND clock_paused_at IS NULL
+          AND move_deadline IS NOT NULL AND move_deadline <= ?
+        ORDER BY move_deadline
+      `;
+
+      db.all(query, [now.toISOString()], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => this._mapRowToGame(row)));
+        }
+      });
+    });
+  }
+
+  async update(gameId, updates, options = {}) {
     const db = getDatabase();
+    const repository = this;
     
     return new Promise((resolve, reject) => {
       const fields = [];
@@ -133,6 +179,9 @@ class SqliteGameRepository extends GameRepository {
         } else if (key === 'currentPlayerId') {
           fields.push('current_player_id = ?');
           params.push(updates[key]);
+        } else if (key === 'initialBoardState') {
+          fields.push('initial_board_state = ?');
+          params.push(repository._toBoardStateValue(updates[key]));
         } else if (key === 'moveCount') {
           fields.push('move_count = ?');
           params.push(updates[key]);
@@ -145,6 +194,33 @@ class SqliteGameRepository extends GameRepository {
         } else if (key === 'maxPlayers') {
           fields.push('max_players = ?');
           params.push(updates[key]);
+        } else if (key === 'moveDeadline') {
+          fields.push('move_deadline = ?');
+          params.push(repository._toDeadlineValue(updates[key]));
+        } else if (key === 'timeRemaining') {
+          fields.push('time_remaining = ?');
+          params.push(updates[key] ? JSON.stringify(updates[key]) : null);
+        } else if (key === 'inviteToken') {
+          fields.push('invite_token = ?');
+          params.push(updates[key]);
+        } else if (key === 'rematchOf') {
+          fields.push('rematch_of = ?');
+          params.push(updates[key]);
+        } else if (key === 'reservedSeats') {
+          fields.push('reserved_seats = ?');
+          params.push(updates[key] ? JSON.stringify(updates[key]) : null);
+        } else if (key === 'forkedFrom') {
+          fields.push('forked_from = ?');
+          params.push(updates[key]);
+        } else if (key === 'forkedAtMove') {
+          fields.push('forked_at_move = ?');
+          params.push(updates[key]);
+        } else if (key === 'analysisSeats') {
+          fields.push('analysis_seats = ?');
+          params.push(updates[key] ? JSON.stringify(updates[key]) : null);
+        } else if (key === 'clockPausedAt') {
+          fields.push('clock_paused_at = ?');
+          params.push(repository._toDeadlineValue(updates[key]));
         } else if (key === 'createdAt') {
           fields.push('created_at = ?');
           params.push(updates[key]);
@@ -160,14 +236,23 @@ class SqliteGameRepository extends GameRepository {
       fields.push('updated_at = CURRENT_TIMESTAMP');
       params.push(gameId);
 
-      const query = `UPDATE games SET ${fields.join(', ')} WHERE id = ?`;
+      let query = `UPDATE games SET ${fields.join(', ')} WHERE id = ?`;
 
-      db.run(query, params, (err) => {
+      // Optimistic concurrency: refuse to overwrite a game someone else moved in meanwhile
+      const checkMoveCount = options.expectedMoveCount !== undefined && options.expectedMoveCount !== null;
+      if (checkMoveCount) {
+        query += ' AND move_count = ?';
+        params.push(options.expectedMoveCount);
+      }
+
+      db.run(query, params, function(err) {
         if (err) {
           reject(err);
+        } else if (checkMoveCount && this.changes === 0) {
+          reject(new Error('Game has changed since it was loaded; reload and try again'));
         } else {
           // Return updated game
-          this.findById(gameId).then(resolve).catch(reject);
+          repository.findById(gameId).then(resolve).catch(reject);
         }
       });
     });
@@ -181,6 +266,7 @@ class SqliteGameRepository extends GameRepository {
         // Delete related records first
         db.run('DELETE FROM game_players WHERE game_id = ?', [gameId]);
         db.run('DELETE FROM moves WHERE game_id = ?', [gameId]);
+        db.run('DELETE FROM game_offers WHERE game_id = ?', [gameId]);
         db.run('DELETE FROM notifications WHERE game_id = ?', [gameId]);
         
         // Delete the game
@@ -299,6 +385,235 @@ class SqliteGameRepository extends GameRepository {
     });
   }
 
+  async deleteMove(gameId, moveNumber) {
+    const db = getDatabase();
+    
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM moves WHERE game_id = ? AND move_number = ?', [gameId, moveNumber], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  async saveOffer(offer) {
+    const db = getDatabase();
+    
+    return new Promise((resolve, reject) => {
+      const offerId = uuidv4();
+      const query = `
+        INSERT INTO game_offers (id, game_id, type, offered_by, status, move_count)
+        VALUES (?, ?, ?, ?, 'pending', ?)
+      `;
+
+      db.run(query, [offerId, offer.gameId, offer.type, offer.offeredBy, offer.moveCount], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          this.findOfferById(offerId).then(resolve).catch(reject);
+        }
+      });
+    });
+  }
+
+  async findOfferById(offerId) {
+    const db = getDatabase();
+    
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM game_offers WHERE id = ?', [offerId], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? this._mapRowToOffer(row) : null);
+        }
+      });
+    });
+  }
+
+  async findOffers(gameId, criteria = {}) {
+    const db = getDatabase();
+    
+    return new Promise((resolve, reject) => {
+      let query = 'SELECT * FROM game_offers WHERE game_id = ?';
+      const params = [gameId];
+
+      if (criteria.status) {
+        query += ' AND status = ?';
+        params.push(criteria.status);
+      }
+
+      query += ' ORDER BY created_at, rowid';
+
+      db.all(query, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => this._mapRowToOffer(row)));
+        }
+      });
+    });
+  }
+
+  async resolveOffer(offerId, status, resolvedBy = null) {
+    const db = getDatabase();
+    
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE game_offers
+        SET status = ?, resolved_by = ?, resolved_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `;
+
+      db.run(query, [status, resolvedBy, offerId], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          this.findOfferById(offerId).then(resolve).catch(reject);
+        }
+      });
+    });
+  }
+
+  async saveConditionalMoves(line) {
+    const db = getDatabase();
+    
+    return new Promise((resolve, reject) => {
+      const lineId = uuidv4();
+      const query = `
+        INSERT INTO conditional_moves (id, game_id, player_id, move_count, moves)
+        VALUES (?, ?, ?, ?, ?)
+      `;
+
+      db.run(query, [lineId, line.gameId, line.playerId, line.moveCount, JSON.stringify(line.moves)], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ id: lineId, ...line });
+        }
+      });
+    });
+  }
+
+  async findConditionalMoves(gameId, playerId) {
+    const db = getDatabase();
+    
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM conditional_moves
+        WHERE game_id = ? AND player_id = ?
+        ORDER BY created_at, rowid
+      `;
+
+      db.all(query, [gameId, playerId], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => ({
+            id: row.id,
+            gameId: row.game_id,
+            playerId: row.player_id,
+            moveCount: row.move_count,
+            moves: JSON.parse(row.moves),
+            createdAt: row.created_at
+          })));
+        }
+      });
+    });
+  }
+
+  async deleteConditionalMoves(gameId, criteria = {}) {
+    const db = getDatabase();
+    
+    return new Promise((resolve, reject) => {
+      let query = 'DELETE FROM conditional_moves WHERE game_id = ?';
+      const params = [gameId];
+
+      if (criteria.playerId) {
+        query += ' AND player_id = ?';
+        params.push(criteria.playerId);
+      }
+
+      if (criteria.id) {
+        query += ' AND id = ?';
+        params.push(criteria.id);
+      }
+
+      db.run(query, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  async annotateMove(gameId, moveNumber, { comment, annotation }) {
+    const db = getDatabase();
+    
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE moves SET comment = ?, annotation = ?
+        WHERE game_id = ? AND move_number = ?
+      `;
+
+      db.run(query, [comment, annotation, gameId, moveNumber], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  async findNotes(gameId, playerId) {
+    const db = getDatabase();
+    
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM game_notes WHERE game_id = ? AND player_id = ?', [gameId, playerId], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? {
+            gameId: row.game_id,
+            playerId: row.player_id,
+            notes: row.notes,
+            updatedAt: new Date(row.updated_at)
+          } : null);
+        }
+      });
+    });
+  }
+
+  async saveNotes(gameId, playerId, notes) {
+    const db = getDatabase();
+    const updatedAt = new Date();
+    
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO game_notes (game_id, player_id, notes, updated_at)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT (game_id, player_id) DO UPDATE SET notes = excluded.notes, updated_at = excluded.updated_at
+      `;
+
+      db.run(query, [gameId, playerId, notes, updatedAt.toISOString()], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ gameId, playerId, notes, updatedAt });
+        }
+      });
+    });
+  }
+
+  async transaction(work) {
+    return withTransaction(() => work(this));
+  }
+
   async getMoveHistory(gameId) {
     const db = getDatabase();
     
@@ -325,6 +640,8 @@ class SqliteGameRepository extends GameRepository {
               : row.move_notation,
             boardStateAfter: row.board_state_after,
             moveNumber: row.move_number,
+            comment: row.comment,
+            annotation: row.annotation,
             timestamp: row.timestamp
           }));
           resolve(moves);
@@ -333,6 +650,26 @@ class SqliteGameRepository extends GameRepository {
     });
   }
 
+  /**
+   * Maps database row to an offer object
+   * @param {Object} row - Database row
+   * @returns {Object} Offer
+   * @private
+   */
+  _mapRowToOffer(row) {
+    return {
+      id: row.id,
+      gameId: row.game_id,
+      type: row.type,
+      offeredBy: row.offered_by,
+      status: row.status,
+      moveCount: row.move_count,
+      resolvedBy: row.resolved_by,
+      createdAt: row.created_at,
+      resolvedAt: row.resolved_at
+    };
+  }
+
   /**
    * Maps database row to domain Game entity
    * @param {Object} row - Database row
@@ -347,14 +684,49 @@ class SqliteGameRepository extends GameRepository {
       status: row.status,
       currentPlayerId: row.current_player_id,
       boardState: row.board_state,
+      initialBoardState: row.initial_board_state,
       moveCount: row.move_count || 0,
       minPlayers: row.min_players,
       maxPlayers: row.max_players,
       settings: row.settings ? JSON.parse(row.settings) : {},
+      moveDeadline: row.move_deadline ? new Date(row.move_deadline) : null,
+      timeRemaining: row.time_remaining ? JSON.parse(row.time_remaining) : null,
+      clockPausedAt: row.clock_paused_at ? new Date(row.clock_paused_at) : null,
+      visibility: row.visibility || 'public',
+      inviteToken: row.invite_token,
+      rematchOf: row.rematch_of,
+      reservedSeats: row.reserved_seats ? JSON.parse(row.reserved_seats) : null,
+      mode: row.mode || 'standard',
+      forkedFrom: row.forked_from,
+      forkedAtMove: row.forked_at_move,
+      analysisSeats: row.analysis_seats ? JSON.parse(row.analysis_seats) : null,
       createdAt: row.created_at,
       updatedAt: row.updated_at
     });
   }
+
+  /**
+   * Store board states serialized, as plugins may hand over objects or strings
+   * @param {Object|string|null} boardState - Board state
+   * @returns {string|null} Serialized board state
+   * @private
+   */
+  _toBoardStateValue(boardState) {
+    if (boardState === null || boardState === undefined) {
+      return null;
+    }
+    return typeof boardState === 'string' ? boardState : JSON.stringify(boardState);
+  }
+
+  /**
+   * Store clock timestamps as ISO strings so they compare correctly in SQL
+   * @param {Date|string|null} deadline - Move deadline or other clock timestamp
+   * @returns {string|null} ISO timestamp
+   * @private
+   */
+  _toDeadlineValue(deadline) {
+    return deadline ? new Date(deadline).toISOString() : null;
+  }
 }
 
 module.exports = SqliteGameRepository;
\ No newline at end of file
@@ -0,0 +1,163 @@
+const MatchmakingRepository = require('../ports/MatchmakingRepository');
+const MatchmakingEntry = require('../domain/MatchmakingEntry');
+const { getDatabase, withTransaction } = require('../database/init');
+
+/**
+ * SQLite implementation of MatchmakingRepository port
+ * Handles persistence of the matchmaking queue to SQLite database
+ */
+class SqliteMatchmakingRepository extends MatchmakingRepository {
+  async save(entry) {
+    const db = getDatabase();
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO matchmaking_queue (
+          id, user_id, game_type, min_rating, max_rating, time_control, status, game_id, created_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      db.run(query, [
+        entry.id,
+        entry.userId,
+        entry.gameType,
+        entry.minRating,
+        entry.maxRating,
+        entry.timeControl ? JSON.stringify(entry.timeControl) : null,
+        entry.status,
+        entry.gameId,
+        entry.createdAt.toISOString()
+      ], function(err) {
+        if (err && err.message.includes('UNIQUE')) {
+          reject(new Error(`Already queued for ${entry.gameType}`));
+        } else if (err) {
+          reject(err);
+        } else {
+          resolve(entry);
+        }
+      });
+    });
+  }
+
+  async findById(entryId) {
+    const db = getDatabase();
+
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM matchmaking_queue WHERE id = ?', [entryId], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? this._mapRowToEntry(row) : null);
+        }
+      });
+    });
+  }
+
+  async findWaiting(gameType) {
+    const db = getDatabase();
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM matchmaking_queue
+        WHERE game_type = ? AND status = 'waiting'
+        ORDER BY created_at, rowid
+      `;
+
+      db.all(query, [gameType], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => this._mapRowToEntry(row)));
+        }
+      });
+    });
+  }
+
+  async findForUser(userId, criteria = {}) {
+    const db = getDatabase();
+
+    return new Promise((resolve, reject) => {
+      let query = 'SELECT * FROM matchmaking_queue WHERE user_id = ?';
+      const params = [userId];
+
+      if (criteria.status) {
+        query += ' AND status = ?';
+        params.push(criteria.status);
+      }
+
+      query += ' ORDER BY created_at DESC, rowid DESC';
+
+      db.all(query, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => this._mapRowToEntry(row)));
+        }
+      });
+    });
+  }
+
+  async updateStatus(entryIds, fromStatus, { status, gameId = null }) {
+    const matchedAt = status === 'matched' ? new Date().toISOString() : null;
+
+    // Looked up per update so the updates run on the transaction's connection
+    const updateOne = (entryId) => new Promise((resolve, reject) => {
+      const db = getDatabase();
+      const query = `
+        UPDATE matchmaking_queue
+        SET status = ?, game_id = ?, matched_at = ?
+        WHERE id = ? AND status = ?
+      `;
+
+      db.run(query, [status, gameId, matchedAt, entryId, fromStatus], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+
+    const stale = new Error('Queue entry has moved on');
+    try {
+      await withTransaction(async () => {
+        for (const entryId of entryIds) {
+          if (!(await updateOne(entryId))) {
+            // Roll back the entries already changed
+            throw stale;
+          }
+        }
+      });
+      return true;
+    } catch (error) {
+      if (error === stale) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Maps database row to domain MatchmakingEntry entity
+   * @param {Object} row - Database row
+   * @returns {MatchmakingEntry} Domain queue entry
+   * @private
+   */
+  _mapRowToEntry(row) {
+    return new MatchmakingEntry({
+      id: row.id,
+      userId: row.user_id,
+      gameType: row.game_type,
+      minRating: row.min_rating,
+      maxRating: row.max_rating,
+      timeControl: row.time_control ? JSON.parse(row.time_control) : null,
+      status: row.status,
+      gameId: row.game_id,
+      createdAt: new Date(row.created_at),
+      matchedAt: row.matched_at ? new Date(row.matched_at) : null
+    });
+  }
+}
+
+module.exports = SqliteMatchmakingRepository;
@@ -22,12 +22,14 @@ class SqliteNotificationService extends NotificationService {
 
   async sendNotification(userId, type, message, metadata = {}) {
     const db = getDatabase();
+    // Inside the sqlite callback `this` is the statement, not the service
+    const socketIo = this.socketIo;
     
     return new Promise((resolve, reject) => {
       const notificationId = uuidv4();
       const query = `
-        INSERT INTO notifications (id, user_id, type, message, game_id, read)
-        VALUES (?, ?, ?, ?, ?, FALSE)
+        INSERT INTO notifications (id, user_id, type, message, game_id, challenge_id, read)
+        VALUES (?, ?, ?, ?, ?, ?, FALSE)
       `;
 
       db.run(query, [
@@ -35,18 +37,20 @@ class SqliteNotificationService extends NotificationService {
         userId,
         type,
         message,
-        metadata.gameId || null
+        metadata.gameId || null,
+        metadata.challengeId || null
       ], function(err) {
         if (err) {
           reject(err);
         } else {
           // Send real-time notification if socket available
-          if (this.socketIo) {
-            this.socketIo.to(`user-${userId}`).emit('notification', {
+          if (socketIo) {
+            socketIo.to(`user-${userId}`).emit('notification', {
               id: notificationId,
               type,
               message,
               gameId: metadata.gameId,
+              challengeId: metadata.challengeId,
               timestamp: new Date().toISOString()
             });
           }
@@ -57,6 +61,7 @@ class SqliteNotificationService extends NotificationService {
             type,
             message,
             gameId: metadata.gameId,
+            challengeId: metadata.challengeId,
             read: false,
             timestamp: new Date().toISOString()
           });
@@ -71,9 +76,19 @@ class SqliteNotificationService extends NotificationService {
     }
   }
 
-  async broadcastToGame(gameId, event, data) {
+  async broadcastToGame(gameId, event, data, options = {}) {
     if (this.socketIo) {
-      this.socketIo.to(gameId).emit(event, data);
+      const { excludeUserIds = [] } = options;
+      this.socketIo
+        .to([gameId, `spectate-${gameId}`])
+        .except(excludeUserIds.map(userId => `user-${userId}`))
+        .emit(event, data);
+    }
+  }
+
+  async broadcastToSpectators(gameId, event, data) {
+    if (this.socketIo) {
+      this.socketIo.to(`spectate-${gameId}`).emit(event, data);
     }
   }
 
@@ -105,6 +120,7 @@ class SqliteNotificationService extends NotificationService {
             read: Boolean(row.read),
             gameId: row.game_id,
             gameName: row.game_name,
+            challengeId: row.challenge_id,
             createdAt: row.created_at
           }));
           resolve(notifications);
@@ -16,16 +16,17 @@ class SqliteUserRepository extends UserRepository {
       id: userData.id || uuidv4(),
       username: userData.username,
       email: userData.email,
-      passwordHash: userData.passwordHash || (userData.password ? await bcrypt.hash(userData.password, 10) : 'placeholder')
+      passwordHash: userData.passwordHash || (userData.password ? await bcrypt.hash(userData.password, 10) : 'placeholder'),
+      role: userData.role
     });
     
     return new Promise((resolve, reject) => {
       const query = `
-        INSERT INTO users (id, username, email, password_hash)
-        VALUES (?, ?, ?, ?)
+        INSERT INTO users (id, username, email, password_hash, role)
+        VALUES (?, ?, ?, ?, ?)
       `;
 
-      db.run(query, [user.id, user.username, user.email, user.passwordHash], function(err) {
+      db.run(query, [user.id, user.username, user.email, user.passwordHash, user.role], function(err) {
         if (err) {
           reject(err);
         } else {
@@ -138,6 +139,78 @@ class SqliteUserRepository extends UserRepository {
     });
   }
 
+  async updateRole(userId, role) {
+    const db = getDatabase();
+    
+    return new Promise((resolve, reject) => {
+      const query = 'UPDATE users SET role = ? WHERE id = ?';
+      
+      db.run(query, [role, userId], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  async updateRating(userId, rating) {
+    const db = getDatabase();
+    
+    return new Promise((resolve, reject) => {
+      const query = 'UPDATE users SET rating = ? WHERE id = ?';
+      
+      db.run(query, [rating, userId], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  async updateVacation(userId, { vacationDaysRemaining, vacationStartedAt }) {
+    const db = getDatabase();
+    
+    return new Promise((resolve, reject) => {
+      const query = 'UPDATE users SET vacation_days_remaining = ?, vacation_started_at = ? WHERE id = ?';
+      
+      db.run(query, [
+        vacationDaysRemaining,
+        vacationStartedAt ? vacationStartedAt.toISOString() : null,
+        userId
+      ], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  async findExpiredVacations(now) {
+    const db = getDatabase();
+    
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM users
+        WHERE vacation_started_at IS NOT NULL
+          AND julianday(vacation_started_at) + vacation_days_remaining <= julianday(?)
+      `;
+      
+      db.all(query, [now.toISOString()], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => this._mapRowToUser(row, false)));
+        }
+      });
+    });
+  }
+
   async getUserGames(userId) {
     const db = getDatabase();
     
@@ -189,6 +262,10 @@ class SqliteUserRepository extends UserRepository {
       username: row.username,
       email: row.email,
       passwordHash: includePassword ? row.password_hash : 'hidden',
+      role: row.role || 'user',
+      rating: row.rating ?? User.DEFAULT_RATING,
+      vacationDaysRemaining: row.vacation_days_remaining ?? User.DEFAULT_VACATION_DAYS,
+      vacationStartedAt: row.vacation_started_at ? new Date(row.vacation_started_at) : null,
       createdAt: new Date(row.created_at),
       lastActive: new Date(row.last_active || row.created_at)
     });
@@ -0,0 +1,90 @@
+/**
+ * Timer adapter for correspondence time controls
+ * Primary port that periodically ends used-up vacations, asks the game
+ * service to forfeit overdue games and expires unanswered challenges
+ */
+class TimeoutSweeper {
+  constructor(gameService, { intervalMs = 60 * 1000, vacationService = null, challengeService = null } = {}) {
+    this.gameService = gameService;
+    this.vacationService = vacationService;
+    this.challengeService = challengeService;
+    this.intervalMs = intervalMs;
+    this._timer = null;
+    this._sweeping = false;
+  }
+
+  /**
+   * Start sweeping on an interval
+   */
+  start() {
+    if (this._timer) {
+      return;
+    }
+
+    this._timer = setInterval(() => {
+      this.sweep().catch(error => console.error('Error sweeping overdue games:', error));
+    }, this.intervalMs);
+
+    // Never keep the process alive just for the sweeper
+    this._timer.unref();
+  }
+
+  /**
+   * Stop sweeping
+   */
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * Forfeit every game that is overdue now
+   * Vacations that have run out are ended first so their games' clocks count again.
+   * Challenges nobody answered in time are expired afterwards.
+   * A sweep that is still running when the next one is due is not overlapped.
+   * @param {Date} now - Time to compare deadlines against
+   * @returns {Promise<Object[]>} Forfeit results from the game service
+   */
+  async sweep(now = new Date()) {
+    if (this._sweeping) {
+      return [];
+    }
+
+    this._sweeping = true;
+    try {
+      if (this.vacationService) {
+        const ended = await this.vacationService.endExpiredVacations(now);
+        for (const { user } of ended) {
+          console.log(`Vacation of ${user.username} ended: allowance used up`);
+        }
+      }
+
+      const results = await this.gameService.forfeitOverdueGames(now);
+
+      for (const result of results) {
+        if (result.error) {
+          console.error(`Error forfeiting game ${result.gameId} on time:`, result.error.message);
+        } else {
+          console.log(`Game ${result.gameId} forfeited on time by ${result.timedOutPlayerId}`);
+        }
+      }
+
+      if (this.challengeService) {
+        const expired = await this.challengeService.expireStaleChallenges(now);
+        for (const result of expired) {
+          if (result.error) {
+            console.error(`Error expiring challenge ${result.challengeId}:`, result.error.message);
+          }
+        }
+      }
+
+      return results;
+    } finally {
+      this._sweeping = false;
+    }
+  }
+}
+
+module.exports = TimeoutSweeper;
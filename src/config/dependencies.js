@@ -1,13 +1,30 @@
 const GameService = require('../domain/GameService');
 const UserService = require('../domain/UserService');
+const AdminService = require('../domain/AdminService');
+const VacationService = require('../domain/VacationService');
+const ChallengeService = require('../domain/ChallengeService');
+const MatchmakingService = require('../domain/MatchmakingService');
+const SpectatorService = require('../domain/SpectatorService');
+const ChatService = require('../domain/ChatService');
 const GamePluginRegistry = require('../domain/GamePluginRegistry');
 
 const SqliteGameRepository = require('../adapters/SqliteGameRepository');
 const SqliteUserRepository = require('../adapters/SqliteUserRepository');
 const SqliteNotificationService = require('../adapters/SqliteNotificationService');
+const SqliteAuditLog = require('../adapters/SqliteAuditLog');
+const SqliteChallengeRepository = require('../adapters/SqliteChallengeRepository');
+const SqliteMatchmakingRepository = require('../adapters/SqliteMatchmakingRepository');
+const SqliteChatRepository = require('../adapters/SqliteChatRepository');
+const { purgeDatabase } = require('../database/init');
 
 const HttpGameController = require('../adapters/HttpGameController');
 const HttpUserController = require('../adapters/HttpUserController');
+const HttpAdminController = require('../adapters/HttpAdminController');
+const HttpChallengeController = require('../adapters/HttpChallengeController');
+const HttpMatchmakingController = require('../adapters/HttpMatchmakingController');
+const HttpAuthMiddleware = require('../adapters/HttpAuthMiddleware');
+const SocketIoController = require('../adapters/SocketIoController');
+const TimeoutSweeper = require('../adapters/TimeoutSweeper');
 
 /**
  * Dependency injection container for the application
@@ -65,6 +82,39 @@ class DependencyContainer {
     return this._instances.get('userRepository');
   }
 
+  /**
+   * Get chat repository (singleton)
+   * @returns {SqliteChatRepository}
+   */
+  getChatRepository() {
+    if (!this._instances.has('chatRepository')) {
+      this._instances.set('chatRepository', new SqliteChatRepository());
+    }
+    return this._instances.get('chatRepository');
+  }
+
+  /**
+   * Get challenge repository (singleton)
+   * @returns {SqliteChallengeRepository}
+   */
+  getChallengeRepository() {
+    if (!this._instances.has('challengeRepository')) {
+      this._instances.set('challengeRepository', new SqliteChallengeRepository());
+    }
+    return this._instances.get('challengeRepository');
+  }
+
+  /**
+   * Get matchmaking repository (singleton)
+   * @returns {SqliteMatchmakingRepository}
+   */
+  getMatchmakingRepository() {
+    if (!this._instances.has('matchmakingRepository')) {
+      this._instances.set('matchmakingRepository', new SqliteMatchmakingRepository());
+    }
+    return this._instances.get('matchmakingRepository');
+  }
+
   /**
    * Get notification service (singleton)
    * @returns {SqliteNotificationService}
@@ -77,6 +127,17 @@ class DependencyContainer {
     return this._instances.get('notificationService');
   }
 
+  /**
+   * Get audit log (singleton)
+   * @returns {SqliteAuditLog}
+   */
+  getAuditLog() {
+    if (!this._instances.has('auditLog')) {
+      this._instances.set('auditLog', new SqliteAuditLog());
+    }
+    return this._instances.get('auditLog');
+  }
+
   /**
    * Get game service (singleton)
    * @returns {GameService}
@@ -106,6 +167,112 @@ class DependencyContainer {
     return this._instances.get('userService');
   }
 
+  /**
+   * Get admin service (singleton)
+   * @returns {AdminService}
+   */
+  getAdminService() {
+    if (!this._instances.has('adminService')) {
+      const adminService = new AdminService(
+        this.getUserService(),
+        this.getGameService(),
+        this.getAuditLog(),
+        purgeDatabase,
+        this.getChatService()
+      );
+      this._instances.set('adminService', adminService);
+    }
+    return this._instances.get('adminService');
+  }
+
+  /**
+   * Get vacation service (singleton)
+   * @returns {VacationService}
+   */
+  getVacationService() {
+    if (!this._instances.has('vacationService')) {
+      const vacationService = new VacationService(
+        this.getUserService(),
+        this.getGameService(),
+        this.getNotificationService()
+      );
+      this._instances.set('vacationService', vacationService);
+    }
+    return this._instances.get('vacationService');
+  }
+
+  /**
+   * Get challenge service (singleton)
+   * @returns {ChallengeService}
+   */
+  getChallengeService() {
+    if (!this._instances.has('challengeService')) {
+      const expiryDays = parseFloat(process.env.CHALLENGE_EXPIRY_DAYS) || 7;
+      const challengeService = new ChallengeService(
+        this.getChallengeRepository(),
+        this.getUserService(),
+        this.getGameService(),
+        this.getGamePluginRegistry(),
+        this.getNotificationService(),
+        { ttlMs: expiryDays * 24 * 60 * 60 * 1000 }
+      );
+      this._instances.set('challengeService', challengeService);
+    }
+    return this._instances.get('challengeService');
+  }
+
+  /**
+   * Get matchmaking service (singleton)
+   * @returns {MatchmakingService}
+   */
+  getMatchmakingService() {
+    if (!this._instances.has('matchmakingService')) {
+      const matchmakingService = new MatchmakingService(
+        this.getMatchmakingRepository(),
+        this.getUserService(),
+        this.getGameService(),
+        this.getGamePluginRegistry(),
+        this.getNotificationService()
+      );
+      this._instances.set('matchmakingService', matchmakingService);
+    }
+    return this._instances.get('matchmakingService');
+  }
+
+  /**
+   * Get spectator service (singleton)
+   * @returns {SpectatorService}
+   */
+  getSpectatorService() {
+    if (!this._instances.has('spectatorService')) {
+      const spectatorService = new SpectatorService(
+        this.getGameService(),
+        this.getUserService(),
+        this.getNotificationService()
+      );
+      this._instances.set('spectatorService', spectatorService);
+    }
+    return this._instances.get('spectatorService');
+  }
+
+  /**
+   * Get chat service (singleton)
+   * @returns {ChatService}
+   */
+  getChatService() {
+    if (!this._instances.has('chatService')) {
+      const chatService = new ChatService(
+        this.getChatRepository(),
+        this.getGameService(),
+        this.getUserService(),
+        this.getNotificationService(),
+        { blockedWords: (process.env.CHAT_BLOCKED_WORDS || '').split(',') }
+      );
+      this._instances.set('chatService', chatService);
+    }
+    return this._instances.get('chatService');
+  }
+
   /**
    * Get image service using plugin system
    * @returns {Object}
@@ -117,7 +284,7 @@ class DependencyContainer {
       
       const imageService = {
         async generateGameImage(game, players, options = {}) {
-          const boardState = typeof game.boardState === 'string' 
+          const storedBoardState = typeof game.boardState === 'string' 
             ? JSON.parse(game.boardState) 
             : game.boardState;
           
@@ -125,6 +292,9 @@ class DependencyContainer {
           const plugin = self.getGamePluginRegistry().getPlugin(game.gameType);
           
           if (plugin && typeof plugin.constructor.generateBoardImage === 'function') {
+            // Only draw what the requesting viewer is allowed to see
+            const boardState = plugin.getPlayerView(storedBoardState, options.viewerId || null, players);
+
             // Use plugin's rendering method with passed options
             try {
               return await plugin.constructor.generateBoardImage(boardState, {
@@ -147,6 +317,32 @@ class DependencyContainer {
     return this._instances.get('imageService');
   }
 
+  /**
+   * Get HTTP authentication middleware (singleton)
+   * @returns {HttpAuthMiddleware}
+   */
+  getHttpAuthMiddleware() {
+    if (!this._instances.has('httpAuthMiddleware')) {
+      this._instances.set('httpAuthMiddleware', new HttpAuthMiddleware(this.getUserService()));
+    }
+    return this._instances.get('httpAuthMiddleware');
+  }
+
+  /**
+   * Get Socket.IO controller (singleton)
+   * @returns {SocketIoController}
+   */
+  getSocketIoController() {
+    if (!this._instances.has('socketIoController')) {
+      this._instances.set('socketIoController', new SocketIoController(
+        this.getUserService(),
+        this.getGameService(),
+        this.getSpectatorService()
+      ));
+    }
+    return this._instances.get('socketIoController');
+  }
+
   /**
    * Get HTTP game controller (singleton)
    * @returns {HttpGameController}
@@ -157,7 +353,11 @@ class DependencyContainer {
         this.getGameService(),
         this.getUserService(),
         this.getNotificationService(),
-        this.getImageService()
+        this.getImageService(),
+        this.getHttpAuthMiddleware(),
+        this.getAdminService(),
+        this.getSpectatorService(),
+        this.getChatService()
       );
       this._instances.set('httpGameController', controller);
     }
@@ -172,17 +372,84 @@ class DependencyContainer {
     if (!this._instances.has('httpUserController')) {
       const controller = new HttpUserController(
         this.getUserService(),
-        this.getNotificationService()
+        this.getNotificationService(),
+        this.getHttpAuthMiddleware(),
+        this.getVacationService(),
+        this.getGameService()
       );
       this._instances.set('httpUserController', controller);
     }
     return this._instances.get('httpUserController');
   }
 
+  /**
+   * Get HTTP admin controller (singleton)
+   * @returns {HttpAdminController}
+   */
+  getHttpAdminController() {
+    if (!this._instances.has('httpAdminController')) {
+      const controller = new HttpAdminController(
+        this.getAdminService(),
+        this.getHttpAuthMiddleware()
+      );
+      this._instances.set('httpAdminController', controller);
+    }
+    return this._instances.get('httpAdminController');
+  }
+
+  /**
+   * Get HTTP challenge controller (singleton)
+   * @returns {HttpChallengeController}
+   */
+  getHttpChallengeController() {
+    if (!this._instances.has('httpChallengeController')) {
+      const controller = new HttpChallengeController(
+        this.getChallengeService(),
+        this.getHttpAuthMiddleware()
+      );
+      this._instances.set('httpChallengeController', controller);
+    }
+    return this._instances.get('httpChallengeController');
+  }
+
+  /**
+   * Get HTTP matchmaking controller (singleton)
+   * @returns {HttpMatchmakingController}
+   */
+  getHttpMatchmakingController() {
+    if (!this._instances.has('httpMatchmakingController')) {
+      const controller = new HttpMatchmakingController(
+        this.getMatchmakingService(),
+        this.getHttpAuthMiddleware()
+      );
+      this._instances.set('httpMatchmakingController', controller);
+    }
+    return this._instances.get('httpMatchmakingController');
+  }
+
+  /**
+   * Get the sweeper that forfeits games on time (singleton)
+   * @returns {TimeoutSweeper}
+   */
+  getTimeoutSweeper() {
+    if (!this._instances.has('timeoutSweeper')) {
+      const sweeper = new TimeoutSweeper(this.getGameService(), {
+        intervalMs: parseInt(process.env.TIMEOUT_SWEEP_INTERVAL_MS) || 60 * 1000,
+        vacationService: this.getVacationService(),
+        challengeService: this.getChallengeService()
+      });
+      this._instances.set('timeoutSweeper', sweeper);
+    }
+    return this._instances.get('timeoutSweeper');
+  }
+
   /**
    * Clear all instances (useful for testing)
    */
   clear() {
+    if (this._instances.has('timeoutSweeper')) {
+      this._instances.get('timeoutSweeper').stop();
+    }
     this._instances.clear();
   }
 
@@ -193,7 +460,10 @@ class DependencyContainer {
   getRouters() {
     return {
       games: this.getHttpGameController().getRouter(),
-      users: this.getHttpUserController().getRouter()
+      users: this.getHttpUserController().getRouter(),
+      admin: this.getHttpAdminController().getRouter(),
+      challenges: this.getHttpChallengeController().getRouter(),
+      matchmaking: this.getHttpMatchmakingController().getRouter()
     };
   }
 }
@@ -1,11 +1,29 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { migrate } = require('./migrator');
 
 const DB_PATH = path.join(__dirname, '../../data/games.db');
 
+// How long a write waits for another connection's transaction to finish
+const BUSY_TIMEOUT_MS = 5000;
+
 let db = null;
+let transactionQueue = Promise.resolve();
+const transactionConnection = new AsyncLocalStorage();
 
+/**
+ * Get the connection to use for the current call
+ * Code running inside withTransaction gets the transaction's own connection;
+ * everything else shares one connection.
+ * @returns {sqlite3.Database}
+ */
 function getDatabase() {
+  const connection = transactionConnection.getStore();
+  if (connection) {
+    return connection;
+  }
+
   if (!db) {
     db = new sqlite3.Database(DB_PATH, (err) => {
       if (err) {
@@ -14,100 +32,88 @@ function getDatabase() {
         console.log('Connected to SQLite database');
       }
     });
+    db.configure('busyTimeout', BUSY_TIMEOUT_MS);
   }
   return db;
 }
 
-function initializeDatabase() {
-  return new Promise((resolve, reject) => {
-    const database = getDatabase();
-    
-    // Create tables
-    const createTables = `
-      CREATE TABLE IF NOT EXISTS users (
-        id TEXT PRIMARY KEY,
-        username TEXT UNIQUE NOT NULL,
-        email TEXT UNIQUE NOT NULL,
-        password_hash TEXT NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        last_active DATETIME DEFAULT CURRENT_TIMESTAMP
-      );
-
-      CREATE TABLE IF NOT EXISTS games (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        game_type TEXT NOT NULL,
-        status TEXT NOT NULL DEFAULT 'waiting',
-        current_player_id TEXT,
-        board_state TEXT NOT NULL,
-        move_count INTEGER DEFAULT 0,
-        min_players INTEGER DEFAULT 2,
-        max_players INTEGER DEFAULT 2,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        settings TEXT DEFAULT '{}',
-        FOREIGN KEY (current_player_id) REFERENCES users (id),
-        CHECK (min_players >= 1 AND min_players <= 10),
-        CHECK (max_players >= min_players AND max_players <= 10)
-      );
+/**
+ * Bring the database schema up to date by applying pending migrations
+ * @returns {Promise<void>}
+ */
+async function initializeDatabase() {
+  const applied = await migrate(getDatabase());
+  if (applied.length > 0) {
+    console.log(`Applied ${applied.length} database migration(s):`, applied.map(m => `${m.version}_${m.name}`).join(', '));
+  }
+}
 
-      CREATE TABLE IF NOT EXISTS game_players (
-        id TEXT PRIMARY KEY,
-        game_id TEXT NOT NULL,
-        user_id TEXT NOT NULL,
-        player_order INTEGER NOT NULL,
-        color TEXT,
-        player_data TEXT DEFAULT '{}',
-        joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (game_id) REFERENCES games (id) ON DELETE CASCADE,
-        FOREIGN KEY (user_id) REFERENCES users (id),
-        UNIQUE (game_id, user_id),
-        UNIQUE (game_id, player_order),
-        CHECK (player_order >= 1 AND player_order <= 10)
-      );
+/**
+ * Run work inside a transaction on a connection of its own
+ * getDatabase() returns that connection to everything work calls, so writes made
+ * elsewhere in the meantime wait for the transaction instead of joining it.
+ * Transactions are queued so only one is open at a time, which means work must
+ * not start another transaction. Everything work writes is committed if it
+ * resolves and rolled back if it throws.
+ * @param {Function} work - Async function to run inside the transaction
+ * @returns {Promise<*>} Whatever work resolves to
+ */
+function withTransaction(work) {
+  const result = transactionQueue.then(async () => {
+    const connection = new sqlite3.Database(DB_PATH);
+    connection.configure('busyTimeout', BUSY_TIMEOUT_MS);
+    const exec = (sql) => new Promise((resolve, reject) => {
+      connection.exec(sql, (err) => err ? reject(err) : resolve());
+    });
 
-      CREATE TABLE IF NOT EXISTS moves (
-        id TEXT PRIMARY KEY,
-        game_id TEXT NOT NULL,
-        user_id TEXT NOT NULL,
-        move_notation TEXT NOT NULL,
-        board_state_after TEXT NOT NULL,
-        move_number INTEGER NOT NULL,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (game_id) REFERENCES games (id) ON DELETE CASCADE,
-        FOREIGN KEY (user_id) REFERENCES users (id)
-      );
+    try {
+      await exec('BEGIN IMMEDIATE');
+      try {
+        const value = await transactionConnection.run(connection, work);
+        await exec('COMMIT');
+        return value;
+      } catch (error) {
+        await exec('ROLLBACK');
+        throw error;
+      }
+    } finally {
+      await new Promise(resolve => connection.close(() => resolve()));
+    }
+  });
 
-      CREATE TABLE IF NOT EXISTS notifications (
-        id TEXT PRIMARY KEY,
-        user_id TEXT NOT NULL,
-        game_id TEXT,
-        type TEXT NOT NULL,
-        message TEXT NOT NULL,
-        read BOOLEAN DEFAULT FALSE,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users (id),
-        FOREIGN KEY (game_id) REFERENCES games (id) ON DELETE CASCADE
-      );
+  // Keep the queue going after a failed transaction
+  transactionQueue = result.catch(() => {});
+  return result;
+}
 
-      CREATE INDEX IF NOT EXISTS idx_games_status ON games (status);
-      CREATE INDEX IF NOT EXISTS idx_games_current_player ON games (current_player_id);
-      CREATE INDEX IF NOT EXISTS idx_game_players_game ON game_players (game_id);
-      CREATE INDEX IF NOT EXISTS idx_game_players_user ON game_players (user_id);
-      CREATE INDEX IF NOT EXISTS idx_moves_game ON moves (game_id);
-      CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications (user_id);
-    `;
+/**
+ * Delete all games, moves, challenges, queue entries, notifications and non-admin users
+ * Admin accounts and the audit log are kept.
+ * @returns {Promise<void>}
+ */
+function purgeDatabase() {
+  const database = getDatabase();
+  const statements = [
+    'DELETE FROM matchmaking_queue',
+    'DELETE FROM challenges',
+    'DELETE FROM game_offers',
+    'DELETE FROM conditional_moves',
+    'DELETE FROM game_messages',
+    'DELETE FROM game_notes',
+    'DELETE FROM moves',
+    'DELETE FROM game_players',
+    'DELETE FROM games',
+    'DELETE FROM notifications',
+    "DELETE FROM users WHERE role != 'admin'"
+  ];
 
-    database.exec(createTables, (err) => {
-      if (err) {
-        console.error('Error creating tables:', err);
-        reject(err);
-      } else {
-        console.log('Database tables created successfully');
-        resolve();
-      }
+  // Run in order so child rows go before the rows they reference
+  return statements.reduce((previous, statement) => previous.then(() => new Promise((resolve, reject) => {
+    database.run(statement, (err) => {
+      if (err) return reject(err);
+      resolve();
     });
-  });
+  })), Promise.resolve());
 }
 
 function closeDatabase() {
@@ -131,5 +137,7 @@ function closeDatabase() {
 module.exports = {
   getDatabase,
   initializeDatabase,
-  closeDatabase
+  closeDatabase,
+  purgeDatabase,
+  withTransaction
 };
\ No newline at end of file
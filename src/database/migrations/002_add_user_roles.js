@@ -0,0 +1,16 @@
+/**
+ * Add a role to users so admin routes can be restricted
+ */
+module.exports = {
+  async up(db) {
+    // Databases started between the role feature and migrations may already have the column
+    if (await db.hasColumn('users', 'role')) {
+      return;
+    }
+    await db.run("ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'user'");
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE users DROP COLUMN role');
+  }
+};
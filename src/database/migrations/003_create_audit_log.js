@@ -0,0 +1,27 @@
+/**
+ * Audit log of admin actions
+ */
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id TEXT PRIMARY KEY,
+        actor_id TEXT NOT NULL,
+        action TEXT NOT NULL,
+        target_type TEXT,
+        target_id TEXT,
+        details TEXT DEFAULT '{}',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log (created_at);
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DROP INDEX IF EXISTS idx_audit_log_created;
+      DROP TABLE IF EXISTS audit_log;
+    `);
+  }
+};
@@ -0,0 +1,33 @@
+/**
+ * Draw offers and takeback requests negotiated between players
+ */
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS game_offers (
+        id TEXT PRIMARY KEY,
+        game_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        offered_by TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        move_count INTEGER NOT NULL,
+        resolved_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        resolved_at DATETIME,
+        FOREIGN KEY (game_id) REFERENCES games (id) ON DELETE CASCADE,
+        FOREIGN KEY (offered_by) REFERENCES users (id),
+        CHECK (type IN ('draw', 'takeback')),
+        CHECK (status IN ('pending', 'accepted', 'declined', 'expired'))
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_game_offers_game ON game_offers (game_id, status);
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DROP INDEX IF EXISTS idx_game_offers_game;
+      DROP TABLE IF EXISTS game_offers;
+    `);
+  }
+};
@@ -0,0 +1,16 @@
+/**
+ * Store each game's move deadline and banked time so overdue games can be found
+ */
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE games ADD COLUMN move_deadline DATETIME');
+    await db.run('ALTER TABLE games ADD COLUMN time_remaining TEXT');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_games_move_deadline ON games (status, move_deadline)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_games_move_deadline');
+    await db.run('ALTER TABLE games DROP COLUMN time_remaining');
+    await db.run('ALTER TABLE games DROP COLUMN move_deadline');
+  }
+};
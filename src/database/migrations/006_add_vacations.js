@@ -0,0 +1,16 @@
+/**
+ * Give users a vacation allowance and let games stop their clocks while a player is away
+ */
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE users ADD COLUMN vacation_days_remaining REAL NOT NULL DEFAULT 30');
+    await db.run('ALTER TABLE users ADD COLUMN vacation_started_at DATETIME');
+    await db.run('ALTER TABLE games ADD COLUMN clock_paused_at DATETIME');
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE games DROP COLUMN clock_paused_at');
+    await db.run('ALTER TABLE users DROP COLUMN vacation_started_at');
+    await db.run('ALTER TABLE users DROP COLUMN vacation_days_remaining');
+  }
+};
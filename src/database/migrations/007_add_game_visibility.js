@@ -0,0 +1,14 @@
+/**
+ * Let games be unlisted or private, with an invite token for joining private games
+ */
+module.exports = {
+  async up(db) {
+    await db.run("ALTER TABLE games ADD COLUMN visibility TEXT NOT NULL DEFAULT 'public'");
+    await db.run('ALTER TABLE games ADD COLUMN invite_token TEXT');
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE games DROP COLUMN invite_token');
+    await db.run('ALTER TABLE games DROP COLUMN visibility');
+  }
+};
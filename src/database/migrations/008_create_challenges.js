@@ -0,0 +1,41 @@
+/**
+ * Direct challenges from one user to another, and a link from notifications to them
+ */
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS challenges (
+        id TEXT PRIMARY KEY,
+        challenger_id TEXT NOT NULL,
+        challenged_id TEXT NOT NULL,
+        game_type TEXT NOT NULL,
+        game_name TEXT,
+        settings TEXT NOT NULL DEFAULT '{}',
+        status TEXT NOT NULL DEFAULT 'pending',
+        game_id TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        resolved_at DATETIME,
+        FOREIGN KEY (challenger_id) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (challenged_id) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (game_id) REFERENCES games (id) ON DELETE SET NULL,
+        CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled', 'expired'))
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_challenges_challenger ON challenges (challenger_id, status);
+      CREATE INDEX IF NOT EXISTS idx_challenges_challenged ON challenges (challenged_id, status);
+      CREATE INDEX IF NOT EXISTS idx_challenges_expiry ON challenges (status, expires_at);
+    `);
+    await db.run('ALTER TABLE notifications ADD COLUMN challenge_id TEXT');
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE notifications DROP COLUMN challenge_id');
+    await db.exec(`
+      DROP INDEX IF EXISTS idx_challenges_expiry;
+      DROP INDEX IF EXISTS idx_challenges_challenged;
+      DROP INDEX IF EXISTS idx_challenges_challenger;
+      DROP TABLE IF EXISTS challenges;
+    `);
+  }
+};
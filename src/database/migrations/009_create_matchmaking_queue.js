@@ -0,0 +1,38 @@
+/**
+ * Give users a rating and let them queue for automatic pairing
+ */
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE users ADD COLUMN rating INTEGER NOT NULL DEFAULT 1500');
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS matchmaking_queue (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        game_type TEXT NOT NULL,
+        min_rating INTEGER,
+        max_rating INTEGER,
+        time_control TEXT,
+        status TEXT NOT NULL DEFAULT 'waiting',
+        game_id TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        matched_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (game_id) REFERENCES games (id) ON DELETE SET NULL,
+        CHECK (status IN ('waiting', 'matched', 'cancelled'))
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_matchmaking_queue_waiting ON matchmaking_queue (game_type, status, created_at);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_matchmaking_queue_one_per_type
+        ON matchmaking_queue (user_id, game_type) WHERE status = 'waiting';
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DROP INDEX IF EXISTS idx_matchmaking_queue_one_per_type;
+      DROP INDEX IF EXISTS idx_matchmaking_queue_waiting;
+      DROP TABLE IF EXISTS matchmaking_queue;
+    `);
+    await db.run('ALTER TABLE users DROP COLUMN rating');
+  }
+};
@@ -0,0 +1,16 @@
+/**
+ * Link rematches to the game they follow and hold their seats for the original players
+ */
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE games ADD COLUMN rematch_of TEXT');
+    await db.run('ALTER TABLE games ADD COLUMN reserved_seats TEXT');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_games_rematch_of ON games (rematch_of)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_games_rematch_of');
+    await db.run('ALTER TABLE games DROP COLUMN reserved_seats');
+    await db.run('ALTER TABLE games DROP COLUMN rematch_of');
+  }
+};
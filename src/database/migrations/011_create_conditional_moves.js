@@ -0,0 +1,28 @@
+/**
+ * Conditional moves: lines of "if my opponent plays X, reply with Y" kept privately per player
+ */
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS conditional_moves (
+        id TEXT PRIMARY KEY,
+        game_id TEXT NOT NULL,
+        player_id TEXT NOT NULL,
+        move_count INTEGER NOT NULL,
+        moves TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (game_id) REFERENCES games (id) ON DELETE CASCADE,
+        FOREIGN KEY (player_id) REFERENCES users (id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_conditional_moves_game ON conditional_moves (game_id, player_id);
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DROP INDEX IF EXISTS idx_conditional_moves_game;
+      DROP TABLE IF EXISTS conditional_moves;
+    `);
+  }
+};
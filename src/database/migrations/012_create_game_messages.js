@@ -0,0 +1,30 @@
+/**
+ * In-game chat, with players and spectators talking in separate channels
+ */
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS game_messages (
+        id TEXT PRIMARY KEY,
+        game_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        channel TEXT NOT NULL CHECK (channel IN ('players', 'spectators')),
+        message TEXT NOT NULL,
+        created_at DATETIME NOT NULL,
+        deleted_at DATETIME,
+        deleted_by TEXT,
+        FOREIGN KEY (game_id) REFERENCES games (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_game_messages_game ON game_messages (game_id, channel, created_at);
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DROP INDEX IF EXISTS idx_game_messages_game;
+      DROP TABLE IF EXISTS game_messages;
+    `);
+  }
+};
@@ -0,0 +1,26 @@
+/**
+ * Private per-player notes on games, and public comments and glyphs on moves
+ */
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE moves ADD COLUMN comment TEXT');
+    await db.run('ALTER TABLE moves ADD COLUMN annotation TEXT');
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS game_notes (
+        game_id TEXT NOT NULL,
+        player_id TEXT NOT NULL,
+        notes TEXT NOT NULL,
+        updated_at DATETIME NOT NULL,
+        PRIMARY KEY (game_id, player_id),
+        FOREIGN KEY (game_id) REFERENCES games (id) ON DELETE CASCADE,
+        FOREIGN KEY (player_id) REFERENCES users (id) ON DELETE CASCADE
+      );
+    `);
+  },
+
+  async down(db) {
+    await db.exec('DROP TABLE IF EXISTS game_notes;');
+    await db.run('ALTER TABLE moves DROP COLUMN annotation');
+    await db.run('ALTER TABLE moves DROP COLUMN comment');
+  }
+};
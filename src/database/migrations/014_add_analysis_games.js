@@ -0,0 +1,20 @@
+/**
+ * Mark analysis games and link them to the position they were forked from
+ */
+module.exports = {
+  async up(db) {
+    await db.run("ALTER TABLE games ADD COLUMN mode TEXT NOT NULL DEFAULT 'standard'");
+    await db.run('ALTER TABLE games ADD COLUMN forked_from TEXT');
+    await db.run('ALTER TABLE games ADD COLUMN forked_at_move INTEGER');
+    await db.run('ALTER TABLE games ADD COLUMN analysis_seats TEXT');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_games_forked_from ON games (forked_from)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_games_forked_from');
+    await db.run('ALTER TABLE games DROP COLUMN analysis_seats');
+    await db.run('ALTER TABLE games DROP COLUMN forked_at_move');
+    await db.run('ALTER TABLE games DROP COLUMN forked_from');
+    await db.run('ALTER TABLE games DROP COLUMN mode');
+  }
+};
@@ -0,0 +1,13 @@
+/**
+ * Keep the board state each game started from, so replays and takebacks of games
+ * dealt at random (Hearts) show the real starting position
+ */
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE games ADD COLUMN initial_board_state TEXT');
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE games DROP COLUMN initial_board_state');
+  }
+};
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ * Wrap a sqlite3 database in the promise-based helpers migrations use
+ * @param {Object} database - sqlite3 Database
+ * @returns {Object} Helpers: exec, run, all, hasColumn
+ */
+function wrapDatabase(database) {
+  const helpers = {
+    exec(sql) {
+      return new Promise((resolve, reject) => {
+        database.exec(sql, (err) => err ? reject(err) : resolve());
+      });
+    },
+
+    run(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        database.run(sql, params, (err) => err ? reject(err) : resolve());
+      });
+    },
+
+    all(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        database.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+      });
+    },
+
+    async hasColumn(table, column) {
+      const columns = await helpers.all(`PRAGMA table_info(${table})`);
+      return columns.some(existing => existing.name === column);
+    }
+  };
+  return helpers;
+}
+
+/**
+ * Load migrations from disk, ordered by version
+ * Files are named NNN_description.js and export async up(db) and down(db).
+ * @param {string} migrationsDir - Directory containing migration files
+ * @returns {Object[]} Migrations with version, name, up and down
+ */
+function loadMigrations(migrationsDir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(migrationsDir)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .map(file => {
+      const [, version, name] = /^(\d+)_(.+)\.js$/.exec(file);
+      const migration = require(path.join(migrationsDir, file));
+
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up and down functions`);
+      }
+
+      return { version: parseInt(version, 10), name, up: migration.up, down: migration.down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version: ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+/**
+ * Create the table that records applied migrations
+ * @param {Object} db - Wrapped database
+ * @returns {Promise<void>}
+ * @private
+ */
+function ensureMigrationsTable(db) {
+  return db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+/**
+ * Get applied migrations, oldest first
+ * @param {Object} db - Wrapped database
+ * @returns {Promise<Object[]>} Rows from schema_migrations
+ * @private
+ */
+async function getAppliedMigrations(db) {
+  await ensureMigrationsTable(db);
+  return db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+}
+
+/**
+ * Run one migration step and its bookkeeping in a single transaction
+ * @param {Object} db - Wrapped database
+ * @param {Function} step - Migration function to run
+ * @param {string} bookkeeping - SQL recording the step
+ * @param {Array} params - Parameters for the bookkeeping SQL
+ * @returns {Promise<void>}
+ * @private
+ */
+async function runInTransaction(db, step, bookkeeping, params) {
+  await db.exec('BEGIN');
+  try {
+    await step(db);
+    await db.run(bookkeeping, params);
+    await db.exec('COMMIT');
+  } catch (error) {
+    await db.exec('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Apply all pending migrations in version order
+ * @param {Object} database - sqlite3 Database
+ * @param {Object} options - Options
+ * @param {string} options.migrationsDir - Directory containing migration files
+ * @returns {Promise<Object[]>} Migrations that were applied
+ */
+async function migrate(database, { migrationsDir = MIGRATIONS_DIR } = {}) {
+  const db = wrapDatabase(database);
+  const applied = new Set((await getAppliedMigrations(db)).map(row => row.version));
+  const pending = loadMigrations(migrationsDir).filter(migration => !applied.has(migration.version));
+
+  for (const migration of pending) {
+    try {
+      await runInTransaction(db, migration.up,
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]);
+    } catch (error) {
+      throw new Error(`Migration ${migration.version}_${migration.name} failed: ${error.message}`);
+    }
+  }
+
+  return pending;
+}
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {Object} database - sqlite3 Database
+ * @param {Object} options - Options
+ * @param {number} options.steps - Number of migrations to roll back
+ * @param {string} options.migrationsDir - Directory containing migration files
+ * @returns {Promise<Object[]>} Migrations that were rolled back, newest first
+ */
+async function rollback(database, { steps = 1, migrationsDir = MIGRATIONS_DIR } = {}) {
+  const db = wrapDatabase(database);
+  const migrations = new Map(loadMigrations(migrationsDir).map(migration => [migration.version, migration]));
+  const toRollBack = (await getAppliedMigrations(db)).reverse().slice(0, steps);
+
+  const rolledBack = [];
+  for (const row of toRollBack) {
+    const migration = migrations.get(row.version);
+    if (!migration) {
+      throw new Error(`Migration file for applied version ${row.version}_${row.name} not found`);
+    }
+
+    try {
+      await runInTransaction(db, migration.down,
+        'DELETE FROM schema_migrations WHERE version = ?',
+        [migration.version]);
+    } catch (error) {
+      throw new Error(`Rollback of ${migration.version}_${migration.name} failed: ${error.message}`);
+    }
+    rolledBack.push(migration);
+  }
+
+  return rolledBack;
+}
+
+/**
+ * List every known migration and whether it has been applied
+ * @param {Object} database - sqlite3 Database
+ * @param {Object} options - Options
+ * @param {string} options.migrationsDir - Directory containing migration files
+ * @returns {Promise<Object[]>} Entries with version, name, applied and appliedAt
+ */
+async function getMigrationStatus(database, { migrationsDir = MIGRATIONS_DIR } = {}) {
+  const db = wrapDatabase(database);
+  const applied = new Map((await getAppliedMigrations(db)).map(row => [row.version, row]));
+
+  return loadMigrations(migrationsDir).map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: applied.has(migration.version),
+    appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+  }));
+}
+
+module.exports = {
+  loadMigrations,
+  migrate,
+  rollback,
+  getMigrationStatus
+};
@@ -0,0 +1,139 @@
+/**
+ * Admin domain service
+ * Privileged operations; every successful action is written to the audit log
+ */
+class AdminService {
+  /**
+   * @param {UserService} userService - User domain service
+   * @param {GameService} gameService - Game domain service
+   * @param {AuditLog} auditLog - Audit log port
+   * @param {Function} purgeData - Deletes all non-admin data from storage
+   * @param {ChatService} chatService - In-game chat domain service
+   */
+  constructor(userService, gameService, auditLog, purgeData, chatService) {
+    this.userService = userService;
+    this.gameService = gameService;
+    this.auditLog = auditLog;
+    this.purgeData = purgeData;
+    this.chatService = chatService;
+  }
+
+  /**
+   * Delete all games, moves, notifications and non-admin users
+   * @param {User} actor - Admin performing the purge
+   * @returns {Promise<void>}
+   */
+  async purgeDatabase(actor) {
+    this._requireAdmin(actor);
+
+    await this.purgeData();
+
+    await this.auditLog.record({
+      actorId: actor.id,
+      action: 'purge',
+      targetType: 'database'
+    });
+  }
+
+  /**
+   * Start a waiting game without waiting for it to fill up
+   * @param {User} actor - Admin starting the game
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Object>} Result from GameService.forceStartGame
+   */
+  async forceStartGame(actor, gameId) {
+    this._requireAdmin(actor);
+
+    const result = await this.gameService.forceStartGame(gameId);
+
+    await this.auditLog.record({
+      actorId: actor.id,
+      action: 'force_start',
+      targetType: 'game',
+      targetId: gameId,
+      details: { playerCount: result.playerCount }
+    });
+
+    return result;
+  }
+
+  /**
+   * Remove a message from a game's chat
+   * @param {User} actor - Admin moderating the chat
+   * @param {string} gameId - Game ID
+   * @param {string} messageId - Message to remove
+   * @returns {Promise<ChatMessage>} Deleted message
+   */
+  async deleteChatMessage(actor, gameId, messageId) {
+    this._requireAdmin(actor);
+
+    const message = await this.chatService.deleteMessage(gameId, messageId, actor.id);
+
+    await this.auditLog.record({
+      actorId: actor.id,
+      action: 'delete_chat_message',
+      targetType: 'chat_message',
+      targetId: messageId,
+      details: { gameId, authorId: message.userId, channel: message.channel }
+    });
+
+    return message;
+  }
+
+  /**
+   * Grant or revoke the admin role
+   * @param {User} actor - Admin changing the role
+   * @param {string} userId - User whose role changes
+   * @param {string} role - New role ('user' or 'admin')
+   * @returns {Promise<User>} Updated user
+   */
+  async changeUserRole(actor, userId, role) {
+    this._requireAdmin(actor);
+
+    // Stops the last admin from locking everyone out
+    if (actor.id === userId) {
+      throw new Error('Admins cannot change their own role');
+    }
+
+    const previous = await this.userService.findUserById(userId);
+    if (!previous) {
+      throw new Error('User not found');
+    }
+
+    const user = await this.userService.changeUserRole(userId, role);
+
+    await this.auditLog.record({
+      actorId: actor.id,
+      action: 'change_role',
+      targetType: 'user',
+      targetId: userId,
+      details: { from: previous.role, to: role }
+    });
+
+    return user;
+  }
+
+  /**
+   * Get audit log entries, newest first
+   * @param {User} actor - Admin reading the log
+   * @param {Object} options - Query options (limit, offset)
+   * @returns {Promise<Object[]>} Audit entries
+   */
+  async getAuditLog(actor, options = {}) {
+    this._requireAdmin(actor);
+    return this.auditLog.findEntries(options);
+  }
+
+  /**
+   * Reject non-admin actors
+   * @param {User} actor - Acting user
+   * @private
+   */
+  _requireAdmin(actor) {
+    if (!actor || !actor.isAdmin()) {
+      throw new Error('Admin access required');
+    }
+  }
+}
+
+module.exports = AdminService;
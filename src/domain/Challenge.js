@@ -0,0 +1,159 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Challenge domain entity
+ * One user's invitation to another to play a specific game; the game is only created on acceptance
+ */
+class Challenge {
+  constructor({
+    id = uuidv4(),
+    challengerId,
+    challengedId,
+    gameType,
+    gameName = null,
+    settings = {},
+    status = 'pending',
+    gameId = null,
+    createdAt = new Date(),
+    expiresAt,
+    resolvedAt = null
+  }) {
+    this.id = id;
+    this.challengerId = challengerId;
+    this.challengedId = challengedId;
+    this.gameType = gameType;
+    this.gameName = gameName;
+    this.settings = settings;
+    this.status = status;
+    this.gameId = gameId;
+    this.createdAt = createdAt;
+    this.expiresAt = expiresAt;
+    this.resolvedAt = resolvedAt;
+
+    this._validateInvariants();
+  }
+
+  /**
+   * Validate domain invariants
+   * @private
+   */
+  _validateInvariants() {
+    if (!this.challengerId || !this.challengedId) {
+      throw new Error('A challenge needs a challenger and a challenged user');
+    }
+
+    if (this.challengerId === this.challengedId) {
+      throw new Error('Cannot challenge yourself');
+    }
+
+    if (!this.gameType || this.gameType.trim().length === 0) {
+      throw new Error('Game type cannot be empty');
+    }
+
+    if (!Challenge.STATUSES.includes(this.status)) {
+      throw new Error('Invalid challenge status');
+    }
+
+    if (!(this.expiresAt instanceof Date) || isNaN(this.expiresAt.getTime())) {
+      throw new Error('A challenge needs an expiry time');
+    }
+  }
+
+  /**
+   * Check if the challenge can still be answered
+   * @param {Date} now - Time to check against
+   * @returns {boolean}
+   */
+  isOpen(now = new Date()) {
+    return this.status === 'pending' && !this.isExpired(now);
+  }
+
+  /**
+   * Check if a pending challenge has passed its expiry time
+   * @param {Date} now - Time to check against
+   * @returns {boolean}
+   */
+  isExpired(now = new Date()) {
+    return this.status === 'pending' && this.expiresAt.getTime() <= now.getTime();
+  }
+
+  /**
+   * Accept the challenge
+   * @param {string} gameId - Game created for the challenge
+   * @returns {Challenge} New challenge instance
+   */
+  accept(gameId) {
+    return this._resolve('accepted', { gameId });
+  }
+
+  /**
+   * Decline the challenge
+   * @returns {Challenge} New challenge instance
+   */
+  decline() {
+    return this._resolve('declined');
+  }
+
+  /**
+   * Withdraw the challenge
+   * @returns {Challenge} New challenge instance
+   */
+  cancel() {
+    return this._resolve('cancelled');
+  }
+
+  /**
+   * Expire the challenge
+   * @returns {Challenge} New challenge instance
+   */
+  expire() {
+    return this._resolve('expired');
+  }
+
+  /**
+   * Move a pending challenge to a final status
+   * @param {string} status - Final status
+   * @param {Object} changes - Other fields to change
+   * @returns {Challenge} New challenge instance
+   * @private
+   */
+  _resolve(status, changes = {}) {
+    if (this.status !== 'pending') {
+      throw new Error(`Challenge is no longer pending (${this.status})`);
+    }
+
+    return new Challenge({
+      ...this,
+      ...changes,
+      status,
+      resolvedAt: new Date()
+    });
+  }
+
+  /**
+   * Get a plain object representation
+   * @returns {Object}
+   */
+  toObject() {
+    return {
+      id: this.id,
+      challengerId: this.challengerId,
+      challengedId: this.challengedId,
+      gameType: this.gameType,
+      gameName: this.gameName,
+      settings: this.settings,
+      status: this.status,
+      gameId: this.gameId,
+      createdAt: this.createdAt,
+      expiresAt: this.expiresAt,
+      resolvedAt: this.resolvedAt
+    };
+  }
+}
+
+/**
+ * Every status a challenge can have; all but pending are final
+ */
+Challenge.STATUSES = ['pending', 'accepted', 'declined', 'cancelled', 'expired'];
+
+module.exports = Challenge;
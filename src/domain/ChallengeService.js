@@ -0,0 +1,267 @@
+const Challenge = require('./Challenge');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Challenge domain service
+ * Lets one user challenge another to a game; the game is only created once the challenge is accepted
+ */
+class ChallengeService {
+  /**
+   * @param {ChallengeRepository} challengeRepository - Challenge persistence port
+   * @param {UserService} userService - User domain service
+   * @param {GameService} gameService - Game domain service
+   * @param {GamePluginRegistry} gamePluginRegistry - Registry of playable game types
+   * @param {NotificationService} notificationService - Notification port
+   * @param {Object} options - Service options
+   * @param {number} options.ttlMs - How long a challenge stays open
+   */
+  constructor(challengeRepository, userService, gameService, gamePluginRegistry, notificationService, { ttlMs = 7 * DAY_MS } = {}) {
+    this.challengeRepository = challengeRepository;
+    this.userService = userService;
+    this.gameService = gameService;
+    this.gamePluginRegistry = gamePluginRegistry;
+    this.notificationService = notificationService;
+    this.ttlMs = ttlMs;
+  }
+
+  /**
+   * Challenge another user to a game
+   * @param {Object} challengeData - Challenge details
+   * @param {string} challengeData.challengerId - User sending the challenge
+   * @param {string} challengeData.challengedId - User being challenged
+   * @param {string} challengeData.gameType - Game type to play
+   * @param {string} challengeData.gameName - Name for the game; defaults to "<challenger> vs <challenged>"
+   * @param {Object} challengeData.settings - Settings the game will be created with
+   * @param {Date} now - Time the challenge is made
+   * @returns {Promise<Challenge>} Saved challenge
+   */
+  async createChallenge({ challengerId, challengedId, gameType, gameName = null, settings = {} }, now = new Date()) {
+    if (challengerId === challengedId) {
+      throw new Error('Cannot challenge yourself');
+    }
+
+    const challenger = await this.userService.findUserById(challengerId);
+    if (!challenger) {
+      throw new Error('Challenger not found');
+    }
+
+    const challenged = await this.userService.findUserById(challengedId);
+    if (!challenged) {
+      throw new Error('Challenged user not found');
+    }
+
+    const gamePlugin = this.gamePluginRegistry.getPlugin(gameType);
+    if (!gamePlugin) {
+      throw new Error(`Unsupported game type: ${gameType}`);
+    }
+
+    if (gamePlugin.getMinPlayers() > 2 || gamePlugin.getMaxPlayers() < 2) {
+      throw new Error('Challenges are only available for two-player games');
+    }
+
+    // Reject settings the game would refuse before the challenged user sees them
+    this.gameService.validateSettings(gamePlugin, settings);
+
+    const pending = await this.challengeRepository.findForUser(challengerId, { status: 'pending' });
+    if (pending.some(c => c.challengedId === challengedId && c.gameType === gameType && c.isOpen(now))) {
+      throw new Error('A challenge to this user is already pending');
+    }
+
+    const challenge = await this.challengeRepository.save(new Challenge({
+      challengerId,
+      challengedId,
+      gameType,
+      gameName: gameName || `${challenger.username} vs ${challenged.username}`,
+      settings,
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + this.ttlMs)
+    }));
+
+    await this._notify(
+      challengedId,
+      'challenge',
+      `${challenger.username} challenges you to ${gamePlugin.getDisplayName()}`,
+      challenge
+    );
+
+    return challenge;
+  }
+
+  /**
+   * Accept a challenge and create its game
+   * The challenger moves first, as the game's creator.
+   * @param {string} challengeId - Challenge ID
+   * @param {string} userId - User accepting; must be the challenged user
+   * @param {Date} now - Time of the answer
+   * @returns {Promise<Object>} Accepted challenge and the created game
+   */
+  async acceptChallenge(challengeId, userId, now = new Date()) {
+    const challenge = await this._getChallengeForResponse(challengeId, userId, 'challengedId', now);
+
+    // Private, so nobody else can take the second seat before the challenged user does
+    const game = await this.gameService.createGame({
+      name: challenge.gameName,
+      gameType: challenge.gameType,
+      creatorId: challenge.challengerId,
+      settings: challenge.settings,
+      visibility: 'private'
+    });
+    await this.gameService.joinGame(game.id, userId, game.inviteToken);
+
+    let accepted;
+    try {
+      accepted = await this.challengeRepository.resolve(challenge.accept(game.id));
+    } catch (error) {
+      // Cancelled or answered in the meantime; the game was never played
+      await this.gameService.abortGame(game.id, challenge.challengerId);
+      throw error;
+    }
+
+    await this._notify(challenge.challengerId, 'challenge_accepted', 'Your challenge was accepted', accepted);
+
+    return { challenge: accepted, game: await this.gameService.getGameById(game.id) };
+  }
+
+  /**
+   * Decline a challenge
+   * @param {string} challengeId - Challenge ID
+   * @param {string} userId - User declining; must be the challenged user
+   * @param {Date} now - Time of the answer
+   * @returns {Promise<Challenge>} Declined challenge
+   */
+  async declineChallenge(challengeId, userId, now = new Date()) {
+    const challenge = await this._getChallengeForResponse(challengeId, userId, 'challengedId', now);
+    const declined = await this.challengeRepository.resolve(challenge.decline());
+
+    await this._notify(challenge.challengerId, 'challenge_declined', 'Your challenge was declined', declined);
+
+    return declined;
+  }
+
+  /**
+   * Withdraw a challenge before it is answered
+   * @param {string} challengeId - Challenge ID
+   * @param {string} userId - User cancelling; must be the challenger
+   * @param {Date} now - Time of the cancellation
+   * @returns {Promise<Challenge>} Cancelled challenge
+   */
+  async cancelChallenge(challengeId, userId, now = new Date()) {
+    const challenge = await this._getChallengeForResponse(challengeId, userId, 'challengerId', now);
+    const cancelled = await this.challengeRepository.resolve(challenge.cancel());
+
+    await this._notify(challenge.challengedId, 'challenge_cancelled', 'A challenge to you was withdrawn', cancelled);
+
+    return cancelled;
+  }
+
+  /**
+   * Get the challenges a user sent or received
+   * @param {string} userId - User ID
+   * @param {Object} criteria - Optional filters
+   * @param {string} criteria.status - Only challenges with this status
+   * @param {Date} now - Time to judge expiry against
+   * @returns {Promise<Challenge[]>} Challenges, newest first
+   */
+  async getChallenges(userId, criteria = {}, now = new Date()) {
+    if (criteria.status && !Challenge.STATUSES.includes(criteria.status)) {
+      throw new Error(`Challenge status must be one of: ${Challenge.STATUSES.join(', ')}`);
+    }
+
+    // Expire stale ones first so the list never offers a challenge that cannot be accepted
+    const challenges = await this.challengeRepository.findForUser(userId);
+    for (const challenge of challenges.filter(c => c.isExpired(now))) {
+      await this._expire(challenge);
+    }
+
+    return this.challengeRepository.findForUser(userId, criteria);
+  }
+
+  /**
+   * Expire every pending challenge nobody answered in time
+   * @param {Date} now - Time to compare expiry times against
+   * @returns {Promise<Object[]>} One result per challenge: the expired challenge or an error
+   */
+  async expireStaleChallenges(now = new Date()) {
+    const challenges = await this.challengeRepository.findExpired(now);
+    const results = [];
+
+    for (const challenge of challenges) {
+      try {
+        results.push({ challengeId: challenge.id, challenge: await this._expire(challenge) });
+      } catch (error) {
+        results.push({ challengeId: challenge.id, error });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Load a challenge that the user may still answer
+   * A challenge found past its expiry time is expired on the spot.
+   * @param {string} challengeId - Challenge ID
+   * @param {string} userId - User answering
+   * @param {string} role - Field that must hold the user's ID: challengerId or challengedId
+   * @param {Date} now - Time of the answer
+   * @returns {Promise<Challenge>} Pending challenge
+   * @private
+   */
+  async _getChallengeForResponse(challengeId, userId, role, now) {
+    const challenge = await this.challengeRepository.findById(challengeId);
+    if (!challenge) {
+      throw new Error('Challenge not found');
+    }
+
+    if (challenge[role] !== userId) {
+      throw new Error(role === 'challengerId'
+        ? 'Only the challenger can cancel this challenge'
+        : 'Only the challenged user can answer this challenge');
+    }
+
+    if (challenge.isExpired(now)) {
+      await this._expire(challenge);
+      throw new Error('Challenge has expired');
+    }
+
+    if (challenge.status !== 'pending') {
+      throw new Error('Challenge is no longer pending');
+    }
+
+    return challenge;
+  }
+
+  /**
+   * Expire a challenge and tell both users
+   * @param {Challenge} challenge - Pending challenge past its expiry time
+   * @returns {Promise<Challenge>} Expired challenge
+   * @private
+   */
+  async _expire(challenge) {
+    const expired = await this.challengeRepository.resolve(challenge.expire());
+
+    for (const userId of [challenge.challengerId, challenge.challengedId]) {
+      await this._notify(userId, 'challenge_expired', 'A challenge expired without an answer', expired);
+    }
+
+    return expired;
+  }
+
+  /**
+   * Store a notification and push the challenge to the user's room
+   * @param {string} userId - User to notify
+   * @param {string} type - Notification type, also used as the Socket.IO event name
+   * @param {string} message - Notification message
+   * @param {Challenge} challenge - Challenge the notification is about
+   * @private
+   */
+  async _notify(userId, type, message, challenge) {
+    await this.notificationService.sendNotification(userId, type, message, {
+      challengeId: challenge.id,
+      gameId: challenge.gameId
+    });
+    await this.notificationService.sendRealTimeNotification(userId, type, challenge.toObject());
+  }
+}
+
+module.exports = ChallengeService;
@@ -0,0 +1,108 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Chat message domain entity
+ * A line of in-game chat, posted to the players' or the spectators' channel
+ */
+class ChatMessage {
+  constructor({
+    id = uuidv4(),
+    gameId,
+    userId,
+    username = null,
+    channel = 'players',
+    message,
+    createdAt = new Date(),
+    deletedAt = null,
+    deletedBy = null
+  }) {
+    this.id = id;
+    this.gameId = gameId;
+    this.userId = userId;
+    this.username = username;
+    this.channel = channel;
+    this.message = message;
+    this.createdAt = createdAt;
+    this.deletedAt = deletedAt;
+    this.deletedBy = deletedBy;
+
+    this._validateInvariants();
+  }
+
+  /**
+   * Validate domain invariants
+   * @private
+   */
+  _validateInvariants() {
+    if (!this.gameId || !this.userId) {
+      throw new Error('A chat message needs a game and an author');
+    }
+
+    if (!ChatMessage.CHANNELS.includes(this.channel)) {
+      throw new Error(`Chat channel must be one of: ${ChatMessage.CHANNELS.join(', ')}`);
+    }
+
+    if (typeof this.message !== 'string' || this.message.trim().length === 0) {
+      throw new Error('Chat message cannot be empty');
+    }
+
+    if (this.message.length > ChatMessage.MAX_LENGTH) {
+      throw new Error(`Chat message cannot be longer than ${ChatMessage.MAX_LENGTH} characters`);
+    }
+  }
+
+  /**
+   * Check if a moderator removed the message
+   * @returns {boolean}
+   */
+  isDeleted() {
+    return this.deletedAt !== null;
+  }
+
+  /**
+   * Remove the message
+   * @param {string} deletedBy - User ID of the moderator
+   * @returns {ChatMessage} Deleted message
+   */
+  delete(deletedBy) {
+    if (this.isDeleted()) {
+      throw new Error('Chat message was already deleted');
+    }
+
+    return new ChatMessage({
+      ...this,
+      deletedAt: new Date(),
+      deletedBy
+    });
+  }
+
+  /**
+   * Get a plain object representation
+   * @returns {Object}
+   */
+  toObject() {
+    return {
+      id: this.id,
+      gameId: this.gameId,
+      userId: this.userId,
+      username: this.username,
+      channel: this.channel,
+      message: this.message,
+      createdAt: this.createdAt,
+      deletedAt: this.deletedAt,
+      deletedBy: this.deletedBy
+    };
+  }
+}
+
+/**
+ * Channels a game's chat is split into
+ */
+ChatMessage.CHANNELS = ['players', 'spectators'];
+
+/**
+ * Longest message accepted, in characters
+ */
+ChatMessage.MAX_LENGTH = 500;
+
+module.exports = ChatMessage;
@@ -0,0 +1,183 @@
+const ChatMessage = require('./ChatMessage');
+const SpectatorService = require('./SpectatorService');
+
+/**
+ * In-game chat domain service
+ * Players talk in the game's players channel and everyone else in its spectators channel.
+ * Players cannot read the spectators channel until the game is over, so nobody can be
+ * coached from the sidelines. Private games' chat is only open to their players.
+ */
+class ChatService {
+  /**
+   * @param {ChatRepository} chatRepository - Chat persistence port
+   * @param {GameService} gameService - Game domain service
+   * @param {UserService} userService - User domain service
+   * @param {NotificationService} notificationService - Notification port
+   * @param {Object} options - Filter options
+   * @param {string[]} options.blockedWords - Words masked in addition to the defaults
+   */
+  constructor(chatRepository, gameService, userService, notificationService, { blockedWords = [] } = {}) {
+    this.chatRepository = chatRepository;
+    this.gameService = gameService;
+    this.userService = userService;
+    this.notificationService = notificationService;
+
+    const words = [...ChatService.BLOCKED_WORDS, ...blockedWords]
+      .map(word => word.trim().toLowerCase())
+      .filter(Boolean)
+      .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    this.blockedPattern = new RegExp(`\\b(?:${words.join('|')})(?:s|es|ed|ing|er)?\\b`, 'gi');
+  }
+
+  /**
+   * Post a message to the game's chat
+   * The channel follows from who is posting: players, or spectators if the game allows them.
+   * @param {string} gameId - Game ID
+   * @param {string} userId - Author
+   * @param {string} text - Message text
+   * @returns {Promise<ChatMessage>} Stored message, with blocked words masked
+   */
+  async postMessage(gameId, userId, text) {
+    const game = await this._getGame(gameId);
+    if (game.settings.allowChat === false) {
+      throw new Error('Chat is disabled in this game');
+    }
+
+    const user = await this.userService.findUserById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const players = await this.gameService.getGamePlayers(gameId);
+    if (!SpectatorService.isVisibleTo(game, players, userId)) {
+      throw new Error('This game is private; only its players can use its chat');
+    }
+
+    const isPlayer = players.some(p => p.user_id === userId);
+    if (!isPlayer && !SpectatorService.allowsSpectators(game)) {
+      throw new Error('Only players can chat in this game');
+    }
+
+    const message = await this.chatRepository.save(new ChatMessage({
+      gameId,
+      userId,
+      username: user.username,
+      channel: isPlayer ? 'players' : 'spectators',
+      message: this._filter(typeof text === 'string' ? text.trim() : text)
+    }));
+
+    await this._broadcast(message, 'chat-message', message.toObject());
+    return message;
+  }
+
+  /**
+   * Get the recent messages of one of a game's channels
+   * @param {string} gameId - Game ID
+   * @param {string|null} viewerId - User reading, or null for anonymous readers
+   * @param {Object} options - Query options
+   * @param {string} options.channel - 'players' (the default) or 'spectators'
+   * @param {number} options.limit - Most recent messages to return
+   * @returns {Promise<ChatMessage[]>} Messages, oldest first
+   */
+  async getMessages(gameId, viewerId = null, { channel = 'players', limit } = {}) {
+    if (!ChatMessage.CHANNELS.includes(channel)) {
+      throw new Error(`Chat channel must be one of: ${ChatMessage.CHANNELS.join(', ')}`);
+    }
+
+    const game = await this._getGame(gameId);
+    const players = await this.gameService.getGamePlayers(gameId);
+    if (!SpectatorService.isVisibleTo(game, players, viewerId)) {
+      throw new Error('This game is private; only its players can use its chat');
+    }
+
+    if (channel === 'spectators' && !game.hasStatus('completed') && !game.hasStatus('cancelled')) {
+      // Anonymous readers could be players in disguise, so they wait for the game to end too
+      if (!viewerId) {
+        throw new Error('Sign in to read the spectator chat while the game is running');
+      }
+
+      if (players.some(p => p.user_id === viewerId)) {
+        throw new Error('Players cannot read the spectator chat until the game is over');
+      }
+    }
+
+    return this.chatRepository.findForGame(gameId, channel, { limit });
+  }
+
+  /**
+   * Remove a message from a game's chat
+   * Only reachable through AdminService, which checks and audits the moderator.
+   * @param {string} gameId - Game ID
+   * @param {string} messageId - Message to remove
+   * @param {string} moderatorId - User ID of the moderator
+   * @returns {Promise<ChatMessage>} Deleted message
+   */
+  async deleteMessage(gameId, messageId, moderatorId) {
+    const message = await this.chatRepository.findById(messageId);
+    if (!message || message.gameId !== gameId) {
+      throw new Error('Chat message not found');
+    }
+
+    const deleted = message.delete(moderatorId);
+    await this.chatRepository.markDeleted(deleted);
+
+    await this._broadcast(deleted, 'chat-message-deleted', {
+      gameId,
+      messageId,
+      channel: deleted.channel
+    });
+
+    return deleted;
+  }
+
+  /**
+   * Mask blocked words, keeping their length
+   * @param {string} text - Message text
+   * @returns {string}
+   * @private
+   */
+  _filter(text) {
+    if (typeof text !== 'string') {
+      return text;
+    }
+
+    return text.replace(this.blockedPattern, word => '*'.repeat(word.length));
+  }
+
+  /**
+   * Send a chat event to whoever can read the message's channel
+   * @param {ChatMessage} message - Message the event is about
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _broadcast(message, event, data) {
+    if (message.channel === 'players') {
+      await this.notificationService.broadcastToGame(message.gameId, event, data);
+    } else {
+      await this.notificationService.broadcastToSpectators(message.gameId, event, data);
+    }
+  }
+
+  /**
+   * Load a game or fail
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Game>}
+   * @private
+   */
+  async _getGame(gameId) {
+    const game = await this.gameService.getGameById(gameId);
+    if (!game) {
+      throw new Error('Game not found');
+    }
+    return game;
+  }
+}
+
+/**
+ * Words masked in every game's chat
+ */
+ChatService.BLOCKED_WORDS = ['fuck', 'shit', 'bitch', 'cunt', 'asshole', 'bastard', 'motherfucker', 'wanker', 'twat'];
+
+module.exports = ChatService;
@@ -1,4 +1,5 @@
 const { v4: uuidv4 } = require('uuid');
+const TimeControl = require('./TimeControl');
 
 /**
  * Game domain entity
@@ -12,10 +13,22 @@ class Game {
     status = 'waiting',
     currentPlayerId = null,
     boardState,
+    initialBoardState = null,
     moveCount = 0,
     minPlayers,
     maxPlayers,
     settings = {},
+    moveDeadline = null,
+    timeRemaining = null,
+    clockPausedAt = null,
+    visibility = 'public',
+    inviteToken = null,
+    rematchOf = null,
+    reservedSeats = null,
+    mode = 'standard',
+    forkedFrom = null,
+    forkedAtMove = null,
+    analysisSeats = null,
     createdAt = new Date(),
     updatedAt = new Date()
   }) {
@@ -25,10 +38,22 @@ class Game {
     this.status = status;
     this.currentPlayerId = currentPlayerId;
     this.boardState = boardState;
+    this.initialBoardState = initialBoardState;
     this.moveCount = moveCount;
     this.minPlayers = minPlayers;
     this.maxPlayers = maxPlayers;
     this.settings = settings;
+    this.moveDeadline = moveDeadline;
+    this.timeRemaining = timeRemaining;
+    this.clockPausedAt = clockPausedAt;
+    this.visibility = visibility;
+    this.inviteToken = inviteToken;
+    this.rematchOf = rematchOf;
+    this.reservedSeats = reservedSeats;
+    this.mode = mode;
+    this.forkedFrom = forkedFrom;
+    this.forkedAtMove = forkedAtMove;
+    this.analysisSeats = analysisSeats;
     this.createdAt = createdAt;
     this.updatedAt = updatedAt;
 
@@ -67,6 +92,22 @@ class Game {
     if (this.moveCount < 0) {
       throw new Error('Move count cannot be negative');
     }
+
+    if (!Game.VISIBILITIES.includes(this.visibility)) {
+      throw new Error(`Visibility must be one of: ${Game.VISIBILITIES.join(', ')}`);
+    }
+
+    if (this.reservedSeats && this.maxPlayers && this.reservedSeats.length > this.maxPlayers) {
+      throw new Error('Cannot reserve more seats than the game has');
+    }
+
+    if (!Game.MODES.includes(this.mode)) {
+      throw new Error(`Mode must be one of: ${Game.MODES.join(', ')}`);
+    }
+
+    if (this.isAnalysis() && (!Array.isArray(this.analysisSeats) || this.analysisSeats.length === 0)) {
+      throw new Error('Analysis games need the seats they play for');
+    }
   }
 
   /**
@@ -86,7 +127,167 @@ class Game {
   canStart(currentPlayerCount) {
     return this.status === 'waiting' && 
            currentPlayerCount >= this.minPlayers && 
-           currentPlayerCount <= this.maxPlayers;
+           currentPlayerCount <= this.maxPlayers &&
+           (!this.reservedSeats || currentPlayerCount >= this.reservedSeats.length);
+  }
+
+  /**
+   * Check if the game shows up in game lists for people not playing in it
+   * @returns {boolean}
+   */
+  isListed() {
+    return this.visibility === 'public';
+  }
+
+  /**
+   * Check if this is a sandbox game for exploring a position rather than a real contest
+   * @returns {boolean}
+   */
+  isAnalysis() {
+    return this.mode === 'analysis';
+  }
+
+  /**
+   * Check if a player may make the next move
+   * In analysis games the owner moves for every seat; otherwise only the current player may.
+   * @param {string} playerId - Player ID
+   * @param {string[]} playerIds - IDs of the game's players
+   * @returns {boolean}
+   */
+  canMove(playerId, playerIds) {
+    if (this.isAnalysis()) {
+      return playerIds.includes(playerId);
+    }
+    return this.isCurrentPlayer(playerId);
+  }
+
+  /**
+   * Check if an invite token lets a new player join
+   * Only private games need one; a revoked invite admits nobody.
+   * @param {string|null} token - Token presented by the joining player
+   * @returns {boolean}
+   */
+  acceptsInvite(token) {
+    if (this.visibility !== 'private') {
+      return true;
+    }
+    return this.inviteToken !== null && token === this.inviteToken;
+  }
+
+  /**
+   * Get the seat held for a player in a game whose seats are reserved
+   * @param {string} playerId - Player ID
+   * @returns {number|null} Player order, or null if no seat is held for them
+   */
+  getReservedSeat(playerId) {
+    if (!this.reservedSeats) {
+      return null;
+    }
+    const index = this.reservedSeats.indexOf(playerId);
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Set up a rematch of this completed game
+   * The new game has the same type, name, visibility and settings, minus this game's result,
+   * and holds seats for the same players with the seat order rotated by one.
+   * @param {string[]} playerIds - Players of this game in seat order
+   * @param {*} boardState - Serialized initial board state for the new game
+   * @returns {Game} New game
+   */
+  createRematch(playerIds, boardState) {
+    if (this.status !== 'completed') {
+      throw new Error('Can only rematch completed games');
+    }
+
+    if (this.isAnalysis()) {
+      throw new Error('Can only rematch competitive games');
+    }
+
+    const settings = { ...this.settings };
+    Game.RESULT_SETTINGS.forEach(key => delete settings[key]);
+
+    const rematch = new Game({
+      name: this.name,
+      gameType: this.gameType,
+      boardState,
+      initialBoardState: boardState,
+      minPlayers: this.minPlayers,
+      maxPlayers: this.maxPlayers,
+      settings,
+      visibility: this.visibility,
+      rematchOf: this.id,
+      reservedSeats: [...playerIds.slice(1), playerIds[0]]
+    });
+
+    return rematch.visibility === 'private' ? rematch.createInvite() : rematch;
+  }
+
+  /**
+   * Set up an analysis game from a position of this game
+   * The fork is private, untimed and starts active at the given ply. Its owner plays every seat,
+   * which keeps the players of this game so the rules still know whose pieces are whose.
+   * @param {number} moveNumber - Ply the fork starts from
+   * @param {*} boardState - Serialized board state at that ply
+   * @param {Object[]} seats - Players of this game as user_id, username, player_order and color
+   * @param {string} currentPlayerId - Seat to move at that ply
+   * @param {*} initialBoardState - Serialized starting position of this game, which the fork shares
+   * @returns {Game} New game
+   */
+  fork(moveNumber, boardState, seats, currentPlayerId, initialBoardState) {
+    const settings = { ...this.settings };
+    Game.RESULT_SETTINGS.forEach(key => delete settings[key]);
+    delete settings.timeControl;
+
+    return new Game({
+      name: `${this.name} (analysis)`,
+      gameType: this.gameType,
+      status: 'active',
+      currentPlayerId,
+      boardState,
+      initialBoardState,
+      moveCount: moveNumber,
+      minPlayers: 1,
+      maxPlayers: 1,
+      settings: { ...settings, allowSpectators: false, allowChat: false },
+      visibility: 'private',
+      mode: 'analysis',
+      forkedFrom: this.id,
+      forkedAtMove: moveNumber,
+      analysisSeats: seats
+    });
+  }
+
+  /**
+   * Issue a new invite token, replacing any earlier one
+   * @returns {Game} New game instance
+   */
+  createInvite() {
+    if (this.visibility !== 'private') {
+      throw new Error('Only private games use invite tokens');
+    }
+
+    return new Game({
+      ...this,
+      inviteToken: uuidv4(),
+      updatedAt: new Date()
+    });
+  }
+
+  /**
+   * Revoke the invite token so nobody else can join until a new one is issued
+   * @returns {Game} New game instance
+   */
+  revokeInvite() {
+    if (this.visibility !== 'private') {
+      throw new Error('Only private games use invite tokens');
+    }
+
+    return new Game({
+      ...this,
+      inviteToken: null,
+      updatedAt: new Date()
+    });
   }
 
   /**
@@ -99,11 +300,13 @@ class Game {
       throw new Error('Game can only be started from waiting status');
     }
 
+    const now = new Date();
     return new Game({
       ...this,
       status: 'active',
       currentPlayerId: firstPlayerId,
-      updatedAt: new Date()
+      moveDeadline: this.getMoveDeadline(firstPlayerId, now),
+      updatedAt: now
     });
   }
 
@@ -118,21 +321,51 @@ class Game {
       throw new Error('Can only make moves in active games');
     }
 
+    const now = new Date();
     return new Game({
       ...this,
+      ...this._passClock(this.currentPlayerId, nextPlayerId, now),
       currentPlayerId: nextPlayerId,
       boardState: newBoardState,
       moveCount: this.moveCount + 1,
-      updatedAt: new Date()
+      updatedAt: now
+    });
+  }
+
+  /**
+   * Undo the last move
+   * @param {string} playerId - Player who made the move and moves again
+   * @param {Object} previousBoardState - Board state before the move
+   * @returns {Game} New game instance
+   */
+  takeBackMove(playerId, previousBoardState) {
+    if (this.status !== 'active') {
+      throw new Error('Can only take back moves in active games');
+    }
+
+    if (this.moveCount === 0) {
+      throw new Error('There is no move to take back');
+    }
+
+    // The opponent pays for the time they spent considering the move, without an increment
+    const now = new Date();
+    return new Game({
+      ...this,
+      ...this._passClock(this.currentPlayerId, playerId, now, { increment: false }),
+      currentPlayerId: playerId,
+      boardState: previousBoardState,
+      moveCount: this.moveCount - 1,
+      updatedAt: now
     });
   }
 
   /**
    * Complete the game
    * @param {string|null} winnerId - ID of the winning player, null for draw
+   * @param {string|null} terminationReason - Why the game ended early (e.g. 'resignation'), null for a normal finish
    * @returns {Game} New game instance
    */
-  complete(winnerId = null) {
+  complete(winnerId = null, terminationReason = null) {
     if (this.status !== 'active') {
       throw new Error('Can only complete active games');
     }
@@ -141,28 +374,42 @@ class Game {
       ...this,
       status: 'completed',
       currentPlayerId: null,
+      moveDeadline: null,
+      clockPausedAt: null,
       updatedAt: new Date(),
       settings: {
         ...this.settings,
-        winnerId
+        winnerId,
+        terminationReason
       }
     });
   }
 
   /**
    * Cancel the game
+   * @param {string|null} terminationReason - Why the game was cancelled (e.g. 'aborted')
    * @returns {Game} New game instance
    */
-  cancel() {
+  cancel(terminationReason = null) {
     if (this.status === 'completed') {
       throw new Error('Cannot cancel completed games');
     }
 
+    if (this.status === 'cancelled') {
+      throw new Error('Game is already cancelled');
+    }
+
     return new Game({
       ...this,
       status: 'cancelled',
       currentPlayerId: null,
-      updatedAt: new Date()
+      moveDeadline: null,
+      clockPausedAt: null,
+      updatedAt: new Date(),
+      settings: {
+        ...this.settings,
+        terminationReason
+      }
     });
   }
 
@@ -182,6 +429,129 @@ class Game {
     });
   }
 
+  /**
+   * Get the game's time control
+   * @returns {TimeControl|null} Time control, or null for untimed games
+   */
+  getTimeControl() {
+    return TimeControl.fromSettings(this.settings);
+  }
+
+  /**
+   * Get the deadline for a player whose turn starts now
+   * @param {string} playerId - Player ID
+   * @param {Date} now - Start of the turn
+   * @returns {Date|null} Deadline, or null for untimed games
+   */
+  getMoveDeadline(playerId, now = new Date()) {
+    const timeControl = this.getTimeControl();
+    return timeControl && playerId ? timeControl.getDeadline(playerId, this.timeRemaining, now) : null;
+  }
+
+  /**
+   * Check if the current player has run out of time
+   * @param {Date} now - Time to check against
+   * @returns {boolean}
+   */
+  isOverdue(now = new Date()) {
+    return this.status === 'active' &&
+           !this.isClockPaused() &&
+           this.moveDeadline !== null &&
+           this.moveDeadline.getTime() <= now.getTime();
+  }
+
+  /**
+   * Check if the clock is stopped, e.g. while a player is on vacation
+   * @returns {boolean}
+   */
+  isClockPaused() {
+    return this.clockPausedAt !== null;
+  }
+
+  /**
+   * Stop the clock; time stands still for every player until it is resumed
+   * @param {Date} now - Time the clock stops
+   * @returns {Game} New game instance
+   */
+  pauseClock(now = new Date()) {
+    if (!this.getTimeControl() || this.isClockPaused()) {
+      return this;
+    }
+
+    return new Game({
+      ...this,
+      clockPausedAt: now
+    });
+  }
+
+  /**
+   * Restart a stopped clock, moving the deadline on by the time it was stopped
+   * @param {Date} now - Time the clock restarts
+   * @returns {Game} New game instance
+   */
+  resumeClock(now = new Date()) {
+    if (!this.isClockPaused()) {
+      return this;
+    }
+
+    const pausedFor = Math.max(0, now.getTime() - this.clockPausedAt.getTime());
+    return new Game({
+      ...this,
+      moveDeadline: this.moveDeadline ? new Date(this.moveDeadline.getTime() + pausedFor) : null,
+      clockPausedAt: null
+    });
+  }
+
+  /**
+   * Get each player's remaining time
+   * The player on move has until the deadline; the others have what they will get when their turn starts.
+   * @param {string[]} playerIds - Player IDs
+   * @param {Date} now - Time to measure from
+   * @returns {Object|null} Milliseconds by player ID, or null for untimed games
+   */
+  getRemainingTime(playerIds, now = new Date()) {
+    const timeControl = this.getTimeControl();
+    if (!timeControl || this.status === 'completed' || this.status === 'cancelled') {
+      return null;
+    }
+
+    const clockTime = this.clockPausedAt || now;
+    const remaining = {};
+    for (const playerId of playerIds) {
+      remaining[playerId] = playerId === this.currentPlayerId && this.moveDeadline
+        ? Math.max(0, this.moveDeadline.getTime() - clockTime.getTime())
+        : timeControl.getAllowance(playerId, this.timeRemaining);
+    }
+    return remaining;
+  }
+
+  /**
+   * Stop one player's clock and start the next one's
+   * @param {string|null} fromPlayerId - Player whose turn ends
+   * @param {string|null} toPlayerId - Player whose turn starts
+   * @param {Date} now - Time of the hand-over
+   * @param {Object} options - Options passed to TimeControl#charge
+   * @returns {Object} Clock fields for the new game instance
+   * @private
+   */
+  _passClock(fromPlayerId, toPlayerId, now, options = {}) {
+    const timeControl = this.getTimeControl();
+    if (!timeControl) {
+      return {};
+    }
+
+    // While the clock is stopped, turns change hands at the moment it stopped
+    const clockTime = this.clockPausedAt || now;
+    const timeRemaining = fromPlayerId
+      ? timeControl.charge(fromPlayerId, this.timeRemaining, this.moveDeadline, clockTime, options)
+      : this.timeRemaining;
+
+    return {
+      timeRemaining,
+      moveDeadline: toPlayerId ? timeControl.getDeadline(toPlayerId, timeRemaining, clockTime) : null
+    };
+  }
+
   /**
    * Check if a player is the current player
    * @param {string} playerId - Player ID to check
@@ -228,10 +598,22 @@ class Game {
       status: this.status,
       currentPlayerId: this.currentPlayerId,
       boardState: this.boardState,
+      initialBoardState: this.initialBoardState,
       moveCount: this.moveCount,
       minPlayers: this.minPlayers,
       maxPlayers: this.maxPlayers,
       settings: this.settings,
+      moveDeadline: this.moveDeadline,
+      timeRemaining: this.timeRemaining,
+      clockPausedAt: this.clockPausedAt,
+      visibility: this.visibility,
+      inviteToken: this.inviteToken,
+      rematchOf: this.rematchOf,
+      reservedSeats: this.reservedSeats,
+      mode: this.mode,
+      forkedFrom: this.forkedFrom,
+      forkedAtMove: this.forkedAtMove,
+      analysisSeats: this.analysisSeats,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
@@ -245,10 +627,27 @@ class Game {
   static fromObject(data) {
     return new Game({
       ...data,
+      moveDeadline: data.moveDeadline ? new Date(data.moveDeadline) : null,
+      clockPausedAt: data.clockPausedAt ? new Date(data.clockPausedAt) : null,
       createdAt: new Date(data.createdAt),
       updatedAt: new Date(data.updatedAt)
     });
   }
 }
 
+/**
+ * Who can find a game: everyone, only people with its ID, or only people with an invite
+ */
+Game.VISIBILITIES = ['public', 'unlisted', 'private'];
+
+/**
+ * Standard games are played for real; analysis games are sandboxes forked from a position
+ */
+Game.MODES = ['standard', 'analysis'];
+
+/**
+ * Settings keys that record how a game ended rather than how it is played
+ */
+Game.RESULT_SETTINGS = ['winnerId', 'terminationReason', 'terminatedBy', 'timedOutPlayerId'];
+
 module.exports = Game;
\ No newline at end of file
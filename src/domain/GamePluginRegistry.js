@@ -265,7 +265,9 @@ class GamePluginRegistry {
    */
   loadKnownPlugins() {
     const knownPlugins = [
-      { name: 'chess', path: '../plugins/ChessPlugin' }
+      { name: 'chess', path: '../plugins/chess/ChessPlugin' },
+      { name: 'checkers', path: '../plugins/checkers/CheckersPlugin' },
+      { name: 'hearts', path: '../plugins/hearts/HeartsPlugin' }
     ];
     
     for (const plugin of knownPlugins) {
@@ -1,4 +1,5 @@
 const Game = require('./Game');
+const TimeControl = require('./TimeControl');
 
 /**
  * Game domain service
@@ -19,9 +20,10 @@ class GameService {
    * @param {string} gameData.gameType - Game type
    * @param {string} gameData.creatorId - Creator user ID
    * @param {Object} gameData.settings - Game settings
+   * @param {string} gameData.visibility - 'public', 'unlisted' or 'private'
    * @returns {Promise<Game>} Created game
    */
-  async createGame({ name, gameType, creatorId, settings = {} }) {
+  async createGame({ name, gameType, creatorId, settings = {}, visibility = 'public' }) {
     // Validate creator exists
     const creator = await this.userRepository.findById(creatorId);
     if (!creator) {
@@ -35,250 +37,1483 @@ class GameService {
     }
 
     // Get initial board state from plugin
-    const initialBoardState = gamePlugin.getInitialBoardState(settings);
+    const initialBoardState = this.validateSettings(gamePlugin, settings);
 
-    // Create game entity
-    const game = new Game({
+    // Create game entity; the starting position is kept for replays, as some games deal it at random
+    const serializedBoardState = gamePlugin.serializeBoardState(initialBoardState);
+    let game = new Game({
       name,
       gameType,
-      boardState: gamePlugin.serializeBoardState(initialBoardState),
+      boardState: serializedBoardState,
+      initialBoardState: serializedBoardState,
       minPlayers: gamePlugin.getMinPlayers(),
       maxPlayers: gamePlugin.getMaxPlayers(),
-      settings
+      settings,
+      visibility
     });
+    if (visibility === 'private') {
+      game = game.createInvite();
+    }
+
+    // Save game
+    const savedGame = await this.gameRepository.save(game);
+
+    // Add creator as first player
+    await this.addPlayerToGame(savedGame.id, creatorId, savedGame.inviteToken);
+
+    return savedGame;
+  }
+
+  /**
+   * Check settings before a game is created with them
+   * @param {GamePlugin} gamePlugin - Plugin of the game type
+   * @param {Object} settings - Game settings
+   * @returns {Object} Initial board state for the settings
+   */
+  validateSettings(gamePlugin, settings) {
+    // Reject malformed clocks before anything is stored
+    TimeControl.fromSettings(settings);
+
+    for (const flag of ['allowSpectators', 'allowChat']) {
+      if (settings[flag] !== undefined && typeof settings[flag] !== 'boolean') {
+        throw new Error(`${flag} must be true or false`);
+      }
+    }
+
+    // Plugins reject settings they cannot start from, such as a bad startFen
+    return gamePlugin.getInitialBoardState(settings);
+  }
+
+  /**
+   * Add a player to a game
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Player ID
+   * @param {string|null} inviteToken - Invite token; required for private games
+   * @returns {Promise<Object>} Player assignment data
+   */
+  async addPlayerToGame(gameId, playerId, inviteToken = null) {
+    const player = await this.userRepository.findById(playerId);
+    if (!player) {
+      throw new Error('Player not found');
+    }
+
+    // Count, insert and start in one unit of work so concurrent joins cannot over-fill the game
+    const { playerAssignment, firstPlayer } = await this.gameRepository.transaction(async (repository) => {
+      const game = await repository.findById(gameId);
+      if (!game) {
+        throw new Error('Game not found');
+      }
+
+      // Check if game can accept players
+      const currentPlayers = await repository.getPlayers(gameId);
+      if (!game.canAcceptPlayers(currentPlayers.length)) {
+        throw new Error('Game cannot accept new players');
+      }
+
+      // Check if player is already in game
+      if (currentPlayers.some(p => p.user_id === playerId)) {
+        throw new Error('Player already in this game');
+      }
+
+      // Rematches hold a seat for each original player, who needs no invite to take it
+      const reservedSeat = game.getReservedSeat(playerId);
+      if (game.reservedSeats && !reservedSeat) {
+        throw new Error('This rematch is reserved for the players of the previous game');
+      }
+
+      if (!reservedSeat && !game.acceptsInvite(inviteToken)) {
+        throw new Error('This game is private; a valid invite token is required');
+      }
+
+      // Get game plugin for color assignment
+      const gamePlugin = this.gamePluginRegistry.getPlugin(game.gameType);
+      const playerOrder = reservedSeat || currentPlayers.length + 1;
+      const color = gamePlugin.assignPlayerColor(playerOrder, game.maxPlayers);
+
+      // Add player
+      const assignment = await repository.addPlayer(gameId, playerId, {
+        playerOrder,
+        color
+      });
+
+      // Check if game can start
+      const updatedPlayers = await repository.getPlayers(gameId);
+      if (!game.canStart(updatedPlayers.length)) {
+        return { playerAssignment: assignment, firstPlayer: null };
+      }
+
+      // Start the game, with the clock stopped if someone is already away
+      const firstPlayerId = gamePlugin.getFirstPlayer(updatedPlayers, gamePlugin.deserializeBoardState(game.boardState));
+      const first = updatedPlayers.find(p => p.user_id === firstPlayerId);
+      let startedGame = game.start(first.user_id);
+      if (await this._anyPlayerOnVacation(updatedPlayers)) {
+        startedGame = startedGame.pauseClock();
+      }
+      await repository.update(gameId, startedGame.toObject());
+
+      return { playerAssignment: assignment, firstPlayer: first };
+    });
+
+    if (firstPlayer) {
+      // Notify all players
+      await this.notificationService.broadcastToGame(gameId, 'game-started', {
+        gameId,
+        currentPlayerId: firstPlayer.user_id
+      });
+
+      // Notify current player
+      await this.notificationService.sendNotification(
+        firstPlayer.user_id,
+        'turn',
+        "It's your turn!",
+        { gameId }
+      );
+    }
+
+    return playerAssignment;
+  }
+
+  /**
+   * Make a move in a game
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Player ID
+   * @param {Object} move - Move data
+   * @param {number|null} expectedMoveCount - Move count the client based the move on; a mismatch
+   *   rejects the move as stale instead of applying it to a position the player has not seen
+   * @returns {Promise<Object>} Move result
+   */
+  async makeMove(gameId, playerId, move, expectedMoveCount = null) {
+    // Validate game and player
+    const game = await this.gameRepository.findById(gameId);
+    if (!game) {
+      throw new Error('Game not found');
+    }
+
+    if (expectedMoveCount !== null && expectedMoveCount !== game.moveCount) {
+      throw new Error('Game has changed since it was loaded; reload and try again');
+    }
+
+    const player = await this.userRepository.findById(playerId);
+    if (!player) {
+      throw new Error('Player not found');
+    }
+
+    // Validate game state
+    if (!game.hasStatus('active')) {
+      throw new Error('Game is not active');
+    }
+
+    // The sweeper may not have reached the game yet; a missed deadline is applied before any move
+    if (game.isOverdue()) {
+      await this._forfeitOnTime(game);
+      throw new Error('Game is not active: the player to move ran out of time');
+    }
+
+    // Get game plugin and players
+    const gamePlugin = this.gamePluginRegistry.getPlugin(game.gameType);
+    const players = await this.gameRepository.getPlayers(gameId);
+
+    if (!game.canMove(playerId, players.map(p => p.user_id))) {
+      throw new Error('Not your turn');
+    }
+
+    // In analysis games the owner moves for whichever seat is to move
+    const seats = this.getSeats(game, players);
+    const moverId = game.isAnalysis() ? game.currentPlayerId : playerId;
+    const currentBoardState = gamePlugin.deserializeBoardState(game.boardState);
+
+    // Validate move
+    const validation = gamePlugin.validateMove(move, currentBoardState, moverId, seats);
+    if (!validation.valid) {
+      throw new Error(`Invalid move: ${validation.error}`);
+    }
+
+    // Apply move
+    const newBoardState = gamePlugin.applyMove(move, currentBoardState, moverId, seats);
+    const serializedNewBoardState = gamePlugin.serializeBoardState(newBoardState);
+
+    // Check if game is complete
+    const isGameComplete = gamePlugin.isGameComplete(newBoardState, seats);
+    let winner = null;
+    let updatedGame;
+
+    if (isGameComplete) {
+      winner = gamePlugin.getWinner(newBoardState, seats);
+      updatedGame = game.makeMove(null, serializedNewBoardState).complete(winner);
+    } else {
+      const nextPlayerId = gamePlugin.getNextPlayer(moverId, seats, newBoardState);
+      updatedGame = game.makeMove(nextPlayerId, serializedNewBoardState);
+    }
+
+    // Save move and update game together; the update fails if another move landed since we read the game
+    await this.gameRepository.transaction(async (repository) => {
+      await repository.update(gameId, updatedGame.toObject(), { expectedMoveCount: game.moveCount });
+      await repository.saveMove(
+        gameId,
+        moverId,
+        move,
+        serializedNewBoardState,
+        game.moveCount + 1
+      );
+    });
+
+    // Nobody else is playing an analysis game, so there is nobody to tell and no prepared reply to play
+    if (game.isAnalysis()) {
+      return {
+        success: true,
+        gameComplete: isGameComplete,
+        winner,
+        nextPlayerId: updatedGame.currentPlayerId,
+        moveCount: updatedGame.moveCount,
+        newBoardState: gamePlugin.getPlayerView(newBoardState, moverId, seats),
+        conditionalReply: null
+      };
+    }
+
+    // Send notifications
+    await this._notifyMoveMade(gameId, updatedGame, playerId, move, newBoardState, players, winner);
+    if (isGameComplete) {
+      await this._updateRatings(players, winner);
+      await this._notifyGameComplete(gameId, players, winner);
+      await this.gameRepository.deleteConditionalMoves(gameId);
+    } else {
+      const conditionalReply = await this._playConditionalReply(game, updatedGame, playerId, players);
+      if (conditionalReply) {
+        // Report the position after the prepared reply, which the mover now has to answer
+        const latest = await this.gameRepository.findById(gameId);
+        return {
+          success: true,
+          gameComplete: latest.hasStatus('completed'),
+          winner: latest.settings.winnerId ?? null,
+          nextPlayerId: latest.currentPlayerId,
+          moveCount: latest.moveCount,
+          newBoardState: gamePlugin.getPlayerView(gamePlugin.deserializeBoardState(latest.boardState), playerId, players),
+          conditionalReply
+        };
+      }
+    }
+
+    return {
+      success: true,
+      gameComplete: isGameComplete,
+      winner,
+      nextPlayerId: updatedGame.currentPlayerId,
+      moveCount: updatedGame.moveCount,
+      newBoardState: gamePlugin.getPlayerView(newBoardState, playerId, players),
+      conditionalReply: null
+    };
+  }
+
+  /**
+   * Store a conditional line: "if my opponent plays this, reply with that"
+   * The line alternates between the opponent's moves and the player's replies, starting with the
+   * opponent's next move, and is checked against the current position before it is stored. A new
+   * line replaces any earlier one that starts with the same opponent move.
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Player preparing the line
+   * @param {Array} moves - Opponent move, reply, opponent move, reply, ...
+   * @returns {Promise<Object>} Stored line
+   */
+  async setConditionalMoves(gameId, playerId, moves) {
+    const { game, players } = await this._getGameForParticipant(gameId, playerId);
+
+    if (!game.hasStatus('active')) {
+      throw new Error('Can only set conditional moves in active games');
+    }
+
+    if (players.length !== 2) {
+      throw new Error('Conditional moves are only available in two-player games');
+    }
+
+    if (game.isCurrentPlayer(playerId)) {
+      throw new Error('Can only set conditional moves while your opponent is to move');
+    }
+
+    const gamePlugin = this.gamePluginRegistry.getPlugin(game.gameType);
+    this._checkConditionalLine(gamePlugin, game, players, playerId, moves);
+
+    // Lines prepared for an earlier position can never trigger, and only one reply per opponent move
+    const triggerBoardState = this._boardStateAfter(gamePlugin, game.boardState, moves[0], game.currentPlayerId, players);
+    const existing = await this.gameRepository.findConditionalMoves(gameId, playerId);
+    for (const line of existing) {
+      if (line.moveCount !== game.moveCount ||
+          this._boardStateAfter(gamePlugin, game.boardState, line.moves[0], game.currentPlayerId, players) === triggerBoardState) {
+        await this.gameRepository.deleteConditionalMoves(gameId, { playerId, id: line.id });
+      }
+    }
+
+    return this.gameRepository.saveConditionalMoves({
+      gameId,
+      playerId,
+      moveCount: game.moveCount,
+      moves
+    });
+  }
+
+  /**
+   * Get a player's own conditional lines for the current position
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Player whose lines to return
+   * @returns {Promise<Array>} Stored lines, oldest first
+   */
+  async getConditionalMoves(gameId, playerId) {
+    const { game } = await this._getGameForParticipant(gameId, playerId);
+
+    const lines = await this.gameRepository.findConditionalMoves(gameId, playerId);
+    return lines.filter(line => line.moveCount === game.moveCount);
+  }
+
+  /**
+   * Drop a player's conditional lines
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Player whose lines to drop
+   * @param {string|null} lineId - Only this line; all of them if omitted
+   * @returns {Promise<number>} Number of lines dropped
+   */
+  async clearConditionalMoves(gameId, playerId, lineId = null) {
+    await this._getGameForParticipant(gameId, playerId);
+
+    const deleted = await this.gameRepository.deleteConditionalMoves(gameId, { playerId, id: lineId });
+    if (lineId && deleted === 0) {
+      throw new Error('Conditional line not found');
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Check a conditional line can be played out from the current position
+   * @param {Object} gamePlugin - Game type plugin
+   * @param {Game} game - Game entity
+   * @param {Array} players - Game players
+   * @param {string} playerId - Player preparing the line
+   * @param {Array} moves - Line to check
+   * @private
+   */
+  _checkConditionalLine(gamePlugin, game, players, playerId, moves) {
+    if (!Array.isArray(moves) || moves.length < 2 || moves.length % 2 !== 0) {
+      throw new Error('Conditional line must list pairs of moves: an opponent move, then your reply');
+    }
+
+    let boardState = gamePlugin.deserializeBoardState(game.boardState);
+    let moverId = game.currentPlayerId;
+
+    moves.forEach((move, index) => {
+      const expectedMoverId = index % 2 === 0 ? game.currentPlayerId : playerId;
+      if (moverId !== expectedMoverId) {
+        throw new Error('Conditional line must alternate between your opponent and you');
+      }
+
+      const validation = gamePlugin.validateMove(move, boardState, moverId, players);
+      if (!validation.valid) {
+        throw new Error(`Conditional line move ${index + 1} is not valid: ${validation.error}`);
+      }
+
+      boardState = gamePlugin.applyMove(move, boardState, moverId, players);
+      if (gamePlugin.isGameComplete(boardState, players)) {
+        if (index < moves.length - 1) {
+          throw new Error('Conditional line continues past the end of the game');
+        }
+      } else {
+        moverId = gamePlugin.getNextPlayer(moverId, players, boardState);
+      }
+    });
+  }
+
+  /**
+   * Serialized board state after a move, or null if the move is not legal there
+   * Moves are compared by the position they lead to, so equivalent notations match.
+   * @param {Object} gamePlugin - Game type plugin
+   * @param {string} serializedBoardState - Position before the move
+   * @param {Object} move - Move data
+   * @param {string} moverId - Player making the move
+   * @param {Array} players - Game players
+   * @returns {string|null}
+   * @private
+   */
+  _boardStateAfter(gamePlugin, serializedBoardState, move, moverId, players) {
+    const boardState = gamePlugin.deserializeBoardState(serializedBoardState);
+    if (!gamePlugin.validateMove(move, boardState, moverId, players).valid) {
+      return null;
+    }
+
+    return gamePlugin.serializeBoardState(gamePlugin.applyMove(move, boardState, moverId, players));
+  }
+
+  /**
+   * Play the reply the next player prepared for the move just made, if they prepared one
+   * Every other line of theirs is dropped, since the opponent has now chosen. The rest of a
+   * longer line is stored again for the position after the reply.
+   * @param {Game} game - Game before the move
+   * @param {Game} updatedGame - Game after the move
+   * @param {string} moverId - Player who just moved
+   * @param {Array} players - Game players
+   * @returns {Promise<Object|null>} The reply played, or null if none was
+   * @private
+   */
+  async _playConditionalReply(game, updatedGame, moverId, players) {
+    const ownerId = updatedGame.currentPlayerId;
+    const lines = await this.gameRepository.findConditionalMoves(game.id, ownerId);
+    if (lines.length === 0) {
+      return null;
+    }
+
+    await this.gameRepository.deleteConditionalMoves(game.id, { playerId: ownerId });
+
+    const gamePlugin = this.gamePluginRegistry.getPlugin(game.gameType);
+    const line = lines.find(candidate =>
+      candidate.moveCount === game.moveCount &&
+      this._boardStateAfter(gamePlugin, game.boardState, candidate.moves[0], moverId, players) === updatedGame.boardState
+    );
+    if (!line) {
+      return null;
+    }
+
+    const [, reply, ...rest] = line.moves;
+
+    // Stored before the reply is played, so the mover's own prepared answer to it can see it
+    const remainder = rest.length > 0
+      ? await this.gameRepository.saveConditionalMoves({
+        gameId: game.id,
+        playerId: ownerId,
+        moveCount: updatedGame.moveCount + 1,
+        moves: rest
+      })
+      : null;
+
+    try {
+      await this.makeMove(game.id, ownerId, reply, updatedGame.moveCount);
+    } catch (error) {
+      if (remainder) {
+        await this.gameRepository.deleteConditionalMoves(game.id, { playerId: ownerId, id: remainder.id });
+      }
+      await this.notificationService.sendNotification(
+        ownerId,
+        'conditional_move_failed',
+        `Your prepared reply could not be played: ${error.message}`,
+        { gameId: game.id }
+      );
+      return null;
+    }
+
+    await this.notificationService.sendNotification(
+      ownerId,
+      'conditional_move_played',
+      'Your opponent played into your prepared line and your reply was made',
+      { gameId: game.id }
+    );
+
+    return { playerId: ownerId, move: reply };
+  }
+
+  /**
+   * Resign from an active game
+   * In a two-player game the opponent wins; with more players the game ends without a winner.
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Player resigning
+   * @returns {Promise<Object>} Termination result
+   */
+  async resignGame(gameId, playerId) {
+    const { game, players } = await this._getGameForParticipant(gameId, playerId);
+    this._checkCompetitive(game, 'Resigning');
+
+    if (!game.hasStatus('active')) {
+      throw new Error('Can only resign from active games');
+    }
+
+    const opponents = players.filter(p => p.user_id !== playerId);
+    const winner = opponents.length === 1 ? opponents[0].user_id : null;
+    const updatedGame = game.complete(winner, 'resignation').updateSettings({ terminatedBy: playerId });
+
+    await this._saveTermination(game, updatedGame);
+    await this._updateRatings(players, winner);
+    await this._notifyGameComplete(gameId, players, winner, 'resignation');
+
+    return {
+      status: updatedGame.status,
+      winner,
+      terminationReason: 'resignation'
+    };
+  }
+
+  /**
+   * Abort a game before it has really started
+   * Waiting games can always be aborted; active games only until every player has moved.
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Player aborting
+   * @returns {Promise<Object>} Termination result
+   */
+  async abortGame(gameId, playerId) {
+    const { game, players } = await this._getGameForParticipant(gameId, playerId);
+    this._checkCompetitive(game, 'Aborting');
+
+    if (!game.hasStatus('waiting') && !game.hasStatus('active')) {
+      throw new Error('Can only abort waiting or active games');
+    }
+
+    if (game.hasStatus('active') && game.moveCount >= players.length) {
+      throw new Error('Game can no longer be aborted; resign instead');
+    }
+
+    const updatedGame = game.cancel('aborted').updateSettings({ terminatedBy: playerId });
+
+    await this._saveTermination(game, updatedGame);
+    await this._notifyGameComplete(gameId, players, null, 'aborted');
+
+    return {
+      status: updatedGame.status,
+      winner: null,
+      terminationReason: 'aborted'
+    };
+  }
+
+  /**
+   * Stop a game's clock
+   * @param {string} gameId - Game ID
+   * @param {Date} now - Time the clock stops
+   * @returns {Promise<Game>} Game after the change
+   */
+  async pauseClock(gameId, now = new Date()) {
+    const game = await this.gameRepository.findById(gameId);
+    if (!game) {
+      throw new Error('Game not found');
+    }
+
+    const paused = game.pauseClock(now);
+    if (paused === game || !game.hasStatus('active')) {
+      return game;
+    }
+
+    return this.gameRepository.update(gameId, { clockPausedAt: paused.clockPausedAt });
+  }
+
+  /**
+   * Restart a game's clock unless one of its players is still on vacation
+   * @param {string} gameId - Game ID
+   * @param {Date} now - Time the clock restarts
+   * @returns {Promise<Game>} Game after the change
+   */
+  async resumeClock(gameId, now = new Date()) {
+    const game = await this.gameRepository.findById(gameId);
+    if (!game) {
+      throw new Error('Game not found');
+    }
+
+    if (!game.isClockPaused()) {
+      return game;
+    }
+
+    const players = await this.gameRepository.getPlayers(gameId);
+    if (await this._anyPlayerOnVacation(players)) {
+      return game;
+    }
+
+    const resumed = game.resumeClock(now);
+    return this.gameRepository.update(gameId, {
+      moveDeadline: resumed.moveDeadline,
+      clockPausedAt: null
+    });
+  }
+
+  /**
+   * Check whether any of a game's players is on vacation
+   * @param {Array} players - Game players
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _anyPlayerOnVacation(players) {
+    for (const player of players) {
+      const user = await this.userRepository.findById(player.user_id);
+      if (user && user.isOnVacation()) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Forfeit every game whose player on move has missed their deadline
+   * The plugin adjudicates the result, so larger games need not end in a plain loss.
+   * @param {Date} now - Time to compare deadlines against
+   * @returns {Promise<Object[]>} One entry per overdue game: the result, or the error that stopped it
+   */
+  async forfeitOverdueGames(now = new Date()) {
+    const overdueGames = await this.gameRepository.findOverdue(now);
+    const results = [];
+
+    for (const game of overdueGames) {
+      try {
+        results.push(await this._forfeitOnTime(game));
+      } catch (error) {
+        results.push({ gameId: game.id, error });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Complete a game lost on time
+   * @param {Game} game - Overdue game
+   * @returns {Promise<Object>} Termination result
+   * @private
+   */
+  async _forfeitOnTime(game) {
+    const timedOutPlayerId = game.currentPlayerId;
+    const players = await this.gameRepository.getPlayers(game.id);
+    const gamePlugin = this.gamePluginRegistry.getPlugin(game.gameType);
+    const winner = gamePlugin.getTimeoutWinner(
+      gamePlugin.deserializeBoardState(game.boardState),
+      timedOutPlayerId,
+      players
+    );
+
+    const updatedGame = game.complete(winner, 'timeout').updateSettings({ timedOutPlayerId });
+
+    // Fails if the player moved after the sweep loaded the game
+    await this._saveTermination(game, updatedGame);
+    await this._updateRatings(players, winner);
+    await this._notifyGameComplete(game.id, players, winner, 'timeout');
+
+    return {
+      gameId: game.id,
+      status: updatedGame.status,
+      winner,
+      timedOutPlayerId,
+      terminationReason: 'timeout'
+    };
+  }
+
+  /**
+   * Offer the opponent a draw
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Player offering the draw
+   * @returns {Promise<Object>} Pending offer
+   */
+  async offerDraw(gameId, playerId) {
+    return this._makeOffer(gameId, playerId, 'draw');
+  }
+
+  /**
+   * Ask the opponent to let you take back your last move
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Player who made the last move
+   * @returns {Promise<Object>} Pending offer
+   */
+  async requestTakeback(gameId, playerId) {
+    return this._makeOffer(gameId, playerId, 'takeback');
+  }
+
+  /**
+   * Get offers still open for the current position
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Object[]>} Pending offers
+   */
+  async getPendingOffers(gameId) {
+    const game = await this.gameRepository.findById(gameId);
+    if (!game) {
+      throw new Error('Game not found');
+    }
+
+    return this._getPendingOffers(game);
+  }
+
+  /**
+   * Accept an opponent's draw offer or takeback request
+   * An accepted draw completes the game; an accepted takeback restores the position before the last move.
+   * @param {string} gameId - Game ID
+   * @param {string} offerId - Offer ID
+   * @param {string} playerId - Player accepting
+   * @returns {Promise<Object>} Resolved offer and the game status
+   */
+  async acceptOffer(gameId, offerId, playerId) {
+    const { game, players, offer } = await this._getOfferForResponse(gameId, offerId, playerId);
+
+    let updatedGame;
+    if (offer.type === 'draw') {
+      updatedGame = game.complete(null, 'draw_agreed');
+      await this.gameRepository.transaction(async (repository) => {
+        await repository.update(gameId, updatedGame.toObject(), { expectedMoveCount: game.moveCount });
+        await repository.resolveOffer(offer.id, 'accepted', playerId);
+      });
+    } else {
+      const gamePlugin = this.gamePluginRegistry.getPlugin(game.gameType);
+      const moves = await this.gameRepository.getMoveHistory(gameId);
+      const previousMove = moves.find(m => m.moveNumber === game.moveCount - 1);
+      const previousBoardState = previousMove
+        ? previousMove.boardStateAfter
+        : this._getStartingBoardState(game, gamePlugin);
+
+      updatedGame = game.takeBackMove(offer.offeredBy, previousBoardState);
+      await this.gameRepository.transaction(async (repository) => {
+        await repository.update(gameId, updatedGame.toObject(), { expectedMoveCount: game.moveCount });
+        await repository.deleteMove(gameId, game.moveCount);
+        // Lines were prepared against the position being taken back
+        await repository.deleteConditionalMoves(gameId);
+        await repository.resolveOffer(offer.id, 'accepted', playerId);
+      });
+    }
+
+    await this._notifyOfferResolved(gameId, offer, 'accepted');
+    if (offer.type === 'draw') {
+      await this._updateRatings(players, null);
+      await this._notifyGameComplete(gameId, players, null, 'draw_agreed');
+    } else {
+      await this.notificationService.broadcastToGame(gameId, 'move-taken-back', {
+        gameId,
+        moveCount: updatedGame.moveCount,
+        currentPlayerId: updatedGame.currentPlayerId
+      });
+    }
+
+    return {
+      offer: { ...offer, status: 'accepted', resolvedBy: playerId },
+      status: updatedGame.status,
+      moveCount: updatedGame.moveCount,
+      currentPlayerId: updatedGame.currentPlayerId
+    };
+  }
+
+  /**
+   * Decline an opponent's draw offer or takeback request
+   * @param {string} gameId - Game ID
+   * @param {string} offerId - Offer ID
+   * @param {string} playerId - Player declining
+   * @returns {Promise<Object>} Resolved offer
+   */
+  async declineOffer(gameId, offerId, playerId) {
+    const { offer } = await this._getOfferForResponse(gameId, offerId, playerId);
+
+    const declined = await this.gameRepository.resolveOffer(offer.id, 'declined', playerId);
+    await this._notifyOfferResolved(gameId, offer, 'declined');
+
+    return declined;
+  }
+
+  /**
+   * Create an offer after checking the game allows it
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Player making the offer
+   * @param {string} type - 'draw' or 'takeback'
+   * @returns {Promise<Object>} Pending offer
+   * @private
+   */
+  async _makeOffer(gameId, playerId, type) {
+    const { game, players } = await this._getGameForParticipant(gameId, playerId);
+    this._checkNegotiable(game, players);
+
+    if (type === 'takeback') {
+      const moves = await this.gameRepository.getMoveHistory(gameId);
+      const lastMove = moves[moves.length - 1];
+      if (!lastMove || lastMove.playerId !== playerId) {
+        throw new Error('Can only take back your own last move');
+      }
+    }
+
+    const pending = await this._getPendingOffers(game);
+    if (pending.some(offer => offer.type === type)) {
+      throw new Error(`A ${type} offer is already pending`);
+    }
+
+    const offer = await this.gameRepository.saveOffer({
+      gameId,
+      type,
+      offeredBy: playerId,
+      moveCount: game.moveCount
+    });
+
+    const opponent = players.find(p => p.user_id !== playerId);
+    const offerer = players.find(p => p.user_id === playerId);
+    await this.notificationService.sendNotification(
+      opponent.user_id,
+      type === 'draw' ? 'draw_offer' : 'takeback_request',
+      type === 'draw'
+        ? `${offerer.username} offers a draw`
+        : `${offerer.username} asks to take back their last move`,
+      { gameId }
+    );
+    await this.notificationService.broadcastToGame(gameId, 'offer-made', { gameId, offer });
+
+    return offer;
+  }
+
+  /**
+   * Load an offer the player is allowed to accept or decline
+   * @param {string} gameId - Game ID
+   * @param {string} offerId - Offer ID
+   * @param {string} playerId - Player responding
+   * @returns {Promise<Object>} Game, players and offer
+   * @private
+   */
+  async _getOfferForResponse(gameId, offerId, playerId) {
+    const { game, players } = await this._getGameForParticipant(gameId, playerId);
+    this._checkNegotiable(game, players);
+
+    const offer = await this.gameRepository.findOfferById(offerId);
+    if (!offer || offer.gameId !== gameId) {
+      throw new Error('Offer not found');
+    }
+
+    if (offer.offeredBy === playerId) {
+      throw new Error('Cannot respond to your own offer');
+    }
+
+    if (offer.status !== 'pending') {
+      throw new Error(`Offer is no longer pending (${offer.status})`);
+    }
+
+    // An offer only stands for the position it was made in
+    if (offer.moveCount !== game.moveCount) {
+      await this.gameRepository.resolveOffer(offer.id, 'expired');
+      throw new Error('Offer is no longer valid; the game has moved on');
+    }
+
+    return { game, players, offer };
+  }
+
+  /**
+   * Get pending offers for the current position, expiring ones made before later moves
+   * @param {Game} game - Game entity
+   * @returns {Promise<Object[]>} Offers still open
+   * @private
+   */
+  async _getPendingOffers(game) {
+    const pending = await this.gameRepository.findOffers(game.id, { status: 'pending' });
+    const open = [];
+
+    for (const offer of pending) {
+      if (game.hasStatus('active') && offer.moveCount === game.moveCount) {
+        open.push(offer);
+      } else {
+        await this.gameRepository.resolveOffer(offer.id, 'expired');
+      }
+    }
+
+    return open;
+  }
+
+  /**
+   * Only active two-player games can be negotiated
+   * @param {Game} game - Game entity
+   * @param {Array} players - Game players
+   * @private
+   */
+  _checkNegotiable(game, players) {
+    if (!game.hasStatus('active')) {
+      throw new Error('Can only negotiate in active games');
+    }
+
+    if (players.length !== 2) {
+      throw new Error('Draw offers and takebacks are only available in two-player games');
+    }
+  }
+
+  /**
+   * Tell the offerer and game room how an offer was resolved
+   * @param {string} gameId - Game ID
+   * @param {Object} offer - Offer that was resolved
+   * @param {string} status - 'accepted' or 'declined'
+   * @private
+   */
+  async _notifyOfferResolved(gameId, offer, status) {
+    const label = offer.type === 'draw' ? 'draw offer' : 'takeback request';
+
+    await this.notificationService.sendNotification(
+      offer.offeredBy,
+      status === 'accepted' ? 'offer_accepted' : 'offer_declined',
+      `Your ${label} was ${status}`,
+      { gameId }
+    );
+    await this.notificationService.broadcastToGame(gameId, 'offer-resolved', {
+      gameId,
+      offerId: offer.id,
+      type: offer.type,
+      status
+    });
+  }
+
+  /**
+   * Load a game and its players, checking the user takes part in it
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - User ID that must be a player
+   * @returns {Promise<Object>} Game entity and players
+   * @private
+   */
+  async _getGameForParticipant(gameId, playerId) {
+    const game = await this.gameRepository.findById(gameId);
+    if (!game) {
+      throw new Error('Game not found');
+    }
+
+    const players = await this.gameRepository.getPlayers(gameId);
+    if (!players.some(p => p.user_id === playerId)) {
+      throw new Error('Player is not in this game');
+    }
+
+    return { game, players };
+  }
+
+  /**
+   * Reject actions that only make sense between opponents
+   * @param {Game} game - Game entity
+   * @param {string} action - What was attempted, for the error message
+   * @private
+   */
+  _checkCompetitive(game, action) {
+    if (game.isAnalysis()) {
+      throw new Error(`${action} is only available in competitive games`);
+    }
+  }
+
+  /**
+   * Persist a terminated game unless a move was committed in the meantime
+   * @param {Game} game - Game as it was loaded
+   * @param {Game} updatedGame - Terminated game
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveTermination(game, updatedGame) {
+    await this.gameRepository.update(game.id, updatedGame.toObject(), { expectedMoveCount: game.moveCount });
+    await this.gameRepository.deleteConditionalMoves(game.id);
+  }
+
+  /**
+   * Get a game's board state as seen by a viewer
+   * @param {Game} game - Game entity
+   * @param {Array} players - Game players
+   * @param {string|null} viewerId - User ID of the viewer, or null for spectators
+   * @returns {Object} Board state with hidden information redacted for the viewer
+   */
+  getBoardStateForViewer(game, players, viewerId = null) {
+    const gamePlugin = this.gamePluginRegistry.getPlugin(game.gameType);
+    return gamePlugin.getPlayerView(
+      gamePlugin.deserializeBoardState(game.boardState),
+      viewerId,
+      this.getSeats(game, players)
+    );
+  }
+
+  /**
+   * Get the players the game's rules are played between
+   * Analysis games have a single owner who plays every seat of the game they were forked from.
+   * @param {Game} game - Game entity
+   * @param {Array} players - Game players
+   * @returns {Array} Seats in the same shape as game players
+   */
+  getSeats(game, players) {
+    return game.isAnalysis() ? game.analysisSeats : players;
+  }
+
+  /**
+   * Get game state as seen by a viewer
+   * @param {string} gameId - Game ID
+   * @param {string|null} viewerId - User ID of the viewer; hidden information is redacted for everyone else
+   * @returns {Promise<Object>} Game state with players and render data
+   */
+  async getGameState(gameId, viewerId = null) {
+    const game = await this.gameRepository.findById(gameId);
+    if (!game) {
+      throw new Error('Game not found');
+    }
+
+    const players = this.getSeats(game, await this.gameRepository.getPlayers(gameId));
+    const gamePlugin = this.gamePluginRegistry.getPlugin(game.gameType);
+    const boardState = this.getBoardStateForViewer(game, players, viewerId);
+
+    // The starting position is left out, as it would give away hidden information such as a deal
+    const gameData = game.toObject();
+    delete gameData.initialBoardState;
+
+    return {
+      ...gameData,
+      players: players.map(p => ({
+        id: p.id,
+        userId: p.user_id,
+        username: p.username,
+        playerOrder: p.player_order,
+        color: p.color,
+        playerData: p.player_data ? JSON.parse(p.player_data) : {}
+      })),
+      boardState,
+      renderData: gamePlugin.getRenderData(boardState, players),
+      gameStats: gamePlugin.getGameStats(boardState, players)
+    };
+  }
+
+  /**
+   * Get available game types
+   * @returns {Array} Array of game type information
+   */
+  getAvailableGameTypes() {
+    return this.gamePluginRegistry.getAvailableGameTypes();
+  }
+
+  /**
+   * Find games by criteria
+   * @param {Object} criteria - Search criteria
+   * @returns {Promise<Array>} Array of games
+   */
+  async findGames(criteria = {}) {
+    return await this.gameRepository.findByCriteria(criteria);
+  }
+
+  /**
+   * Get game by ID
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Object|null>} Game or null if not found
+   */
+  async getGameById(gameId) {
+    return await this.gameRepository.findById(gameId);
+  }
+
+  /**
+   * Join a game
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Player ID
+   * @param {string|null} inviteToken - Invite token; required for private games
+   * @returns {Promise<Object>} Join result
+   */
+  async joinGame(gameId, playerId, inviteToken = null) {
+    return await this.addPlayerToGame(gameId, playerId, inviteToken);
+  }
+
+  /**
+   * Offer the players of a completed game a rematch
+   * The first player to ask creates the rematch and takes their seat; anyone asking after
+   * that takes their own seat in the same rematch. Seats rotate so colors swap.
+   * @param {string} gameId - Completed game ID
+   * @param {string} playerId - Player asking
+   * @returns {Promise<Object>} The rematch game and whether this call created it
+   */
+  async rematchGame(gameId, playerId) {
+    const { game, players } = await this._getGameForParticipant(gameId, playerId);
+    const requester = await this.userRepository.findById(playerId);
+
+    const gamePlugin = this.gamePluginRegistry.getPlugin(game.gameType);
+    const seatOrder = [...players]
+      .sort((a, b) => a.player_order - b.player_order)
+      .map(p => p.user_id);
+
+    // Look up and create in one unit of work so two players asking at once get the same rematch
+    const { rematch, created } = await this.gameRepository.transaction(async (repository) => {
+      const [existing] = await repository.findByCriteria({ rematchOf: gameId });
+      if (existing) {
+        return { rematch: existing, created: false };
+      }
 
-    // Save game
-    const savedGame = await this.gameRepository.save(game);
+      const newGame = game.createRematch(
+        seatOrder,
+        gamePlugin.serializeBoardState(gamePlugin.getInitialBoardState(game.settings))
+      );
+      return { rematch: await repository.save(newGame), created: true };
+    });
 
-    // Add creator as first player
-    await this.addPlayerToGame(savedGame.id, creatorId);
+    const seated = await this.gameRepository.getPlayers(rematch.id);
+    if (rematch.hasStatus('waiting') && !seated.some(p => p.user_id === playerId)) {
+      await this.addPlayerToGame(rematch.id, playerId);
+    }
 
-    return savedGame;
+    if (!created) {
+      return { game: await this.gameRepository.findById(rematch.id), created };
+    }
+
+    for (const player of players.filter(p => p.user_id !== playerId)) {
+      await this.notificationService.sendNotification(
+        player.user_id,
+        'rematch_offer',
+        `${requester.username} wants a rematch`,
+        { gameId: rematch.id }
+      );
+    }
+    await this.notificationService.broadcastToGame(gameId, 'rematch-offered', {
+      gameId,
+      rematchId: rematch.id,
+      offeredBy: playerId
+    });
+
+    return { game: await this.gameRepository.findById(rematch.id), created };
   }
 
   /**
-   * Add a player to a game
+   * Find the rematch that follows a game
    * @param {string} gameId - Game ID
-   * @param {string} playerId - Player ID
-   * @returns {Promise<Object>} Player assignment data
+   * @returns {Promise<Game|null>} Rematch, or null if nobody asked for one
    */
-  async addPlayerToGame(gameId, playerId) {
-    // Validate game and player
-    const game = await this.gameRepository.findById(gameId);
+  async findRematch(gameId) {
+    const [rematch] = await this.gameRepository.findByCriteria({ rematchOf: gameId });
+    return rematch || null;
+  }
+
+  /**
+   * Get every game in a rematch series, oldest first
+   * @param {string} gameId - Any game in the series
+   * @returns {Promise<Game[]>} Games linked by rematches
+   */
+  async getRematchSeries(gameId) {
+    let game = await this.gameRepository.findById(gameId);
     if (!game) {
       throw new Error('Game not found');
     }
 
-    const player = await this.userRepository.findById(playerId);
-    if (!player) {
-      throw new Error('Player not found');
+    const series = [game];
+    while (game.rematchOf) {
+      game = await this.gameRepository.findById(game.rematchOf);
+      if (!game) {
+        break;
+      }
+      series.unshift(game);
     }
 
-    // Check if game can accept players
-    const currentPlayers = await this.gameRepository.getPlayers(gameId);
-    if (!game.canAcceptPlayers(currentPlayers.length)) {
-      throw new Error('Game cannot accept new players');
+    let next = await this.findRematch(series[series.length - 1].id);
+    while (next) {
+      series.push(next);
+      next = await this.findRematch(next.id);
     }
 
-    // Check if player is already in game
-    if (currentPlayers.some(p => p.user_id === playerId)) {
-      throw new Error('Player already in this game');
-    }
+    return series;
+  }
 
-    // Get game plugin for color assignment
-    const gamePlugin = this.gamePluginRegistry.getPlugin(game.gameType);
-    const playerOrder = currentPlayers.length + 1;
-    const color = gamePlugin.assignPlayerColor(playerOrder, game.maxPlayers);
+  /**
+   * Issue a fresh invite token for a private game; earlier tokens stop working
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Player asking; must be the game's creator
+   * @returns {Promise<Game>} Game with the new token
+   */
+  async createInvite(gameId, playerId) {
+    const game = await this._getGameForCreator(gameId, playerId);
+    const updatedGame = game.createInvite();
 
-    // Add player
-    const playerAssignment = await this.gameRepository.addPlayer(gameId, playerId, {
-      playerOrder,
-      color
-    });
+    await this.gameRepository.update(gameId, { inviteToken: updatedGame.inviteToken });
+    return updatedGame;
+  }
 
-    // Check if game can start
-    const updatedPlayers = await this.gameRepository.getPlayers(gameId);
-    if (game.canStart(updatedPlayers.length)) {
-      // Start the game
-      const firstPlayer = updatedPlayers.find(p => p.player_order === 1);
-      const startedGame = game.start(firstPlayer.user_id);
-      await this.gameRepository.update(gameId, startedGame.toObject());
+  /**
+   * Revoke a private game's invite token
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - Player asking; must be the game's creator
+   * @returns {Promise<Game>} Game without a token
+   */
+  async revokeInvite(gameId, playerId) {
+    const game = await this._getGameForCreator(gameId, playerId);
+    const updatedGame = game.revokeInvite();
 
-      // Notify all players
-      await this.notificationService.broadcastToGame(gameId, 'game-started', {
-        gameId,
-        currentPlayerId: firstPlayer.user_id
-      });
+    await this.gameRepository.update(gameId, { inviteToken: null });
+    return updatedGame;
+  }
 
-      // Notify current player
-      await this.notificationService.sendNotification(
-        firstPlayer.user_id,
-        'turn',
-        "It's your turn!",
-        { gameId }
-      );
+  /**
+   * Load a game, checking the user created it
+   * @param {string} gameId - Game ID
+   * @param {string} playerId - User ID
+   * @returns {Promise<Game>} Game entity
+   * @private
+   */
+  async _getGameForCreator(gameId, playerId) {
+    const { game, players } = await this._getGameForParticipant(gameId, playerId);
+
+    const creator = players.find(p => p.player_order === 1);
+    if (!creator || creator.user_id !== playerId) {
+      throw new Error('Only the game creator can manage invites');
     }
 
-    return playerAssignment;
+    return game;
   }
 
   /**
-   * Make a move in a game
+   * Get move history for a game
    * @param {string} gameId - Game ID
-   * @param {string} playerId - Player ID
-   * @param {Object} move - Move data
-   * @returns {Promise<Object>} Move result
+   * @param {string|null} viewerId - User ID of the viewer; moves are redacted for them
+   * @returns {Promise<Array>} Array of moves
    */
-  async makeMove(gameId, playerId, move) {
-    // Validate game and player
+  async getMoveHistory(gameId, viewerId = null) {
+    const moves = await this.gameRepository.getMoveHistory(gameId);
     const game = await this.gameRepository.findById(gameId);
     if (!game) {
-      throw new Error('Game not found');
-    }
-
-    const player = await this.userRepository.findById(playerId);
-    if (!player) {
-      throw new Error('Player not found');
-    }
-
-    // Validate game state
-    if (!game.hasStatus('active')) {
-      throw new Error('Game is not active');
-    }
-
-    if (!game.isCurrentPlayer(playerId)) {
-      throw new Error('Not your turn');
+      return moves;
     }
 
-    // Get game plugin and players
+    const players = this.getSeats(game, await this.gameRepository.getPlayers(gameId));
     const gamePlugin = this.gamePluginRegistry.getPlugin(game.gameType);
-    const players = await this.gameRepository.getPlayers(gameId);
-    const currentBoardState = gamePlugin.deserializeBoardState(game.boardState);
-
-    // Validate move
-    const validation = gamePlugin.validateMove(move, currentBoardState, playerId, players);
-    if (!validation.valid) {
-      throw new Error(validation.error);
-    }
 
-    // Apply move
-    const newBoardState = gamePlugin.applyMove(move, currentBoardState, playerId, players);
-    const serializedNewBoardState = gamePlugin.serializeBoardState(newBoardState);
+    return moves.map(move => ({
+      ...move,
+      move: gamePlugin.getMoveView(move.move, move.playerId, viewerId, players),
+      boardStateAfter: move.boardStateAfter && gamePlugin.serializeBoardState(gamePlugin.getPlayerView(
+        gamePlugin.deserializeBoardState(move.boardStateAfter),
+        viewerId,
+        players
+      ))
+    }));
+  }
 
-    // Check if game is complete
-    const isGameComplete = gamePlugin.isGameComplete(newBoardState, players);
-    let winner = null;
-    let updatedGame;
+  /**
+   * Get the position after a given move, as seen by a viewer
+   * @param {string} gameId - Game ID
+   * @param {number} moveNumber - Ply to show; 0 for the starting position
+   * @param {string|null} viewerId - User ID of the viewer; hidden information is redacted for them
+   * @returns {Promise<Object>} Move played, board state, render data and game stats at that ply
+   */
+  async getPositionAt(gameId, moveNumber, viewerId = null) {
+    const { game, players, positions } = await this._loadPositions(gameId);
 
-    if (isGameComplete) {
-      winner = gamePlugin.getWinner(newBoardState, players);
-      updatedGame = game.complete(winner);
-    } else {
-      const nextPlayerId = gamePlugin.getNextPlayer(playerId, players, newBoardState);
-      updatedGame = game.makeMove(nextPlayerId, serializedNewBoardState);
+    const position = positions.find(p => p.moveNumber === moveNumber);
+    if (!position) {
+      throw new Error(`Position not found; the game has ${positions.length - 1} moves`);
     }
 
-    // Save move and update game
-    await this.gameRepository.saveMove(
-      gameId,
-      playerId,
-      move,
-      serializedNewBoardState,
-      game.moveCount + 1
-    );
+    return this._viewPosition(game, players, position, viewerId);
+  }
 
-    await this.gameRepository.update(gameId, updatedGame.toObject());
+  /**
+   * Get every position of a game in order, as seen by a viewer
+   * @param {string} gameId - Game ID
+   * @param {string|null} viewerId - User ID of the viewer; hidden information is redacted for them
+   * @returns {Promise<Array>} Positions from the starting position to the latest move
+   */
+  async getReplay(gameId, viewerId = null) {
+    const { game, players, positions } = await this._loadPositions(gameId);
+    return positions.map(position => this._viewPosition(game, players, position, viewerId));
+  }
 
-    // Send notifications
-    if (isGameComplete) {
-      await this._notifyGameComplete(gameId, players, winner);
-    } else {
-      await this._notifyMoveMade(gameId, players, updatedGame.currentPlayerId, move, newBoardState);
+  /**
+   * Get the game as it stood after a given move, for rendering
+   * @param {string} gameId - Game ID
+   * @param {number} moveNumber - Ply to show; 0 for the starting position
+   * @returns {Promise<Game>} Game entity carrying the stored board state at that ply
+   */
+  async getGameAtMove(gameId, moveNumber) {
+    const { game, positions } = await this._loadPositions(gameId);
+
+    const position = positions.find(p => p.moveNumber === moveNumber);
+    if (!position) {
+      throw new Error(`Position not found; the game has ${positions.length - 1} moves`);
     }
 
-    return {
-      success: true,
-      gameComplete: isGameComplete,
-      winner,
-      nextPlayerId: updatedGame.currentPlayerId,
-      moveCount: updatedGame.moveCount
-    };
+    return new Game({ ...game, boardState: position.boardState });
   }
 
   /**
-   * Get game state
+   * Load a game with every stored position, starting position first
    * @param {string} gameId - Game ID
-   * @returns {Promise<Object>} Game state with players and render data
+   * @returns {Promise<Object>} Game, seats and positions
+   * @private
    */
-  async getGameState(gameId) {
+  async _loadPositions(gameId) {
     const game = await this.gameRepository.findById(gameId);
     if (!game) {
       throw new Error('Game not found');
     }
 
-    const players = await this.gameRepository.getPlayers(gameId);
+    const players = this.getSeats(game, await this.gameRepository.getPlayers(gameId));
+    const moves = await this.gameRepository.getMoveHistory(gameId);
     const gamePlugin = this.gamePluginRegistry.getPlugin(game.gameType);
-    const boardState = gamePlugin.deserializeBoardState(game.boardState);
+
+    // Positions after moves are stored with the moves; the starting one is stored with the game
+    const startingBoardState = moves.length === 0
+      ? game.boardState
+      : this._getStartingBoardState(game, gamePlugin);
 
     return {
-      ...game.toObject(),
-      players: players.map(p => ({
-        id: p.id,
-        userId: p.user_id,
-        username: p.username,
-        playerOrder: p.player_order,
-        color: p.color,
-        playerData: p.player_data ? JSON.parse(p.player_data) : {}
-      })),
-      boardState,
-      renderData: gamePlugin.getRenderData(boardState, players),
-      gameStats: gamePlugin.getGameStats(boardState, players)
+      game,
+      players,
+      positions: [
+        { moveNumber: 0, boardState: startingBoardState, move: null, playerId: null },
+        ...moves.map(move => ({ ...move, boardState: move.boardStateAfter }))
+      ]
     };
   }
 
   /**
-   * Get available game types
-   * @returns {Array} Array of game type information
+   * Get the board state a game started from
+   * Games created before starting positions were stored rebuild it from the settings, which
+   * only gives the real position for games that are not dealt at random.
+   * @param {Game} game - Game entity
+   * @param {Object} gamePlugin - Plugin of the game type
+   * @returns {string} Serialized starting board state
+   * @private
    */
-  getAvailableGameTypes() {
-    return this.gamePluginRegistry.getAvailableGameTypes();
+  _getStartingBoardState(game, gamePlugin) {
+    if (game.initialBoardState) {
+      return game.initialBoardState;
+    }
+    return gamePlugin.serializeBoardState(gamePlugin.getInitialBoardState(game.settings));
   }
 
   /**
-   * Find games by criteria
-   * @param {Object} criteria - Search criteria
-   * @returns {Promise<Array>} Array of games
+   * Fork an analysis game from the position after a given move
+   * The owner explores variations in the fork, moving for every side, without touching this game.
+   * The fork shows its owner the whole position, so games that hide information cannot be forked.
+   * @param {string} gameId - Game to fork
+   * @param {string} ownerId - User who analyses the fork
+   * @param {number|null} moveNumber - Ply to start from; 0 for the starting position and null for the latest
+   * @returns {Promise<Game>} Analysis game, with the moves leading up to the position
    */
-  async findGames(criteria = {}) {
-    return await this.gameRepository.findByCriteria(criteria);
+  async forkGame(gameId, ownerId, moveNumber = null) {
+    const owner = await this.userRepository.findById(ownerId);
+    if (!owner) {
+      throw new Error('User not found');
+    }
+
+    const { game, players: seats, positions } = await this._loadPositions(gameId);
+
+    // The fork copies every move, so it is open to the same people as the game itself
+    const players = await this.gameRepository.getPlayers(gameId);
+    if (game.visibility === 'private' && !players.some(p => p.user_id === ownerId)) {
+      throw new Error('This game is private; only its players can fork it');
+    }
+
+    const position = moveNumber === null
+      ? positions[positions.length - 1]
+      : positions.find(p => p.moveNumber === moveNumber);
+    if (!position) {
+      throw new Error(`Position not found; the game has ${positions.length - 1} moves`);
+    }
+
+    if (seats.length < game.minPlayers) {
+      throw new Error('Can only fork games once every seat is taken');
+    }
+
+    const gamePlugin = this.gamePluginRegistry.getPlugin(game.gameType);
+    const boardState = gamePlugin.deserializeBoardState(position.boardState);
+
+    const publicView = gamePlugin.getPlayerView(boardState, null, seats);
+    if (gamePlugin.serializeBoardState(publicView) !== gamePlugin.serializeBoardState(boardState)) {
+      throw new Error('Cannot fork a game with hidden information');
+    }
+
+    if (gamePlugin.isGameComplete(boardState, seats)) {
+      throw new Error('Cannot fork a position where the game is over');
+    }
+
+    const forkSeats = [...seats]
+      .sort((a, b) => a.player_order - b.player_order)
+      .map(p => ({ user_id: p.user_id, username: p.username, player_order: p.player_order, color: p.color }));
+    const currentPlayerId = position.playerId
+      ? gamePlugin.getNextPlayer(position.playerId, [...forkSeats], boardState)
+      : gamePlugin.getFirstPlayer(forkSeats, boardState);
+
+    const fork = game.fork(
+      position.moveNumber, position.boardState, forkSeats, currentPlayerId, positions[0].boardState
+    );
+
+    // The moves leading up to the position come along, so the fork can be replayed from the start
+    await this.gameRepository.transaction(async (repository) => {
+      await repository.save(fork);
+      for (const earlier of positions.slice(1, position.moveNumber + 1)) {
+        await repository.saveMove(fork.id, earlier.playerId, earlier.move, earlier.boardState, earlier.moveNumber);
+      }
+      await repository.addPlayer(fork.id, ownerId, { playerOrder: 1 });
+    });
+
+    return this.gameRepository.findById(fork.id);
   }
 
   /**
-   * Get game by ID
+   * Describe a stored position for a viewer
+   * @param {Game} game - Game entity
+   * @param {Array} players - Game players
+   * @param {Object} position - Stored position from _loadPositions
+   * @param {string|null} viewerId - User ID of the viewer
+   * @returns {Object}
+   * @private
+   */
+  _viewPosition(game, players, position, viewerId) {
+    const gamePlugin = this.gamePluginRegistry.getPlugin(game.gameType);
+    const boardState = gamePlugin.getPlayerView(
+      gamePlugin.deserializeBoardState(position.boardState),
+      viewerId,
+      players
+    );
+
+    return {
+      gameId: game.id,
+      moveNumber: position.moveNumber,
+      move: position.playerId ? gamePlugin.getMoveView(position.move, position.playerId, viewerId, players) : null,
+      player: position.playerId ? { id: position.playerId, username: position.username } : null,
+      comment: position.comment ?? null,
+      annotation: position.annotation ?? null,
+      timestamp: position.timestamp ?? null,
+      boardState,
+      renderData: gamePlugin.getRenderData(boardState, players),
+      gameStats: gamePlugin.getGameStats(boardState, players)
+    };
+  }
+
+  /**
+   * Comment on or annotate one of your own moves once the game is over
    * @param {string} gameId - Game ID
-   * @returns {Promise<Object|null>} Game or null if not found
+   * @param {number} moveNumber - Move to annotate
+   * @param {string} playerId - Player annotating; must have made the move
+   * @param {Object} changes - New values; omitted ones are kept and null clears one
+   * @param {string|null} changes.comment - Free-text comment
+   * @param {string|null} changes.annotation - Glyph from GameService.ANNOTATION_GLYPHS
+   * @returns {Promise<Object>} Annotated move
    */
-  async getGameById(gameId) {
-    return await this.gameRepository.findById(gameId);
+  async annotateMove(gameId, moveNumber, playerId, { comment, annotation } = {}) {
+    const { game } = await this._getGameForParticipant(gameId, playerId);
+
+    if (game.hasStatus('waiting') || game.hasStatus('active')) {
+      throw new Error('Can only annotate moves once the game is over');
+    }
+
+    const moves = await this.gameRepository.getMoveHistory(gameId);
+    const target = moves.find(m => m.moveNumber === moveNumber);
+    if (!target) {
+      throw new Error('Move not found');
+    }
+
+    if (target.playerId !== playerId) {
+      throw new Error("Only the move's author can annotate it");
+    }
+
+    const values = {
+      comment: comment === undefined ? target.comment : (comment || null),
+      annotation: annotation === undefined ? target.annotation : (annotation || null)
+    };
+
+    if (values.comment !== null &&
+        (typeof values.comment !== 'string' || values.comment.length > GameService.MAX_COMMENT_LENGTH)) {
+      throw new Error(`Annotation comment must be text of at most ${GameService.MAX_COMMENT_LENGTH} characters`);
+    }
+
+    if (values.annotation !== null && !GameService.ANNOTATION_GLYPHS.includes(values.annotation)) {
+      throw new Error(`Annotation glyph must be one of: ${GameService.ANNOTATION_GLYPHS.join(' ')}`);
+    }
+
+    await this.gameRepository.annotateMove(gameId, moveNumber, values);
+
+    return { ...target, ...values };
   }
 
   /**
-   * Join a game
+   * Get a player's private notes on a game
    * @param {string} gameId - Game ID
-   * @param {string} playerId - Player ID
-   * @returns {Promise<Object>} Join result
+   * @param {string} playerId - Player whose notes to return
+   * @returns {Promise<Object>} Notes, empty if none were written yet
    */
-  async joinGame(gameId, playerId) {
-    return await this.addPlayerToGame(gameId, playerId);
+  async getNotes(gameId, playerId) {
+    await this._getGameForParticipant(gameId, playerId);
+
+    const notes = await this.gameRepository.findNotes(gameId, playerId);
+    return notes || { gameId, playerId, notes: '', updatedAt: null };
   }
 
   /**
-   * Get move history for a game
+   * Replace a player's private notes on a game
+   * Notes stay editable after the game ends and are never shown to anyone else.
    * @param {string} gameId - Game ID
-   * @returns {Promise<Array>} Array of moves
+   * @param {string} playerId - Player writing the notes
+   * @param {string} notes - Note text; empty to clear
+   * @returns {Promise<Object>} Saved notes
    */
-  async getMoveHistory(gameId) {
-    return await this.gameRepository.getMoveHistory(gameId);
+  async saveNotes(gameId, playerId, notes) {
+    await this._getGameForParticipant(gameId, playerId);
+
+    if (typeof notes !== 'string' || notes.length > GameService.MAX_NOTES_LENGTH) {
+      throw new Error(`Notes must be text of at most ${GameService.MAX_NOTES_LENGTH} characters`);
+    }
+
+    return this.gameRepository.saveNotes(gameId, playerId, notes);
   }
 
   /**
@@ -326,22 +1561,42 @@ class GameService {
 
   /**
    * Notify players when a move is made
+   * Each player receives the board as they are allowed to see it in their own
+   * room; everyone else in the game room gets the spectator view.
    * @param {string} gameId - Game ID
-   * @param {Array} players - Game players
-   * @param {string} nextPlayerId - Next player ID
+   * @param {Game} updatedGame - Game after the move
+   * @param {string} moverId - Player who made the move
    * @param {Object} move - Move data
    * @param {Object} boardState - New board state
+   * @param {Array} players - Game players
+   * @param {string|null} winner - Winner ID if the move ended the game
    * @private
    */
-  async _notifyMoveMade(gameId, players, nextPlayerId, move, boardState) {
-    // Broadcast move to all players
-    await this.notificationService.broadcastToGame(gameId, 'move-made', {
+  async _notifyMoveMade(gameId, updatedGame, moverId, move, boardState, players, winner = null) {
+    const nextPlayerId = updatedGame.currentPlayerId;
+    const gamePlugin = this.gamePluginRegistry.getPlugin(updatedGame.gameType);
+    const update = {
       gameId,
       move,
-      boardState,
       currentPlayerId: nextPlayerId,
-      moveCount: players.length // This should be the actual move count
-    });
+      moveCount: updatedGame.moveCount,
+      isGameComplete: updatedGame.hasStatus('completed'),
+      winner
+    };
+
+    await this.notificationService.broadcastToGame(gameId, 'move-made', {
+      ...update,
+      move: gamePlugin.getMoveView(move, moverId, null, players),
+      newBoardState: gamePlugin.getPlayerView(boardState, null, players)
+    }, { excludeUserIds: players.map(p => p.user_id) });
+
+    for (const player of players) {
+      await this.notificationService.sendRealTimeNotification(player.user_id, 'move-made', {
+        ...update,
+        move: gamePlugin.getMoveView(move, moverId, player.user_id, players),
+        newBoardState: gamePlugin.getPlayerView(boardState, player.user_id, players)
+      });
+    }
 
     // Notify next player
     if (nextPlayerId) {
@@ -354,22 +1609,66 @@ class GameService {
     }
   }
 
+  /**
+   * Update both players' ratings after a two-player game
+   * Games with more players are not rated.
+   * @param {Array} players - Game players
+   * @param {string|null} winner - Winner ID or null for a draw
+   * @private
+   */
+  async _updateRatings(players, winner) {
+    if (players.length !== 2) {
+      return;
+    }
+
+    const first = await this.userRepository.findById(players[0].user_id);
+    const second = await this.userRepository.findById(players[1].user_id);
+    if (!first || !second) {
+      return;
+    }
+
+    const score = winner === null ? 0.5 : (winner === first.id ? 1 : 0);
+    await this.userRepository.updateRating(first.id, first.rateGame(second.rating, score).rating);
+    await this.userRepository.updateRating(second.id, second.rateGame(first.rating, 1 - score).rating);
+  }
+
   /**
    * Notify players when game is complete
    * @param {string} gameId - Game ID
    * @param {Array} players - Game players
    * @param {string|null} winner - Winner ID or null for draw
+   * @param {string|null} terminationReason - Why the game ended early, null for a normal finish
    * @private
    */
-  async _notifyGameComplete(gameId, players, winner) {
+  async _notifyGameComplete(gameId, players, winner, terminationReason = null) {
     // Broadcast game completion
     await this.notificationService.broadcastToGame(gameId, 'game-complete', {
       gameId,
-      winner
+      winner,
+      terminationReason
     });
 
     // Send individual notifications
-    if (winner) {
+    if (terminationReason === 'aborted') {
+      for (const player of players) {
+        await this.notificationService.sendNotification(
+          player.user_id,
+          'game_aborted',
+          'The game was aborted',
+          { gameId }
+        );
+      }
+    } else if (terminationReason === 'resignation' && !winner) {
+      // With more than two players a resignation ends the game without a winner; it is not a draw
+      for (const player of players) {
+        await this.notificationService.sendNotification(
+          player.user_id,
+          'game_resigned',
+          'The game ended by resignation without a winner',
+          { gameId, terminationReason }
+        );
+      }
+    } else if (winner) {
       await this.notificationService.sendNotification(
         winner,
         'game_won',
@@ -422,12 +1721,14 @@ class GameService {
     }
 
     // Set first player as current player
-    const firstPlayerId = players[0].user_id;
+    const gamePlugin = this.gamePluginRegistry.getPlugin(game.gameType);
+    const firstPlayerId = gamePlugin.getFirstPlayer(players, gamePlugin.deserializeBoardState(game.boardState));
     
     // Update game status to active
     const updatedGame = await this.gameRepository.update(gameId, {
       status: 'active',
-      currentPlayerId: firstPlayerId
+      currentPlayerId: firstPlayerId,
+      moveDeadline: game.getMoveDeadline(firstPlayerId)
     });
 
     return {
@@ -439,4 +1740,19 @@ class GameService {
   }
 }
 
+/**
+ * Glyphs a move can be annotated with
+ */
+GameService.ANNOTATION_GLYPHS = ['!!', '!', '!?', '?!', '?', '??'];
+
+/**
+ * Longest move comment accepted, in characters
+ */
+GameService.MAX_COMMENT_LENGTH = 1000;
+
+/**
+ * Longest private notes accepted, in characters
+ */
+GameService.MAX_NOTES_LENGTH = 20000;
+
 module.exports = GameService;
\ No newline at end of file
@@ -0,0 +1,157 @@
+const { v4: uuidv4 } = require('uuid');
+const TimeControl = require('./TimeControl');
+
+/**
+ * Matchmaking queue entry
+ * A user waiting to be paired for a game type, with the opponents and clock they will accept
+ */
+class MatchmakingEntry {
+  constructor({
+    id = uuidv4(),
+    userId,
+    gameType,
+    minRating = null,
+    maxRating = null,
+    timeControl = null,
+    status = 'waiting',
+    gameId = null,
+    createdAt = new Date(),
+    matchedAt = null
+  }) {
+    this.id = id;
+    this.userId = userId;
+    this.gameType = gameType;
+    this.minRating = minRating;
+    this.maxRating = maxRating;
+    this.timeControl = timeControl;
+    this.status = status;
+    this.gameId = gameId;
+    this.createdAt = createdAt;
+    this.matchedAt = matchedAt;
+
+    this._validateInvariants();
+  }
+
+  /**
+   * Validate domain invariants
+   * @private
+   */
+  _validateInvariants() {
+    if (!this.userId) {
+      throw new Error('A queue entry needs a user');
+    }
+
+    if (!this.gameType || this.gameType.trim().length === 0) {
+      throw new Error('Game type cannot be empty');
+    }
+
+    for (const bound of [this.minRating, this.maxRating]) {
+      if (bound !== null && (typeof bound !== 'number' || !Number.isFinite(bound))) {
+        throw new Error('Rating range bounds must be numbers');
+      }
+    }
+
+    if (this.minRating !== null && this.maxRating !== null && this.minRating > this.maxRating) {
+      throw new Error('Rating range minimum cannot be above its maximum');
+    }
+
+    if (this.timeControl) {
+      new TimeControl(this.timeControl);
+    }
+
+    if (!MatchmakingEntry.STATUSES.includes(this.status)) {
+      throw new Error('Invalid queue entry status');
+    }
+  }
+
+  /**
+   * Check if the entry is still waiting for an opponent
+   * @returns {boolean}
+   */
+  isWaiting() {
+    return this.status === 'waiting';
+  }
+
+  /**
+   * Check if an opponent's rating is inside the accepted range
+   * @param {number} rating - Opponent's rating
+   * @returns {boolean}
+   */
+  acceptsRating(rating) {
+    return (this.minRating === null || rating >= this.minRating) &&
+           (this.maxRating === null || rating <= this.maxRating);
+  }
+
+  /**
+   * Check if two waiting entries can be paired
+   * Both players must fall inside each other's rating range, and if both asked for a
+   * clock it must be the same one.
+   * @param {MatchmakingEntry} other - Other entry
+   * @param {number} ownRating - Rating of this entry's user
+   * @param {number} otherRating - Rating of the other entry's user
+   * @returns {boolean}
+   */
+  isCompatibleWith(other, ownRating, otherRating) {
+    return this.isWaiting() && other.isWaiting() &&
+           this.userId !== other.userId &&
+           this.gameType === other.gameType &&
+           this.acceptsRating(otherRating) &&
+           other.acceptsRating(ownRating) &&
+           this._acceptsTimeControl(other.timeControl);
+  }
+
+  /**
+   * The clock a pairing with another entry is played with
+   * @param {MatchmakingEntry} other - Compatible entry
+   * @returns {Object|null} Time control settings, or null for an untimed game
+   */
+  agreedTimeControl(other) {
+    return this.timeControl || other.timeControl || null;
+  }
+
+  /**
+   * Check if another entry's clock preference fits this one
+   * Entries without a preference accept any clock.
+   * @param {Object|null} timeControl - Other entry's time control
+   * @returns {boolean}
+   * @private
+   */
+  _acceptsTimeControl(timeControl) {
+    if (!this.timeControl || !timeControl) {
+      return true;
+    }
+
+    const own = new TimeControl(this.timeControl);
+    const theirs = new TimeControl(timeControl);
+    return own.type === theirs.type &&
+           own.daysPerMove === theirs.daysPerMove &&
+           own.initialDays === theirs.initialDays &&
+           own.incrementDays === theirs.incrementDays;
+  }
+
+  /**
+   * Get a plain object representation
+   * @returns {Object}
+   */
+  toObject() {
+    return {
+      id: this.id,
+      userId: this.userId,
+      gameType: this.gameType,
+      minRating: this.minRating,
+      maxRating: this.maxRating,
+      timeControl: this.timeControl,
+      status: this.status,
+      gameId: this.gameId,
+      createdAt: this.createdAt,
+      matchedAt: this.matchedAt
+    };
+  }
+}
+
+/**
+ * Every status a queue entry can have
+ */
+MatchmakingEntry.STATUSES = ['waiting', 'matched', 'cancelled'];
+
+module.exports = MatchmakingEntry;
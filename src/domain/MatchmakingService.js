@@ -0,0 +1,188 @@
+const MatchmakingEntry = require('./MatchmakingEntry');
+
+/**
+ * Matchmaking domain service
+ * Keeps a queue per game type and pairs compatible players into new games
+ */
+class MatchmakingService {
+  /**
+   * @param {MatchmakingRepository} matchmakingRepository - Queue persistence port
+   * @param {UserService} userService - User domain service
+   * @param {GameService} gameService - Game domain service
+   * @param {GamePluginRegistry} gamePluginRegistry - Registry of playable game types
+   * @param {NotificationService} notificationService - Notification port
+   */
+  constructor(matchmakingRepository, userService, gameService, gamePluginRegistry, notificationService) {
+    this.matchmakingRepository = matchmakingRepository;
+    this.userService = userService;
+    this.gameService = gameService;
+    this.gamePluginRegistry = gamePluginRegistry;
+    this.notificationService = notificationService;
+  }
+
+  /**
+   * Enter the queue for a game type and pair up straight away if someone compatible is waiting
+   * @param {string} userId - User joining the queue
+   * @param {Object} preferences - What the user will accept
+   * @param {string} preferences.gameType - Game type to play
+   * @param {number|null} preferences.minRating - Lowest opponent rating accepted
+   * @param {number|null} preferences.maxRating - Highest opponent rating accepted
+   * @param {Object|null} preferences.timeControl - Clock to play with; any clock if omitted
+   * @returns {Promise<Object>} The entry, and the game if a match was made
+   */
+  async joinQueue(userId, { gameType, minRating = null, maxRating = null, timeControl = null }) {
+    const user = await this.userService.findUserById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const gamePlugin = this.gamePluginRegistry.getPlugin(gameType);
+    if (!gamePlugin) {
+      throw new Error(`Unsupported game type: ${gameType}`);
+    }
+
+    if (gamePlugin.getMinPlayers() > 2 || gamePlugin.getMaxPlayers() < 2) {
+      throw new Error('Matchmaking is only available for two-player games');
+    }
+
+    const waiting = await this.matchmakingRepository.findForUser(userId, { status: 'waiting' });
+    if (waiting.some(entry => entry.gameType === gameType)) {
+      throw new Error(`Already queued for ${gameType}`);
+    }
+
+    const entry = await this.matchmakingRepository.save(new MatchmakingEntry({
+      userId,
+      gameType,
+      minRating,
+      maxRating,
+      timeControl
+    }));
+
+    const game = await this._findMatch(entry, user);
+
+    return {
+      entry: game ? await this.matchmakingRepository.findById(entry.id) : entry,
+      game
+    };
+  }
+
+  /**
+   * Leave the queue
+   * @param {string} entryId - Queue entry ID
+   * @param {string} userId - User leaving; must own the entry
+   * @returns {Promise<MatchmakingEntry>} Cancelled entry
+   */
+  async leaveQueue(entryId, userId) {
+    const entry = await this.matchmakingRepository.findById(entryId);
+    if (!entry) {
+      throw new Error('Queue entry not found');
+    }
+
+    if (entry.userId !== userId) {
+      throw new Error('Can only leave your own queue entries');
+    }
+
+    const cancelled = await this.matchmakingRepository.updateStatus([entryId], 'waiting', { status: 'cancelled' });
+    if (!cancelled) {
+      throw new Error('Queue entry is no longer waiting');
+    }
+
+    return this.matchmakingRepository.findById(entryId);
+  }
+
+  /**
+   * Get a user's queue entries
+   * @param {string} userId - User ID
+   * @param {Object} criteria - Optional filters
+   * @param {string} criteria.status - Only entries with this status
+   * @returns {Promise<MatchmakingEntry[]>} Entries, newest first
+   */
+  async getQueueEntries(userId, criteria = {}) {
+    if (criteria.status && !MatchmakingEntry.STATUSES.includes(criteria.status)) {
+      throw new Error(`Queue entry status must be one of: ${MatchmakingEntry.STATUSES.join(', ')}`);
+    }
+
+    return this.matchmakingRepository.findForUser(userId, criteria);
+  }
+
+  /**
+   * Pair a new entry with the longest-waiting compatible one
+   * @param {MatchmakingEntry} entry - Entry that just joined
+   * @param {User} user - Entry's user
+   * @returns {Promise<Game|null>} Created game, or null if nobody fits yet
+   * @private
+   */
+  async _findMatch(entry, user) {
+    const candidates = await this.matchmakingRepository.findWaiting(entry.gameType);
+
+    for (const candidate of candidates) {
+      if (candidate.id === entry.id || candidate.userId === entry.userId) {
+        continue;
+      }
+
+      const opponent = await this.userService.findUserById(candidate.userId);
+      if (!opponent || !entry.isCompatibleWith(candidate, user.rating, opponent.rating)) {
+        continue;
+      }
+
+      // Someone else may have paired the candidate, or cancelled, in the meantime
+      if (!(await this.matchmakingRepository.updateStatus([candidate.id, entry.id], 'waiting', { status: 'matched' }))) {
+        continue;
+      }
+
+      try {
+        return await this._createMatch(candidate, opponent, entry, user);
+      } catch (error) {
+        await this.matchmakingRepository.updateStatus([candidate.id, entry.id], 'matched', { status: 'waiting' });
+        throw error;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Create the game for a pairing and tell both players
+   * The player who queued first moves first, as the game's creator.
+   * @param {MatchmakingEntry} first - Entry that was waiting
+   * @param {User} firstUser - Its user
+   * @param {MatchmakingEntry} second - Entry that completed the pairing
+   * @param {User} secondUser - Its user
+   * @returns {Promise<Game>} Started game
+   * @private
+   */
+  async _createMatch(first, firstUser, second, secondUser) {
+    const timeControl = first.agreedTimeControl(second);
+
+    // Private, so nobody else can take the second seat
+    const game = await this.gameService.createGame({
+      name: `${firstUser.username} vs ${secondUser.username}`,
+      gameType: first.gameType,
+      creatorId: firstUser.id,
+      settings: timeControl ? { timeControl } : {},
+      visibility: 'private'
+    });
+    await this.gameService.addPlayerToGame(game.id, secondUser.id, game.inviteToken);
+
+    await this.matchmakingRepository.updateStatus([first.id, second.id], 'matched', { status: 'matched', gameId: game.id });
+
+    for (const [entry, user, opponent] of [[first, firstUser, secondUser], [second, secondUser, firstUser]]) {
+      await this.notificationService.sendNotification(
+        user.id,
+        'match_found',
+        `You were matched with ${opponent.username}`,
+        { gameId: game.id }
+      );
+      await this.notificationService.sendRealTimeNotification(user.id, 'match-found', {
+        entryId: entry.id,
+        gameId: game.id,
+        gameType: game.gameType,
+        opponentId: opponent.id
+      });
+    }
+
+    return this.gameService.getGameById(game.id);
+  }
+}
+
+module.exports = MatchmakingService;
@@ -0,0 +1,178 @@
+/**
+ * Spectator domain service
+ * Tracks who is watching each game live. Watching is tied to a real-time connection, so the
+ * spectators are kept in memory and disappear when their connection closes.
+ */
+class SpectatorService {
+  /**
+   * @param {GameService} gameService - Game domain service
+   * @param {UserService} userService - User domain service
+   * @param {NotificationService} notificationService - Notification port
+   */
+  constructor(gameService, userService, notificationService) {
+    this.gameService = gameService;
+    this.userService = userService;
+    this.notificationService = notificationService;
+    // gameId -> Map of connectionId -> userId, or null for anonymous spectators
+    this.spectators = new Map();
+  }
+
+  /**
+   * Start watching a game
+   * @param {string} gameId - Game to watch
+   * @param {string} connectionId - Connection the spectator watches from
+   * @param {string|null} userId - Signed-in spectator, or null for anonymous ones
+   * @returns {Promise<number>} Spectator count including the new spectator
+   */
+  async startWatching(gameId, connectionId, userId = null) {
+    const game = await this.gameService.getGameById(gameId);
+    if (!game) {
+      throw new Error('Game not found');
+    }
+
+    if (!SpectatorService.allowsSpectators(game)) {
+      throw new Error('This game does not allow spectators');
+    }
+
+    const players = await this.gameService.getGamePlayers(gameId);
+    if (!SpectatorService.isVisibleTo(game, players, userId)) {
+      throw new Error('This game is private; only its players can see it');
+    }
+    if (userId && players.some(p => p.user_id === userId)) {
+      throw new Error('Players cannot spectate their own game');
+    }
+
+    if (!this.spectators.has(gameId)) {
+      this.spectators.set(gameId, new Map());
+    }
+    this.spectators.get(gameId).set(connectionId, userId);
+
+    await this._broadcastCount(gameId);
+    return this.getSpectatorCount(gameId);
+  }
+
+  /**
+   * Stop watching a game
+   * @param {string} gameId - Game being watched
+   * @param {string} connectionId - Connection to remove
+   * @returns {Promise<boolean>} Whether the connection was watching the game
+   */
+  async stopWatching(gameId, connectionId) {
+    const watchers = this.spectators.get(gameId);
+    if (!watchers || !watchers.delete(connectionId)) {
+      return false;
+    }
+
+    if (watchers.size === 0) {
+      this.spectators.delete(gameId);
+    }
+
+    await this._broadcastCount(gameId);
+    return true;
+  }
+
+  /**
+   * Stop watching every game a connection was watching, e.g. when it closes
+   * @param {string} connectionId - Closed connection
+   * @returns {Promise<string[]>} IDs of the games it was watching
+   */
+  async stopWatchingAll(connectionId) {
+    const gameIds = [...this.spectators.keys()]
+      .filter(gameId => this.spectators.get(gameId).has(connectionId));
+
+    for (const gameId of gameIds) {
+      await this.stopWatching(gameId, connectionId);
+    }
+
+    return gameIds;
+  }
+
+  /**
+   * Number of people watching a game
+   * A signed-in user watching from several connections counts once.
+   * @param {string} gameId - Game ID
+   * @returns {number}
+   */
+  getSpectatorCount(gameId) {
+    const { userIds, anonymous } = this._summarize(gameId);
+    return userIds.length + anonymous;
+  }
+
+  /**
+   * List the people watching a game
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Object>} Count, signed-in spectators and number of anonymous ones
+   */
+  async getSpectators(gameId) {
+    const game = await this.gameService.getGameById(gameId);
+    if (!game) {
+      throw new Error('Game not found');
+    }
+
+    const { userIds, anonymous } = this._summarize(gameId);
+    const users = [];
+    for (const userId of userIds) {
+      const user = await this.userService.findUserById(userId);
+      if (user) {
+        users.push({ userId: user.id, username: user.username });
+      }
+    }
+
+    return {
+      gameId,
+      allowSpectators: SpectatorService.allowsSpectators(game),
+      spectatorCount: userIds.length + anonymous,
+      spectators: users,
+      anonymousCount: anonymous
+    };
+  }
+
+  /**
+   * Distinct signed-in spectators and anonymous connections of a game
+   * @param {string} gameId - Game ID
+   * @returns {Object}
+   * @private
+   */
+  _summarize(gameId) {
+    const watchers = [...(this.spectators.get(gameId) || new Map()).values()];
+    return {
+      userIds: [...new Set(watchers.filter(Boolean))],
+      anonymous: watchers.filter(userId => !userId).length
+    };
+  }
+
+  /**
+   * Tell players and spectators the new spectator count
+   * @param {string} gameId - Game ID
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _broadcastCount(gameId) {
+    await this.notificationService.broadcastToGame(gameId, 'spectators-updated', {
+      gameId,
+      spectatorCount: this.getSpectatorCount(gameId)
+    });
+  }
+
+  /**
+   * Check a game's `allowSpectators` setting, which defaults to on
+   * @param {Game} game - Game entity
+   * @returns {boolean}
+   */
+  static allowsSpectators(game) {
+    return game.settings.allowSpectators !== false;
+  }
+
+  /**
+   * Check whether someone may see a game; private games are only shown to their players
+   * @param {Game} game - Game entity
+   * @param {Object[]} players - Player rows of the game
+   * @param {string|null} userId - Viewer, or null for anonymous viewers
+   * @returns {boolean}
+   */
+  static isVisibleTo(game, players, userId) {
+    return game.visibility !== 'private' || (Boolean(userId) && players.some(p => p.user_id === userId));
+  }
+}
+
+module.exports = SpectatorService;
@@ -0,0 +1,106 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Correspondence time control
+ * Pure rules for the clock configured in a game's settings.timeControl:
+ *   { type: 'per_move', daysPerMove }                  - a fresh allowance for every move
+ *   { type: 'time_bank', initialDays, incrementDays }  - a bank per player, topped up after each move
+ */
+class TimeControl {
+  constructor({ type, daysPerMove, initialDays, incrementDays = 0 }) {
+    this.type = type;
+    this.daysPerMove = daysPerMove;
+    this.initialDays = initialDays;
+    this.incrementDays = incrementDays;
+
+    this._validate();
+  }
+
+  /**
+   * Build the time control configured in game settings
+   * @param {Object} settings - Game settings
+   * @returns {TimeControl|null} Time control, or null for untimed games
+   */
+  static fromSettings(settings = {}) {
+    if (!settings.timeControl) {
+      return null;
+    }
+    return new TimeControl(settings.timeControl);
+  }
+
+  /**
+   * Validate the configuration
+   * @private
+   */
+  _validate() {
+    const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+    if (this.type === 'per_move') {
+      if (!isPositive(this.daysPerMove)) {
+        throw new Error('Invalid time control: daysPerMove must be a positive number');
+      }
+    } else if (this.type === 'time_bank') {
+      if (!isPositive(this.initialDays)) {
+        throw new Error('Invalid time control: initialDays must be a positive number');
+      }
+      if (typeof this.incrementDays !== 'number' || !Number.isFinite(this.incrementDays) || this.incrementDays < 0) {
+        throw new Error('Invalid time control: incrementDays cannot be negative');
+      }
+    } else {
+      throw new Error('Invalid time control: type must be per_move or time_bank');
+    }
+  }
+
+  /**
+   * Time a player has for their next turn
+   * @param {string} playerId - Player ID
+   * @param {Object|null} timeRemaining - Banked milliseconds by player ID
+   * @returns {number} Milliseconds
+   */
+  getAllowance(playerId, timeRemaining) {
+    if (this.type === 'per_move') {
+      return this.daysPerMove * DAY_MS;
+    }
+
+    const banked = timeRemaining && timeRemaining[playerId];
+    return typeof banked === 'number' ? banked : this.initialDays * DAY_MS;
+  }
+
+  /**
+   * Deadline for a player whose turn starts now
+   * @param {string} playerId - Player ID
+   * @param {Object|null} timeRemaining - Banked milliseconds by player ID
+   * @param {Date} now - Start of the turn
+   * @returns {Date} Deadline
+   */
+  getDeadline(playerId, timeRemaining, now) {
+    return new Date(now.getTime() + this.getAllowance(playerId, timeRemaining));
+  }
+
+  /**
+   * Charge the time a player used on their turn
+   * @param {string} playerId - Player whose turn is ending
+   * @param {Object|null} timeRemaining - Banked milliseconds by player ID
+   * @param {Date|null} moveDeadline - Deadline of the turn that is ending
+   * @param {Date} now - End of the turn
+   * @param {Object} options - Charge options
+   * @param {boolean} options.increment - Whether to add the per-move increment
+   * @returns {Object|null} Updated banks, or null when the control keeps no banks
+   */
+  charge(playerId, timeRemaining, moveDeadline, now, { increment = true } = {}) {
+    if (this.type !== 'time_bank') {
+      return timeRemaining;
+    }
+
+    const left = moveDeadline
+      ? Math.max(0, moveDeadline.getTime() - now.getTime())
+      : this.getAllowance(playerId, timeRemaining);
+
+    return {
+      ...(timeRemaining || {}),
+      [playerId]: left + (increment ? this.incrementDays * DAY_MS : 0)
+    };
+  }
+}
+
+module.exports = TimeControl;
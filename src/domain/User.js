@@ -1,6 +1,8 @@
 const { v4: uuidv4 } = require('uuid');
 const bcrypt = require('bcryptjs');
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 /**
  * User domain entity
  * Pure business logic without external dependencies
@@ -11,6 +13,10 @@ class User {
     username,
     email,
     passwordHash,
+    role = 'user',
+    rating = User.DEFAULT_RATING,
+    vacationDaysRemaining = User.DEFAULT_VACATION_DAYS,
+    vacationStartedAt = null,
     createdAt = new Date(),
     lastActive = new Date()
   }) {
@@ -18,6 +24,10 @@ class User {
     this.username = username;
     this.email = email;
     this.passwordHash = passwordHash;
+    this.role = role;
+    this.rating = rating;
+    this.vacationDaysRemaining = vacationDaysRemaining;
+    this.vacationStartedAt = vacationStartedAt;
     this.createdAt = createdAt;
     this.lastActive = lastActive;
 
@@ -48,6 +58,18 @@ class User {
     if (!this.passwordHash || this.passwordHash.length === 0) {
       throw new Error('Password hash cannot be empty');
     }
+
+    if (!['user', 'admin'].includes(this.role)) {
+      throw new Error('Invalid user role');
+    }
+
+    if (typeof this.rating !== 'number' || !Number.isFinite(this.rating)) {
+      throw new Error('Rating must be a number');
+    }
+
+    if (typeof this.vacationDaysRemaining !== 'number' || this.vacationDaysRemaining < 0) {
+      throw new Error('Vacation allowance cannot be negative');
+    }
   }
 
   /**
@@ -138,6 +160,99 @@ class User {
     });
   }
 
+  /**
+   * Check if the user may perform admin actions
+   * @returns {boolean}
+   */
+  isAdmin() {
+    return this.role === 'admin';
+  }
+
+  /**
+   * Change the user's role
+   * @param {string} role - New role ('user' or 'admin')
+   * @returns {User} New user instance with the new role
+   */
+  changeRole(role) {
+    return new User({
+      ...this,
+      role
+    });
+  }
+
+  /**
+   * Rate the result of a game against one opponent (Elo)
+   * @param {number} opponentRating - Opponent's rating before the game
+   * @param {number} score - 1 for a win, 0.5 for a draw, 0 for a loss
+   * @returns {User} New user instance with the new rating
+   */
+  rateGame(opponentRating, score) {
+    const expectedScore = 1 / (1 + Math.pow(10, (opponentRating - this.rating) / 400));
+    return new User({
+      ...this,
+      rating: Math.round(this.rating + User.RATING_K_FACTOR * (score - expectedScore))
+    });
+  }
+
+  /**
+   * Check if the user is on vacation
+   * @returns {boolean}
+   */
+  isOnVacation() {
+    return this.vacationStartedAt !== null;
+  }
+
+  /**
+   * Start a vacation
+   * @param {Date} now - Start of the vacation
+   * @returns {User} New user instance on vacation
+   */
+  startVacation(now = new Date()) {
+    if (this.isOnVacation()) {
+      throw new Error('Already on vacation');
+    }
+
+    if (this.vacationDaysRemaining <= 0) {
+      throw new Error('No vacation allowance left');
+    }
+
+    return new User({
+      ...this,
+      vacationStartedAt: now
+    });
+  }
+
+  /**
+   * End a vacation, deducting the time away from the allowance
+   * @param {Date} now - End of the vacation
+   * @returns {User} New user instance back from vacation
+   */
+  endVacation(now = new Date()) {
+    if (!this.isOnVacation()) {
+      throw new Error('Not on vacation');
+    }
+
+    // Work in whole milliseconds so a vacation ended at getVacationEnd() uses up exactly the allowance
+    const awayMs = Math.max(0, now.getTime() - this.vacationStartedAt.getTime());
+    const allowanceMs = Math.round(this.vacationDaysRemaining * DAY_MS);
+    return new User({
+      ...this,
+      vacationDaysRemaining: Math.max(0, allowanceMs - awayMs) / DAY_MS,
+      vacationStartedAt: null
+    });
+  }
+
+  /**
+   * Get when the current vacation runs out of allowance
+   * @returns {Date|null} End of the allowance, or null when not on vacation
+   */
+  getVacationEnd() {
+    if (!this.isOnVacation()) {
+      return null;
+    }
+    return new Date(this.vacationStartedAt.getTime() + Math.round(this.vacationDaysRemaining * DAY_MS));
+  }
+
   /**
    * Check if the user has been active recently
    * @param {number} thresholdMs - Threshold in milliseconds (default: 24 hours)
@@ -172,6 +287,10 @@ class User {
       id: this.id,
       username: this.username,
       email: this.email,
+      role: this.role,
+      rating: this.rating,
+      vacationDaysRemaining: this.vacationDaysRemaining,
+      vacationStartedAt: this.vacationStartedAt,
       createdAt: this.createdAt,
       lastActive: this.lastActive
     };
@@ -187,6 +306,10 @@ class User {
       username: this.username,
       email: this.email,
       passwordHash: this.passwordHash,
+      role: this.role,
+      rating: this.rating,
+      vacationDaysRemaining: this.vacationDaysRemaining,
+      vacationStartedAt: this.vacationStartedAt,
       createdAt: this.createdAt,
       lastActive: this.lastActive
     };
@@ -200,6 +323,7 @@ class User {
   static fromObject(data) {
     return new User({
       ...data,
+      vacationStartedAt: data.vacationStartedAt ? new Date(data.vacationStartedAt) : null,
       createdAt: new Date(data.createdAt),
       lastActive: new Date(data.lastActive)
     });
@@ -215,4 +339,19 @@ class User {
   }
 }
 
+/**
+ * Vacation days a new user may take
+ */
+User.DEFAULT_VACATION_DAYS = 30;
+
+/**
+ * Rating a new user starts with
+ */
+User.DEFAULT_RATING = 1500;
+
+/**
+ * Most rating points a single game can win or lose
+ */
+User.RATING_K_FACTOR = 32;
+
 module.exports = User;
\ No newline at end of file
@@ -167,6 +167,79 @@ class UserService {
     return updatedUser.toSafeObject();
   }
 
+  /**
+   * Find a user by username
+   * @param {string} username - Username
+   * @returns {Promise<User|null>} User entity or null if not found
+   */
+  async findUserByUsername(username) {
+    const userData = await this.userRepository.findByUsername(username);
+    return userData ? User.fromObject(userData) : null;
+  }
+
+  /**
+   * Change a user's role
+   * @param {string} userId - User ID
+   * @param {string} role - New role ('user' or 'admin')
+   * @returns {Promise<User>} Updated user entity
+   */
+  async changeUserRole(userId, role) {
+    const user = await this.findUserById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const updatedUser = user.changeRole(role);
+    await this.userRepository.updateRole(userId, role);
+
+    return updatedUser;
+  }
+
+  /**
+   * Put a user on vacation
+   * @param {string} userId - User ID
+   * @param {Date} now - Start of the vacation
+   * @returns {Promise<User>} Updated user entity
+   */
+  async startVacation(userId, now = new Date()) {
+    const user = await this.findUserById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const updatedUser = user.startVacation(now);
+    await this.userRepository.updateVacation(userId, updatedUser);
+
+    return updatedUser;
+  }
+
+  /**
+   * Bring a user back from vacation
+   * @param {string} userId - User ID
+   * @param {Date} now - End of the vacation
+   * @returns {Promise<User>} Updated user entity
+   */
+  async endVacation(userId, now = new Date()) {
+    const user = await this.findUserById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const updatedUser = user.endVacation(now);
+    await this.userRepository.updateVacation(userId, updatedUser);
+
+    return updatedUser;
+  }
+
+  /**
+   * Find users whose vacation allowance has run out while away
+   * @param {Date} now - Time to compare against
+   * @returns {Promise<User[]>} Users still on vacation
+   */
+  async findExpiredVacations(now = new Date()) {
+    return this.userRepository.findExpiredVacations(now);
+  }
+
   /**
    * Verify a JWT token
    * @param {string} token - JWT token
@@ -183,20 +256,19 @@ class UserService {
   /**
    * Get user from token
    * @param {string} token - JWT token
-   * @returns {Promise<Object>} User data
+   * @returns {Promise<User|null>} User entity or null if the user no longer exists
    */
   async getUserFromToken(token) {
     const decoded = this.verifyToken(token);
-    return this.getUserById(decoded.userId);
+    return this.findUserById(decoded.userId);
   }
 
   /**
    * Generate JWT token
    * @param {string} userId - User ID
    * @returns {string} JWT token
-   * @private
    */
-  _generateToken(userId) {
+  generateToken(userId) {
     return jwt.sign({ userId }, this.jwtSecret, { expiresIn: '7d' });
   }
 
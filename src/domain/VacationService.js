@@ -0,0 +1,93 @@
+/**
+ * Vacation domain service
+ * Stops the clocks of every active game a player is in while they are away
+ */
+class VacationService {
+  /**
+   * @param {UserService} userService - User domain service
+   * @param {GameService} gameService - Game domain service
+   * @param {NotificationService} notificationService - Notification port
+   */
+  constructor(userService, gameService, notificationService) {
+    this.userService = userService;
+    this.gameService = gameService;
+    this.notificationService = notificationService;
+  }
+
+  /**
+   * Start a vacation and pause the player's games
+   * @param {string} userId - User going on vacation
+   * @param {Date} now - Start of the vacation
+   * @returns {Promise<Object>} Updated user and the number of games affected
+   */
+  async startVacation(userId, now = new Date()) {
+    const user = await this.userService.startVacation(userId, now);
+    const games = await this.gameService.findGames({ status: 'active', playerId: userId });
+
+    for (const game of games) {
+      await this.gameService.pauseClock(game.id, now);
+    }
+
+    await this._notifyOpponents(user, games, 'vacation_started', `${user.username} is on vacation; the clock is paused`);
+
+    return { user, gameCount: games.length };
+  }
+
+  /**
+   * End a vacation and restart the clocks of games nobody else is away from
+   * @param {string} userId - User coming back
+   * @param {Date} now - End of the vacation
+   * @returns {Promise<Object>} Updated user and the number of games affected
+   */
+  async endVacation(userId, now = new Date()) {
+    const user = await this.userService.endVacation(userId, now);
+    const games = await this.gameService.findGames({ status: 'active', playerId: userId });
+
+    for (const game of games) {
+      await this.gameService.resumeClock(game.id, now);
+    }
+
+    await this._notifyOpponents(user, games, 'vacation_ended', `${user.username} is back from vacation`);
+
+    return { user, gameCount: games.length };
+  }
+
+  /**
+   * End every vacation whose allowance has run out
+   * Each vacation ends at the moment its allowance ran out, not at the time of the sweep.
+   * @param {Date} now - Time to compare against
+   * @returns {Promise<Object[]>} Results from endVacation
+   */
+  async endExpiredVacations(now = new Date()) {
+    const users = await this.userService.findExpiredVacations(now);
+    const results = [];
+
+    for (const user of users) {
+      results.push(await this.endVacation(user.id, user.getVacationEnd()));
+    }
+
+    return results;
+  }
+
+  /**
+   * Tell everyone playing against the user about their vacation
+   * @param {User} user - User on or back from vacation
+   * @param {Game[]} games - The user's active games
+   * @param {string} type - Notification type
+   * @param {string} message - Notification message
+   * @private
+   */
+  async _notifyOpponents(user, games, type, message) {
+    for (const game of games) {
+      const players = await this.gameService.getGamePlayers(game.id);
+
+      for (const player of players) {
+        if (player.user_id !== user.id) {
+          await this.notificationService.sendNotification(player.user_id, type, message, { gameId: game.id });
+        }
+      }
+    }
+  }
+}
+
+module.exports = VacationService;
@@ -0,0 +1,105 @@
+/**
+ * Checkers Frontend Plugin Module
+ * Handles checkers-specific frontend logic: move parsing, formatting, and UI helpers
+ */
+class CheckersFrontend {
+  /**
+   * Parse checkers move from user input
+   * Accepts "a3-b4", "a3 b4", "a3xc5" and chained jumps like "a3xc5xe7"
+   * @param {string} moveText - Raw user input
+   * @returns {string} - Normalized move for backend processing
+   */
+  static parseMove(moveText) {
+    if (!moveText || typeof moveText !== 'string') {
+      throw new Error('Invalid move input');
+    }
+
+    // Squares are lowercase and spaces between squares are treated as steps
+    return moveText.trim().toLowerCase().replace(/\s+/g, '-');
+  }
+
+  /**
+   * Format move data for display in move history
+   * @param {string|Object} moveData - Move data from backend
+   * @returns {string} - Formatted move text for display
+   */
+  static formatMove(moveData) {
+    if (typeof moveData === 'string') {
+      return moveData;
+    }
+
+    if (moveData && moveData.from && moveData.to) {
+      return `${moveData.from}-${moveData.to}`;
+    }
+
+    return JSON.stringify(moveData);
+  }
+
+  /**
+   * Get placeholder text for move input field
+   * @returns {string} - Placeholder text
+   */
+  static getMoveInputPlaceholder() {
+    return 'Enter move (e.g., c3-d4, c3xe5)';
+  }
+
+  /**
+   * Get help text for move input
+   * @returns {string} - Help text explaining move format
+   */
+  static getMoveInputHelp() {
+    return 'Move diagonally with a dash (c3-d4). Jump with x (c3xe5); chain jumps as c3xe5xg7. Captures are mandatory.';
+  }
+
+  /**
+   * Validate move format before sending to backend
+   * @param {string} moveText - Raw user input
+   * @returns {Object} - {valid: boolean, error?: string}
+   */
+  static validateMoveFormat(moveText) {
+    if (!moveText || typeof moveText !== 'string') {
+      return { valid: false, error: 'Move cannot be empty' };
+    }
+
+    const normalized = this.parseMove(moveText);
+    if (normalized.length === 0) {
+      return { valid: false, error: 'Move cannot be empty' };
+    }
+
+    if (!/^[a-h][1-8]([-x][a-h][1-8])+$/.test(normalized)) {
+      return { valid: false, error: 'Use squares like c3-d4 or c3xe5' };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Get game type display name
+   * @returns {string} - Display name for this game type
+   */
+  static getDisplayName() {
+    return 'Checkers';
+  }
+
+  /**
+   * Get game type description
+   * @returns {string} - Description of the game
+   */
+  static getDescription() {
+    return 'Classic two-player checkers with mandatory and chain captures';
+  }
+
+  /**
+   * Get example moves for help/tutorial
+   * @returns {Array<Object>} - Array of {move, description} objects
+   */
+  static getExampleMoves() {
+    return [
+      { move: 'c3-d4', description: 'Move a piece one square diagonally' },
+      { move: 'd4xf6', description: 'Jump over an opponent piece' },
+      { move: 'b2xd4xf6', description: 'Capture two pieces in one turn' }
+    ];
+  }
+}
+
+module.exports = CheckersFrontend;
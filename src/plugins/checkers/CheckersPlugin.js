@@ -0,0 +1,492 @@
+const GamePlugin = require('../../ports/GamePlugin');
+const CheckersFrontend = require('./CheckersFrontend');
+const CheckersRenderer = require('./CheckersRenderer');
+
+/**
+ * Checkers game plugin
+ * Implements the GamePlugin interface for checkers (American draughts)
+ */
+class CheckersPlugin extends GamePlugin {
+  /**
+   * Get plugin metadata
+   * @returns {Object} Plugin metadata
+   */
+  static getMetadata() {
+    return {
+      name: 'Checkers',
+      description: 'Classic two-player checkers/draughts game',
+      minPlayers: 2,
+      maxPlayers: 2,
+      estimatedDuration: '20-40 minutes',
+      complexity: 'Medium',
+      categories: ['Strategy', 'Board Game', 'Classic'],
+      version: '1.0.0'
+    };
+  }
+
+  getGameType() {
+    return 'checkers';
+  }
+
+  getDisplayName() {
+    return 'Checkers';
+  }
+
+  getDescription() {
+    return 'Classic two-player checkers with mandatory and chain captures';
+  }
+
+  getMinPlayers() {
+    return 2;
+  }
+
+  getMaxPlayers() {
+    return 2;
+  }
+
+  getInitialBoardState(gameSettings = {}) {
+    // 8x8 board with pieces on dark squares
+    const board = Array(8).fill(null).map(() => Array(8).fill(null));
+
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col++) {
+        if ((row + col) % 2 === 1) {
+          if (row < 3) {
+            board[row][col] = 'b'; // black piece (top of board)
+          } else if (row > 4) {
+            board[row][col] = 'w'; // white piece (bottom of board)
+          }
+        }
+      }
+    }
+
+    return {
+      board,
+      activeColor: 'white',
+      mustCapture: false, // If the player to move must make a capture
+      chainCapture: null  // Square of the piece in the middle of a multi-capture sequence
+    };
+  }
+
+  validateMove(move, boardState, playerId, players) {
+    try {
+      if (!move || typeof move !== 'string') {
+        return { valid: false, error: 'Invalid move format' };
+      }
+
+      const player = players.find(p => p.user_id === playerId);
+      if (!player) {
+        return { valid: false, error: 'Player not in game' };
+      }
+
+      if (player.color !== boardState.activeColor) {
+        return { valid: false, error: `It is ${boardState.activeColor}'s turn to move` };
+      }
+
+      const result = this.playMove(move, boardState);
+      return result.error ? { valid: false, error: result.error } : { valid: true };
+
+    } catch (error) {
+      return { valid: false, error: 'Move validation failed' };
+    }
+  }
+
+  applyMove(move, boardState, playerId, players) {
+    const result = this.playMove(move, boardState);
+    if (result.error) {
+      throw new Error(result.error);
+    }
+    return result.boardState;
+  }
+
+  isGameComplete(boardState, players) {
+    // The player to move loses when they have no pieces or no legal moves
+    return !this.hasLegalMove(boardState, boardState.activeColor);
+  }
+
+  getWinner(boardState, players) {
+    if (!this.isGameComplete(boardState, players)) {
+      return null;
+    }
+
+    const winner = players.find(p => p.color !== boardState.activeColor);
+    return winner ? winner.user_id : null;
+  }
+
+  getNextPlayer(currentPlayerId, players, boardState) {
+    // A chain capture keeps the turn with the same player
+    const nextPlayer = players.find(p => p.color === boardState.activeColor);
+    return nextPlayer ? nextPlayer.user_id : currentPlayerId;
+  }
+
+  getAvailableColors(playerCount) {
+    return ['white', 'black'];
+  }
+
+  assignPlayerColor(playerOrder, totalPlayers) {
+    const colors = this.getAvailableColors();
+    return colors[playerOrder - 1] || `player${playerOrder}`;
+  }
+
+  validateBoardState(boardState) {
+    if (!boardState || !boardState.board || !Array.isArray(boardState.board)) {
+      return false;
+    }
+
+    if (boardState.board.length !== 8) {
+      return false;
+    }
+
+    for (const row of boardState.board) {
+      if (!Array.isArray(row) || row.length !== 8) {
+        return false;
+      }
+      if (row.some(piece => piece !== null && !['w', 'b', 'W', 'B'].includes(piece))) {
+        return false;
+      }
+    }
+
+    return ['white', 'black'].includes(boardState.activeColor);
+  }
+
+  getRenderData(boardState, players, options = {}) {
+    return {
+      board: boardState.board,
+      orientation: options.orientation || 'white',
+      highlights: options.highlights || [],
+      annotations: options.annotations || [],
+      gameSpecific: {
+        activeColor: boardState.activeColor,
+        mustCapture: boardState.mustCapture,
+        chainCapture: boardState.chainCapture
+      }
+    };
+  }
+
+  getGameStats(boardState, players) {
+    const white = this.getPiecesByColor(boardState, 'white');
+    const black = this.getPiecesByColor(boardState, 'black');
+
+    return {
+      gameType: this.getGameType(),
+      playerCount: players.length,
+      minPlayers: this.getMinPlayers(),
+      maxPlayers: this.getMaxPlayers(),
+      pieceCount: {
+        white: white.length,
+        black: black.length,
+        whiteKings: white.filter(p => p.isKing).length,
+        blackKings: black.filter(p => p.isKing).length
+      }
+    };
+  }
+
+  // Checkers-specific helper methods
+
+  /**
+   * Play a move on a copy of the board state
+   * Moves are written as "a3-b4" for a step or "a3xc5" for a jump; a chain of
+   * jumps can be given in one move ("a3xc5xe7") or one jump at a time
+   * @param {string} move - Move notation
+   * @param {Object} boardState - Current board state
+   * @returns {Object} { boardState } on success or { error } if the move is illegal
+   */
+  playMove(move, boardState) {
+    const notation = move.trim().toLowerCase();
+    if (!/^[a-h][1-8]([-x][a-h][1-8])+$/.test(notation)) {
+      return { error: 'Invalid move notation. Use format: a3-b4 or a3xc5' };
+    }
+
+    const squares = notation.split(/[-x]/);
+    const isCapture = notation.includes('x');
+    if (isCapture && notation.includes('-')) {
+      return { error: 'Cannot mix steps and jumps in one move' };
+    }
+    if (!isCapture && squares.length !== 2) {
+      return { error: 'Normal moves must be one square' };
+    }
+
+    const newBoardState = JSON.parse(JSON.stringify(boardState));
+    const color = boardState.activeColor;
+
+    if (boardState.chainCapture && squares[0] !== boardState.chainCapture) {
+      return { error: `Must continue capturing with the piece on ${boardState.chainCapture}` };
+    }
+
+    const fromPos = this.algebraicToPosition(squares[0]);
+    const piece = newBoardState.board[fromPos.row][fromPos.col];
+    if (!piece) {
+      return { error: 'No piece at source position' };
+    }
+    if (!this.isPieceOwnedByPlayer(piece, color)) {
+      return { error: 'Not your piece' };
+    }
+
+    if (!isCapture) {
+      if (this.getCaptureMoves(boardState, color).length > 0) {
+        return { error: 'A capture is available and must be taken' };
+      }
+
+      const toPos = this.algebraicToPosition(squares[1]);
+      if (!this.getStepTargets(boardState, fromPos).some(pos => pos.row === toPos.row && pos.col === toPos.col)) {
+        return { error: 'Pieces move one square diagonally, and only kings move backwards' };
+      }
+
+      newBoardState.board[toPos.row][toPos.col] = piece;
+      newBoardState.board[fromPos.row][fromPos.col] = null;
+      this.promoteIfNeeded(newBoardState, toPos);
+      return { boardState: this.endTurn(newBoardState) };
+    }
+
+    let currentPos = fromPos;
+    for (const square of squares.slice(1)) {
+      const toPos = this.algebraicToPosition(square);
+      const jump = this.getJumpTargets(newBoardState, currentPos)
+        .find(target => target.row === toPos.row && target.col === toPos.col);
+
+      if (!jump) {
+        return { error: `No capture available from ${this.positionToAlgebraic(currentPos.row, currentPos.col)} to ${square}` };
+      }
+
+      const movingPiece = newBoardState.board[currentPos.row][currentPos.col];
+      newBoardState.board[toPos.row][toPos.col] = movingPiece;
+      newBoardState.board[currentPos.row][currentPos.col] = null;
+      newBoardState.board[jump.captured.row][jump.captured.col] = null;
+      currentPos = toPos;
+
+      // Being crowned ends the turn, even if another jump would be possible
+      if (this.promoteIfNeeded(newBoardState, toPos)) {
+        if (square !== squares[squares.length - 1]) {
+          return { error: 'A piece that is crowned cannot continue capturing' };
+        }
+        return { boardState: this.endTurn(newBoardState) };
+      }
+    }
+
+    // Keep the turn while the capturing piece can jump again
+    if (this.getJumpTargets(newBoardState, currentPos).length > 0) {
+      newBoardState.chainCapture = this.positionToAlgebraic(currentPos.row, currentPos.col);
+      newBoardState.mustCapture = true;
+      return { boardState: newBoardState };
+    }
+
+    return { boardState: this.endTurn(newBoardState) };
+  }
+
+  /**
+   * Hand the turn to the other color and work out whether they must capture
+   * @param {Object} boardState - Board state to update (mutated)
+   * @returns {Object} The updated board state
+   */
+  endTurn(boardState) {
+    boardState.activeColor = boardState.activeColor === 'white' ? 'black' : 'white';
+    boardState.chainCapture = null;
+    boardState.mustCapture = this.getCaptureMoves(boardState, boardState.activeColor).length > 0;
+    return boardState;
+  }
+
+  /**
+   * Crown a man that reached the far row
+   * @param {Object} boardState - Board state to update (mutated)
+   * @param {Object} pos - Position of the piece that just moved
+   * @returns {boolean} Whether the piece was crowned
+   */
+  promoteIfNeeded(boardState, pos) {
+    const piece = boardState.board[pos.row][pos.col];
+    if ((piece === 'w' && pos.row === 0) || (piece === 'b' && pos.row === 7)) {
+      boardState.board[pos.row][pos.col] = piece.toUpperCase();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Get the directions a piece may move in as [rowStep, colStep] pairs
+   * @param {string} piece - Piece symbol
+   * @returns {Array<Array<number>>} Diagonal directions
+   */
+  getDirections(piece) {
+    if (this.isPieceKing(piece)) {
+      return [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+    }
+    return piece === 'w' ? [[-1, -1], [-1, 1]] : [[1, -1], [1, 1]];
+  }
+
+  getStepTargets(boardState, pos) {
+    const piece = boardState.board[pos.row][pos.col];
+    return this.getDirections(piece)
+      .map(([rowStep, colStep]) => ({ row: pos.row + rowStep, col: pos.col + colStep }))
+      .filter(target => this.isValidPosition(target) && boardState.board[target.row][target.col] === null);
+  }
+
+  getJumpTargets(boardState, pos) {
+    const piece = boardState.board[pos.row][pos.col];
+    const color = piece && piece.toLowerCase() === 'w' ? 'white' : 'black';
+
+    return this.getDirections(piece)
+      .map(([rowStep, colStep]) => ({
+        row: pos.row + 2 * rowStep,
+        col: pos.col + 2 * colStep,
+        captured: { row: pos.row + rowStep, col: pos.col + colStep }
+      }))
+      .filter(target => {
+        if (!this.isValidPosition(target) || boardState.board[target.row][target.col] !== null) {
+          return false;
+        }
+        const capturedPiece = boardState.board[target.captured.row][target.captured.col];
+        return capturedPiece !== null && !this.isPieceOwnedByPlayer(capturedPiece, color);
+      });
+  }
+
+  /**
+   * Get every capture available to a color
+   * @param {Object} boardState - Current board state
+   * @param {string} color - 'white' or 'black'
+   * @returns {Array<Object>} Captures as { from, to } squares
+   */
+  getCaptureMoves(boardState, color) {
+    const pieces = boardState.chainCapture
+      ? [this.algebraicToPosition(boardState.chainCapture)]
+      : this.getPiecesByColor(boardState, color);
+
+    return pieces.flatMap(pos => this.getJumpTargets(boardState, pos).map(target => ({
+      from: this.positionToAlgebraic(pos.row, pos.col),
+      to: this.positionToAlgebraic(target.row, target.col)
+    })));
+  }
+
+  hasLegalMove(boardState, color) {
+    return this.getPiecesByColor(boardState, color).some(pos =>
+      this.getStepTargets(boardState, pos).length > 0 || this.getJumpTargets(boardState, pos).length > 0
+    );
+  }
+
+  isPieceOwnedByPlayer(piece, playerColor) {
+    if (!piece) return false;
+
+    const isWhitePiece = piece.toLowerCase() === 'w';
+    return (playerColor === 'white' && isWhitePiece) ||
+           (playerColor === 'black' && !isWhitePiece);
+  }
+
+  isPieceKing(piece) {
+    return piece === 'W' || piece === 'B';
+  }
+
+  isValidPosition(pos) {
+    return pos.row >= 0 && pos.row < 8 && pos.col >= 0 && pos.col < 8;
+  }
+
+  algebraicToPosition(algebraic) {
+    const file = algebraic.charCodeAt(0) - 97; // 'a' = 0
+    const rank = 8 - parseInt(algebraic[1]); // '8' = 0
+    return { row: rank, col: file };
+  }
+
+  positionToAlgebraic(row, col) {
+    const file = String.fromCharCode(97 + col);
+    const rank = (8 - row).toString();
+    return file + rank;
+  }
+
+  getPiecesByColor(boardState, color) {
+    const pieces = [];
+
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col++) {
+        const piece = boardState.board[row][col];
+        if (piece && this.isPieceOwnedByPlayer(piece, color)) {
+          pieces.push({
+            piece,
+            position: this.positionToAlgebraic(row, col),
+            row,
+            col,
+            isKing: this.isPieceKing(piece)
+          });
+        }
+      }
+    }
+
+    return pieces;
+  }
+
+  // ============================================================================
+  // FRONTEND INTERFACE IMPLEMENTATION
+  // ============================================================================
+
+  /**
+   * Parse move from user input (delegated to frontend module)
+   */
+  static parseMove(moveText) {
+    return CheckersFrontend.parseMove(moveText);
+  }
+
+  /**
+   * Format move data for display (delegated to frontend module)
+   */
+  static formatMove(moveData) {
+    return CheckersFrontend.formatMove(moveData);
+  }
+
+  /**
+   * Get placeholder text for move input field
+   */
+  static getMoveInputPlaceholder() {
+    return CheckersFrontend.getMoveInputPlaceholder();
+  }
+
+  /**
+   * Get help text for move input
+   */
+  static getMoveInputHelp() {
+    return CheckersFrontend.getMoveInputHelp();
+  }
+
+  /**
+   * Validate move format before sending to backend
+   */
+  static validateMoveFormat(moveText) {
+    return CheckersFrontend.validateMoveFormat(moveText);
+  }
+
+  // ============================================================================
+  // RENDERING INTERFACE IMPLEMENTATION
+  // ============================================================================
+
+  /**
+   * Generate board image as PNG buffer (delegated to renderer)
+   */
+  static async generateBoardImage(boardState, options = {}) {
+    return await CheckersRenderer.generateBoardImage(boardState, options);
+  }
+
+  /**
+   * Create board SVG content (delegated to renderer)
+   */
+  static createBoardSVG(boardState, options = {}) {
+    return CheckersRenderer.createCheckersBoardSVG(boardState, options);
+  }
+
+  /**
+   * Get rendering options schema for checkers
+   */
+  static getRenderingOptionsSchema() {
+    return {
+      type: 'object',
+      properties: {
+        width: { type: 'number', default: 800, minimum: 200, maximum: 2000 },
+        height: { type: 'number', default: 800, minimum: 200, maximum: 2000 },
+        density: { type: 'number', default: 200, minimum: 72, maximum: 300 },
+        showCoordinates: { type: 'boolean', default: true },
+        title: { type: 'string', default: 'Checkers Board' },
+        highlightSquares: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Array of square names to highlight (e.g., ["c3", "d4"])'
+        }
+      }
+    };
+  }
+}
+
+module.exports = CheckersPlugin;
@@ -0,0 +1,168 @@
+/**
+ * Checkers Board Renderer
+ * Handles checkers-specific board rendering using the common framework
+ */
+const ImageRenderer = require('../../framework/ImageRenderer');
+
+class CheckersRenderer {
+  /**
+   * Generate checkers board image as PNG buffer
+   * @param {Object} boardState - Checkers board state
+   * @param {Object} options - Rendering options
+   * @returns {Promise<Buffer>} - PNG image buffer
+   */
+  static async generateBoardImage(boardState, options = {}) {
+    try {
+      const defaultOptions = {
+        width: 800,
+        height: 800,
+        density: 200,
+        ...options
+      };
+
+      const svgContent = this.createCheckersBoardSVG(boardState, defaultOptions);
+      return await ImageRenderer.svgToPng(svgContent, defaultOptions);
+    } catch (error) {
+      console.error('Checkers board rendering error:', error);
+      return await ImageRenderer.createErrorImage('Checkers Board Error', options);
+    }
+  }
+
+  /**
+   * Create checkers board SVG content
+   * @param {Object} boardState - Checkers board state
+   * @param {Object} options - Rendering options
+   * @returns {string} - Complete SVG content
+   */
+  static createCheckersBoardSVG(boardState, options = {}) {
+    const {
+      width = 800,
+      height = 800,
+      title = 'Checkers Board',
+      showCoordinates = true,
+      highlightSquares = []
+    } = options;
+
+    const board = boardState && Array.isArray(boardState.board) ? boardState.board : [];
+
+    const margin = Math.max(15, width * 0.03);
+    const titleSpace = 25;
+    const coordinateSpace = showCoordinates ? 25 : 0;
+
+    const availableSpace = Math.min(
+      width - (2 * margin),
+      height - (2 * margin) - titleSpace - coordinateSpace
+    );
+    const boardSize = Math.max(200, availableSpace * 0.95);
+
+    const startX = (width - boardSize) / 2;
+    const startY = margin + titleSpace;
+
+    const frame = ImageRenderer.createSVGFrame(width, height, {
+      width,
+      height,
+      title,
+      backgroundColor: '#f9f9f9',
+      borderColor: '#5D4037',
+      borderWidth: Math.max(2, width * 0.005),
+      margin
+    });
+
+    const titleFontSize = Math.max(12, width * 0.025);
+    const titleElement = `<text x="${width / 2}" y="${margin + titleFontSize}" class="board-title" font-size="${titleFontSize}">Checkers Game</text>`;
+
+    const boardContent = this.drawCheckersBoard(board, {
+      size: boardSize,
+      startX,
+      startY,
+      highlightSquares
+    });
+
+    const coordinates = showCoordinates ?
+      ImageRenderer.createCoordinateLabels({
+        files: ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'],
+        ranks: ['8', '7', '6', '5', '4', '3', '2', '1'],
+        boardSize,
+        startX,
+        startY,
+        fontSize: Math.max(16, width * 0.035)
+      }) : '';
+
+    const closing = ImageRenderer.closeSVGFrame({
+      showTimestamp: true,
+      width,
+      height
+    });
+
+    return frame + titleElement + boardContent + coordinates + closing;
+  }
+
+  /**
+   * Draw the checkers board squares and pieces
+   * @param {Array} board - 8x8 board array
+   * @param {Object} options - Drawing options
+   * @returns {string} - SVG elements for board
+   */
+  static drawCheckersBoard(board, options = {}) {
+    const {
+      size = 320,
+      startX = 25,
+      startY = 25,
+      highlightSquares = []
+    } = options;
+
+    const squareSize = size / 8;
+    let svg = '';
+
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col++) {
+        const x = startX + col * squareSize;
+        const y = startY + row * squareSize;
+        const isLight = (row + col) % 2 === 0;
+        const squareName = String.fromCharCode(97 + col) + (8 - row);
+
+        let fillColor = isLight ? '#F5DEB3' : '#6B8E23';
+        if (highlightSquares.includes(squareName)) {
+          fillColor = '#DAC34A';
+        }
+
+        svg += `<rect x="${x}" y="${y}" width="${squareSize}" height="${squareSize}" fill="${fillColor}"/>\n  `;
+
+        const piece = board[row] && board[row][col];
+        if (piece) {
+          svg += this.drawPiece(piece, x + squareSize / 2, y + squareSize / 2, squareSize);
+        }
+      }
+    }
+
+    return svg;
+  }
+
+  /**
+   * Draw a checkers piece at specified position
+   * @param {string} piece - Piece character (w/b for men, W/B for kings)
+   * @param {number} x - Center X position
+   * @param {number} y - Center Y position
+   * @param {number} size - Square size
+   * @returns {string} - SVG elements for piece
+   */
+  static drawPiece(piece, x, y, size) {
+    const isWhite = piece.toLowerCase() === 'w';
+    const fillColor = isWhite ? '#FFFFFF' : '#222222';
+    const strokeColor = isWhite ? '#222222' : '#FFFFFF';
+    const radius = size * 0.38;
+    const strokeWidth = Math.max(1, size * 0.03);
+
+    let svg = `<circle cx="${x}" cy="${y}" r="${radius}" fill="${fillColor}" stroke="${strokeColor}" stroke-width="${strokeWidth}"/>\n  `;
+
+    // Kings get an inner ring and a crown marker
+    if (piece === 'W' || piece === 'B') {
+      svg += `<circle cx="${x}" cy="${y}" r="${radius * 0.6}" fill="none" stroke="#DAA520" stroke-width="${strokeWidth}"/>\n  `;
+      svg += `<text x="${x}" y="${y}" text-anchor="middle" dominant-baseline="middle" font-family="serif" font-size="${size * 0.35}" fill="#DAA520">♔</text>\n  `;
+    }
+
+    return svg;
+  }
+}
+
+module.exports = CheckersRenderer;
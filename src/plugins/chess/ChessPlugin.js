@@ -44,8 +44,20 @@ class ChessPlugin extends GamePlugin {
     return 2;
   }
 
+  /**
+   * Get the starting position: the standard one, or settings.startFen for set-up positions
+   * such as endgame drills and thematic openings. The FEN sets the side to move, castling
+   * rights, en passant square and both clocks.
+   * @param {Object} gameSettings - Game settings
+   * @param {string} gameSettings.startFen - Optional starting position in FEN
+   * @returns {Object} Initial board state
+   */
   getInitialBoardState(gameSettings = {}) {
-    return {
+    if (gameSettings.startFen !== undefined && gameSettings.startFen !== null) {
+      return this.getStartFenBoardState(gameSettings.startFen);
+    }
+
+    const boardState = {
       board: [
         ['r', 'n', 'b', 'q', 'k', 'b', 'n', 'r'],
         ['p', 'p', 'p', 'p', 'p', 'p', 'p', 'p'],
@@ -56,6 +68,7 @@ class ChessPlugin extends GamePlugin {
         ['P', 'P', 'P', 'P', 'P', 'P', 'P', 'P'],
         ['R', 'N', 'B', 'Q', 'K', 'B', 'N', 'R']
       ],
+      activeColor: 'white',
       castlingRights: {
         whiteKingside: true,
         whiteQueenside: true,
@@ -66,6 +79,9 @@ class ChessPlugin extends GamePlugin {
       halfmoveClock: 0,
       fullmoveNumber: 1
     };
+
+    boardState.positionHistory = [this.getPositionKey(boardState)];
+    return boardState;
   }
 
   validateMove(move, boardState, playerId, players) {
@@ -75,37 +91,39 @@ class ChessPlugin extends GamePlugin {
         return { valid: false, error: 'Invalid move format' };
       }
 
-      // Parse move notation
-      const standardMovePattern = /^([a-h][1-8])-([a-h][1-8])$/;
-      const algebraicMovePattern = /^([NBRQK]?)([a-h]?[1-8]?)(x?)([a-h][1-8])(=[NBRQ])?(\+|#)?$/;
-      
-      const standardMatch = move.match(standardMovePattern);
-      const algebraicMatch = move.match(algebraicMovePattern);
-      
-      if (!standardMatch && !algebraicMatch) {
-        return { valid: false, error: 'Invalid move notation. Use format like e2-e4 or Nf3' };
+      // Get player color
+      const player = players.find(p => p.user_id === playerId);
+      if (!player) {
+        return { valid: false, error: 'Player not in game' };
       }
 
-      // Extract destination square
-      let to;
-      if (standardMatch) {
-        to = standardMatch[2];
-      } else if (algebraicMatch) {
-        to = algebraicMatch[4];
+      const activeColor = this.getActiveColor(boardState);
+      if (player.color !== activeColor) {
+        return { valid: false, error: `It is ${activeColor}'s turn to move` };
       }
-      
-      // Validate destination square
-      const file = to.charCodeAt(0) - 97;
-      const rank = parseInt(to[1]) - 1;
-      
-      if (file < 0 || file > 7 || rank < 0 || rank > 7) {
-        return { valid: false, error: 'Invalid destination square' };
+
+      const candidates = this.getMoveCandidates(move);
+      if (candidates.length === 0) {
+        return { valid: false, error: 'Invalid move notation. Use format like e2-e4, Nf3 or O-O' };
       }
 
-      // Get player color
-      const player = players.find(p => p.user_id === playerId);
-      if (!player) {
-        return { valid: false, error: 'Player not in game' };
+      const engine = this.createEngine(boardState);
+
+      // Moving a piece of the other color is the most common mistake, so name it explicitly
+      const coordinateMove = candidates.find(candidate => typeof candidate === 'object');
+      if (coordinateMove) {
+        const piece = engine.get(coordinateMove.from);
+        if (!piece) {
+          return { valid: false, error: `No piece on ${coordinateMove.from}` };
+        }
+        if (piece.color !== engine.turn()) {
+          return { valid: false, error: 'You can only move your own pieces' };
+        }
+      }
+
+      if (!this.resolveMove(engine, move)) {
+        const reason = engine.inCheck() ? ' (your king is in check)' : '';
+        return { valid: false, error: `Illegal move: ${move}${reason}` };
       }
 
       return { valid: true };
@@ -116,83 +134,87 @@ class ChessPlugin extends GamePlugin {
   }
 
   applyMove(move, boardState, playerId, players) {
-    const newBoardState = JSON.parse(JSON.stringify(boardState));
-    
-    // Parse the move notation and apply it to the board
-    const standardMovePattern = /^([a-h][1-8])-([a-h][1-8])$/;
-    const algebraicMovePattern = /^([NBRQK]?)([a-h]?[1-8]?)(x?)([a-h][1-8])(=[NBRQ])?(\+|#)?$/;
-    
-    const standardMatch = move.match(standardMovePattern);
-    const algebraicMatch = move.match(algebraicMovePattern);
-    
-    if (standardMatch) {
-      // Handle standard notation like e2-e4
-      const fromSquare = standardMatch[1];
-      const toSquare = standardMatch[2];
-      
-      const fromPos = this.algebraicToPosition(fromSquare);
-      const toPos = this.algebraicToPosition(toSquare);
-      
-      // Move the piece
-      const piece = newBoardState.board[fromPos.row][fromPos.col];
-      newBoardState.board[toPos.row][toPos.col] = piece;
-      newBoardState.board[fromPos.row][fromPos.col] = null;
-      
-    } else if (algebraicMatch) {
-      // Handle algebraic notation like Nf3, Bxd7, etc.
-      const [, pieceType, fromHint, capture, toSquare] = algebraicMatch;
-      const toPos = this.algebraicToPosition(toSquare);
-      
-      // Determine whose turn it is based on move count
-      const isWhiteMove = (newBoardState.fullmoveNumber || 1) % 2 === 1;
-      
-      // Find the piece that can make this move
-      const piece = this.findPieceForAlgebraicMove(newBoardState, pieceType || 'P', toPos, fromHint, isWhiteMove);
-      
-      if (piece) {
-        // Move the piece
-        newBoardState.board[toPos.row][toPos.col] = piece.symbol;
-        newBoardState.board[piece.row][piece.col] = null;
-      } else {
-        throw new Error(`No valid ${pieceType || 'pawn'} can move to ${toSquare}`);
-      }
-    }
-    
-    // Increment move counters
-    if (newBoardState.fullmoveNumber) {
-      newBoardState.fullmoveNumber += 1;
+    // Play the move on the rules engine so castling, en passant, promotion,
+    // castling rights and clocks are all updated the same way they were validated
+    const engine = this.createEngine(boardState);
+    const resolved = this.resolveMove(engine, move);
+    if (!resolved) {
+      throw new Error(`Illegal move: ${move}`);
     }
-    
-    // Reset en passant target
-    newBoardState.enPassantTarget = null;
+
+    const newBoardState = this.fenToBoardState(engine.fen());
+
+    // Remember the positions reached so threefold repetition can be detected. A capture
+    // or pawn move (the halfmove clock resets) means no earlier position can recur
+    const positionHistory = newBoardState.halfmoveClock === 0
+      ? []
+      : boardState.positionHistory || [this.getPositionKey(boardState)];
+    newBoardState.positionHistory = [...positionHistory, this.getPositionKey(newBoardState)];
     
     return newBoardState;
   }
 
   isGameComplete(boardState, players) {
-    // For now, return false (game continues)
-    // In a full implementation, check for checkmate, stalemate, etc.
-    return false;
+    return this.getGameOverReason(boardState) !== null;
   }
 
   getWinner(boardState, players) {
-    // Return null if game not complete
-    if (!this.isGameComplete(boardState, players)) {
+    // Checkmate is the only decisive result; every other ending is a draw
+    if (this.getGameOverReason(boardState) !== 'checkmate') {
       return null;
     }
-    
-    // In full implementation, determine winner from checkmate position
+
+    const loserColor = this.getActiveColor(boardState);
+    const winner = players.find(p => p.color !== loserColor);
+    return winner ? winner.user_id : null;
+  }
+
+  /**
+   * Work out why the game is over, if it is
+   * @param {Object} boardState - Current board state
+   * @returns {string|null} 'checkmate', 'stalemate', 'insufficient_material',
+   *   'threefold_repetition', 'fifty_move_rule' or null while the game continues
+   */
+  getGameOverReason(boardState) {
+    const engine = this.createEngine(boardState);
+
+    if (engine.isCheckmate()) {
+      return 'checkmate';
+    }
+    if (engine.isStalemate()) {
+      return 'stalemate';
+    }
+    if (engine.isInsufficientMaterial()) {
+      return 'insufficient_material';
+    }
+
+    const positionKey = this.getPositionKey(boardState);
+    const repetitions = (boardState.positionHistory || []).filter(key => key === positionKey).length;
+    if (repetitions >= 3) {
+      return 'threefold_repetition';
+    }
+
+    if (engine.isDrawByFiftyMoves()) {
+      return 'fifty_move_rule';
+    }
+
     return null;
   }
 
   getNextPlayer(currentPlayerId, players, boardState) {
-    const turnOrder = players
-      .sort((a, b) => a.player_order - b.player_order)
-      .map(p => p.user_id);
-    
-    const currentIndex = turnOrder.indexOf(currentPlayerId);
-    const nextIndex = (currentIndex + 1) % turnOrder.length;
-    return turnOrder[nextIndex];
+    const nextPlayer = players.find(p => p.color === this.getActiveColor(boardState));
+    return nextPlayer ? nextPlayer.user_id : currentPlayerId;
+  }
+
+  /**
+   * The player of the side to move starts, which is black in positions set up with black to move
+   * @param {Object[]} players - Array of players in the game
+   * @param {Object} boardState - Initial board state
+   * @returns {string} First player ID
+   */
+  getFirstPlayer(players, boardState) {
+    const firstPlayer = players.find(p => p.color === this.getActiveColor(boardState));
+    return firstPlayer ? firstPlayer.user_id : super.getFirstPlayer(players, boardState);
   }
 
   getAvailableColors(playerCount) {
@@ -242,7 +264,9 @@ class ChessPlugin extends GamePlugin {
       moveCount: boardState.fullmoveNumber || 1,
       minPlayers: this.getMinPlayers(),
       maxPlayers: this.getMaxPlayers(),
-      pieceCount: this.countPieces(boardState)
+      pieceCount: this.countPieces(boardState),
+      inCheck: this.createEngine(boardState).inCheck(),
+      gameOverReason: this.getGameOverReason(boardState)
     };
   }
 
@@ -259,74 +283,218 @@ class ChessPlugin extends GamePlugin {
     return file + rank;
   }
 
-  findPieceForAlgebraicMove(boardState, pieceType, toPos, fromHint, isWhiteMove = true) {
-    const pieceSymbol = isWhiteMove ? pieceType.toUpperCase() : pieceType.toLowerCase();
-    
-    if (pieceType === 'P' || pieceType === '') {
-      // Find pawn that can move to this square
-      const direction = isWhiteMove ? -1 : 1;
-      
-      // Check one square back
-      const oneSquareBack = toPos.row - direction;
-      if (oneSquareBack >= 0 && oneSquareBack < 8) {
-        const piece = boardState.board[oneSquareBack][toPos.col];
-        if (piece === (isWhiteMove ? 'P' : 'p')) {
-          return { symbol: piece, row: oneSquareBack, col: toPos.col };
-        }
-      }
-      
-      // Check two squares back (initial pawn move)
-      if (toPos.row === (isWhiteMove ? 4 : 3)) {
-        const twoSquaresBack = toPos.row - (2 * direction);
-        if (twoSquaresBack >= 0 && twoSquaresBack < 8) {
-          const piece = boardState.board[twoSquaresBack][toPos.col];
-          if (piece === (isWhiteMove ? 'P' : 'p')) {
-            return { symbol: piece, row: twoSquaresBack, col: toPos.col };
+  /**
+   * Get the color whose turn it is in a board state
+   * Board states written before activeColor was tracked counted plies in fullmoveNumber
+   * @param {Object} boardState - Current board state
+   * @returns {string} 'white' or 'black'
+   */
+  getActiveColor(boardState) {
+    if (boardState.activeColor) {
+      return boardState.activeColor;
+    }
+    return (boardState.fullmoveNumber || 1) % 2 === 1 ? 'white' : 'black';
+  }
+
+  /**
+   * Convert a board state to FEN notation
+   * @param {Object} boardState - Board state to convert
+   * @returns {string} FEN string
+   */
+  boardStateToFen(boardState) {
+    const board = boardState.board;
+    const fenBoard = board.map(row => {
+      let fenRow = '';
+      let emptyCount = 0;
+      for (const piece of row) {
+        if (piece) {
+          if (emptyCount > 0) {
+            fenRow += emptyCount;
+            emptyCount = 0;
           }
+          fenRow += piece;
+        } else {
+          emptyCount++;
         }
       }
-    } else {
-      // Find the specified piece type that can move to this square
-      for (let row = 0; row < 8; row++) {
-        for (let col = 0; col < 8; col++) {
-          const piece = boardState.board[row][col];
-          if (piece === pieceSymbol) {
-            // Check if this piece can actually move to the target square
-            if (this.canPieceMoveTo(piece, row, col, toPos.row, toPos.col)) {
-              return { symbol: piece, row, col };
-            }
+      return emptyCount > 0 ? fenRow + emptyCount : fenRow;
+    }).join('/');
+
+    const activeColor = this.getActiveColor(boardState) === 'white' ? 'w' : 'b';
+
+    // Only keep castling rights whose king and rook are still on their home squares
+    const rights = boardState.castlingRights || {};
+    let castling = '';
+    if (rights.whiteKingside && board[7][4] === 'K' && board[7][7] === 'R') castling += 'K';
+    if (rights.whiteQueenside && board[7][4] === 'K' && board[7][0] === 'R') castling += 'Q';
+    if (rights.blackKingside && board[0][4] === 'k' && board[0][7] === 'r') castling += 'k';
+    if (rights.blackQueenside && board[0][4] === 'k' && board[0][0] === 'r') castling += 'q';
+
+    const enPassant = boardState.enPassantTarget || '-';
+    const halfMove = boardState.halfmoveClock || 0;
+    const fullMove = boardState.activeColor ? (boardState.fullmoveNumber || 1) : Math.ceil((boardState.fullmoveNumber || 1) / 2);
+
+    return `${fenBoard} ${activeColor} ${castling || '-'} ${enPassant} ${halfMove} ${fullMove}`;
+  }
+
+  /**
+   * Convert FEN notation to a board state
+   * @param {string} fen - FEN string
+   * @returns {Object} Board state (without position history)
+   */
+  fenToBoardState(fen) {
+    const [fenBoard, activeColor, castling, enPassant, halfMove, fullMove] = fen.trim().split(/\s+/);
+
+    const board = fenBoard.split('/').map(row => {
+      const boardRow = [];
+      for (const char of row) {
+        if (char >= '1' && char <= '8') {
+          // Empty squares
+          for (let i = 0; i < parseInt(char); i++) {
+            boardRow.push(null);
           }
+        } else {
+          boardRow.push(char);
         }
       }
+      return boardRow;
+    });
+
+    return {
+      board,
+      activeColor: activeColor === 'b' ? 'black' : 'white',
+      castlingRights: {
+        whiteKingside: castling.includes('K'),
+        whiteQueenside: castling.includes('Q'),
+        blackKingside: castling.includes('k'),
+        blackQueenside: castling.includes('q')
+      },
+      enPassantTarget: enPassant === '-' ? null : enPassant,
+      halfmoveClock: parseInt(halfMove) || 0,
+      fullmoveNumber: parseInt(fullMove) || 1
+    };
+  }
+
+  /**
+   * Build the starting board state for a FEN, rejecting positions that cannot be played from
+   * @param {string} fen - Starting position in FEN
+   * @returns {Object} Board state
+   */
+  getStartFenBoardState(fen) {
+    if (typeof fen !== 'string' || fen.trim().length === 0) {
+      throw new Error('Invalid starting position: startFen must be a FEN string');
     }
-    
-    return null;
+
+    // chess.js checks the six fields, one king a side and no pawns on the back ranks
+    const { validateFen } = require('chess.js');
+    const { ok, error } = validateFen(fen.trim());
+    if (!ok) {
+      throw new Error(`Invalid starting position: ${error}`);
+    }
+
+    const boardState = this.fenToBoardState(fen);
+    if (!this.validateBoardState(boardState)) {
+      throw new Error('Invalid starting position: the board needs eight ranks of eight squares and both kings');
+    }
+
+    // Otherwise the side to move could take the king
+    const otherSide = boardState.activeColor === 'white' ? 'black' : 'white';
+    if (this.createEngine({ ...boardState, activeColor: otherSide, enPassantTarget: null }).inCheck()) {
+      throw new Error('Invalid starting position: the side not to move is in check');
+    }
+
+    if (this.getGameOverReason(boardState) !== null) {
+      throw new Error('Invalid starting position: the game would already be over');
+    }
+
+    boardState.positionHistory = [this.getPositionKey(boardState)];
+    return boardState;
   }
 
-  canPieceMoveTo(piece, fromRow, fromCol, toRow, toCol) {
-    const pieceType = piece.toLowerCase();
-    const rowDiff = toRow - fromRow;
-    const colDiff = toCol - fromCol;
-    const absRowDiff = Math.abs(rowDiff);
-    const absColDiff = Math.abs(colDiff);
-
-    switch (pieceType) {
-      case 'n': // Knight
-        return (absRowDiff === 2 && absColDiff === 1) || (absRowDiff === 1 && absColDiff === 2);
-      case 'b': // Bishop
-        return absRowDiff === absColDiff && absRowDiff > 0;
-      case 'r': // Rook
-        return (rowDiff === 0 && colDiff !== 0) || (rowDiff !== 0 && colDiff === 0);
-      case 'q': // Queen
-        return (absRowDiff === absColDiff && absRowDiff > 0) || 
-               ((rowDiff === 0 && colDiff !== 0) || (rowDiff !== 0 && colDiff === 0));
-      case 'k': // King
-        return absRowDiff <= 1 && absColDiff <= 1 && (absRowDiff + absColDiff) > 0;
-      case 'p': // Pawn
-        return true; // Simplified for now
-      default:
-        return false;
+  /**
+   * Create a chess.js engine loaded with a board state
+   * @param {Object} boardState - Board state to load
+   * @returns {Chess} chess.js instance
+   */
+  createEngine(boardState) {
+    // Required here because plugin files may only declare their plugin classes at the top level
+    const { Chess } = require('chess.js');
+    return new Chess(this.boardStateToFen(boardState));
+  }
+
+  /**
+   * Get the part of the FEN that identifies a position for repetition purposes
+   * @param {Object} boardState - Board state
+   * @returns {string} Piece placement, side to move, castling rights and en passant square
+   */
+  getPositionKey(boardState) {
+    return this.createEngine(boardState).fen().split(' ').slice(0, 4).join(' ');
+  }
+
+  /**
+   * Expand user move input into the notations chess.js understands
+   * Accepts coordinate moves (e2-e4, e7e8=Q), SAN in any letter case (Nf3, nf3) and castling (O-O, 0-0-0)
+   * @param {string} move - Raw move input
+   * @returns {Array<string|Object>} Candidate moves, most literal first
+   */
+  getMoveCandidates(move) {
+    const text = move.trim();
+
+    const castlingMatch = text.match(/^([o0])-\1(-\1)?[+#]?$/i);
+    if (castlingMatch) {
+      return [castlingMatch[2] ? 'O-O-O' : 'O-O'];
+    }
+
+    const coordinateMatch = text.match(/^([a-h][1-8])[-x]?([a-h][1-8])(?:=?([qrbn]))?[+#]?$/i);
+    if (coordinateMatch) {
+      const [, from, to, promotion] = coordinateMatch;
+      const candidate = { from: from.toLowerCase(), to: to.toLowerCase() };
+      if (promotion) {
+        candidate.promotion = promotion.toLowerCase();
+      }
+      return [candidate];
+    }
+
+    if (!/^[kqrbnp]?[a-h]?[1-8]?x?[a-h][1-8](=?[qrbn])?[+#]?$/i.test(text)) {
+      return [];
+    }
+
+    const candidates = [text];
+    const withPromotion = text.replace(/=?([qrbn])([+#]?)$/i, (match, piece, suffix) => `=${piece.toUpperCase()}${suffix}`);
+    const upperPiece = withPromotion.charAt(0).toUpperCase() + withPromotion.slice(1);
+    for (const candidate of [withPromotion, upperPiece]) {
+      if (!candidates.includes(candidate)) {
+        candidates.push(candidate);
+      }
+    }
+    return candidates;
+  }
+
+  /**
+   * Play a move on an engine if it is legal in the loaded position
+   * @param {Chess} engine - chess.js instance (mutated when the move is legal)
+   * @param {string} move - Raw move input
+   * @returns {Object|null} chess.js move object, or null if the move is illegal
+   */
+  resolveMove(engine, move) {
+    for (const candidate of this.getMoveCandidates(move)) {
+      const attempt = typeof candidate === 'object' ? { ...candidate } : candidate;
+
+      // Coordinate moves of a pawn to the last rank promote to a queen unless told otherwise
+      if (typeof attempt === 'object' && !attempt.promotion) {
+        const piece = engine.get(attempt.from);
+        if (piece && piece.type === 'p' && /[18]$/.test(attempt.to)) {
+          attempt.promotion = 'q';
+        }
+      }
+
+      try {
+        return engine.move(attempt);
+      } catch (error) {
+        // chess.js throws on illegal moves; try the next spelling
+      }
     }
+    return null;
   }
 
   findKing(boardState, color) {
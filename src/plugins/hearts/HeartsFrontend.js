@@ -0,0 +1,155 @@
+/**
+ * Hearts Frontend Plugin Module
+ * Handles hearts-specific frontend logic: move parsing, formatting, and UI helpers
+ */
+class HeartsFrontend {
+  /**
+   * Parse hearts move from user input
+   * "pass 2c 3d qs" passes three cards, "play qs" or just "qs" plays one.
+   * JSON move objects are passed through unchanged.
+   * @param {string} moveText - Raw user input
+   * @returns {Object} - Move object for backend processing
+   */
+  static parseMove(moveText) {
+    if (!moveText || typeof moveText !== 'string') {
+      throw new Error('Invalid move input');
+    }
+
+    const trimmed = moveText.trim();
+    if (trimmed.startsWith('{')) {
+      try {
+        return JSON.parse(trimmed);
+      } catch (error) {
+        throw new Error('Invalid move input');
+      }
+    }
+
+    const words = trimmed.toLowerCase().split(/[\s,]+/);
+    let type = 'play';
+    if (words[0] === 'pass' || words[0] === 'play') {
+      type = words.shift();
+    }
+
+    const cards = words.map(word => this.parseCard(word));
+    if (type === 'pass') {
+      return { type, cards };
+    }
+
+    if (cards.length !== 1) {
+      throw new Error('Play exactly one card, e.g. "play qs"');
+    }
+    return { type, card: cards[0] };
+  }
+
+  /**
+   * Parse a single card such as "qs", "10h" or "2c"
+   * @param {string} text - Card text
+   * @returns {Object} - Card as { suit, rank }
+   */
+  static parseCard(text) {
+    const match = /^(10|[2-9jqka])([cdsh])$/i.exec(text);
+    if (!match) {
+      throw new Error(`Unknown card: ${text}`);
+    }
+    return { suit: HeartsFrontend.SUIT_CODES[match[2].toLowerCase()], rank: match[1].toUpperCase() };
+  }
+
+  /**
+   * Format move data for display in move history
+   * @param {string|Object} moveData - Move data from backend
+   * @returns {string} - Formatted move text for display
+   */
+  static formatMove(moveData) {
+    if (typeof moveData === 'string') {
+      return moveData;
+    }
+
+    if (moveData && moveData.type === 'pass') {
+      // Another player's pass may arrive without its cards
+      return Array.isArray(moveData.cards)
+        ? `Pass ${moveData.cards.map(card => this.formatCard(card)).join(' ')}`
+        : 'Pass';
+    }
+
+    if (moveData && moveData.type === 'play' && moveData.card) {
+      return `Play ${this.formatCard(moveData.card)}`;
+    }
+
+    return JSON.stringify(moveData);
+  }
+
+  /**
+   * Format a card for display (e.g., "Q♠")
+   * @param {Object} card - Card as { suit, rank }
+   * @returns {string} - Card text
+   */
+  static formatCard(card) {
+    return `${card.rank}${HeartsFrontend.SUIT_SYMBOLS[card.suit] || card.suit}`;
+  }
+
+  /**
+   * Get placeholder text for move input field
+   * @returns {string} - Placeholder text
+   */
+  static getMoveInputPlaceholder() {
+    return 'Enter move (e.g., pass 2c 3d qs, play qs)';
+  }
+
+  /**
+   * Get help text for move input
+   * @returns {string} - Help text explaining move format
+   */
+  static getMoveInputHelp() {
+    return 'Cards are rank + suit (2c, 10h, qs, ah). Pass three cards with "pass 2c 3d qs"; play a card with "play qs" or just "qs".';
+  }
+
+  /**
+   * Validate move format before sending to backend
+   * @param {string} moveText - Raw user input
+   * @returns {Object} - {valid: boolean, error?: string}
+   */
+  static validateMoveFormat(moveText) {
+    if (!moveText || typeof moveText !== 'string' || moveText.trim().length === 0) {
+      return { valid: false, error: 'Move cannot be empty' };
+    }
+
+    try {
+      const move = this.parseMove(moveText);
+      if (move.type === 'pass' && (!Array.isArray(move.cards) || move.cards.length !== 3)) {
+        return { valid: false, error: 'Must pass exactly 3 cards' };
+      }
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Get game type display name
+   * @returns {string} - Display name for this game type
+   */
+  static getDisplayName() {
+    return 'Hearts';
+  }
+
+  /**
+   * Get game type description
+   * @returns {string} - Description of the game
+   */
+  static getDescription() {
+    return 'Classic four-player trick-taking card game';
+  }
+}
+
+/**
+ * Suits by the letter used for them in typed moves
+ */
+HeartsFrontend.SUIT_CODES = { c: 'clubs', d: 'diamonds', s: 'spades', h: 'hearts' };
+
+/**
+ * Symbols shown for each suit
+ */
+HeartsFrontend.SUIT_SYMBOLS = { clubs: '♣', diamonds: '♦', spades: '♠', hearts: '♥' };
+
+module.exports = HeartsFrontend;
@@ -0,0 +1,629 @@
+const GamePlugin = require('../../ports/GamePlugin');
+const HeartsFrontend = require('./HeartsFrontend');
+const HeartsRenderer = require('./HeartsRenderer');
+
+/**
+ * Hearts game plugin
+ * Implements the GamePlugin interface for four-player Hearts.
+ * Moves are objects: { type: 'pass', cards: [card, card, card] } during the
+ * passing phase and { type: 'play', card } while playing tricks, where a card
+ * is { suit, rank }. Text such as "pass 2c 3d qs" or "play qs" is also accepted.
+ */
+class HeartsPlugin extends GamePlugin {
+  /**
+   * Get plugin metadata
+   * @returns {Object} Plugin metadata
+   */
+  static getMetadata() {
+    return {
+      name: 'Hearts',
+      description: 'Classic four-player trick-taking card game',
+      minPlayers: 4,
+      maxPlayers: 4,
+      estimatedDuration: '30-60 minutes',
+      complexity: 'Medium',
+      categories: ['Card Game', 'Trick-Taking', 'Classic'],
+      version: '1.0.0'
+    };
+  }
+
+  getGameType() {
+    return 'hearts';
+  }
+
+  getDisplayName() {
+    return 'Hearts';
+  }
+
+  getDescription() {
+    return 'Classic four-player trick-taking card game';
+  }
+
+  getMinPlayers() {
+    return 4;
+  }
+
+  getMaxPlayers() {
+    return 4;
+  }
+
+  getInitialBoardState(gameSettings = {}) {
+    return {
+      phase: 'passing', // passing, playing, game_complete
+      round: 1,
+      playerHands: this.dealHands(),
+      passedCards: [[], [], [], []], // Cards passed by each player this round
+      currentTrick: {
+        cards: [], // { playerIndex, card }
+        leader: null, // Index of the player who leads the trick
+        winner: null // Index of the player who won the previous trick
+      },
+      tricksWon: [[], [], [], []], // Tricks won by each player this round
+      scores: [0, 0, 0, 0], // Total scores for each player
+      roundScores: [0, 0, 0, 0], // Scores for the current round
+      heartsBroken: false,
+      passingDirection: 'left',
+      gameSettings: {
+        targetScore: gameSettings.targetScore || 100,
+        moonShotPenalty: 26
+      }
+    };
+  }
+
+  validateMove(move, boardState, playerId, players) {
+    try {
+      const player = players.find(p => p.user_id === playerId);
+      if (!player) {
+        return { valid: false, error: 'Player not in game' };
+      }
+
+      const normalizedMove = this.normalizeMove(move);
+      const playerIndex = player.player_order - 1;
+
+      if (boardState.phase === 'passing') {
+        return this.validatePassingMove(normalizedMove, playerIndex, boardState);
+      } else if (boardState.phase === 'playing') {
+        return this.validatePlayingMove(normalizedMove, playerIndex, boardState);
+      }
+
+      return { valid: false, error: 'Invalid game phase for moves' };
+
+    } catch (error) {
+      return { valid: false, error: error.message || 'Move validation failed' };
+    }
+  }
+
+  applyMove(move, boardState, playerId, players) {
+    const player = players.find(p => p.user_id === playerId);
+    if (!player) {
+      throw new Error('Player not in game');
+    }
+
+    const normalizedMove = this.normalizeMove(move);
+    const playerIndex = player.player_order - 1;
+    const newBoardState = JSON.parse(JSON.stringify(boardState));
+
+    if (newBoardState.phase === 'passing') {
+      return this.applyPassingMove(normalizedMove, playerIndex, newBoardState);
+    } else if (newBoardState.phase === 'playing') {
+      return this.applyPlayingMove(normalizedMove, playerIndex, newBoardState);
+    }
+
+    throw new Error('Invalid game phase');
+  }
+
+  isGameComplete(boardState, players) {
+    return boardState.phase === 'game_complete';
+  }
+
+  getWinner(boardState, players) {
+    if (!this.isGameComplete(boardState, players)) {
+      return null;
+    }
+
+    // Lowest score wins; a tie for lowest is treated as a draw
+    const minScore = Math.min(...boardState.scores);
+    const leaders = boardState.scores
+      .map((score, index) => ({ score, index }))
+      .filter(entry => entry.score === minScore);
+    if (leaders.length !== 1) {
+      return null;
+    }
+
+    const winner = players.find(p => p.player_order === leaders[0].index + 1);
+    return winner ? winner.user_id : null;
+  }
+
+  getTimeoutWinner(boardState, timedOutPlayerId, players) {
+    // The remaining player with the lowest score wins; a tie for lowest is a draw
+    const standings = players
+      .filter(p => p.user_id !== timedOutPlayerId)
+      .map(p => ({ userId: p.user_id, score: boardState.scores[p.player_order - 1] }));
+    const minScore = Math.min(...standings.map(entry => entry.score));
+    const leaders = standings.filter(entry => entry.score === minScore);
+
+    return leaders.length === 1 ? leaders[0].userId : null;
+  }
+
+  getNextPlayer(currentPlayerId, players, boardState) {
+    let nextIndex;
+
+    if (boardState.phase === 'passing') {
+      // Players pass one after another, starting after whoever just passed
+      const current = players.find(p => p.user_id === currentPlayerId);
+      const currentIndex = current ? current.player_order - 1 : -1;
+      for (let offset = 1; offset <= 4; offset++) {
+        const index = (currentIndex + offset + 4) % 4;
+        if (boardState.passedCards[index].length === 0) {
+          nextIndex = index;
+          break;
+        }
+      }
+    } else {
+      nextIndex = this.getExpectedPlayer(boardState);
+    }
+
+    const nextPlayer = players.find(p => p.player_order === nextIndex + 1);
+    return nextPlayer ? nextPlayer.user_id : currentPlayerId;
+  }
+
+  getAvailableColors(playerCount) {
+    return ['red', 'blue', 'green', 'yellow'];
+  }
+
+  assignPlayerColor(playerOrder, totalPlayers) {
+    const colors = this.getAvailableColors();
+    return colors[playerOrder - 1] || `player${playerOrder}`;
+  }
+
+  validateBoardState(boardState) {
+    if (!boardState || !Array.isArray(boardState.playerHands) || boardState.playerHands.length !== 4) {
+      return false;
+    }
+
+    if (!Array.isArray(boardState.scores) || boardState.scores.length !== 4) {
+      return false;
+    }
+
+    return ['passing', 'playing', 'game_complete'].includes(boardState.phase);
+  }
+
+  /**
+   * Hide every hand except the viewer's own
+   * Other players' hands and passed cards are replaced with empty arrays;
+   * handSizes and hasPassed keep the public part of that information.
+   * @param {Object} boardState - Current board state
+   * @param {string|null} viewerId - User ID of the viewer
+   * @param {Object[]} players - Array of players in the game
+   * @returns {Object} Board state as seen by the viewer
+   */
+  getPlayerView(boardState, viewerId, players) {
+    const viewer = players.find(p => p.user_id === viewerId);
+    const viewerIndex = viewer ? viewer.player_order - 1 : null;
+
+    return {
+      ...boardState,
+      playerHands: boardState.playerHands.map((hand, index) => index === viewerIndex ? hand : []),
+      passedCards: boardState.passedCards.map((passed, index) => index === viewerIndex ? passed : []),
+      handSizes: boardState.playerHands.map(hand => hand.length),
+      hasPassed: boardState.passedCards.map(passed => passed.length > 0),
+      viewerIndex
+    };
+  }
+
+  /**
+   * Hide which cards another player passed
+   * @param {Object|string} move - Move as recorded
+   * @param {string} moverId - Player who made the move
+   * @param {string|null} viewerId - User ID of the viewer
+   * @param {Object[]} players - Array of players in the game
+   * @returns {Object|string} Move as seen by the viewer
+   */
+  getMoveView(move, moverId, viewerId, players) {
+    const normalizedMove = typeof move === 'string' ? this.normalizeMove(move) : move;
+    if (normalizedMove && normalizedMove.type === 'pass' && moverId !== viewerId) {
+      return { type: 'pass' };
+    }
+    return move;
+  }
+
+  getRenderData(boardState, players, options = {}) {
+    return {
+      phase: boardState.phase,
+      round: boardState.round,
+      scores: boardState.scores,
+      roundScores: boardState.roundScores,
+      currentTrick: boardState.currentTrick,
+      heartsBroken: boardState.heartsBroken,
+      passingDirection: boardState.passingDirection,
+      gameSpecific: {
+        handSizes: boardState.handSizes || boardState.playerHands.map(hand => hand.length),
+        tricksWon: boardState.tricksWon.map(tricks => tricks.length)
+      }
+    };
+  }
+
+  getGameStats(boardState, players) {
+    return {
+      gameType: this.getGameType(),
+      playerCount: players.length,
+      minPlayers: this.getMinPlayers(),
+      maxPlayers: this.getMaxPlayers(),
+      round: boardState.round,
+      phase: boardState.phase,
+      scores: boardState.scores,
+      roundScores: boardState.roundScores
+    };
+  }
+
+  // Hearts-specific helper methods
+
+  /**
+   * Shuffle a fresh deck and deal 13 cards to each player
+   * @returns {Array<Array<Object>>} Four hands of cards
+   */
+  dealHands() {
+    const deck = [];
+    HeartsPlugin.SUITS.forEach(suit => {
+      HeartsPlugin.RANKS.forEach(rank => {
+        deck.push({ suit, rank });
+      });
+    });
+
+    // Fisher-Yates shuffle
+    for (let i = deck.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [deck[i], deck[j]] = [deck[j], deck[i]];
+    }
+
+    const playerHands = [[], [], [], []];
+    for (let i = 0; i < 52; i++) {
+      playerHands[i % 4].push(deck[i]);
+    }
+
+    return playerHands;
+  }
+
+  /**
+   * Turn text input into a move object
+   * @param {string|Object} move - Move as sent by the client
+   * @returns {Object} Move object
+   */
+  normalizeMove(move) {
+    if (typeof move === 'string') {
+      return HeartsFrontend.parseMove(move);
+    }
+    if (!move || typeof move !== 'object') {
+      throw new Error('Invalid move format');
+    }
+    return move;
+  }
+
+  validatePassingMove(move, playerIndex, boardState) {
+    if (move.type !== 'pass') {
+      return { valid: false, error: 'Must pass cards before playing' };
+    }
+
+    if (!Array.isArray(move.cards) || move.cards.length !== 3) {
+      return { valid: false, error: 'Must pass exactly 3 cards' };
+    }
+
+    if (boardState.passedCards[playerIndex].length > 0) {
+      return { valid: false, error: 'Already passed cards this round' };
+    }
+
+    const playerHand = boardState.playerHands[playerIndex];
+    for (const card of move.cards) {
+      if (!this.hasCard(playerHand, card)) {
+        return { valid: false, error: `Don't have card: ${this.describeCard(card)}` };
+      }
+    }
+
+    const cardKeys = move.cards.map(card => `${card.rank}_${card.suit}`);
+    if (new Set(cardKeys).size !== cardKeys.length) {
+      return { valid: false, error: 'Cannot pass duplicate cards' };
+    }
+
+    return { valid: true };
+  }
+
+  validatePlayingMove(move, playerIndex, boardState) {
+    if (move.type !== 'play') {
+      return { valid: false, error: 'Must play a card' };
+    }
+
+    if (!move.card || !move.card.suit || !move.card.rank) {
+      return { valid: false, error: 'Must specify card to play' };
+    }
+
+    if (this.getExpectedPlayer(boardState) !== playerIndex) {
+      return { valid: false, error: 'Not your turn' };
+    }
+
+    if (!this.hasCard(boardState.playerHands[playerIndex], move.card)) {
+      return { valid: false, error: `Don't have card: ${this.describeCard(move.card)}` };
+    }
+
+    return this.validateSuitRules(move.card, playerIndex, boardState);
+  }
+
+  validateSuitRules(card, playerIndex, boardState) {
+    const trick = boardState.currentTrick;
+    const playerHand = boardState.playerHands[playerIndex];
+    const isFirstTrick = boardState.tricksWon.every(tricks => tricks.length === 0);
+
+    // Leading a trick
+    if (trick.cards.length === 0) {
+      if (isFirstTrick && (card.suit !== 'clubs' || card.rank !== '2')) {
+        return { valid: false, error: 'First trick must start with 2 of clubs' };
+      }
+
+      if (card.suit === 'hearts' && !boardState.heartsBroken && playerHand.some(c => c.suit !== 'hearts')) {
+        return { valid: false, error: 'Cannot lead with hearts until hearts are broken' };
+      }
+
+      return { valid: true };
+    }
+
+    // Must follow suit if possible
+    const ledSuit = trick.cards[0].card.suit;
+    if (card.suit !== ledSuit && playerHand.some(c => c.suit === ledSuit)) {
+      return { valid: false, error: `Must follow suit (${ledSuit})` };
+    }
+
+    // No points on the first trick unless the hand holds nothing else
+    if (isFirstTrick && this.getCardPoints(card) > 0 &&
+        playerHand.some(c => this.getCardPoints(c) === 0)) {
+      return { valid: false, error: 'Cannot play hearts or queen of spades on first trick' };
+    }
+
+    return { valid: true };
+  }
+
+  applyPassingMove(move, playerIndex, boardState) {
+    boardState.passedCards[playerIndex] = move.cards.map(card => ({ suit: card.suit, rank: card.rank }));
+    boardState.playerHands[playerIndex] = boardState.playerHands[playerIndex]
+      .filter(handCard => !this.hasCard(move.cards, handCard));
+
+    if (boardState.passedCards.every(passed => passed.length === 3)) {
+      this.distributePassedCards(boardState);
+      this.startPlaying(boardState);
+    }
+
+    return boardState;
+  }
+
+  applyPlayingMove(move, playerIndex, boardState) {
+    const card = { suit: move.card.suit, rank: move.card.rank };
+
+    boardState.playerHands[playerIndex] = boardState.playerHands[playerIndex]
+      .filter(handCard => handCard.suit !== card.suit || handCard.rank !== card.rank);
+    boardState.currentTrick.cards.push({ playerIndex, card });
+
+    if (card.suit === 'hearts') {
+      boardState.heartsBroken = true;
+    }
+
+    if (boardState.currentTrick.cards.length === 4) {
+      this.completeTrick(boardState);
+    }
+
+    return boardState;
+  }
+
+  completeTrick(boardState) {
+    const trick = boardState.currentTrick;
+    const ledSuit = trick.cards[0].card.suit;
+
+    // Highest card of the led suit takes the trick
+    let winner = trick.cards[0];
+    for (const play of trick.cards.slice(1)) {
+      if (play.card.suit === ledSuit && this.compareCards(play.card, winner.card) > 0) {
+        winner = play;
+      }
+    }
+
+    boardState.tricksWon[winner.playerIndex].push(trick.cards);
+    boardState.roundScores[winner.playerIndex] += trick.cards
+      .reduce((sum, play) => sum + this.getCardPoints(play.card), 0);
+
+    boardState.currentTrick = {
+      cards: [],
+      leader: winner.playerIndex,
+      winner: winner.playerIndex
+    };
+
+    const tricksPlayed = boardState.tricksWon.reduce((sum, tricks) => sum + tricks.length, 0);
+    if (tricksPlayed === 13) {
+      this.completeRound(boardState);
+    }
+  }
+
+  completeRound(boardState) {
+    // Shooting the moon gives every other player the penalty instead
+    const penalty = boardState.gameSettings.moonShotPenalty;
+    const moonShooter = boardState.roundScores.findIndex(score => score === penalty);
+
+    for (let i = 0; i < 4; i++) {
+      if (moonShooter !== -1) {
+        boardState.scores[i] += i === moonShooter ? 0 : penalty;
+      } else {
+        boardState.scores[i] += boardState.roundScores[i];
+      }
+    }
+
+    if (boardState.scores.some(score => score >= boardState.gameSettings.targetScore)) {
+      boardState.phase = 'game_complete';
+      return;
+    }
+
+    // Deal the next round
+    const directionIndex = HeartsPlugin.PASSING_DIRECTIONS.indexOf(boardState.passingDirection);
+    boardState.passingDirection = HeartsPlugin.PASSING_DIRECTIONS[(directionIndex + 1) % HeartsPlugin.PASSING_DIRECTIONS.length];
+    boardState.round += 1;
+    boardState.roundScores = [0, 0, 0, 0];
+    boardState.tricksWon = [[], [], [], []];
+    boardState.passedCards = [[], [], [], []];
+    boardState.heartsBroken = false;
+    boardState.playerHands = this.dealHands();
+    boardState.currentTrick = { cards: [], leader: null, winner: null };
+
+    if (boardState.passingDirection === 'none') {
+      this.startPlaying(boardState);
+    } else {
+      boardState.phase = 'passing';
+    }
+  }
+
+  distributePassedCards(boardState) {
+    const offsets = { left: 1, across: 2, right: 3 };
+    const offset = offsets[boardState.passingDirection];
+
+    if (offset) {
+      for (let i = 0; i < 4; i++) {
+        boardState.playerHands[(i + offset) % 4].push(...boardState.passedCards[i]);
+      }
+    }
+
+    boardState.passedCards = [[], [], [], []];
+  }
+
+  /**
+   * Switch to the playing phase with the holder of the 2 of clubs leading
+   * @param {Object} boardState - Board state to update (mutated)
+   */
+  startPlaying(boardState) {
+    boardState.phase = 'playing';
+    boardState.currentTrick = {
+      cards: [],
+      leader: boardState.playerHands.findIndex(hand => this.hasCard(hand, { suit: 'clubs', rank: '2' })),
+      winner: null
+    };
+  }
+
+  /**
+   * Get the index of the player expected to play next
+   * @param {Object} boardState - Current board state
+   * @returns {number} Player index (0-3)
+   */
+  getExpectedPlayer(boardState) {
+    if (boardState.phase === 'passing') {
+      return boardState.passedCards.findIndex(passed => passed.length === 0);
+    }
+
+    const trick = boardState.currentTrick;
+    if (trick.cards.length === 0) {
+      return trick.leader;
+    }
+
+    return (trick.cards[trick.cards.length - 1].playerIndex + 1) % 4;
+  }
+
+  hasCard(cards, card) {
+    return cards.some(c => c.suit === card.suit && c.rank === card.rank);
+  }
+
+  getCardPoints(card) {
+    if (card.suit === 'hearts') {
+      return 1;
+    }
+    return card.suit === 'spades' && card.rank === 'Q' ? 13 : 0;
+  }
+
+  compareCards(card1, card2) {
+    return HeartsPlugin.RANKS.indexOf(card1.rank) - HeartsPlugin.RANKS.indexOf(card2.rank);
+  }
+
+  describeCard(card) {
+    return `${card.rank} of ${card.suit}`;
+  }
+
+  // ============================================================================
+  // FRONTEND INTERFACE IMPLEMENTATION
+  // ============================================================================
+
+  /**
+   * Parse move from user input (delegated to frontend module)
+   */
+  static parseMove(moveText) {
+    return HeartsFrontend.parseMove(moveText);
+  }
+
+  /**
+   * Format move data for display (delegated to frontend module)
+   */
+  static formatMove(moveData) {
+    return HeartsFrontend.formatMove(moveData);
+  }
+
+  /**
+   * Get placeholder text for move input field
+   */
+  static getMoveInputPlaceholder() {
+    return HeartsFrontend.getMoveInputPlaceholder();
+  }
+
+  /**
+   * Get help text for move input
+   */
+  static getMoveInputHelp() {
+    return HeartsFrontend.getMoveInputHelp();
+  }
+
+  /**
+   * Validate move format before sending to backend
+   */
+  static validateMoveFormat(moveText) {
+    return HeartsFrontend.validateMoveFormat(moveText);
+  }
+
+  // ============================================================================
+  // RENDERING INTERFACE IMPLEMENTATION
+  // ============================================================================
+
+  /**
+   * Generate table image as PNG buffer (delegated to renderer)
+   */
+  static async generateBoardImage(boardState, options = {}) {
+    return await HeartsRenderer.generateBoardImage(boardState, options);
+  }
+
+  /**
+   * Create table SVG content (delegated to renderer)
+   */
+  static createBoardSVG(boardState, options = {}) {
+    return HeartsRenderer.createHeartsTableSVG(boardState, options);
+  }
+
+  /**
+   * Get rendering options schema for hearts
+   */
+  static getRenderingOptionsSchema() {
+    return {
+      type: 'object',
+      properties: {
+        width: { type: 'number', default: 800, minimum: 200, maximum: 2000 },
+        height: { type: 'number', default: 800, minimum: 200, maximum: 2000 },
+        density: { type: 'number', default: 200, minimum: 72, maximum: 300 },
+        title: { type: 'string', default: 'Hearts Table' }
+      }
+    };
+  }
+}
+
+/**
+ * Card suits, in the order hands are sorted
+ */
+HeartsPlugin.SUITS = ['clubs', 'diamonds', 'spades', 'hearts'];
+
+/**
+ * Card ranks from lowest to highest
+ */
+HeartsPlugin.RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+
+/**
+ * Passing directions, rotating one step each round
+ */
+HeartsPlugin.PASSING_DIRECTIONS = ['left', 'right', 'across', 'none'];
+
+module.exports = HeartsPlugin;
@@ -0,0 +1,163 @@
+/**
+ * Hearts Table Renderer
+ * Handles hearts-specific table rendering using the common framework
+ */
+const ImageRenderer = require('../../framework/ImageRenderer');
+
+class HeartsRenderer {
+  /**
+   * Generate hearts table image as PNG buffer
+   * @param {Object} boardState - Hearts board state (ideally a player view)
+   * @param {Object} options - Rendering options
+   * @returns {Promise<Buffer>} - PNG image buffer
+   */
+  static async generateBoardImage(boardState, options = {}) {
+    try {
+      const defaultOptions = {
+        width: 800,
+        height: 800,
+        density: 200,
+        ...options
+      };
+
+      const svgContent = this.createHeartsTableSVG(boardState, defaultOptions);
+      return await ImageRenderer.svgToPng(svgContent, defaultOptions);
+    } catch (error) {
+      console.error('Hearts table rendering error:', error);
+      return await ImageRenderer.createErrorImage('Hearts Table Error', options);
+    }
+  }
+
+  /**
+   * Create hearts table SVG content
+   * Only the hand of the viewer recorded in boardState.viewerIndex is drawn,
+   * so a state that has not been through getPlayerView shows no hands at all.
+   * @param {Object} boardState - Hearts board state
+   * @param {Object} options - Rendering options
+   * @returns {string} - Complete SVG content
+   */
+  static createHeartsTableSVG(boardState, options = {}) {
+    const {
+      width = 800,
+      height = 800,
+      title = 'Hearts Table'
+    } = options;
+
+    const margin = Math.max(15, width * 0.03);
+    const frame = ImageRenderer.createSVGFrame(width, height, {
+      width,
+      height,
+      title,
+      backgroundColor: '#1B5E20',
+      borderColor: '#3E2723',
+      borderWidth: Math.max(2, width * 0.005),
+      margin
+    });
+
+    const fontSize = Math.max(12, width * 0.025);
+    const titleElement = `<text x="${width / 2}" y="${margin + fontSize}" class="board-title" font-size="${fontSize}" fill="#FFFFFF">Hearts - Round ${boardState.round || 1}</text>`;
+
+    const centerX = width / 2 - margin;
+    const centerY = height / 2 - margin - 20;
+    const cardWidth = width * 0.08;
+    const cardHeight = cardWidth * 1.4;
+
+    const content = this.drawSeats(boardState, { centerX, centerY, width, height, fontSize }) +
+      this.drawTrick(boardState, { centerX, centerY, cardWidth, cardHeight }) +
+      this.drawHand(boardState, { width: width - 2 * margin, y: height - 2 * margin - cardHeight - 40, cardWidth, cardHeight });
+
+    const closing = ImageRenderer.closeSVGFrame({
+      showTimestamp: true,
+      width,
+      height
+    });
+
+    return frame + titleElement + content + closing;
+  }
+
+  /**
+   * Draw score and hand size labels for the four seats
+   * @param {Object} boardState - Hearts board state
+   * @param {Object} layout - Table layout values
+   * @returns {string} - SVG elements for the seats
+   */
+  static drawSeats(boardState, layout) {
+    const { centerX, centerY, width, height, fontSize } = layout;
+    const scores = boardState.scores || [0, 0, 0, 0];
+    const handSizes = boardState.handSizes || (boardState.playerHands || []).map(hand => hand.length);
+    const radius = Math.min(width, height) * 0.3;
+    const positions = [
+      { x: centerX, y: centerY + radius },
+      { x: centerX - radius, y: centerY },
+      { x: centerX, y: centerY - radius },
+      { x: centerX + radius, y: centerY }
+    ];
+
+    return positions.map((pos, index) =>
+      `<text x="${pos.x}" y="${pos.y}" text-anchor="middle" font-family="Arial, sans-serif" font-size="${fontSize}" fill="#FFFFFF">Player ${index + 1}: ${scores[index]} pts, ${handSizes[index] || 0} cards</text>\n  `
+    ).join('');
+  }
+
+  /**
+   * Draw the cards of the trick in progress
+   * @param {Object} boardState - Hearts board state
+   * @param {Object} layout - Table layout values
+   * @returns {string} - SVG elements for the trick
+   */
+  static drawTrick(boardState, layout) {
+    const { centerX, centerY, cardWidth, cardHeight } = layout;
+    const offsets = [[0, 0.6], [-0.9, 0], [0, -0.6], [0.9, 0]];
+    const cards = (boardState.currentTrick && boardState.currentTrick.cards) || [];
+
+    return cards.map(play => {
+      const [dx, dy] = offsets[play.playerIndex] || [0, 0];
+      const x = centerX + dx * cardWidth * 1.2 - cardWidth / 2;
+      const y = centerY + dy * cardHeight - cardHeight / 2;
+      return this.drawCard(play.card, x, y, cardWidth, cardHeight);
+    }).join('');
+  }
+
+  /**
+   * Draw the viewer's own hand along the bottom edge
+   * @param {Object} boardState - Hearts board state
+   * @param {Object} layout - Table layout values
+   * @returns {string} - SVG elements for the hand
+   */
+  static drawHand(boardState, layout) {
+    if (typeof boardState.viewerIndex !== 'number') {
+      return '';
+    }
+
+    const hand = boardState.playerHands[boardState.viewerIndex] || [];
+    const { width, y, cardWidth, cardHeight } = layout;
+    const step = hand.length > 1 ? Math.min(cardWidth * 1.05, (width - cardWidth) / (hand.length - 1)) : 0;
+    const startX = (width - (step * (hand.length - 1) + cardWidth)) / 2;
+
+    return hand.map((card, index) => this.drawCard(card, startX + index * step, y, cardWidth, cardHeight)).join('');
+  }
+
+  /**
+   * Draw a single face-up card
+   * @param {Object} card - Card as { suit, rank }
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {number} cardWidth - Card width
+   * @param {number} cardHeight - Card height
+   * @returns {string} - SVG elements for the card
+   */
+  static drawCard(card, x, y, cardWidth, cardHeight) {
+    const isRed = card.suit === 'hearts' || card.suit === 'diamonds';
+    const color = isRed ? '#C62828' : '#212121';
+    const label = `${card.rank}${HeartsRenderer.SUIT_SYMBOLS[card.suit] || ''}`;
+
+    return `<rect x="${x}" y="${y}" width="${cardWidth}" height="${cardHeight}" rx="${cardWidth * 0.1}" fill="#FFFFFF" stroke="#424242"/>\n  ` +
+      `<text x="${x + cardWidth / 2}" y="${y + cardHeight / 2}" text-anchor="middle" dominant-baseline="middle" font-family="Arial, sans-serif" font-size="${cardWidth * 0.4}" fill="${color}">${label}</text>\n  `;
+  }
+}
+
+/**
+ * Symbols drawn for each suit
+ */
+HeartsRenderer.SUIT_SYMBOLS = { clubs: '♣', diamonds: '♦', spades: '♠', hearts: '♥' };
+
+module.exports = HeartsRenderer;
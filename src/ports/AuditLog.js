@@ -0,0 +1,32 @@
+/**
+ * Port interface for the admin audit log
+ * This defines the contract for recording who performed which privileged action
+ */
+class AuditLog {
+  /**
+   * Record an admin action
+   * @param {Object} entry - Audit entry
+   * @param {string} entry.actorId - User who performed the action
+   * @param {string} entry.action - Action name (purge, force_start, change_role, etc.)
+   * @param {string} [entry.targetType] - Kind of object acted on (game, user, database)
+   * @param {string} [entry.targetId] - Identifier of the object acted on
+   * @param {Object} [entry.details] - Additional action data
+   * @returns {Promise<Object>} Recorded entry
+   */
+  async record(entry) {
+    throw new Error('record method must be implemented');
+  }
+
+  /**
+   * Get recorded entries, newest first
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum number of entries to return
+   * @param {number} options.offset - Number of entries to skip
+   * @returns {Promise<Object[]>} Audit entries
+   */
+  async findEntries(options = {}) {
+    throw new Error('findEntries method must be implemented');
+  }
+}
+
+module.exports = AuditLog;
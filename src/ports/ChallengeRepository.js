@@ -0,0 +1,55 @@
+/**
+ * Port interface for challenge persistence
+ * This defines the contract that any challenge repository adapter must implement
+ */
+class ChallengeRepository {
+  /**
+   * Save a new challenge
+   * @param {Challenge} challenge - Domain challenge entity
+   * @returns {Promise<Challenge>} - Saved challenge
+   */
+  async save(challenge) {
+    throw new Error('save method must be implemented');
+  }
+
+  /**
+   * Find a challenge by ID
+   * @param {string} challengeId - Challenge identifier
+   * @returns {Promise<Challenge|null>} - Challenge entity or null if not found
+   */
+  async findById(challengeId) {
+    throw new Error('findById method must be implemented');
+  }
+
+  /**
+   * Find challenges a user sent or received
+   * @param {string} userId - User identifier
+   * @param {Object} criteria - Optional filters
+   * @param {string} criteria.status - Only challenges with this status
+   * @returns {Promise<Challenge[]>} - Challenges, newest first
+   */
+  async findForUser(userId, criteria = {}) {
+    throw new Error('findForUser method must be implemented');
+  }
+
+  /**
+   * Find pending challenges whose expiry time has passed
+   * @param {Date} now - Time to compare expiry times against
+   * @returns {Promise<Challenge[]>} - Stale challenges
+   */
+  async findExpired(now) {
+    throw new Error('findExpired method must be implemented');
+  }
+
+  /**
+   * Store a challenge's new status, only if it is still pending
+   * @param {Challenge} challenge - Resolved challenge entity
+   * @returns {Promise<Challenge>} - Updated challenge; rejects with "no longer pending" if it
+   *   was resolved in the meantime
+   */
+  async resolve(challenge) {
+    throw new Error('resolve method must be implemented');
+  }
+}
+
+module.exports = ChallengeRepository;
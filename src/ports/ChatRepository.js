@@ -0,0 +1,46 @@
+/**
+ * Port interface for in-game chat persistence
+ * This defines the contract that any chat repository adapter must implement
+ */
+class ChatRepository {
+  /**
+   * Save a new chat message
+   * @param {ChatMessage} message - Domain chat message
+   * @returns {Promise<ChatMessage>} - Saved message
+   */
+  async save(message) {
+    throw new Error('save method must be implemented');
+  }
+
+  /**
+   * Find a chat message by ID
+   * @param {string} messageId - Message identifier
+   * @returns {Promise<ChatMessage|null>} - Message or null if not found
+   */
+  async findById(messageId) {
+    throw new Error('findById method must be implemented');
+  }
+
+  /**
+   * Find the messages of a game's channel that have not been deleted
+   * @param {string} gameId - Game identifier
+   * @param {string} channel - 'players' or 'spectators'
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Most recent messages to return
+   * @returns {Promise<ChatMessage[]>} - Messages, oldest first
+   */
+  async findForGame(gameId, channel, options = {}) {
+    throw new Error('findForGame method must be implemented');
+  }
+
+  /**
+   * Record that a message was deleted
+   * @param {ChatMessage} message - Deleted message
+   * @returns {Promise<void>}
+   */
+  async markDeleted(message) {
+    throw new Error('markDeleted method must be implemented');
+  }
+}
+
+module.exports = ChatRepository;
@@ -104,6 +104,21 @@ class GamePlugin {
     throw new Error('getWinner method must be implemented');
   }
 
+  /**
+   * Adjudicate a game lost on time
+   * Called when the player on move misses their deadline. The default awards a
+   * two-player game to the opponent and ends larger games without a winner;
+   * games with a meaningful standing (such as scores) can override this.
+   * @param {Object} boardState - Current board state
+   * @param {string} timedOutPlayerId - Player who ran out of time
+   * @param {Object[]} players - Array of players in the game
+   * @returns {string|null} Winner player ID or null if no winner
+   */
+  getTimeoutWinner(boardState, timedOutPlayerId, players) {
+    const opponents = players.filter(p => p.user_id !== timedOutPlayerId);
+    return opponents.length === 1 ? opponents[0].user_id : null;
+  }
+
   /**
    * Get the next player in turn order
    * @param {string} currentPlayerId - Current player ID
@@ -115,6 +130,19 @@ class GamePlugin {
     throw new Error('getNextPlayer method must be implemented');
   }
 
+  /**
+   * Get the player who moves first once the game starts
+   * Games whose starting position can give the first move to someone else override this.
+   * The default is the player in the first seat.
+   * @param {Object[]} players - Array of players in the game
+   * @param {Object} boardState - Initial board state
+   * @returns {string} First player ID
+   */
+  getFirstPlayer(players, boardState) {
+    const [first] = [...players].sort((a, b) => a.player_order - b.player_order);
+    return first.user_id;
+  }
+
   /**
    * Get available colors/roles for players
    * @param {number} playerCount - Number of players
@@ -154,6 +182,33 @@ class GamePlugin {
     throw new Error('getRenderData method must be implemented');
   }
 
+  /**
+   * Get the part of the board state a given viewer is allowed to see
+   * Games with hidden information (card hands, fog of war) override this to
+   * redact what other players hold. The default returns the state unchanged.
+   * @param {Object} boardState - Current board state
+   * @param {string|null} viewerId - User ID of the viewer, or null for anonymous viewers
+   * @param {Object[]} players - Array of players in the game
+   * @returns {Object} Board state as seen by the viewer
+   */
+  getPlayerView(boardState, viewerId, players) {
+    return boardState;
+  }
+
+  /**
+   * Get a recorded move as seen by a viewer
+   * Lets games hide secret moves (such as passed cards) in move history and
+   * move broadcasts. The default returns the move unchanged.
+   * @param {Object|string} move - Move as recorded
+   * @param {string} moverId - Player who made the move
+   * @param {string|null} viewerId - User ID of the viewer, or null for anonymous viewers
+   * @param {Object[]} players - Array of players in the game
+   * @returns {Object|string} Move as seen by the viewer
+   */
+  getMoveView(move, moverId, viewerId, players) {
+    return move;
+  }
+
   /**
    * Get game statistics
    * @param {Object} boardState - Current board state
@@ -24,19 +24,38 @@ class GameRepository {
   /**
    * Find games by criteria
    * @param {Object} criteria - Search criteria
+   * @param {string} criteria.status - Only games with this status
+   * @param {string} criteria.gameType - Only games of this type
+   * @param {string} criteria.playerId - Only games this user plays in
+   * @param {string} criteria.rematchOf - Only the rematch of this game
+   * @param {string|null} criteria.visibleTo - Hide unlisted and private games this user (or an anonymous
+   *   viewer, when null) does not play in; omit to include every game
+   * @param {number} criteria.limit - Maximum number of games
    * @returns {Promise<Game[]>} - Array of matching games
    */
   async findByCriteria(criteria) {
     throw new Error('findByCriteria method must be implemented');
   }
 
+  /**
+   * Find active games with a running clock whose move deadline has passed
+   * @param {Date} now - Time to compare deadlines against
+   * @returns {Promise<Game[]>} - Overdue games, earliest deadline first
+   */
+  async findOverdue(now) {
+    throw new Error('findOverdue method must be implemented');
+  }
+
   /**
    * Update an existing game
    * @param {string} gameId - Game identifier
    * @param {Object} updates - Updates to apply
+   * @param {Object} options - Update options
+   * @param {number} options.expectedMoveCount - Only update if the stored move count still matches;
+   *   otherwise reject with a "Game has changed" error
    * @returns {Promise<Game>} - Updated game
    */
-  async update(gameId, updates) {
+  async update(gameId, updates, options = {}) {
     throw new Error('update method must be implemented');
   }
 
@@ -82,6 +101,130 @@ class GameRepository {
     throw new Error('saveMove method must be implemented');
   }
 
+  /**
+   * Delete a recorded move (used when a takeback is accepted)
+   * @param {string} gameId - Game identifier
+   * @param {number} moveNumber - Move sequence number
+   * @returns {Promise<boolean>} - Whether a move was deleted
+   */
+  async deleteMove(gameId, moveNumber) {
+    throw new Error('deleteMove method must be implemented');
+  }
+
+  /**
+   * Save a draw offer or takeback request
+   * @param {Object} offer - Offer data (gameId, type, offeredBy, moveCount)
+   * @returns {Promise<Object>} - Saved offer with generated ID and pending status
+   */
+  async saveOffer(offer) {
+    throw new Error('saveOffer method must be implemented');
+  }
+
+  /**
+   * Find an offer by ID
+   * @param {string} offerId - Offer identifier
+   * @returns {Promise<Object|null>} - Offer or null if not found
+   */
+  async findOfferById(offerId) {
+    throw new Error('findOfferById method must be implemented');
+  }
+
+  /**
+   * Find offers for a game
+   * @param {string} gameId - Game identifier
+   * @param {Object} criteria - Optional filters
+   * @param {string} criteria.status - Only offers with this status
+   * @returns {Promise<Object[]>} - Offers, oldest first
+   */
+  async findOffers(gameId, criteria = {}) {
+    throw new Error('findOffers method must be implemented');
+  }
+
+  /**
+   * Resolve an offer
+   * @param {string} offerId - Offer identifier
+   * @param {string} status - New status (accepted, declined, expired)
+   * @param {string|null} resolvedBy - User who resolved the offer
+   * @returns {Promise<Object>} - Updated offer
+   */
+  async resolveOffer(offerId, status, resolvedBy = null) {
+    throw new Error('resolveOffer method must be implemented');
+  }
+
+  /**
+   * Save a conditional line for a player
+   * @param {Object} line - Line data (gameId, playerId, moveCount, moves)
+   * @returns {Promise<Object>} - Saved line with generated ID
+   */
+  async saveConditionalMoves(line) {
+    throw new Error('saveConditionalMoves method must be implemented');
+  }
+
+  /**
+   * Find a player's conditional lines for a game
+   * @param {string} gameId - Game identifier
+   * @param {string} playerId - Player the lines belong to
+   * @returns {Promise<Object[]>} - Lines, oldest first
+   */
+  async findConditionalMoves(gameId, playerId) {
+    throw new Error('findConditionalMoves method must be implemented');
+  }
+
+  /**
+   * Delete conditional lines
+   * @param {string} gameId - Game identifier
+   * @param {Object} criteria - Optional filters
+   * @param {string} criteria.playerId - Only this player's lines
+   * @param {string} criteria.id - Only this line
+   * @returns {Promise<number>} - Number of lines deleted
+   */
+  async deleteConditionalMoves(gameId, criteria = {}) {
+    throw new Error('deleteConditionalMoves method must be implemented');
+  }
+
+  /**
+   * Set the public comment and annotation glyph of a move
+   * @param {string} gameId - Game identifier
+   * @param {number} moveNumber - Move number
+   * @param {Object} annotation - New values (comment, annotation); null clears a value
+   * @returns {Promise<boolean>} - False if the move does not exist
+   */
+  async annotateMove(gameId, moveNumber, annotation) {
+    throw new Error('annotateMove method must be implemented');
+  }
+
+  /**
+   * Find a player's private notes on a game
+   * @param {string} gameId - Game identifier
+   * @param {string} playerId - Player identifier
+   * @returns {Promise<Object|null>} - Notes (notes, updatedAt) or null if none were written
+   */
+  async findNotes(gameId, playerId) {
+    throw new Error('findNotes method must be implemented');
+  }
+
+  /**
+   * Replace a player's private notes on a game
+   * @param {string} gameId - Game identifier
+   * @param {string} playerId - Player identifier
+   * @param {string} notes - Note text
+   * @returns {Promise<Object>} - Saved notes (gameId, playerId, notes, updatedAt)
+   */
+  async saveNotes(gameId, playerId, notes) {
+    throw new Error('saveNotes method must be implemented');
+  }
+
+  /**
+   * Run several repository calls as one unit of work
+   * All writes made through the repository passed to work are committed together,
+   * or none are if work throws. Units of work must not be nested.
+   * @param {Function} work - Async function receiving the repository to use
+   * @returns {Promise<*>} - Whatever work resolves to
+   */
+  async transaction(work) {
+    throw new Error('transaction method must be implemented');
+  }
+
   /**
    * Get move history for a game
    * @param {string} gameId - Game identifier
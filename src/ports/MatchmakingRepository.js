@@ -0,0 +1,58 @@
+/**
+ * Port interface for matchmaking queue persistence
+ * This defines the contract that any matchmaking repository adapter must implement
+ */
+class MatchmakingRepository {
+  /**
+   * Add an entry to the queue
+   * @param {MatchmakingEntry} entry - Domain queue entry
+   * @returns {Promise<MatchmakingEntry>} - Saved entry
+   */
+  async save(entry) {
+    throw new Error('save method must be implemented');
+  }
+
+  /**
+   * Find a queue entry by ID
+   * @param {string} entryId - Entry identifier
+   * @returns {Promise<MatchmakingEntry|null>} - Entry or null if not found
+   */
+  async findById(entryId) {
+    throw new Error('findById method must be implemented');
+  }
+
+  /**
+   * Find the entries still waiting for a game type
+   * @param {string} gameType - Game type
+   * @returns {Promise<MatchmakingEntry[]>} - Waiting entries, longest waiting first
+   */
+  async findWaiting(gameType) {
+    throw new Error('findWaiting method must be implemented');
+  }
+
+  /**
+   * Find a user's entries
+   * @param {string} userId - User identifier
+   * @param {Object} criteria - Optional filters
+   * @param {string} criteria.status - Only entries with this status
+   * @returns {Promise<MatchmakingEntry[]>} - Entries, newest first
+   */
+  async findForUser(userId, criteria = {}) {
+    throw new Error('findForUser method must be implemented');
+  }
+
+  /**
+   * Move entries from one status to another, all or none
+   * @param {string[]} entryIds - Entries to change
+   * @param {string} fromStatus - Status every entry must still have
+   * @param {Object} changes - New values
+   * @param {string} changes.status - New status
+   * @param {string|null} changes.gameId - Game the entries were paired into
+   * @returns {Promise<boolean>} - False, with nothing changed, if any entry had moved on
+   */
+  async updateStatus(entryIds, fromStatus, changes) {
+    throw new Error('updateStatus method must be implemented');
+  }
+}
+
+module.exports = MatchmakingRepository;
@@ -27,16 +27,29 @@ class NotificationService {
   }
 
   /**
-   * Send notification to all players in a game
+   * Send notification to all players and spectators of a game
    * @param {string} gameId - Game identifier
    * @param {string} event - Event type
    * @param {Object} data - Event data
+   * @param {Object} options - Broadcast options
+   * @param {string[]} options.excludeUserIds - Users whose personal rooms should not receive the broadcast
    * @returns {Promise<void>}
    */
-  async broadcastToGame(gameId, event, data) {
+  async broadcastToGame(gameId, event, data, options = {}) {
     throw new Error('broadcastToGame method must be implemented');
   }
 
+  /**
+   * Send notification to a game's spectators only
+   * @param {string} gameId - Game identifier
+   * @param {string} event - Event type
+   * @param {Object} data - Event data
+   * @returns {Promise<void>}
+   */
+  async broadcastToSpectators(gameId, event, data) {
+    throw new Error('broadcastToSpectators method must be implemented');
+  }
+
   /**
    * Get notifications for a user
    * @param {string} userId - User identifier
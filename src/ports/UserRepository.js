@@ -48,6 +48,47 @@ class UserRepository {
     throw new Error('updateLastActive method must be implemented');
   }
 
+  /**
+   * Update a user's role
+   * @param {string} userId - User identifier
+   * @param {string} role - New role ('user' or 'admin')
+   * @returns {Promise<void>}
+   */
+  async updateRole(userId, role) {
+    throw new Error('updateRole method must be implemented');
+  }
+
+  /**
+   * Update a user's rating
+   * @param {string} userId - User identifier
+   * @param {number} rating - New rating
+   * @returns {Promise<void>}
+   */
+  async updateRating(userId, rating) {
+    throw new Error('updateRating method must be implemented');
+  }
+
+  /**
+   * Update a user's vacation state
+   * @param {string} userId - User identifier
+   * @param {Object} vacation - Vacation state
+   * @param {number} vacation.vacationDaysRemaining - Allowance left in days
+   * @param {Date|null} vacation.vacationStartedAt - Start of the current vacation, or null
+   * @returns {Promise<void>}
+   */
+  async updateVacation(userId, vacation) {
+    throw new Error('updateVacation method must be implemented');
+  }
+
+  /**
+   * Find users whose current vacation has used up their allowance
+   * @param {Date} now - Time to compare against
+   * @returns {Promise<User[]>} - Users still marked as on vacation
+   */
+  async findExpiredVacations(now) {
+    throw new Error('findExpiredVacations method must be implemented');
+  }
+
   /**
    * Get games for a user
    * @param {string} userId - User identifier
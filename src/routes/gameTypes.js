@@ -7,7 +7,7 @@ const router = express.Router();
 router.get('/', (req, res) => {
   try {
     const pluginRegistry = dependencies.getGamePluginRegistry();
-    const gameTypes = pluginRegistry.getAvailableGameTypes().map(gameType => {
+    const gameTypes = pluginRegistry.getRegisteredGameTypes().map(gameType => {
       const plugin = pluginRegistry.getPlugin(gameType);
       return {
         type: gameType,
@@ -55,9 +55,23 @@ router.post('/:gameType/validate', (req, res) => {
     const { gameType } = req.params;
     const { settings } = req.body;
 
-    const validation = GameFactory.validateGameConfiguration(gameType, settings);
-    
-    res.json(validation);
+    const pluginRegistry = dependencies.getGamePluginRegistry();
+    const plugin = pluginRegistry.getPlugin(gameType);
+
+    if (!plugin) {
+      return res.status(404).json({ error: 'Game type not found' });
+    }
+
+    // Plugins reject settings they cannot build a starting position from
+    let boardState;
+    try {
+      boardState = plugin.getInitialBoardState(settings || {});
+    } catch (error) {
+      return res.json({ valid: false, error: error.message });
+    }
+    const valid = plugin.validateBoardState(boardState);
+
+    res.json(valid ? { valid: true } : { valid: false, error: 'Invalid game configuration' });
   } catch (error) {
     console.error('Error validating game configuration:', error);
     res.status(500).json({ error: 'Failed to validate game configuration' });
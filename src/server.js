@@ -55,57 +55,11 @@ const routers = dependencies.getRouters();
 // Routes using new architecture
 app.use('/api/games', routers.games);
 app.use('/api/users', routers.users);
+app.use('/api/admin', routers.admin);
+app.use('/api/challenges', routers.challenges);
+app.use('/api/matchmaking', routers.matchmaking);
 app.use('/api/game-types', gameTypeRoutes); // Keep existing for now
 
-// Admin routes
-app.post('/api/admin/purge', async (req, res) => {
-  try {
-    const { getDatabase } = require('./database/init');
-    const db = getDatabase();
-    
-    // Delete all data except admin user
-    await new Promise((resolve, reject) => {
-      db.serialize(() => {
-        // Delete moves first (foreign key constraint)
-        db.run('DELETE FROM moves', (err) => {
-          if (err) return reject(err);
-          
-          // Delete game players
-          db.run('DELETE FROM game_players', (err) => {
-            if (err) return reject(err);
-            
-            // Delete games
-            db.run('DELETE FROM games', (err) => {
-              if (err) return reject(err);
-              
-              // Delete notifications
-              db.run('DELETE FROM notifications', (err) => {
-                if (err) return reject(err);
-                
-                // Delete all users except admin
-                db.run('DELETE FROM users WHERE username != ?', ['admin'], (err) => {
-                  if (err) return reject(err);
-                  resolve();
-                });
-              });
-            });
-          });
-        });
-      });
-    });
-    
-    console.log('Database purged successfully');
-    res.json({ 
-      success: true, 
-      message: 'Database purged successfully',
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error purging database:', error);
-    res.status(500).json({ error: 'Failed to purge database: ' + error.message });
-  }
-});
-
 // Health check
 app.get('/health', (req, res) => {
   res.json({ 
@@ -116,23 +70,7 @@ app.get('/health', (req, res) => {
 });
 
 // Socket.IO for real-time notifications
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
-  
-  socket.on('join-game', (gameId) => {
-    socket.join(gameId);
-    console.log(`User ${socket.id} joined game ${gameId}`);
-  });
-
-  socket.on('join-user-room', (userId) => {
-    socket.join(`user-${userId}`);
-    console.log(`User ${socket.id} joined user room ${userId}`);
-  });
-  
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-  });
-});
+dependencies.getSocketIoController().attach(io);
 
 // Make io available to routes (for backward compatibility)
 app.set('socketio', io);
@@ -156,6 +94,9 @@ initializeDatabase().then(() => {
     console.log(`Server running on port ${PORT} with ports and adapters architecture`);
     console.log(`Health check available at http://localhost:${PORT}/health`);
   });
+
+  // Forfeit games whose player on move has run out of time and expire unanswered challenges
+  dependencies.getTimeoutSweeper().start();
 }).catch(err => {
   console.error('Failed to initialize database:', err);
   process.exit(1);
@@ -11,6 +11,20 @@ const gameTypeRoutes = require('../src/routes/gameTypes');
 const { initializeDatabase, closeDatabase } = require('../src/database/init');
 const dependencies = require('../src/config/dependencies');
 
+/**
+ * Keep the session token next to the registered user
+ */
+function withToken(registerResponse) {
+  return { ...registerResponse.body.user, token: registerResponse.body.token };
+}
+
+/**
+ * Authorization header value for a user returned by withToken
+ */
+function bearer(user) {
+  return `Bearer ${user.token}`;
+}
+
 // Create test app using the new architecture
 function createTestApp() {
   const app = express();
@@ -182,12 +196,13 @@ describe('Board Game API - Comprehensive Tests', () => {
           email: `gametest_${timestamp}@example.com`,
           password: 'password123'
         });
-      testUser = response.body.user;
+      testUser = withToken(response);
     });
 
     test('Create Chess Game', async () => {
       const response = await request(app)
         .post('/api/games')
+        .set('Authorization', bearer(testUser))
         .send({
           name: 'Test Chess Game',
           gameType: 'chess',
@@ -206,6 +221,7 @@ describe('Board Game API - Comprehensive Tests', () => {
     test('Create Checkers Game', async () => {
       const response = await request(app)
         .post('/api/games')
+        .set('Authorization', bearer(testUser))
         .send({
           name: 'Test Checkers Game',
           gameType: 'checkers',
@@ -220,6 +236,7 @@ describe('Board Game API - Comprehensive Tests', () => {
     test('Create Hearts Game', async () => {
       const response = await request(app)
         .post('/api/games')
+        .set('Authorization', bearer(testUser))
         .send({
           name: 'Test Hearts Game',
           gameType: 'hearts',
@@ -234,6 +251,7 @@ describe('Board Game API - Comprehensive Tests', () => {
     test('Invalid Game Type', async () => {
       const response = await request(app)
         .post('/api/games')
+        .set('Authorization', bearer(testUser))
         .send({
           name: 'Invalid Game',
           gameType: 'nonexistent',
@@ -245,31 +263,33 @@ describe('Board Game API - Comprehensive Tests', () => {
       console.log('✓ Invalid game type properly rejected');
     });
 
-    test('Missing Creator ID', async () => {
+    test('Missing Creator Token', async () => {
       const response = await request(app)
         .post('/api/games')
         .send({
           name: 'No Creator Game',
-          gameType: 'chess'
+          gameType: 'chess',
+          creatorId: testUser.id
         })
-        .expect(400);
+        .expect(401);
 
-      expect(response.body.error).toContain('creatorId');
-      console.log('✓ Missing creator ID properly rejected');
+      expect(response.body.error).toContain('Authentication required');
+      console.log('✓ Missing creator token properly rejected');
     });
 
-    test('Non-existent Creator', async () => {
+    test('Creator Other Than Token User', async () => {
       const response = await request(app)
         .post('/api/games')
+        .set('Authorization', bearer(testUser))
         .send({
           name: 'Non-existent Creator Game',
           gameType: 'chess',
           creatorId: 'nonexistent-user-id'
         })
-        .expect(404);
+        .expect(403);
 
-      expect(response.body.error).toContain('Creator not found');
-      console.log('✓ Non-existent creator properly rejected');
+      expect(response.body.error).toContain('creatorId does not match');
+      console.log('✓ Creator other than the token user properly rejected');
     });
 
     test('Get All Games', async () => {
@@ -286,6 +306,7 @@ describe('Board Game API - Comprehensive Tests', () => {
       // Create a game first
       const createResponse = await request(app)
         .post('/api/games')
+        .set('Authorization', bearer(testUser))
         .send({
           name: 'Get Test Game',
           gameType: 'chess',
@@ -329,7 +350,7 @@ describe('Board Game API - Comprehensive Tests', () => {
           email: `player1_${timestamp}@example.com`,
           password: 'password123'
         });
-      player1 = player1Response.body.user;
+      player1 = withToken(player1Response);
 
       const player2Response = await request(app)
         .post('/api/users/register')
@@ -338,11 +359,12 @@ describe('Board Game API - Comprehensive Tests', () => {
           email: `player2_${timestamp}@example.com`,
           password: 'password123'
         });
-      player2 = player2Response.body.user;
+      player2 = withToken(player2Response);
 
       // Create a chess game
       const gameResponse = await request(app)
         .post('/api/games')
+        .set('Authorization', bearer(player1))
         .send({
           name: 'Multiplayer Test Game',
           gameType: 'chess',
@@ -354,6 +376,7 @@ describe('Board Game API - Comprehensive Tests', () => {
     test('Player Joins Game', async () => {
       const response = await request(app)
         .post(`/api/games/${gameId}/join`)
+        .set('Authorization', bearer(player2))
         .send({
           userId: player2.id
         })
@@ -382,9 +405,11 @@ describe('Board Game API - Comprehensive Tests', () => {
         .expect(200);
 
       const currentPlayerId = gameState.body.currentPlayerId;
+      const currentPlayer = currentPlayerId === player1.id ? player1 : player2;
 
       const response = await request(app)
         .post(`/api/games/${gameId}/move`)
+        .set('Authorization', bearer(currentPlayer))
         .send({
           userId: currentPlayerId,
           move: 'e2-e4'
@@ -405,15 +430,17 @@ describe('Board Game API - Comprehensive Tests', () => {
         .expect(200);
 
       const currentPlayerId = gameState.body.currentPlayerId;
-      const wrongPlayerId = currentPlayerId === player1.id ? player2.id : player1.id;
+      const wrongPlayer = currentPlayerId === player1.id ? player2 : player1;
+      const wrongPlayerId = wrongPlayer.id;
 
       const response = await request(app)
         .post(`/api/games/${gameId}/move`)
+        .set('Authorization', bearer(wrongPlayer))
         .send({
           userId: wrongPlayerId,
           move: 'e7-e5'
         })
-        .expect(500);
+        .expect(400);
 
       expect(response.body.error).toContain('Not your turn');
       console.log('✓ Wrong player turn properly rejected');
@@ -422,6 +449,7 @@ describe('Board Game API - Comprehensive Tests', () => {
     test('Player Already in Game', async () => {
       const response = await request(app)
         .post(`/api/games/${gameId}/join`)
+        .set('Authorization', bearer(player1))
         .send({
           userId: player1.id
         })
@@ -434,6 +462,7 @@ describe('Board Game API - Comprehensive Tests', () => {
     test('Join Non-existent Game', async () => {
       const response = await request(app)
         .post('/api/games/nonexistent-id/join')
+        .set('Authorization', bearer(player1))
         .send({
           userId: player1.id
         })
@@ -468,10 +497,11 @@ describe('Board Game API - Comprehensive Tests', () => {
           email: `imagetest_${timestamp}@example.com`,
           password: 'password123'
         });
-      testUser = response.body.user;
+      testUser = withToken(response);
 
       const gameResponse = await request(app)
         .post('/api/games')
+        .set('Authorization', bearer(testUser))
         .send({
           name: 'Image Test Game',
           gameType: 'chess',
@@ -494,6 +524,7 @@ describe('Board Game API - Comprehensive Tests', () => {
       // Create checkers game
       const gameResponse = await request(app)
         .post('/api/games')
+        .set('Authorization', bearer(testUser))
         .send({
           name: 'Checkers Image Test',
           gameType: 'checkers',
@@ -513,6 +544,7 @@ describe('Board Game API - Comprehensive Tests', () => {
       // Create hearts game
       const gameResponse = await request(app)
         .post('/api/games')
+        .set('Authorization', bearer(testUser))
         .send({
           name: 'Hearts Image Test',
           gameType: 'hearts',
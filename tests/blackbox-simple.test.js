@@ -11,6 +11,40 @@ const gameTypeRoutes = require('../src/routes/gameTypes');
 const { initializeDatabase, closeDatabase } = require('../src/database/init');
 const dependencies = require('../src/config/dependencies');
 
+/**
+ * Keep the session token next to the registered user
+ */
+function withToken(registerResponse) {
+  return { ...registerResponse.body.user, token: registerResponse.body.token };
+}
+
+/**
+ * Authorization header value for a user returned by withToken
+ */
+function bearer(user) {
+  return `Bearer ${user.token}`;
+}
+
+/**
+ * Register users named after a prefix, in order, each with their session token
+ */
+async function registerUsers(app, prefix, count) {
+  const timestamp = Date.now();
+  const users = [];
+  for (let i = 1; i <= count; i++) {
+    const response = await request(app)
+      .post('/api/users/register')
+      .send({
+        username: `${prefix}_${i}_${timestamp}`,
+        email: `${prefix}_${i}_${timestamp}@test.com`,
+        password: 'password123'
+      })
+      .expect(201);
+    users.push(withToken(response));
+  }
+  return users;
+}
+
 // Create test app
 function createTestApp() {
   const app = express();
@@ -30,6 +64,9 @@ function createTestApp() {
   // Routes using new architecture
   app.use('/api/games', routers.games);
   app.use('/api/users', routers.users);
+  app.use('/api/admin', routers.admin);
+  app.use('/api/challenges', routers.challenges);
+  app.use('/api/matchmaking', routers.matchmaking);
   app.use('/api/game-types', gameTypeRoutes);
 
   app.set('socketio', io);
@@ -87,12 +124,13 @@ describe('Correspondence Board Game - Blackbox Tests', () => {
       })
       .expect(201);
 
-    const users = [user1Response.body.user, user2Response.body.user];
+    const users = [withToken(user1Response), withToken(user2Response)];
     console.log('✓ Created users:', users.map(u => u.username).join(', '));
 
     // Step 2: Create a chess game
     const gameResponse = await request(app)
       .post('/api/games')
+      .set('Authorization', bearer(users[0]))
       .send({
         name: 'Integration Test Chess Game',
         gameType: 'chess',
@@ -115,6 +153,7 @@ describe('Correspondence Board Game - Blackbox Tests', () => {
     // Step 4: Second player joins
     await request(app)
       .post(`/api/games/${game.id}/join`)
+      .set('Authorization', bearer(users[1]))
       .send({
         userId: users[1].id
       })
@@ -134,6 +173,7 @@ describe('Correspondence Board Game - Blackbox Tests', () => {
     // Step 6: Make first move (white pawn e2-e4)
     const move1Response = await request(app)
       .post(`/api/games/${game.id}/move`)
+      .set('Authorization', bearer(users[0]))
       .send({
         userId: users[0].id,
         move: 'e2-e4'
@@ -155,6 +195,7 @@ describe('Correspondence Board Game - Blackbox Tests', () => {
     // Step 8: Make second move (black pawn e7-e5)
     const move2Response = await request(app)
       .post(`/api/games/${game.id}/move`)
+      .set('Authorization', bearer(users[1]))
       .send({
         userId: users[1].id,
         move: 'e7-e5'
@@ -167,6 +208,7 @@ describe('Correspondence Board Game - Blackbox Tests', () => {
     // Step 9: Make third move (white knight)
     const move3Response = await request(app)
       .post(`/api/games/${game.id}/move`)
+      .set('Authorization', bearer(users[0]))
       .send({
         userId: users[0].id,
         move: 'Nf3'
@@ -210,6 +252,1614 @@ describe('Correspondence Board Game - Blackbox Tests', () => {
     console.log('\n🎉 Complete chess game workflow test passed!');
   }, 30000);
 
+  test('Chess game completes on checkmate', async () => {
+    const users = await registerUsers(app, 'mate', 2);
+
+    const gameResponse = await request(app)
+      .post('/api/games')
+      .set('Authorization', bearer(users[0]))
+      .send({ name: 'Fool\'s Mate', gameType: 'chess', creatorId: users[0].id })
+      .expect(201);
+    const gameId = gameResponse.body.id;
+
+    await request(app)
+      .post(`/api/games/${gameId}/join`)
+      .set('Authorization', bearer(users[1]))
+      .send({ userId: users[1].id })
+      .expect(200);
+
+    // Illegal moves are rejected before they reach the board
+    await request(app)
+      .post(`/api/games/${gameId}/move`)
+      .set('Authorization', bearer(users[0]))
+      .send({ userId: users[0].id, move: 'e2-e5' })
+      .expect(400)
+      .expect(res => expect(res.body.error).toContain('Invalid move'));
+
+    const moves = ['f2-f3', 'e7-e5', 'g2-g4'];
+    for (let i = 0; i < moves.length; i++) {
+      await request(app)
+        .post(`/api/games/${gameId}/move`)
+        .set('Authorization', bearer(users[i % 2]))
+        .send({ userId: users[i % 2].id, move: moves[i] })
+        .expect(200);
+    }
+
+    const mateResponse = await request(app)
+      .post(`/api/games/${gameId}/move`)
+      .set('Authorization', bearer(users[1]))
+      .send({ userId: users[1].id, move: 'Qh4#' })
+      .expect(200);
+
+    expect(mateResponse.body.isGameComplete).toBe(true);
+    expect(mateResponse.body.winner).toBe(users[1].id);
+
+    const finalResponse = await request(app)
+      .get(`/api/games/${gameId}`)
+      .expect(200);
+
+    expect(finalResponse.body.status).toBe('completed');
+    expect(finalResponse.body.moveCount).toBe(4);
+    expect(finalResponse.body.settings.winnerId).toBe(users[1].id);
+    console.log('✓ Checkmate completed the game with the correct winner');
+  });
+
+  test('Hearts players only see their own hand', async () => {
+    const users = await registerUsers(app, 'hearts', 4);
+
+    const gameResponse = await request(app)
+      .post('/api/games')
+      .set('Authorization', bearer(users[0]))
+      .send({ name: 'Hearts Table', gameType: 'hearts', creatorId: users[0].id })
+      .expect(201);
+    const gameId = gameResponse.body.id;
+
+    for (const user of users.slice(1)) {
+      await request(app)
+        .post(`/api/games/${gameId}/join`)
+        .set('Authorization', bearer(user))
+        .send({ userId: user.id })
+        .expect(200);
+    }
+
+    const ownView = await request(app)
+      .get(`/api/games/${gameId}`)
+      .set('Authorization', bearer(users[0]))
+      .expect(200);
+    const ownState = JSON.parse(ownView.body.boardState);
+    expect(ownState.playerHands[0]).toHaveLength(13);
+    expect(ownState.playerHands.slice(1)).toEqual([[], [], []]);
+    expect(ownState.handSizes).toEqual([13, 13, 13, 13]);
+
+    const spectatorView = await request(app)
+      .get(`/api/games/${gameId}`)
+      .expect(200);
+    expect(JSON.parse(spectatorView.body.boardState).playerHands).toEqual([[], [], [], []]);
+
+    // Passing hides the passed cards from everyone but the passer
+    await request(app)
+      .post(`/api/games/${gameId}/move`)
+      .set('Authorization', bearer(users[0]))
+      .send({ userId: users[0].id, move: { type: 'pass', cards: ownState.playerHands[0].slice(0, 3) } })
+      .expect(200);
+
+    const historyResponse = await request(app)
+      .get(`/api/games/${gameId}/moves`)
+      .set('Authorization', bearer(users[1]))
+      .expect(200);
+    expect(historyResponse.body[0].move).toEqual({ type: 'pass' });
+
+    const ownHistory = await request(app)
+      .get(`/api/games/${gameId}/moves`)
+      .set('Authorization', bearer(users[0]))
+      .expect(200);
+    expect(ownHistory.body[0].move.cards).toHaveLength(3);
+
+    const afterPass = await request(app)
+      .get(`/api/games/${gameId}`)
+      .set('Authorization', bearer(users[1]))
+      .expect(200);
+    const stateAfterPass = JSON.parse(afterPass.body.boardState);
+    expect(stateAfterPass.passedCards[0]).toEqual([]);
+    expect(stateAfterPass.hasPassed).toEqual([true, false, false, false]);
+    expect(stateAfterPass.playerHands[1]).toHaveLength(13);
+
+    const imageResponse = await request(app)
+      .get(`/api/games/${gameId}/image?token=${users[1].token}`)
+      .expect(200);
+    expect(imageResponse.headers['content-type']).toBe('image/png');
+    expect(imageResponse.headers['cache-control']).toContain('private');
+
+    // Only image URLs accept the token in the query string
+    const queryTokenView = await request(app)
+      .get(`/api/games/${gameId}?token=${users[1].token}`)
+      .expect(200);
+    expect(JSON.parse(queryTokenView.body.boardState).playerHands[1]).toEqual([]);
+    console.log('✓ Hearts hands are redacted per viewer');
+  });
+
+  test('Hearts replays start from the cards that were dealt', async () => {
+    const users = await registerUsers(app, 'dealt', 4);
+
+    const gameResponse = await request(app)
+      .post('/api/games')
+      .set('Authorization', bearer(users[0]))
+      .send({ name: 'Dealt Table', gameType: 'hearts' })
+      .expect(201);
+    const gameId = gameResponse.body.id;
+    expect(gameResponse.body.initialBoardState).toBeUndefined();
+
+    for (const user of users.slice(1)) {
+      await request(app).post(`/api/games/${gameId}/join`).set('Authorization', bearer(user)).expect(200);
+    }
+
+    const dealtView = await request(app)
+      .get(`/api/games/${gameId}`)
+      .set('Authorization', bearer(users[0]))
+      .expect(200);
+    expect(dealtView.body.initialBoardState).toBeUndefined();
+    const dealtHand = JSON.parse(dealtView.body.boardState).playerHands[0];
+
+    await request(app)
+      .post(`/api/games/${gameId}/move`)
+      .set('Authorization', bearer(users[0]))
+      .send({ move: { type: 'pass', cards: dealtHand.slice(0, 3) } })
+      .expect(200);
+
+    const start = await request(app)
+      .get(`/api/games/${gameId}/positions/0`)
+      .set('Authorization', bearer(users[0]))
+      .expect(200);
+    expect(start.body.boardState.playerHands[0]).toEqual(dealtHand);
+
+    const replay = await request(app)
+      .get(`/api/games/${gameId}/replay`)
+      .set('Authorization', bearer(users[0]))
+      .expect(200);
+    const positions = replay.text.trim().split('\n').map(line => JSON.parse(line));
+    expect(positions[0].boardState.playerHands[0]).toEqual(dealtHand);
+    console.log('✓ Hearts replays show the real deal');
+  });
+
+  test('Game actions require the authenticated player', async () => {
+    const users = await registerUsers(app, 'auth', 2);
+
+    await request(app)
+      .post('/api/games')
+      .send({ name: 'No Token', gameType: 'chess', creatorId: users[0].id })
+      .expect(401);
+
+    await request(app)
+      .post('/api/games')
+      .set('Authorization', 'Bearer not-a-token')
+      .send({ name: 'Bad Token', gameType: 'chess' })
+      .expect(401);
+
+    // The creator comes from the token when the body leaves it out
+    const gameResponse = await request(app)
+      .post('/api/games')
+      .set('Authorization', bearer(users[0]))
+      .send({ name: 'Auth Game', gameType: 'chess' })
+      .expect(201);
+    const gameId = gameResponse.body.id;
+    const createdGame = await request(app).get(`/api/games/${gameId}`).expect(200);
+    expect(createdGame.body.players[0].userId).toBe(users[0].id);
+
+    // Joining on someone else's behalf is refused
+    await request(app)
+      .post(`/api/games/${gameId}/join`)
+      .set('Authorization', bearer(users[0]))
+      .send({ userId: users[1].id })
+      .expect(403);
+
+    await request(app)
+      .post(`/api/games/${gameId}/join`)
+      .set('Authorization', bearer(users[1]))
+      .expect(200);
+
+    await request(app)
+      .post(`/api/games/${gameId}/move`)
+      .send({ userId: users[0].id, move: 'e2-e4' })
+      .expect(401);
+
+    await request(app)
+      .post(`/api/games/${gameId}/move`)
+      .set('Authorization', bearer(users[1]))
+      .send({ userId: users[0].id, move: 'e2-e4' })
+      .expect(403);
+
+    const moveResponse = await request(app)
+      .post(`/api/games/${gameId}/move`)
+      .set('Authorization', bearer(users[0]))
+      .send({ move: 'e2-e4' })
+      .expect(200);
+    expect(moveResponse.body.moveCount).toBe(1);
+    console.log('✓ Game actions are tied to the token holder');
+  });
+
+  test('Admin routes are restricted to admins and audited', async () => {
+    const [admin, host, guest] = await registerUsers(app, 'admin', 3);
+    expect(host.role).toBe('user');
+    await dependencies.getUserService().changeUserRole(admin.id, 'admin');
+
+    const gameResponse = await request(app)
+      .post('/api/games')
+      .set('Authorization', bearer(host))
+      .send({ name: 'Hearts Waiting Room', gameType: 'hearts' })
+      .expect(201);
+    const gameId = gameResponse.body.id;
+    await request(app)
+      .post(`/api/games/${gameId}/join`)
+      .set('Authorization', bearer(guest))
+      .expect(200);
+
+    await request(app).post('/api/admin/purge').expect(401);
+    await request(app).post('/api/admin/purge').set('Authorization', bearer(host)).expect(403);
+    await request(app).get('/api/admin/audit-log').set('Authorization', bearer(host)).expect(403);
+    await request(app).get('/api/users').expect(401);
+    await request(app).get('/api/users').set('Authorization', bearer(host)).expect(403);
+    const userList = await request(app).get('/api/users').set('Authorization', bearer(admin)).expect(200);
+    expect(userList.body.find(user => user.id === host.id).role).toBe('user');
+    await request(app)
+      .post(`/api/games/${gameId}/force-start`)
+      .set('Authorization', bearer(host))
+      .expect(403);
+
+    await request(app)
+      .post(`/api/games/${gameId}/force-start`)
+      .set('Authorization', bearer(admin))
+      .expect(200);
+
+    const roleResponse = await request(app)
+      .put(`/api/admin/users/${host.id}/role`)
+      .set('Authorization', bearer(admin))
+      .send({ role: 'admin' })
+      .expect(200);
+    expect(roleResponse.body.role).toBe('admin');
+
+    await request(app)
+      .put(`/api/admin/users/${admin.id}/role`)
+      .set('Authorization', bearer(admin))
+      .send({ role: 'user' })
+      .expect(400);
+
+    // The promoted host's existing token now carries admin rights
+    const auditResponse = await request(app)
+      .get('/api/admin/audit-log?limit=10')
+      .set('Authorization', bearer(host))
+      .expect(200);
+    const actions = auditResponse.body.filter(entry => entry.actorId === admin.id);
+    expect(actions.map(entry => entry.action)).toEqual(['change_role', 'force_start']);
+    expect(actions[1].targetId).toBe(gameId);
+    expect(actions[0].details).toEqual({ from: 'user', to: 'admin' });
+    console.log('✓ Admin routes require the admin role and are audited');
+  });
+
+  test('Concurrent joins and stale moves cannot corrupt a game', async () => {
+    const users = await registerUsers(app, 'race', 4);
+
+    const gameResponse = await request(app)
+      .post('/api/games')
+      .set('Authorization', bearer(users[0]))
+      .send({ name: 'Race Condition', gameType: 'chess' })
+      .expect(201);
+    const gameId = gameResponse.body.id;
+
+    // Three players race for the one open seat
+    const joins = await Promise.all(users.slice(1).map(user => request(app)
+      .post(`/api/games/${gameId}/join`)
+      .set('Authorization', bearer(user))));
+    expect(joins.filter(response => response.status === 200)).toHaveLength(1);
+
+    const gameAfterJoins = await request(app).get(`/api/games/${gameId}`).expect(200);
+    expect(gameAfterJoins.body.players).toHaveLength(2);
+    expect(gameAfterJoins.body.status).toBe('active');
+    const black = users.find(user => user.id === gameAfterJoins.body.players[1].userId);
+
+    await request(app)
+      .post(`/api/games/${gameId}/move`)
+      .set('Authorization', bearer(users[0]))
+      .send({ move: 'e2-e4', expectedMoveCount: 0 })
+      .expect(200);
+
+    // Black answers a position that is one move out of date
+    const staleResponse = await request(app)
+      .post(`/api/games/${gameId}/move`)
+      .set('Authorization', bearer(black))
+      .send({ move: 'e7-e5', expectedMoveCount: 0 })
+      .expect(409);
+    expect(staleResponse.body.error).toContain('Game has changed');
+
+    // Double submission of the same move only records it once
+    const submissions = await Promise.all([0, 1].map(() => request(app)
+      .post(`/api/games/${gameId}/move`)
+      .set('Authorization', bearer(black))
+      .send({ move: 'e7-e5' })));
+    expect(submissions.filter(response => response.status === 200)).toHaveLength(1);
+
+    const historyResponse = await request(app).get(`/api/games/${gameId}/moves`).expect(200);
+    expect(historyResponse.body.map(move => move.moveNumber)).toEqual([1, 2]);
+    const finalGame = await request(app).get(`/api/games/${gameId}`).expect(200);
+    expect(finalGame.body.moveCount).toBe(2);
+    console.log('✓ Joins and moves are committed atomically');
+  });
+
+  test('Writes made while a transaction is open survive its rollback', async () => {
+    const [player] = await registerUsers(app, 'rollback', 1);
+
+    const gameResponse = await request(app)
+      .post('/api/games')
+      .set('Authorization', bearer(player))
+      .send({ name: 'Rollback Table', gameType: 'chess' })
+      .expect(201);
+    const gameId = gameResponse.body.id;
+
+    // Hold a transaction open, like a move that is about to fail as stale
+    let opened, release;
+    const isOpen = new Promise(resolve => { opened = resolve; });
+    const released = new Promise(resolve => { release = resolve; });
+    const transaction = dependencies.getGameRepository().transaction(async (repository) => {
+      await repository.update(gameId, { name: 'Renamed In Transaction' });
+      opened();
+      await released;
+      throw new Error('Game has changed since it was loaded; reload and try again');
+    });
+    await isOpen;
+
+    // An unrelated write lands while the transaction is open
+    const saving = request(app)
+      .put(`/api/games/${gameId}/notes`)
+      .set('Authorization', bearer(player))
+      .send({ notes: 'Written during the transaction' })
+      .then(result => result);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    release();
+
+    await expect(transaction).rejects.toThrow('Game has changed');
+    expect((await saving).status).toBe(200);
+
+    const notesResponse = await request(app)
+      .get(`/api/games/${gameId}/notes`)
+      .set('Authorization', bearer(player))
+      .expect(200);
+    expect(notesResponse.body.notes).toBe('Written during the transaction');
+    const game = await request(app).get(`/api/games/${gameId}`).expect(200);
+    expect(game.body.name).toBe('Rollback Table');
+    console.log('✓ Rolled back transactions only undo their own writes');
+  });
+
+  test('Players can resign or abort a game', async () => {
+    const [white, black, stranger] = await registerUsers(app, 'quit', 3);
+
+    const createGame = async (name) => {
+      const response = await request(app)
+        .post('/api/games')
+        .set('Authorization', bearer(white))
+        .send({ name, gameType: 'chess' })
+        .expect(201);
+      await request(app)
+        .post(`/api/games/${response.body.id}/join`)
+        .set('Authorization', bearer(black))
+        .expect(200);
+      return response.body.id;
+    };
+
+    // Aborting is allowed until both players have moved
+    const abortedId = await createGame('Aborted Game');
+    await request(app)
+      .post(`/api/games/${abortedId}/move`)
+      .set('Authorization', bearer(white))
+      .send({ move: 'e2-e4' })
+      .expect(200);
+    await request(app)
+      .post(`/api/games/${abortedId}/abort`)
+      .set('Authorization', bearer(stranger))
+      .expect(403);
+    const abortResponse = await request(app)
+      .post(`/api/games/${abortedId}/abort`)
+      .set('Authorization', bearer(black))
+      .expect(200);
+    expect(abortResponse.body.status).toBe('cancelled');
+
+    const aborted = await request(app).get(`/api/games/${abortedId}`).expect(200);
+    expect(aborted.body.status).toBe('cancelled');
+    expect(aborted.body.settings.terminationReason).toBe('aborted');
+    expect(aborted.body.settings.terminatedBy).toBe(black.id);
+
+    const resignedId = await createGame('Resigned Game');
+    for (const [player, move] of [[white, 'e2-e4'], [black, 'e7-e5']]) {
+      await request(app)
+        .post(`/api/games/${resignedId}/move`)
+        .set('Authorization', bearer(player))
+        .send({ move })
+        .expect(200);
+    }
+    await request(app)
+      .post(`/api/games/${resignedId}/abort`)
+      .set('Authorization', bearer(white))
+      .expect(400);
+
+    const resignResponse = await request(app)
+      .post(`/api/games/${resignedId}/resign`)
+      .set('Authorization', bearer(white))
+      .expect(200);
+    expect(resignResponse.body.winner).toBe(black.id);
+
+    const resigned = await request(app).get(`/api/games/${resignedId}`).expect(200);
+    expect(resigned.body.status).toBe('completed');
+    expect(resigned.body.settings.winnerId).toBe(black.id);
+    expect(resigned.body.settings.terminationReason).toBe('resignation');
+
+    // Two-player results move both ratings; the aborted game was not rated
+    const whiteProfile = await request(app).get(`/api/users/${white.id}`).expect(200);
+    const blackProfile = await request(app).get(`/api/users/${black.id}`).expect(200);
+    expect(whiteProfile.body.rating).toBe(1484);
+    expect(blackProfile.body.rating).toBe(1516);
+
+    await request(app)
+      .post(`/api/games/${resignedId}/resign`)
+      .set('Authorization', bearer(black))
+      .expect(400);
+    await request(app)
+      .post(`/api/games/${resignedId}/move`)
+      .set('Authorization', bearer(white))
+      .send({ move: 'Nf3' })
+      .expect(400);
+
+    // With more than two players a resignation ends the game without a winner, not in a draw
+    const tableUsers = await registerUsers(app, 'quit_table', 4);
+    const tableResponse = await request(app)
+      .post('/api/games')
+      .set('Authorization', bearer(tableUsers[0]))
+      .send({ name: 'Resigned Table', gameType: 'hearts' })
+      .expect(201);
+    for (const user of tableUsers.slice(1)) {
+      await request(app)
+        .post(`/api/games/${tableResponse.body.id}/join`)
+        .set('Authorization', bearer(user))
+        .expect(200);
+    }
+    const tableResign = await request(app)
+      .post(`/api/games/${tableResponse.body.id}/resign`)
+      .set('Authorization', bearer(tableUsers[2]))
+      .expect(200);
+    expect(tableResign.body.winner).toBeNull();
+
+    const tableNotifications = await request(app)
+      .get(`/api/users/${tableUsers[0].id}/notifications`)
+      .set('Authorization', bearer(tableUsers[0]))
+      .expect(200);
+    const types = tableNotifications.body.map(n => n.type);
+    expect(types).toContain('game_resigned');
+    expect(types).not.toContain('game_draw');
+    console.log('✓ Resigned and aborted games end with a recorded reason');
+  });
+
+  test('Players can negotiate draws and takebacks', async () => {
+    const [white, black] = await registerUsers(app, 'negotiate', 2);
+
+    const createResponse = await request(app)
+      .post('/api/games')
+      .set('Authorization', bearer(white))
+      .send({ name: 'Negotiated Game', gameType: 'chess' })
+      .expect(201);
+    const gameId = createResponse.body.id;
+    await request(app)
+      .post(`/api/games/${gameId}/join`)
+      .set('Authorization', bearer(black))
+      .expect(200);
+
+    const initial = await request(app).get(`/api/games/${gameId}`).expect(200);
+    await request(app)
+      .post(`/api/games/${gameId}/move`)
+      .set('Authorization', bearer(white))
+      .send({ move: 'e2-e4' })
+      .expect(200);
+
+    // Only the player who made the last move may ask for it back
+    await request(app)
+      .post(`/api/games/${gameId}/offers`)
+      .set('Authorization', bearer(black))
+      .send({ type: 'takeback' })
+      .expect(400);
+    const takebackResponse = await request(app)
+      .post(`/api/games/${gameId}/offers`)
+      .set('Authorization', bearer(white))
+      .send({ type: 'takeback' })
+      .expect(201);
+    expect(takebackResponse.body.status).toBe('pending');
+
+    await request(app)
+      .post(`/api/games/${gameId}/offers/${takebackResponse.body.id}/accept`)
+      .set('Authorization', bearer(white))
+      .expect(400);
+    await request(app)
+      .post(`/api/games/${gameId}/offers/${takebackResponse.body.id}/accept`)
+      .set('Authorization', bearer(black))
+      .expect(200);
+
+    const takenBack = await request(app).get(`/api/games/${gameId}`).expect(200);
+    expect(takenBack.body.moveCount).toBe(0);
+    expect(takenBack.body.currentPlayerId).toBe(white.id);
+    expect(takenBack.body.boardState).toBe(initial.body.boardState);
+    const moves = await request(app).get(`/api/games/${gameId}/moves`).expect(200);
+    expect(moves.body).toHaveLength(0);
+
+    // A declined draw leaves the game running; an accepted one ends it
+    const declinedDraw = await request(app)
+      .post(`/api/games/${gameId}/offers`)
+      .set('Authorization', bearer(black))
+      .send({ type: 'draw' })
+      .expect(201);
+    await request(app)
+      .post(`/api/games/${gameId}/offers/${declinedDraw.body.id}/decline`)
+      .set('Authorization', bearer(white))
+      .expect(200);
+
+    const acceptedDraw = await request(app)
+      .post(`/api/games/${gameId}/offers`)
+      .set('Authorization', bearer(white))
+      .send({ type: 'draw' })
+      .expect(201);
+    const pending = await request(app).get(`/api/games/${gameId}/offers`).expect(200);
+    expect(pending.body.map(offer => offer.id)).toEqual([acceptedDraw.body.id]);
+
+    const drawResponse = await request(app)
+      .post(`/api/games/${gameId}/offers/${acceptedDraw.body.id}/accept`)
+      .set('Authorization', bearer(black))
+      .expect(200);
+    expect(drawResponse.body.status).toBe('completed');
+
+    const drawn = await request(app).get(`/api/games/${gameId}`).expect(200);
+    expect(drawn.body.status).toBe('completed');
+    expect(drawn.body.settings.terminationReason).toBe('draw_agreed');
+    expect(drawn.body.settings.winnerId).toBeNull();
+
+    const notifications = await request(app)
+      .get(`/api/users/${black.id}/notifications`)
+      .set('Authorization', bearer(black))
+      .expect(200);
+    expect(notifications.body.map(n => n.type)).toEqual(
+      expect.arrayContaining(['takeback_request', 'draw_offer', 'offer_declined'])
+    );
+
+    // Notifications are only readable by their recipient
+    await request(app).get(`/api/users/${black.id}/notifications`).expect(401);
+    await request(app)
+      .get(`/api/users/${black.id}/notifications`)
+      .set('Authorization', bearer(white))
+      .expect(403);
+    console.log('✓ Draws and takebacks are negotiated between players');
+  });
+
+  test('Games with time controls are forfeited when a player runs out of time', async () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const [white, black] = await registerUsers(app, 'clock', 2);
+
+    await request(app)
+      .post('/api/games')
+      .set('Authorization', bearer(white))
+      .send({ name: 'Bad Clock', gameType: 'chess', settings: { timeControl: { type: 'per_move', daysPerMove: 0 } } })
+      .expect(400);
+
+    const createTimedGame = async (name, timeControl) => {
+      const response = await request(app)
+        .post('/api/games')
+        .set('Authorization', bearer(white))
+        .send({ name, gameType: 'chess', settings: { timeControl } })
+        .expect(201);
+      await request(app)
+        .post(`/api/games/${response.body.id}/join`)
+        .set('Authorization', bearer(black))
+        .expect(200);
+      return response.body.id;
+    };
+
+    const perMoveId = await createTimedGame('Per Move Clock', { type: 'per_move', daysPerMove: 3 });
+    const bankId = await createTimedGame('Time Bank Clock', { type: 'time_bank', initialDays: 10, incrementDays: 1 });
+
+    const started = await request(app).get(`/api/games/${perMoveId}`).expect(200);
+    expect(new Date(started.body.moveDeadline).getTime()).toBeGreaterThan(Date.now() + 3 * DAY_MS - 60 * 1000);
+    const startedClocks = Object.fromEntries(started.body.players.map(p => [p.userId, p.timeRemaining]));
+    expect(startedClocks[white.id]).toBeLessThanOrEqual(3 * DAY_MS);
+    expect(startedClocks[black.id]).toBe(3 * DAY_MS);
+
+    for (const gameId of [perMoveId, bankId]) {
+      await request(app)
+        .post(`/api/games/${gameId}/move`)
+        .set('Authorization', bearer(white))
+        .send({ move: 'e2-e4' })
+        .expect(200);
+    }
+
+    // The time bank keeps what white had left plus the increment
+    const bank = await request(app).get(`/api/games/${bankId}`).expect(200);
+    const bankClocks = Object.fromEntries(bank.body.players.map(p => [p.userId, p.timeRemaining]));
+    expect(bankClocks[white.id]).toBeGreaterThan(11 * DAY_MS - 60 * 1000);
+    expect(bankClocks[white.id]).toBeLessThanOrEqual(11 * DAY_MS);
+
+    // Nobody is overdue yet; four days on, black has missed the per-move deadline but not the bank
+    const sweeper = dependencies.getTimeoutSweeper();
+    const early = await sweeper.sweep(new Date(Date.now() + 2 * DAY_MS));
+    expect(early.map(result => result.gameId)).not.toContain(perMoveId);
+
+    const late = await sweeper.sweep(new Date(Date.now() + 4 * DAY_MS));
+    expect(late.map(result => result.gameId)).toContain(perMoveId);
+    expect(late.map(result => result.gameId)).not.toContain(bankId);
+
+    const forfeited = await request(app).get(`/api/games/${perMoveId}`).expect(200);
+    expect(forfeited.body.status).toBe('completed');
+    expect(forfeited.body.moveDeadline).toBeNull();
+    expect(forfeited.body.settings.winnerId).toBe(white.id);
+    expect(forfeited.body.settings.terminationReason).toBe('timeout');
+    expect(forfeited.body.settings.timedOutPlayerId).toBe(black.id);
+
+    const stillRunning = await request(app).get(`/api/games/${bankId}`).expect(200);
+    expect(stillRunning.body.status).toBe('active');
+
+    // A move after the deadline loses on time even before the sweeper gets to the game
+    await dependencies.getGameRepository().update(bankId, { moveDeadline: new Date(Date.now() - 1000) });
+    const lateMove = await request(app)
+      .post(`/api/games/${bankId}/move`)
+      .set('Authorization', bearer(black))
+      .send({ move: 'e7-e5' })
+      .expect(400);
+    expect(lateMove.body.error).toContain('ran out of time');
+
+    const lostOnTime = await request(app).get(`/api/games/${bankId}`).expect(200);
+    expect(lostOnTime.body.status).toBe('completed');
+    expect(lostOnTime.body.moveCount).toBe(1);
+    expect(lostOnTime.body.settings.terminationReason).toBe('timeout');
+    expect(lostOnTime.body.settings.winnerId).toBe(white.id);
+    console.log('✓ Overdue games are forfeited on time');
+  });
+
+  test('Vacations pause the clocks of every active game', async () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const [white, black] = await registerUsers(app, 'vacation', 2);
+
+    const createResponse = await request(app)
+      .post('/api/games')
+      .set('Authorization', bearer(white))
+      .send({ name: 'Holiday Game', gameType: 'chess', settings: { timeControl: { type: 'per_move', daysPerMove: 3 } } })
+      .expect(201);
+    const gameId = createResponse.body.id;
+    await request(app)
+      .post(`/api/games/${gameId}/join`)
+      .set('Authorization', bearer(black))
+      .expect(200);
+    const before = await request(app).get(`/api/games/${gameId}`).expect(200);
+
+    await request(app)
+      .post(`/api/users/${black.id}/vacation`)
+      .set('Authorization', bearer(white))
+      .expect(403);
+    const startResponse = await request(app)
+      .post(`/api/users/${white.id}/vacation`)
+      .set('Authorization', bearer(white))
+      .expect(200);
+    expect(startResponse.body.pausedGames).toBe(1);
+    await request(app)
+      .post(`/api/users/${white.id}/vacation`)
+      .set('Authorization', bearer(white))
+      .expect(400);
+
+    const paused = await request(app).get(`/api/games/${gameId}`).expect(200);
+    expect(paused.body.clockPaused).toBe(true);
+
+    // White is on move, but the deadline does not count while they are away
+    const sweeper = dependencies.getTimeoutSweeper();
+    const sweep = await sweeper.sweep(new Date(Date.now() + 5 * DAY_MS));
+    expect(sweep.map(result => result.gameId)).not.toContain(gameId);
+
+    const endResponse = await request(app)
+      .delete(`/api/users/${white.id}/vacation`)
+      .set('Authorization', bearer(white))
+      .expect(200);
+    expect(endResponse.body.vacationDaysRemaining).toBeGreaterThan(29.99);
+
+    const resumed = await request(app).get(`/api/games/${gameId}`).expect(200);
+    expect(resumed.body.status).toBe('active');
+    expect(resumed.body.clockPaused).toBe(false);
+    expect(new Date(resumed.body.moveDeadline).getTime())
+      .toBeGreaterThanOrEqual(new Date(before.body.moveDeadline).getTime());
+
+    const notifications = await request(app)
+      .get(`/api/users/${black.id}/notifications`)
+      .set('Authorization', bearer(black))
+      .expect(200);
+    expect(notifications.body.map(n => n.type)).toEqual(
+      expect.arrayContaining(['vacation_started', 'vacation_ended'])
+    );
+
+    // A vacation that outlasts the allowance is ended by the sweeper, and the clock restarts
+    await request(app)
+      .post(`/api/users/${white.id}/vacation`)
+      .set('Authorization', bearer(white))
+      .expect(200);
+    await sweeper.sweep(new Date(Date.now() + 31 * DAY_MS));
+
+    const profile = await request(app).get(`/api/users/${white.id}`).expect(200);
+    expect(profile.body.vacationStartedAt).toBeNull();
+    expect(profile.body.vacationDaysRemaining).toBe(0);
+    const afterAllowance = await request(app).get(`/api/games/${gameId}`).expect(200);
+    expect(afterAllowance.body.clockPaused).toBe(false);
+    await request(app)
+      .post(`/api/users/${white.id}/vacation`)
+      .set('Authorization', bearer(white))
+      .expect(400);
+    console.log('✓ Vacations pause and restart clocks');
+  });
+
+  test('Private and unlisted games are hidden and private games need an invite', async () => {
+    const [host, friend, stranger] = await registerUsers(app, 'invite', 3);
+
+    const createGame = async (visibility) => {
+      const response = await request(app)
+        .post('/api/games')
+        .set('Authorization', bearer(host))
+        .send({ name: `${visibility} game`, gameType: 'chess', visibility })
+        .expect(201);
+      expect(response.body.visibility).toBe(visibility);
+      return response.body;
+    };
+    const publicGame = await createGame('public');
+    const unlistedGame = await createGame('unlisted');
+    const privateGame = await createGame('private');
+    expect(publicGame.inviteToken).toBeNull();
+    expect(privateGame.inviteToken).toEqual(expect.any(String));
+
+    await request(app)
+      .post('/api/games')
+      .set('Authorization', bearer(host))
+      .send({ name: 'Secret', gameType: 'chess', visibility: 'secret' })
+      .expect(400);
+
+    // Only the host's own listing includes the hidden games
+    const listIds = async (user) => {
+      const req = request(app).get('/api/games?status=waiting');
+      const response = user ? await req.set('Authorization', bearer(user)).expect(200) : await req.expect(200);
+      return response.body.map(game => game.id);
+    };
+    for (const viewer of [stranger, null]) {
+      const ids = await listIds(viewer);
+      expect(ids).toContain(publicGame.id);
+      expect(ids).not.toContain(unlistedGame.id);
+      expect(ids).not.toContain(privateGame.id);
+    }
+    expect(await listIds(host)).toEqual(expect.arrayContaining([publicGame.id, unlistedGame.id, privateGame.id]));
+
+    // The same goes for a user's game list
+    await request(app).get(`/api/users/${host.id}/games`).expect(401);
+    const strangerGames = await request(app)
+      .get(`/api/users/${host.id}/games`)
+      .set('Authorization', bearer(stranger))
+      .expect(200);
+    expect(strangerGames.body.map(game => game.id)).toEqual([publicGame.id]);
+    const ownGames = await request(app)
+      .get(`/api/users/${host.id}/games`)
+      .set('Authorization', bearer(host))
+      .expect(200);
+    expect(ownGames.body.map(game => game.id)).toEqual(
+      expect.arrayContaining([publicGame.id, unlistedGame.id, privateGame.id])
+    );
+
+    // Unlisted games only need the link; private games need the current invite token
+    await request(app)
+      .post(`/api/games/${unlistedGame.id}/join`)
+      .set('Authorization', bearer(stranger))
+      .expect(200);
+    await request(app)
+      .post(`/api/games/${privateGame.id}/join`)
+      .set('Authorization', bearer(stranger))
+      .expect(403);
+    await request(app)
+      .post(`/api/games/${privateGame.id}/join`)
+      .set('Authorization', bearer(stranger))
+      .send({ inviteToken: 'guess' })
+      .expect(403);
+
+    const strangerView = await request(app)
+      .get(`/api/games/${privateGame.id}`)
+      .set('Authorization', bearer(stranger))
+      .expect(200);
+    expect(strangerView.body.inviteToken).toBeNull();
+
+    await request(app)
+      .delete(`/api/games/${privateGame.id}/invite`)
+      .set('Authorization', bearer(stranger))
+      .expect(403);
+    await request(app)
+      .delete(`/api/games/${privateGame.id}/invite`)
+      .set('Authorization', bearer(host))
+      .expect(200);
+    await request(app)
+      .post(`/api/games/${privateGame.id}/join`)
+      .set('Authorization', bearer(friend))
+      .send({ inviteToken: privateGame.inviteToken })
+      .expect(403);
+
+    const reissued = await request(app)
+      .post(`/api/games/${privateGame.id}/invite`)
+      .set('Authorization', bearer(host))
+      .expect(200);
+    expect(reissued.body.inviteToken).not.toBe(privateGame.inviteToken);
+    await request(app)
+      .post(`/api/games/${privateGame.id}/join`)
+      .set('Authorization', bearer(friend))
+      .send({ inviteToken: reissued.body.inviteToken })
+      .expect(200);
+
+    const friendView = await request(app)
+      .get(`/api/games/${privateGame.id}`)
+      .set('Authorization', bearer(friend))
+      .expect(200);
+    expect(friendView.body.status).toBe('active');
+    expect(friendView.body.inviteToken).toBe(reissued.body.inviteToken);
+    console.log('✓ Game visibility and invites are enforced');
+  });
+
+  test('Users can challenge each other and the game starts on acceptance', async () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const [challenger, challenged, bystander] = await registerUsers(app, 'challenge', 3);
+
+    const challenge = (settings = {}) => request(app)
+      .post('/api/challenges')
+      .set('Authorization', bearer(challenger))
+      .send({ challengedId: challenged.id, gameType: 'chess', settings });
+
+    await request(app).post('/api/challenges').send({ challengedId: challenged.id, gameType: 'chess' }).expect(401);
+    await request(app)
+      .post('/api/challenges')
+      .set('Authorization', bearer(challenger))
+      .send({ challengedId: challenger.id, gameType: 'chess' })
+      .expect(400);
+    await request(app)
+      .post('/api/challenges')
+      .set('Authorization', bearer(challenger))
+      .send({ challengedId: challenged.id, gameType: 'hearts' })
+      .expect(400);
+    await challenge({ timeControl: { type: 'per_move', daysPerMove: 0 } }).expect(400);
+    await challenge({ allowSpectators: 'yes' }).expect(400);
+    await challenge({ allowChat: 1 }).expect(400);
+    const badFen = await challenge({ startFen: '8/8/8/8/8/8/8/8 w - - 0 1' }).expect(400);
+    expect(badFen.body.error).toContain('Invalid starting position');
+
+    // A declined challenge never creates a game
+    const declined = await challenge().expect(201);
+    expect(declined.body.status).toBe('pending');
+    await challenge().expect(400);
+    await request(app)
+      .post(`/api/challenges/${declined.body.id}/accept`)
+      .set('Authorization', bearer(bystander))
+      .expect(403);
+    await request(app)
+      .post(`/api/challenges/${declined.body.id}/decline`)
+      .set('Authorization', bearer(challenged))
+      .expect(200);
+    await request(app)
+      .post(`/api/challenges/${declined.body.id}/accept`)
+      .set('Authorization', bearer(challenged))
+      .expect(400);
+
+    const notifications = await request(app)
+      .get(`/api/users/${challenged.id}/notifications`)
+      .set('Authorization', bearer(challenged))
+      .expect(200);
+    expect(notifications.body).toEqual(expect.arrayContaining([
+      expect.objectContaining({ type: 'challenge', challengeId: declined.body.id })
+    ]));
+
+    // Only the challenger can withdraw
+    const cancelled = await challenge().expect(201);
+    await request(app)
+      .post(`/api/challenges/${cancelled.body.id}/cancel`)
+      .set('Authorization', bearer(challenged))
+      .expect(403);
+    await request(app)
+      .post(`/api/challenges/${cancelled.body.id}/cancel`)
+      .set('Authorization', bearer(challenger))
+      .expect(200);
+
+    // Accepting creates the game with the challenge's settings, already started
+    const accepted = await challenge({ timeControl: { type: 'per_move', daysPerMove: 2 } }).expect(201);
+    const acceptance = await request(app)
+      .post(`/api/challenges/${accepted.body.id}/accept`)
+      .set('Authorization', bearer(challenged))
+      .expect(200);
+    expect(acceptance.body.challenge.status).toBe('accepted');
+    expect(acceptance.body.game.status).toBe('active');
+    expect(acceptance.body.game.currentPlayerId).toBe(challenger.id);
+
+    const game = await request(app)
+      .get(`/api/games/${acceptance.body.game.id}`)
+      .set('Authorization', bearer(challenged))
+      .expect(200);
+    expect(game.body.visibility).toBe('private');
+    expect(game.body.settings.timeControl.daysPerMove).toBe(2);
+    expect(game.body.players.map(p => p.userId).sort()).toEqual([challenger.id, challenged.id].sort());
+
+    // Unanswered challenges expire
+    const stale = await challenge().expect(201);
+    await dependencies.getTimeoutSweeper().sweep(new Date(Date.now() + 8 * DAY_MS));
+    await request(app)
+      .post(`/api/challenges/${stale.body.id}/accept`)
+      .set('Authorization', bearer(challenged))
+      .expect(400);
+
+    const listed = await request(app)
+      .get('/api/challenges')
+      .set('Authorization', bearer(challenged))
+      .expect(200);
+    const statuses = Object.fromEntries(listed.body.map(c => [c.id, c.status]));
+    expect(statuses).toEqual({
+      [declined.body.id]: 'declined',
+      [cancelled.body.id]: 'cancelled',
+      [accepted.body.id]: 'accepted',
+      [stale.body.id]: 'expired'
+    });
+    const pendingOnly = await request(app)
+      .get('/api/challenges?status=pending')
+      .set('Authorization', bearer(challenged))
+      .expect(200);
+    expect(pendingOnly.body).toEqual([]);
+    console.log('✓ Challenges are created, answered and expired');
+  });
+
+  test('Matchmaking pairs compatible players into a new game', async () => {
+    const users = await registerUsers(app, 'matchmaking', 4);
+    expect(users.map(user => user.rating)).toEqual([1500, 1500, 1500, 1500]);
+    const [early, picky, blitz, late] = users;
+    const fiveDays = { type: 'per_move', daysPerMove: 5 };
+
+    const queue = (user, preferences) => request(app)
+      .post('/api/matchmaking/queue')
+      .set('Authorization', bearer(user))
+      .send(preferences);
+
+    await request(app).post('/api/matchmaking/queue').send({ gameType: 'checkers' }).expect(401);
+    await queue(early, { gameType: 'hearts' }).expect(400);
+    await queue(early, { gameType: 'checkers', minRating: 1600, maxRating: 1400 }).expect(400);
+
+    const first = await queue(early, { gameType: 'checkers', timeControl: fiveDays }).expect(201);
+    expect(first.body.entry.status).toBe('waiting');
+    expect(first.body.game).toBeNull();
+    await queue(early, { gameType: 'checkers' }).expect(409);
+
+    // Out of the rating range, and a different clock: neither pairs with anyone here
+    const pickyEntry = await queue(picky, { gameType: 'checkers', minRating: 1600 }).expect(201);
+    expect(pickyEntry.body.game).toBeNull();
+    const blitzEntry = await queue(blitz, { gameType: 'checkers', timeControl: { type: 'per_move', daysPerMove: 1 }, maxRating: 1450 }).expect(201);
+    expect(blitzEntry.body.game).toBeNull();
+
+    await request(app)
+      .delete(`/api/matchmaking/queue/${blitzEntry.body.entry.id}`)
+      .set('Authorization', bearer(picky))
+      .expect(403);
+    const left = await request(app)
+      .delete(`/api/matchmaking/queue/${blitzEntry.body.entry.id}`)
+      .set('Authorization', bearer(blitz))
+      .expect(200);
+    expect(left.body.status).toBe('cancelled');
+
+    // A player with no preferences is paired with the longest-waiting compatible entry
+    const match = await queue(late, { gameType: 'checkers' }).expect(201);
+    expect(match.body.entry.status).toBe('matched');
+    expect(match.body.game.status).toBe('active');
+    expect(match.body.game.currentPlayerId).toBe(early.id);
+
+    const game = await request(app)
+      .get(`/api/games/${match.body.game.id}`)
+      .set('Authorization', bearer(early))
+      .expect(200);
+    expect(game.body.settings.timeControl).toEqual(fiveDays);
+    expect(game.body.players.map(p => p.userId).sort()).toEqual([early.id, late.id].sort());
+
+    const earlyEntries = await request(app)
+      .get('/api/matchmaking/queue')
+      .set('Authorization', bearer(early))
+      .expect(200);
+    expect(earlyEntries.body[0].status).toBe('matched');
+    expect(earlyEntries.body[0].gameId).toBe(match.body.game.id);
+
+    const notifications = await request(app)
+      .get(`/api/users/${early.id}/notifications`)
+      .set('Authorization', bearer(early))
+      .expect(200);
+    expect(notifications.body).toEqual(expect.arrayContaining([
+      expect.objectContaining({ type: 'match_found', gameId: match.body.game.id })
+    ]));
+
+    await request(app)
+      .delete(`/api/matchmaking/queue/${pickyEntry.body.entry.id}`)
+      .set('Authorization', bearer(picky))
+      .expect(200);
+    console.log('✓ Matchmaking pairs compatible players');
+  });
+
+  test('Players can rematch a completed game with colors swapped', async () => {
+    const [white, black, guest] = await registerUsers(app, 'rematch', 3);
+
+    const created = await request(app)
+      .post('/api/games')
+      .set('Authorization', bearer(white))
+      .send({ name: 'Rematch Series', gameType: 'chess', settings: { timeControl: { type: 'per_move', daysPerMove: 3 } } })
+      .expect(201);
+    const firstId = created.body.id;
+    await request(app).post(`/api/games/${firstId}/join`).set('Authorization', bearer(black)).expect(200);
+
+    await request(app).post(`/api/games/${firstId}/rematch`).set('Authorization', bearer(white)).expect(400);
+    await request(app).post(`/api/games/${firstId}/resign`).set('Authorization', bearer(black)).expect(200);
+    await request(app).post(`/api/games/${firstId}/rematch`).set('Authorization', bearer(guest)).expect(403);
+
+    // The first request creates the rematch and seats the requester; black now plays first
+    const offered = await request(app)
+      .post(`/api/games/${firstId}/rematch`)
+      .set('Authorization', bearer(black))
+      .expect(201);
+    expect(offered.body.status).toBe('waiting');
+    expect(offered.body.rematchOf).toBe(firstId);
+    expect(offered.body.players).toEqual([
+      expect.objectContaining({ userId: black.id, playerOrder: 1, color: 'white' })
+    ]);
+
+    await request(app)
+      .post(`/api/games/${offered.body.id}/join`)
+      .set('Authorization', bearer(guest))
+      .expect(403);
+
+    // The opponent's request takes the seat reserved for them in the same rematch
+    const accepted = await request(app)
+      .post(`/api/games/${firstId}/rematch`)
+      .set('Authorization', bearer(white))
+      .expect(200);
+    expect(accepted.body.id).toBe(offered.body.id);
+    expect(accepted.body.status).toBe('active');
+
+    const rematch = await request(app).get(`/api/games/${offered.body.id}`).expect(200);
+    expect(rematch.body.currentPlayerId).toBe(black.id);
+    expect(rematch.body.settings).toEqual({ timeControl: { type: 'per_move', daysPerMove: 3 } });
+    expect(Object.fromEntries(rematch.body.players.map(p => [p.userId, p.color]))).toEqual({
+      [black.id]: 'white',
+      [white.id]: 'black'
+    });
+
+    const original = await request(app).get(`/api/games/${firstId}`).expect(200);
+    expect(original.body.rematchId).toBe(offered.body.id);
+
+    const notifications = await request(app)
+      .get(`/api/users/${white.id}/notifications`)
+      .set('Authorization', bearer(white))
+      .expect(200);
+    expect(notifications.body).toEqual(expect.arrayContaining([
+      expect.objectContaining({ type: 'rematch_offer', gameId: offered.body.id })
+    ]));
+
+    const series = await request(app).get(`/api/games/${offered.body.id}/series`).expect(200);
+    expect(series.body.map(game => game.id)).toEqual([firstId, offered.body.id]);
+    expect(series.body[0].winnerId).toBe(white.id);
+    expect(series.body[0].terminationReason).toBe('resignation');
+    console.log('✓ Rematches swap colors and form a series');
+  });
+
+  test('Conditional moves reply automatically when the opponent plays into them', async () => {
+    const [white, black] = await registerUsers(app, 'conditional', 2);
+
+    const created = await request(app)
+      .post('/api/games')
+      .set('Authorization', bearer(white))
+      .send({ name: 'Conditional Moves', gameType: 'chess' })
+      .expect(201);
+    const gameId = created.body.id;
+    await request(app).post(`/api/games/${gameId}/join`).set('Authorization', bearer(black)).expect(200);
+
+    const setLine = (user, moves) => request(app)
+      .post(`/api/games/${gameId}/conditional-moves`)
+      .set('Authorization', bearer(user))
+      .send({ moves });
+
+    // Lines are only prepared while the opponent is to move, and must be legal from the current position
+    await setLine(white, ['e2-e4', 'e7-e5']).expect(400);
+    await setLine(black, ['e2-e5', 'e7-e5']).expect(400);
+    await setLine(black, ['e2-e4']).expect(400);
+
+    await setLine(black, ['e2-e4', 'c7-c5']).expect(201);
+    await setLine(black, ['e2-e4', 'e7-e5', 'g1-f3', 'b8-c6']).expect(201);
+    await setLine(black, ['d2-d4', 'd7-d5']).expect(201);
+
+    // A newer line for the same opponent move replaces the older one
+    const prepared = await request(app)
+      .get(`/api/games/${gameId}/conditional-moves`)
+      .set('Authorization', bearer(black))
+      .expect(200);
+    expect(prepared.body.map(line => line.moves)).toEqual([
+      ['e2-e4', 'e7-e5', 'g1-f3', 'b8-c6'],
+      ['d2-d4', 'd7-d5']
+    ]);
+
+    const hidden = await request(app)
+      .get(`/api/games/${gameId}/conditional-moves`)
+      .set('Authorization', bearer(white))
+      .expect(200);
+    expect(hidden.body).toEqual([]);
+
+    const first = await request(app)
+      .post(`/api/games/${gameId}/move`)
+      .set('Authorization', bearer(white))
+      .send({ userId: white.id, move: 'e2-e4' })
+      .expect(200);
+    expect(first.body.conditionalReply).toEqual({ playerId: black.id, move: 'e7-e5' });
+    expect(first.body.moveCount).toBe(2);
+    expect(first.body.nextPlayerId).toBe(white.id);
+
+    // The unplayed branch is gone; the rest of the played one waits for the next move
+    const remaining = await request(app)
+      .get(`/api/games/${gameId}/conditional-moves`)
+      .set('Authorization', bearer(black))
+      .expect(200);
+    expect(remaining.body.map(line => line.moves)).toEqual([['g1-f3', 'b8-c6']]);
+
+    const second = await request(app)
+      .post(`/api/games/${gameId}/move`)
+      .set('Authorization', bearer(white))
+      .send({ userId: white.id, move: 'd2-d4' })
+      .expect(200);
+    expect(second.body.conditionalReply).toBeNull();
+    expect(second.body.nextPlayerId).toBe(black.id);
+
+    const discarded = await request(app)
+      .get(`/api/games/${gameId}/conditional-moves`)
+      .set('Authorization', bearer(black))
+      .expect(200);
+    expect(discarded.body).toEqual([]);
+
+    const history = await request(app).get(`/api/games/${gameId}/moves`).expect(200);
+    expect(history.body.map(entry => entry.move)).toEqual(['e2-e4', 'e7-e5', 'd2-d4']);
+    console.log('✓ Conditional moves play the prepared reply and drop the other branches');
+  });
+
+  test('Spectators watch games that allow them and are counted live', async () => {
+    const [white, black, watcher] = await registerUsers(app, 'spectate', 3);
+    // Spectators are held in memory, so read them through an app wired to the current container
+    const liveApp = createTestApp().app;
+    const spectatorService = dependencies.getSpectatorService();
+
+    await request(app)
+      .post('/api/games')
+      .set('Authorization', bearer(white))
+      .send({ name: 'Bad Spectators', gameType: 'chess', settings: { allowSpectators: 'yes' } })
+      .expect(400);
+
+    const open = await request(app)
+      .post('/api/games')
+      .set('Authorization', bearer(white))
+      .send({ name: 'Open To Watch', gameType: 'chess' })
+      .expect(201);
+    const gameId = open.body.id;
+    await request(app).post(`/api/games/${gameId}/join`).set('Authorization', bearer(black)).expect(200);
+
+    await expect(spectatorService.startWatching(gameId, `${gameId}-white`, white.id))
+      .rejects.toThrow('Players cannot spectate their own game');
+
+    // The same user on two connections counts once; anonymous connections count individually
+    await spectatorService.startWatching(gameId, `${gameId}-a`, watcher.id);
+    await spectatorService.startWatching(gameId, `${gameId}-b`, watcher.id);
+    await spectatorService.startWatching(gameId, `${gameId}-c`, null);
+
+    const spectators = await request(liveApp).get(`/api/games/${gameId}/spectators`).expect(200);
+    expect(spectators.body).toEqual({
+      gameId,
+      allowSpectators: true,
+      spectatorCount: 2,
+      spectators: [{ userId: watcher.id, username: watcher.username }],
+      anonymousCount: 1
+    });
+
+    const state = await request(liveApp).get(`/api/games/${gameId}`).expect(200);
+    expect(state.body.spectatorCount).toBe(2);
+
+    await spectatorService.stopWatchingAll(`${gameId}-a`);
+    await spectatorService.stopWatching(gameId, `${gameId}-c`);
+    expect(spectatorService.getSpectatorCount(gameId)).toBe(1);
+    await spectatorService.stopWatching(gameId, `${gameId}-b`);
+
+    const closed = await request(app)
+      .post('/api/games')
+      .set('Authorization', bearer(white))
+      .send({ name: 'Nobody Watching', gameType: 'chess', settings: { allowSpectators: false } })
+      .expect(201);
+    await expect(spectatorService.startWatching(closed.body.id, `${closed.body.id}-a`, watcher.id))
+      .rejects.toThrow('does not allow spectators');
+
+    const none = await request(app).get(`/api/games/${closed.body.id}/spectators`).expect(200);
+    expect(none.body.allowSpectators).toBe(false);
+    expect(none.body.spectatorCount).toBe(0);
+
+    const hidden = await request(app)
+      .post('/api/games')
+      .set('Authorization', bearer(white))
+      .send({ name: 'Behind Closed Doors', gameType: 'chess', visibility: 'private' })
+      .expect(201);
+    await expect(spectatorService.startWatching(hidden.body.id, `${hidden.body.id}-a`, watcher.id))
+      .rejects.toThrow('This game is private');
+    await expect(spectatorService.startWatching(hidden.body.id, `${hidden.body.id}-b`, null))
+      .rejects.toThrow('This game is private');
+    expect(spectatorService.getSpectatorCount(hidden.body.id)).toBe(0);
+
+    await request(app).get('/api/games/no-such-game/spectators').expect(404);
+    console.log('✓ Spectators are counted and games can turn them away');
+  });
+
+  test('Players and spectators chat in separate, moderated channels', async () => {
+    const [white, black, watcher, moderator] = await registerUsers(app, 'chat', 4);
+    await dependencies.getUserService().changeUserRole(moderator.id, 'admin');
+
+    const created = await request(app)
+      .post('/api/games')
+      .set('Authorization', bearer(white))
+      .send({ name: 'Chatty Game', gameType: 'chess' })
+      .expect(201);
+    const gameId = created.body.id;
+    await request(app).post(`/api/games/${gameId}/join`).set('Authorization', bearer(black)).expect(200);
+
+    const post = (user, message) => request(app)
+      .post(`/api/games/${gameId}/chat`)
+      .set('Authorization', bearer(user))
+      .send({ message });
+
+    await request(app).post(`/api/games/${gameId}/chat`).send({ message: 'hi' }).expect(401);
+    await post(white, '   ').expect(400);
+    await post(white, 'x'.repeat(501)).expect(400);
+
+    const greeting = await post(white, 'Good luck, have fun').expect(201);
+    expect(greeting.body).toEqual(expect.objectContaining({ channel: 'players', userId: white.id, username: white.username }));
+    const rude = await post(black, 'Oh shit, that was fast').expect(201);
+    expect(rude.body.message).toBe('Oh ****, that was fast');
+
+    // Non-players land in the spectators channel, which the players cannot read mid-game
+    const aside = await post(watcher, 'White is winning').expect(201);
+    expect(aside.body.channel).toBe('spectators');
+
+    const playerChat = await request(app).get(`/api/games/${gameId}/chat`).expect(200);
+    expect(playerChat.body.map(message => message.message)).toEqual(['Good luck, have fun', 'Oh ****, that was fast']);
+
+    await request(app)
+      .get(`/api/games/${gameId}/chat?channel=spectators`)
+      .set('Authorization', bearer(white))
+      .expect(403);
+    await request(app).get(`/api/games/${gameId}/chat?channel=spectators`).expect(401);
+    const spectatorChat = await request(app)
+      .get(`/api/games/${gameId}/chat?channel=spectators`)
+      .set('Authorization', bearer(watcher))
+      .expect(200);
+    expect(spectatorChat.body.map(message => message.id)).toEqual([aside.body.id]);
+    await request(app).get(`/api/games/${gameId}/chat?channel=lobby`).expect(400);
+
+    await request(app)
+      .delete(`/api/games/${gameId}/chat/${rude.body.id}`)
+      .set('Authorization', bearer(white))
+      .expect(403);
+    await request(app)
+      .delete(`/api/games/${gameId}/chat/${rude.body.id}`)
+      .set('Authorization', bearer(moderator))
+      .expect(200);
+    await request(app)
+      .delete(`/api/games/${gameId}/chat/${rude.body.id}`)
+      .set('Authorization', bearer(moderator))
+      .expect(400);
+
+    const moderated = await request(app).get(`/api/games/${gameId}/chat`).expect(200);
+    expect(moderated.body.map(message => message.id)).toEqual([greeting.body.id]);
+
+    const audit = await request(app)
+      .get('/api/admin/audit-log?limit=10')
+      .set('Authorization', bearer(moderator))
+      .expect(200);
+    expect(audit.body).toEqual(expect.arrayContaining([
+      expect.objectContaining({ actorId: moderator.id, action: 'delete_chat_message', targetId: rude.body.id })
+    ]));
+
+    const quiet = await request(app)
+      .post('/api/games')
+      .set('Authorization', bearer(white))
+      .send({ name: 'Silent Game', gameType: 'chess', settings: { allowChat: false } })
+      .expect(201);
+    await request(app)
+      .post(`/api/games/${quiet.body.id}/chat`)
+      .set('Authorization', bearer(white))
+      .send({ message: 'hello?' })
+      .expect(400);
+
+    // Private games' chat is only open to their players, in either channel
+    const hidden = await request(app)
+      .post('/api/games')
+      .set('Authorization', bearer(white))
+      .send({ name: 'Private Chat Game', gameType: 'chess', visibility: 'private' })
+      .expect(201);
+    await request(app)
+      .post(`/api/games/${hidden.body.id}/join`)
+      .set('Authorization', bearer(black))
+      .send({ inviteToken: hidden.body.inviteToken })
+      .expect(200);
+    await request(app)
+      .post(`/api/games/${hidden.body.id}/chat`)
+      .set('Authorization', bearer(white))
+      .send({ message: 'Just us' })
+      .expect(201);
+    await request(app)
+      .post(`/api/games/${hidden.body.id}/chat`)
+      .set('Authorization', bearer(watcher))
+      .send({ message: 'Let me in' })
+      .expect(403);
+    for (const channel of ['players', 'spectators']) {
+      await request(app)
+        .get(`/api/games/${hidden.body.id}/chat?channel=${channel}`)
+        .set('Authorization', bearer(watcher))
+        .expect(403);
+      await request(app).get(`/api/games/${hidden.body.id}/chat?channel=${channel}`).expect(403);
+    }
+    const privateChat = await request(app)
+      .get(`/api/games/${hidden.body.id}/chat`)
+      .set('Authorization', bearer(black))
+      .expect(200);
+    expect(privateChat.body.map(message => message.message)).toEqual(['Just us']);
+    console.log('✓ Chat is filtered, split by channel and moderated by admins');
+  });
+
+  test('Players keep private notes and annotate their moves after the game', async () => {
+    const [white, black, guest] = await registerUsers(app, 'notes', 3);
+
+    const created = await request(app)
+      .post('/api/games')
+      .set('Authorization', bearer(white))
+      .send({ name: 'Annotated Game', gameType: 'chess' })
+      .expect(201);
+    const gameId = created.body.id;
+    await request(app).post(`/api/games/${gameId}/join`).set('Authorization', bearer(black)).expect(200);
+    await request(app).post(`/api/games/${gameId}/move`).set('Authorization', bearer(white)).send({ move: 'e2-e4' }).expect(200);
+    await request(app).post(`/api/games/${gameId}/move`).set('Authorization', bearer(black)).send({ move: 'e7-e5' }).expect(200);
+
+    // Notes are private to their author
+    const saved = await request(app)
+      .put(`/api/games/${gameId}/notes`)
+      .set('Authorization', bearer(white))
+      .send({ notes: 'Consider the Ruy Lopez next' })
+      .expect(200);
+    expect(saved.body.notes).toBe('Consider the Ruy Lopez next');
+
+    const own = await request(app).get(`/api/games/${gameId}/notes`).set('Authorization', bearer(white)).expect(200);
+    expect(own.body.notes).toBe('Consider the Ruy Lopez next');
+    const opponents = await request(app).get(`/api/games/${gameId}/notes`).set('Authorization', bearer(black)).expect(200);
+    expect(opponents.body).toEqual(expect.objectContaining({ notes: '', updatedAt: null }));
+    await request(app).get(`/api/games/${gameId}/notes`).set('Authorization', bearer(guest)).expect(403);
+    await request(app)
+      .put(`/api/games/${gameId}/notes`)
+      .set('Authorization', bearer(white))
+      .send({ notes: 'x'.repeat(20001) })
+      .expect(400);
+
+    const annotate = (user, moveNumber, body) => request(app)
+      .put(`/api/games/${gameId}/moves/${moveNumber}/annotation`)
+      .set('Authorization', bearer(user))
+      .send(body);
+
+    // Annotations wait until the game is over, and only the move's author may write them
+    await annotate(white, 1, { comment: 'Best by test', annotation: '!' }).expect(400);
+    await request(app).post(`/api/games/${gameId}/resign`).set('Authorization', bearer(black)).expect(200);
+
+    const annotated = await annotate(white, 1, { comment: 'Best by test', annotation: '!' }).expect(200);
+    expect(annotated.body).toEqual({ moveNumber: 1, comment: 'Best by test', annotation: '!' });
+    await annotate(white, 2, { annotation: '?' }).expect(403);
+    await annotate(white, 1, { annotation: '!!!' }).expect(400);
+    await annotate(white, 9, { annotation: '!' }).expect(404);
+
+    // Omitted values are kept
+    await annotate(black, 2, { annotation: '?!' }).expect(200);
+    await annotate(black, 2, { comment: 'Too symmetrical' }).expect(200);
+
+    const history = await request(app).get(`/api/games/${gameId}/moves`).expect(200);
+    expect(history.body.map(entry => [entry.comment, entry.annotation])).toEqual([
+      ['Best by test', '!'],
+      ['Too symmetrical', '?!']
+    ]);
+    console.log('✓ Notes stay private and annotations are public once the game is over');
+  });
+
+  test('Positions at any move can be fetched, drawn and replayed', async () => {
+    const [white, black] = await registerUsers(app, 'replay', 2);
+
+    const created = await request(app)
+      .post('/api/games')
+      .set('Authorization', bearer(white))
+      .send({ name: 'Replayed Game', gameType: 'chess' })
+      .expect(201);
+    const gameId = created.body.id;
+    await request(app).post(`/api/games/${gameId}/join`).set('Authorization', bearer(black)).expect(200);
+
+    const start = await request(app).get(`/api/games/${gameId}/positions/0`).expect(200);
+    expect(start.body.move).toBeNull();
+
+    await request(app).post(`/api/games/${gameId}/move`).set('Authorization', bearer(white)).send({ move: 'e2-e4' }).expect(200);
+    await request(app).post(`/api/games/${gameId}/move`).set('Authorization', bearer(black)).send({ move: 'e7-e5' }).expect(200);
+
+    // The starting position is the same before and after moves were made
+    const rebuiltStart = await request(app).get(`/api/games/${gameId}/positions/0`).expect(200);
+    expect(rebuiltStart.body.boardState).toEqual(start.body.boardState);
+
+    const first = await request(app).get(`/api/games/${gameId}/positions/1`).expect(200);
+    expect(first.body).toEqual(expect.objectContaining({
+      gameId,
+      moveNumber: 1,
+      move: 'e2-e4',
+      player: { id: white.id, username: white.username },
+      imageUrl: `/api/games/${gameId}/positions/1/image`
+    }));
+    expect(first.body.renderData).toBeDefined();
+    expect(first.body.boardState).not.toEqual(start.body.boardState);
+
+    const latest = await request(app).get(`/api/games/${gameId}/positions/2`).expect(200);
+    const game = await request(app).get(`/api/games/${gameId}`).expect(200);
+    expect(latest.body.boardState).toEqual(JSON.parse(game.body.boardState));
+
+    await request(app).get(`/api/games/${gameId}/positions/3`).expect(404);
+    await request(app).get(`/api/games/${gameId}/positions/first`).expect(400);
+
+    const image = await request(app).get(`/api/games/${gameId}/positions/1/image?width=200&height=200`).expect(200);
+    expect(image.headers['content-type']).toBe('image/png');
+
+    const replay = await request(app).get(`/api/games/${gameId}/replay`).expect(200);
+    expect(replay.headers['content-type']).toContain('application/x-ndjson');
+    const positions = replay.text.trim().split('\n').map(line => JSON.parse(line));
+    expect(positions.map(position => [position.moveNumber, position.move])).toEqual([
+      [0, null],
+      [1, 'e2-e4'],
+      [2, 'e7-e5']
+    ]);
+    expect(positions[1].boardState).toEqual(first.body.boardState);
+    console.log('✓ Earlier positions can be fetched, drawn and replayed');
+  });
+
+  test('Analysis boards fork a game at any position and are played by their owner alone', async () => {
+    const [white, black, analyst] = await registerUsers(app, 'fork', 3);
+
+    const created = await request(app)
+      .post('/api/games')
+      .set('Authorization', bearer(white))
+      .send({ name: 'Forked Game', gameType: 'chess', settings: { timeControl: { type: 'per_move', daysPerMove: 3 } } })
+      .expect(201);
+    const gameId = created.body.id;
+    await request(app).post(`/api/games/${gameId}/join`).set('Authorization', bearer(black)).expect(200);
+    await request(app).post(`/api/games/${gameId}/move`).set('Authorization', bearer(white)).send({ move: 'e2-e4' }).expect(200);
+    await request(app).post(`/api/games/${gameId}/move`).set('Authorization', bearer(black)).send({ move: 'e7-e5' }).expect(200);
+
+    await request(app).post(`/api/games/${gameId}/fork`).send({ moveNumber: 1 }).expect(401);
+    await request(app).post(`/api/games/${gameId}/fork`).set('Authorization', bearer(analyst)).send({ moveNumber: 5 }).expect(404);
+    await request(app).post(`/api/games/${gameId}/fork`).set('Authorization', bearer(analyst)).send({ moveNumber: -1 }).expect(400);
+
+    const forked = await request(app)
+      .post(`/api/games/${gameId}/fork`)
+      .set('Authorization', bearer(analyst))
+      .send({ moveNumber: 1 })
+      .expect(201);
+    expect(forked.body).toEqual(expect.objectContaining({
+      status: 'active',
+      visibility: 'private',
+      mode: 'analysis',
+      forkedFrom: gameId,
+      forkedAtMove: 1,
+      moveCount: 1,
+      currentPlayerId: black.id
+    }));
+    const forkId = forked.body.id;
+
+    const fork = await request(app).get(`/api/games/${forkId}`).set('Authorization', bearer(analyst)).expect(200);
+    expect(fork.body.ownerId).toBe(analyst.id);
+    expect(fork.body.players.map(p => p.userId)).toEqual([white.id, black.id]);
+    expect(fork.body.moveDeadline).toBeNull();
+    expect(fork.body.settings.timeControl).toBeUndefined();
+    const position = await request(app).get(`/api/games/${gameId}/positions/1`).expect(200);
+    expect(JSON.parse(fork.body.boardState)).toEqual(position.body.boardState);
+
+    // The owner plays both sides; the original players cannot move in the fork
+    const intruder = await request(app).post(`/api/games/${forkId}/move`).set('Authorization', bearer(black)).send({ move: 'c7-c5' }).expect(400);
+    expect(intruder.body.error).toBe('Not your turn');
+    await request(app).post(`/api/games/${forkId}/move`).set('Authorization', bearer(analyst)).send({ move: 'c7-c5' }).expect(200);
+    const reply = await request(app)
+      .post(`/api/games/${forkId}/move`)
+      .set('Authorization', bearer(analyst))
+      .send({ move: 'g1-f3' })
+      .expect(200);
+    expect(reply.body.nextPlayerId).toBe(black.id);
+
+    const moves = await request(app).get(`/api/games/${forkId}/moves`).expect(200);
+    expect(moves.body.map(m => [m.moveNumber, m.move, m.player.id])).toEqual([
+      [1, 'e2-e4', white.id],
+      [2, 'c7-c5', black.id],
+      [3, 'g1-f3', white.id]
+    ]);
+
+    // Nobody is told about moves in an analysis game
+    const notifications = await request(app)
+      .get(`/api/users/${black.id}/notifications`)
+      .set('Authorization', bearer(black))
+      .expect(200);
+    expect(notifications.body.filter(n => n.gameId === forkId)).toEqual([]);
+
+    // The source game is untouched
+    const source = await request(app).get(`/api/games/${gameId}`).expect(200);
+    expect(source.body.moveCount).toBe(2);
+    expect(source.body.mode).toBe('standard');
+
+    await request(app).post(`/api/games/${forkId}/resign`).set('Authorization', bearer(analyst)).expect(400);
+
+    // Forks can be forked again, from the latest position by default
+    const again = await request(app).post(`/api/games/${forkId}/fork`).set('Authorization', bearer(analyst)).send({}).expect(201);
+    expect(again.body).toEqual(expect.objectContaining({ forkedFrom: forkId, forkedAtMove: 3, currentPlayerId: black.id }));
+
+    // Private games, analysis boards included, can only be forked by their players
+    await request(app).post(`/api/games/${forkId}/fork`).set('Authorization', bearer(black)).send({}).expect(403);
+    const hidden = await request(app)
+      .post('/api/games')
+      .set('Authorization', bearer(white))
+      .send({ name: 'Private Forked Game', gameType: 'chess', visibility: 'private' })
+      .expect(201);
+    await request(app)
+      .post(`/api/games/${hidden.body.id}/join`)
+      .set('Authorization', bearer(black))
+      .send({ inviteToken: hidden.body.inviteToken })
+      .expect(200);
+    await request(app).post(`/api/games/${hidden.body.id}/move`).set('Authorization', bearer(white)).send({ move: 'd2-d4' }).expect(200);
+    const refused = await request(app)
+      .post(`/api/games/${hidden.body.id}/fork`)
+      .set('Authorization', bearer(analyst))
+      .send({})
+      .expect(403);
+    expect(refused.body.error).toContain('private');
+    await request(app).post(`/api/games/${hidden.body.id}/fork`).set('Authorization', bearer(black)).send({}).expect(201);
+    console.log('✓ Analysis boards fork positions without touching the game');
+  });
+
+  test('Chess games can start from a FEN position', async () => {
+    const [white, black] = await registerUsers(app, 'fen', 2);
+
+    await request(app)
+      .post('/api/games')
+      .set('Authorization', bearer(white))
+      .send({ name: 'Broken Position', gameType: 'chess', settings: { startFen: '8/8/8/8/8/8/8/4K3 w - - 0 1' } })
+      .expect(400);
+
+    const created = await request(app)
+      .post('/api/games')
+      .set('Authorization', bearer(white))
+      .send({ name: 'Rook Endgame', gameType: 'chess', settings: { startFen: '4k3/8/8/8/8/8/8/R3K3 b Q - 0 50' } })
+      .expect(201);
+    const gameId = created.body.id;
+    await request(app).post(`/api/games/${gameId}/join`).set('Authorization', bearer(black)).expect(200);
+
+    // Black is to move in the position, so black starts
+    const game = await request(app).get(`/api/games/${gameId}`).expect(200);
+    expect(game.body.currentPlayerId).toBe(black.id);
+    expect(JSON.parse(game.body.boardState)).toEqual(expect.objectContaining({ activeColor: 'black', fullmoveNumber: 50 }));
+
+    await request(app).post(`/api/games/${gameId}/move`).set('Authorization', bearer(black)).send({ move: 'Kd7' }).expect(200);
+    const castled = await request(app)
+      .post(`/api/games/${gameId}/move`)
+      .set('Authorization', bearer(white))
+      .send({ move: 'O-O-O' })
+      .expect(200);
+    expect(castled.body.nextPlayerId).toBe(black.id);
+
+    const start = await request(app).get(`/api/games/${gameId}/positions/0`).expect(200);
+    expect(start.body.boardState.board[7][0]).toBe('R');
+
+    const validation = await request(app)
+      .post('/api/game-types/chess/validate')
+      .send({ settings: { startFen: 'not a fen' } })
+      .expect(200);
+    expect(validation.body.valid).toBe(false);
+    console.log('✓ Chess games start from custom positions');
+  });
+
   test('Game Types and Multi-Game Support', async () => {
     // Test game types endpoint
     const gameTypesResponse = await request(app)
@@ -221,6 +1871,7 @@ describe('Correspondence Board Game - Blackbox Tests', () => {
     
     const gameTypes = gameTypesResponse.body.map(gt => gt.type);
     expect(gameTypes).toContain('chess');
+    expect(gameTypes).toContain('checkers');
     
     console.log('✓ Verified game types:', gameTypes.join(', '));
 
@@ -234,13 +1885,15 @@ describe('Correspondence Board Game - Blackbox Tests', () => {
         password: 'password123'
       })
       .expect(201);
+    const user = withToken(userResponse);
 
     const chessGame2Response = await request(app)
       .post('/api/games')
+      .set('Authorization', bearer(user))
       .send({
         name: 'Test Chess Game #2',
         gameType: 'chess',
-        creatorId: userResponse.body.user.id
+        creatorId: user.id
       })
       .expect(201);
 
@@ -253,12 +1906,32 @@ describe('Correspondence Board Game - Blackbox Tests', () => {
     expect(chessImageResponse.body.length).toBeGreaterThan(1000);
     console.log('✓ Created second chess game and downloaded image:', chessImageResponse.body.length, 'bytes');
 
+    // Create a checkers game and render its board
+    const checkersGameResponse = await request(app)
+      .post('/api/games')
+      .set('Authorization', bearer(user))
+      .send({
+        name: 'Test Checkers Game',
+        gameType: 'checkers',
+        creatorId: user.id
+      })
+      .expect(201);
+
+    expect(checkersGameResponse.body.gameType).toBe('checkers');
+
+    const checkersImageResponse = await request(app)
+      .get(`/api/games/${checkersGameResponse.body.id}/image`)
+      .expect(200);
+
+    expect(checkersImageResponse.headers['content-type']).toBe('image/png');
+    console.log('✓ Created checkers game and downloaded image:', checkersImageResponse.body.length, 'bytes');
+
     // Test listing multiple games
     const allGamesResponse = await request(app)
       .get('/api/games')
       .expect(200);
 
-    expect(allGamesResponse.body.length).toBeGreaterThanOrEqual(2);
+    expect(allGamesResponse.body.length).toBeGreaterThanOrEqual(3);
     console.log('✓ Verified multiple games in system:', allGamesResponse.body.length, 'games');
 
     console.log('\n🎉 Multi-game type test passed!');
@@ -278,6 +1951,7 @@ describe('Correspondence Board Game - Blackbox Tests', () => {
     // Test invalid game type
     await request(app)
       .post('/api/games')
+      .set('Authorization', bearer(withToken(userResponse)))
       .send({
         name: 'Invalid Game',
         gameType: 'nonexistent',
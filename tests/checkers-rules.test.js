@@ -0,0 +1,130 @@
+const CheckersPlugin = require('../src/plugins/checkers/CheckersPlugin');
+
+const players = [
+  { user_id: 'white-player', player_order: 1, color: 'white' },
+  { user_id: 'black-player', player_order: 2, color: 'black' }
+];
+
+const emptyBoard = () => Array(8).fill(null).map(() => Array(8).fill(null));
+
+/**
+ * Place pieces on an empty board, e.g. { c3: 'w', d4: 'b' }
+ */
+function setup(plugin, pieces, activeColor = 'white') {
+  const state = { board: emptyBoard(), activeColor, mustCapture: false, chainCapture: null };
+  for (const [square, piece] of Object.entries(pieces)) {
+    const pos = plugin.algebraicToPosition(square);
+    state.board[pos.row][pos.col] = piece;
+  }
+  return state;
+}
+
+/**
+ * Play a sequence of moves for whichever side is to move, asserting each is legal
+ */
+function playMoves(plugin, moves, boardState = plugin.getInitialBoardState()) {
+  return moves.reduce((state, move) => {
+    const playerId = plugin.getNextPlayer(null, players, state);
+    const validation = plugin.validateMove(move, state, playerId, players);
+    if (!validation.valid) {
+      throw new Error(`${move} rejected: ${validation.error}`);
+    }
+    return plugin.applyMove(move, state, playerId, players);
+  }, boardState);
+}
+
+describe('Checkers Plugin Rules', () => {
+  let plugin;
+
+  beforeEach(() => {
+    plugin = new CheckersPlugin();
+  });
+
+  test('Sets up twelve men each on the dark squares', () => {
+    const state = plugin.getInitialBoardState();
+
+    expect(plugin.validateBoardState(state)).toBe(true);
+    expect(plugin.getPiecesByColor(state, 'white')).toHaveLength(12);
+    expect(plugin.getPiecesByColor(state, 'black')).toHaveLength(12);
+    expect(state.board[7][0]).toBe('w'); // a1
+    expect(state.activeColor).toBe('white');
+  });
+
+  test('Men step one square diagonally forward and alternate turns', () => {
+    const state = plugin.getInitialBoardState();
+
+    expect(plugin.validateMove('c3-d4', state, 'white-player', players).valid).toBe(true);
+    expect(plugin.validateMove('c3-c4', state, 'white-player', players).valid).toBe(false);
+    expect(plugin.validateMove('c3-e5', state, 'white-player', players).valid).toBe(false);
+    expect(plugin.validateMove('f6-e5', state, 'white-player', players).error).toBe('Not your piece');
+    expect(plugin.validateMove('f6-e5', state, 'black-player', players).error).toBe("It is white's turn to move");
+
+    const next = playMoves(plugin, ['c3-d4']);
+    expect(next.activeColor).toBe('black');
+    expect(plugin.getNextPlayer('white-player', players, next)).toBe('black-player');
+  });
+
+  test('Men cannot move backwards but kings can', () => {
+    const state = setup(plugin, { d4: 'w', f4: 'W', a7: 'b' });
+
+    expect(plugin.validateMove('d4-c3', state, 'white-player', players).valid).toBe(false);
+    expect(plugin.validateMove('f4-e3', state, 'white-player', players).valid).toBe(true);
+  });
+
+  test('Captures are mandatory', () => {
+    const state = setup(plugin, { c3: 'w', g3: 'w', d4: 'b' });
+
+    const step = plugin.validateMove('g3-h4', state, 'white-player', players);
+    expect(step.valid).toBe(false);
+    expect(step.error).toContain('capture');
+
+    const next = playMoves(plugin, ['c3xe5'], state);
+    expect(next.board[3][3]).toBe(null); // d4 captured
+    expect(next.board[3][4]).toBe('w'); // e5
+  });
+
+  test('Chain captures keep the turn until no jump remains', () => {
+    const state = setup(plugin, { a1: 'w', b2: 'b', d4: 'b', h8: 'b' });
+
+    const midChain = playMoves(plugin, ['a1xc3'], state);
+    expect(midChain.activeColor).toBe('white');
+    expect(midChain.chainCapture).toBe('c3');
+    expect(plugin.getNextPlayer('white-player', players, midChain)).toBe('white-player');
+    expect(plugin.validateMove('c3-b4', midChain, 'white-player', players).valid).toBe(false);
+
+    const done = playMoves(plugin, ['c3xe5'], midChain);
+    expect(done.activeColor).toBe('black');
+    expect(done.chainCapture).toBe(null);
+
+    // The same sequence can be sent as a single move
+    const oneMove = playMoves(plugin, ['a1xc3xe5'], state);
+    expect(oneMove.board).toEqual(done.board);
+  });
+
+  test('Men reaching the far row are crowned and the turn ends', () => {
+    const crowned = playMoves(plugin, ['c7-b8', 'h2-g1'], setup(plugin, { c7: 'w', h2: 'b' }));
+    expect(crowned.board[0][1]).toBe('W');
+    expect(crowned.board[7][6]).toBe('B');
+    expect(crowned.activeColor).toBe('white');
+
+    // Crowned by a jump: the new king may not jump on in the same turn
+    const state = setup(plugin, { f6: 'w', e7: 'b', c7: 'b', h2: 'b' });
+    const jumped = playMoves(plugin, ['f6xd8'], state);
+    expect(jumped.board[0][3]).toBe('W');
+    expect(jumped.activeColor).toBe('black');
+    expect(plugin.validateMove('f6xd8xb6', state, 'white-player', players).valid).toBe(false);
+  });
+
+  test('A side with no pieces or no moves loses', () => {
+    const captured = playMoves(plugin, ['c3xe5'], setup(plugin, { c3: 'w', d4: 'b' }));
+    expect(plugin.isGameComplete(captured, players)).toBe(true);
+    expect(plugin.getWinner(captured, players)).toBe('white-player');
+
+    // Black man on a7 is blocked by b6 which is protected by c5
+    const blocked = setup(plugin, { a7: 'b', b6: 'w', c5: 'w', h2: 'w' }, 'black');
+    expect(plugin.isGameComplete(blocked, players)).toBe(true);
+    expect(plugin.getWinner(blocked, players)).toBe('white-player');
+
+    expect(plugin.isGameComplete(plugin.getInitialBoardState(), players)).toBe(false);
+  });
+});
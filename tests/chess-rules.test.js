@@ -0,0 +1,197 @@
+const ChessPlugin = require('../src/plugins/chess/ChessPlugin');
+
+const players = [
+  { user_id: 'white-player', player_order: 1, color: 'white' },
+  { user_id: 'black-player', player_order: 2, color: 'black' }
+];
+
+/**
+ * Play a sequence of moves, alternating white and black, asserting each is legal
+ */
+function playMoves(plugin, moves, boardState = plugin.getInitialBoardState()) {
+  return moves.reduce((state, move) => {
+    const playerId = plugin.getActiveColor(state) === 'white' ? 'white-player' : 'black-player';
+    const validation = plugin.validateMove(move, state, playerId, players);
+    if (!validation.valid) {
+      throw new Error(`${move} rejected: ${validation.error}`);
+    }
+    return plugin.applyMove(move, state, playerId, players);
+  }, boardState);
+}
+
+describe('Chess Plugin Rules', () => {
+  let plugin;
+
+  beforeEach(() => {
+    plugin = new ChessPlugin();
+  });
+
+  test('Accepts coordinate, algebraic and lowercased input', () => {
+    const state = playMoves(plugin, ['e2-e4', 'e7e5', 'nf3']);
+
+    expect(state.board[4][4]).toBe('P');
+    expect(state.board[3][4]).toBe('p');
+    expect(state.board[5][5]).toBe('N');
+    expect(state.board[7][6]).toBe(null);
+  });
+
+  test('Rejects moving opponent pieces and moving out of turn', () => {
+    const state = plugin.getInitialBoardState();
+
+    expect(plugin.validateMove('e7-e5', state, 'white-player', players)).toEqual({
+      valid: false,
+      error: 'You can only move your own pieces'
+    });
+    expect(plugin.validateMove('e7-e5', state, 'black-player', players).valid).toBe(false);
+    expect(plugin.validateMove('e2-e4', state, 'stranger', players).error).toBe('Player not in game');
+  });
+
+  test('Rejects impossible geometry and jumping through pieces', () => {
+    const state = plugin.getInitialBoardState();
+
+    expect(plugin.validateMove('Ne4', state, 'white-player', players).valid).toBe(false);
+    expect(plugin.validateMove('e2-e5', state, 'white-player', players).valid).toBe(false);
+    expect(plugin.validateMove('Bc4', state, 'white-player', players).valid).toBe(false);
+    expect(plugin.validateMove('a1-a3', state, 'white-player', players).valid).toBe(false);
+  });
+
+  test('Rejects moves that leave the king in check', () => {
+    // Black bishop on b4 pins the c3 knight against the white king
+    const pinned = playMoves(plugin, ['d4', 'e6', 'Nc3', 'Bb4']);
+    expect(plugin.validateMove('Ne4', pinned, 'white-player', players).valid).toBe(false);
+    expect(plugin.validateMove('Nf3', pinned, 'white-player', players).valid).toBe(true);
+
+    const checked = playMoves(plugin, ['e4', 'f5', 'Qh5']);
+    const result = plugin.validateMove('a6', checked, 'black-player', players);
+    expect(result.valid).toBe(false);
+    expect(result.error).toContain('check');
+  });
+
+  test('Detects checkmate and names the winner', () => {
+    const state = playMoves(plugin, ['f3', 'e5', 'g4', 'Qh4#']);
+
+    expect(plugin.isGameComplete(state, players)).toBe(true);
+    expect(plugin.getGameOverReason(state)).toBe('checkmate');
+    expect(plugin.getWinner(state, players)).toBe('black-player');
+  });
+
+  test('Detects stalemate and insufficient material as draws', () => {
+    const empty = () => Array(8).fill(null).map(() => Array(8).fill(null));
+
+    // Black king on h8 with no moves, not in check
+    const stalemate = { ...plugin.getInitialBoardState(), board: empty(), castlingRights: {}, activeColor: 'black' };
+    stalemate.board[0][7] = 'k';
+    stalemate.board[1][5] = 'Q';
+    stalemate.board[2][6] = 'K';
+    expect(plugin.getGameOverReason(stalemate)).toBe('stalemate');
+    expect(plugin.getWinner(stalemate, players)).toBe(null);
+
+    const bareKings = { ...stalemate, board: empty(), activeColor: 'white' };
+    bareKings.board[0][0] = 'k';
+    bareKings.board[7][7] = 'K';
+    expect(plugin.getGameOverReason(bareKings)).toBe('insufficient_material');
+  });
+
+  test('Detects threefold repetition', () => {
+    const shuffle = ['Nf3', 'Nf6', 'Ng1', 'Ng8'];
+    const twice = playMoves(plugin, shuffle);
+    expect(plugin.isGameComplete(twice, players)).toBe(false);
+
+    const thrice = playMoves(plugin, shuffle, twice);
+    expect(plugin.getGameOverReason(thrice)).toBe('threefold_repetition');
+    expect(plugin.getWinner(thrice, players)).toBe(null);
+  });
+
+  test('Clears the position history on captures and pawn moves', () => {
+    const shuffled = playMoves(plugin, ['Nf3', 'Nf6', 'Ng1', 'Ng8']);
+    expect(shuffled.positionHistory).toHaveLength(5);
+
+    const afterPawnMove = playMoves(plugin, ['e4'], shuffled);
+    expect(afterPawnMove.positionHistory).toEqual([plugin.getPositionKey(afterPawnMove)]);
+
+    const afterCapture = playMoves(plugin, ['d5', 'Nc3', 'Nf6', 'exd5'], afterPawnMove);
+    expect(afterCapture.positionHistory).toEqual([plugin.getPositionKey(afterCapture)]);
+  });
+
+  test('Castling moves the rook and clears castling rights', () => {
+    const state = playMoves(plugin, ['e4', 'e5', 'Nf3', 'Nc6', 'Bc4', 'Bc5', 'O-O']);
+
+    expect(state.board[7][6]).toBe('K');
+    expect(state.board[7][5]).toBe('R');
+    expect(state.board[7][4]).toBe(null);
+    expect(state.board[7][7]).toBe(null);
+    expect(state.castlingRights.whiteKingside).toBe(false);
+    expect(state.castlingRights.whiteQueenside).toBe(false);
+    expect(state.castlingRights.blackKingside).toBe(true);
+    expect(state.activeColor).toBe('black');
+    expect(state.fullmoveNumber).toBe(4);
+  });
+
+  test('Castling through check is rejected', () => {
+    const state = { ...plugin.getInitialBoardState(), board: Array(8).fill(null).map(() => Array(8).fill(null)) };
+    state.board[7][4] = 'K';
+    state.board[7][7] = 'R';
+    state.board[0][4] = 'k';
+    state.board[0][5] = 'r';
+    expect(plugin.validateMove('O-O', state, 'white-player', players).valid).toBe(false);
+
+    // Once the rook stops covering f1 the same castling is fine
+    state.board[0][5] = null;
+    state.board[0][0] = 'r';
+    expect(plugin.validateMove('O-O', state, 'white-player', players).valid).toBe(true);
+  });
+
+  test('En passant removes the captured pawn', () => {
+    const beforeCapture = playMoves(plugin, ['e4', 'a6', 'e5', 'd5']);
+    expect(beforeCapture.enPassantTarget).toBe('d6');
+
+    const state = playMoves(plugin, ['exd6'], beforeCapture);
+    expect(state.board[2][3]).toBe('P');
+    expect(state.board[3][3]).toBe(null);
+    expect(state.enPassantTarget).toBe(null);
+  });
+
+  test('Promotion honours the requested piece', () => {
+    const state = playMoves(plugin, ['h4', 'g5', 'hxg5', 'Nf6', 'g6', 'Ng8', 'gxh7', 'a6', 'hxg8=N']);
+    expect(state.board[0][6]).toBe('N');
+
+    const queened = playMoves(plugin, ['h4', 'g5', 'hxg5', 'Nf6', 'g6', 'Ng8', 'gxh7', 'a6', 'h7-g8']);
+    expect(queened.board[0][6]).toBe('Q');
+  });
+
+  test('Halfmove clock resets on pawn moves and captures', () => {
+    const state = playMoves(plugin, ['Nf3', 'Nf6', 'Ng1']);
+    expect(state.halfmoveClock).toBe(3);
+
+    expect(playMoves(plugin, ['e5'], state).halfmoveClock).toBe(0);
+  });
+
+  test('Starts from a FEN with its side to move, castling rights and clocks', () => {
+    const state = plugin.getInitialBoardState({ startFen: 'r3k3/8/8/8/8/8/8/4K2R b Kq - 12 40' });
+
+    expect(state.board[0][0]).toBe('r');
+    expect(state.activeColor).toBe('black');
+    expect(state.castlingRights).toEqual({
+      whiteKingside: true,
+      whiteQueenside: false,
+      blackKingside: false,
+      blackQueenside: true
+    });
+    expect(state.halfmoveClock).toBe(12);
+    expect(state.fullmoveNumber).toBe(40);
+    expect(plugin.getFirstPlayer(players, state)).toBe('black-player');
+
+    const castled = playMoves(plugin, ['O-O-O', 'O-O'], state);
+    expect(castled.board[0][3]).toBe('r');
+    expect(castled.board[7][5]).toBe('R');
+    expect(castled.fullmoveNumber).toBe(41);
+    expect(plugin.getNextPlayer('white-player', players, castled)).toBe('black-player');
+  });
+
+  test('Rejects starting positions that cannot be played from', () => {
+    expect(() => plugin.getInitialBoardState({ startFen: 'not a fen' })).toThrow('Invalid starting position');
+    expect(() => plugin.getInitialBoardState({ startFen: '8/8/8/8/8/8/8/4K3 w - - 0 1' })).toThrow('missing black king');
+    expect(() => plugin.getInitialBoardState({ startFen: '4k3/4R3/8/8/8/8/8/4K3 w - - 0 1' })).toThrow('side not to move is in check');
+    expect(() => plugin.getInitialBoardState({ startFen: '7k/5QQ1/8/8/8/8/8/K7 b - - 0 1' })).toThrow('already be over');
+  });
+});
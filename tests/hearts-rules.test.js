@@ -0,0 +1,184 @@
+const HeartsPlugin = require('../src/plugins/hearts/HeartsPlugin');
+
+const players = [1, 2, 3, 4].map(order => ({
+  user_id: `player-${order}`,
+  player_order: order,
+  color: ['red', 'blue', 'green', 'yellow'][order - 1]
+}));
+
+const card = text => HeartsPlugin.parseMove(`play ${text}`).card;
+const hand = text => text.split(' ').map(card);
+
+/**
+ * Build a playing-phase state from four hands written as "2c 3d qs ..."
+ */
+function playingState(plugin, hands, overrides = {}) {
+  const state = plugin.getInitialBoardState();
+  state.playerHands = hands.map(hand);
+  plugin.startPlaying(state);
+  return { ...state, ...overrides };
+}
+
+/**
+ * Play moves in turn order, asserting each is legal
+ */
+function playMoves(plugin, moves, boardState) {
+  return moves.reduce((state, move) => {
+    const playerId = `player-${plugin.getExpectedPlayer(state) + 1}`;
+    const validation = plugin.validateMove(move, state, playerId, players);
+    if (!validation.valid) {
+      throw new Error(`${move} rejected: ${validation.error}`);
+    }
+    return plugin.applyMove(move, state, playerId, players);
+  }, boardState);
+}
+
+describe('Hearts Plugin Rules', () => {
+  let plugin;
+
+  beforeEach(() => {
+    plugin = new HeartsPlugin();
+  });
+
+  test('Deals 13 distinct cards to each of four players', () => {
+    const state = plugin.getInitialBoardState();
+    const allCards = state.playerHands.flat().map(c => `${c.rank}${c.suit}`);
+
+    expect(state.playerHands.map(h => h.length)).toEqual([13, 13, 13, 13]);
+    expect(new Set(allCards).size).toBe(52);
+    expect(state.phase).toBe('passing');
+    expect(plugin.validateBoardState(state)).toBe(true);
+  });
+
+  test('Passing moves cards to the left and hands the lead to the 2 of clubs', () => {
+    let state = plugin.getInitialBoardState();
+    state.playerHands = [
+      hand('2c 3c 4c 5c 6c 7c 8c 9c 10c jc qc kc ac'),
+      hand('2d 3d 4d 5d 6d 7d 8d 9d 10d jd qd kd ad'),
+      hand('2s 3s 4s 5s 6s 7s 8s 9s 10s js qs ks as'),
+      hand('2h 3h 4h 5h 6h 7h 8h 9h 10h jh qh kh ah')
+    ];
+
+    expect(plugin.validateMove('pass 2c 3c', state, 'player-1', players).error).toBe('Must pass exactly 3 cards');
+    expect(plugin.validateMove('pass 2d 3c 4c', state, 'player-1', players).valid).toBe(false);
+
+    const passes = ['pass 2c 3c 4c', 'pass 2d 3d 4d', 'pass 2s 3s 4s', 'pass 2h 3h 4h'];
+    passes.forEach((move, index) => {
+      const playerId = `player-${index + 1}`;
+      expect(plugin.validateMove(move, state, playerId, players).valid).toBe(true);
+      state = plugin.applyMove(move, state, playerId, players);
+      if (index < 3) {
+        expect(plugin.getNextPlayer(playerId, players, state)).toBe(`player-${index + 2}`);
+      }
+    });
+
+    expect(state.phase).toBe('playing');
+    expect(plugin.hasCard(state.playerHands[1], card('2c'))).toBe(true);
+    expect(state.currentTrick.leader).toBe(1);
+    expect(plugin.getNextPlayer('player-4', players, state)).toBe('player-2');
+  });
+
+  test('Enforces the opening lead, following suit and no points on the first trick', () => {
+    const state = playingState(plugin, [
+      '2c 3c 4c 5c 6c 7c 8c 9c 10c jc qc kc ac',
+      '2d 3d 4d 5d 6d 7d 8d 9d 10d jd qd kd qs',
+      '2s 3s 4s 5s 6s 7s 8s 9s 10s js ks as ad',
+      '2h 3h 4h 5h 6h 7h 8h 9h 10h jh qh kh ah'
+    ]);
+
+    expect(plugin.validateMove('play 3c', state, 'player-1', players).error).toBe('First trick must start with 2 of clubs');
+    expect(plugin.validateMove('play 2c', state, 'player-2', players).error).toBe('Not your turn');
+
+    const afterLead = playMoves(plugin, ['2c'], state);
+    expect(plugin.validateMove('qs', afterLead, 'player-2', players).error).toContain('first trick');
+    expect(plugin.validateMove('2d', afterLead, 'player-2', players).valid).toBe(true);
+
+    // A hand of nothing but hearts may discard one on the first trick
+    const thirdSeat = playMoves(plugin, ['2d', '2s'], afterLead);
+    expect(plugin.validateMove('2h', thirdSeat, 'player-4', players).valid).toBe(true);
+
+    const trickDone = playMoves(plugin, ['2h'], thirdSeat);
+    expect(trickDone.tricksWon[0]).toHaveLength(1);
+    expect(trickDone.roundScores[0]).toBe(1);
+    expect(trickDone.heartsBroken).toBe(true);
+    expect(plugin.getNextPlayer('player-4', players, trickDone)).toBe('player-1');
+  });
+
+  test('Hearts cannot be led until broken', () => {
+    const state = playingState(plugin, [
+      '2c 3h', '3c 4h', '4c 5h', '5c 6h'
+    ]);
+    const afterTrick = playMoves(plugin, ['2c', '3c', '4c', '5c'], state);
+
+    expect(afterTrick.currentTrick.leader).toBe(3);
+    // player-4 holds only hearts, so leading one is allowed
+    expect(plugin.validateMove('6h', afterTrick, 'player-4', players).valid).toBe(true);
+
+    const mixed = playingState(plugin, ['3h', '4h', '5h', '5c 6h'], {
+      tricksWon: [[], [], [], [[]]],
+      currentTrick: { cards: [], leader: 3, winner: 3 }
+    });
+    expect(plugin.validateMove('6h', mixed, 'player-4', players).error).toBe('Cannot lead with hearts until hearts are broken');
+    expect(plugin.validateMove('6h', { ...mixed, heartsBroken: true }, 'player-4', players).valid).toBe(true);
+    expect(plugin.validateMove('5c', mixed, 'player-4', players).valid).toBe(true);
+  });
+
+  test('Scores rounds, including shooting the moon, and ends the game', () => {
+    const state = playingState(plugin, ['2c', '3c', '4c', '5c'], {
+      tricksWon: [[], [], [], Array(12).fill([])],
+      roundScores: [0, 0, 0, 26],
+      scores: [90, 10, 20, 30]
+    });
+
+    const finished = playMoves(plugin, ['2c', '3c', '4c', '5c'], state);
+
+    // player-4 took every point card, so everyone else gets 26
+    expect(finished.scores).toEqual([116, 36, 46, 30]);
+    expect(plugin.isGameComplete(finished, players)).toBe(true);
+    expect(plugin.getWinner(finished, players)).toBe('player-4');
+  });
+
+  test('Starts a new round with a fresh deal when nobody reaches the target', () => {
+    const state = playingState(plugin, ['2c', '3c', '4c', '5c'], {
+      tricksWon: [[], [], [], Array(12).fill([])],
+      roundScores: [0, 5, 0, 0]
+    });
+
+    const nextRound = playMoves(plugin, ['2c', '3c', '4c', '5c'], state);
+
+    expect(nextRound.scores).toEqual([0, 5, 0, 0]);
+    expect(nextRound.round).toBe(2);
+    expect(nextRound.passingDirection).toBe('right');
+    expect(nextRound.phase).toBe('passing');
+    expect(nextRound.playerHands.map(h => h.length)).toEqual([13, 13, 13, 13]);
+    expect(plugin.isGameComplete(nextRound, players)).toBe(false);
+  });
+
+  test('Player view hides the other hands', () => {
+    let state = plugin.getInitialBoardState();
+    state = plugin.applyMove({ type: 'pass', cards: state.playerHands[0].slice(0, 3) }, state, 'player-1', players);
+
+    const view = plugin.getPlayerView(state, 'player-2', players);
+    expect(view.playerHands[1]).toEqual(state.playerHands[1]);
+    expect(view.playerHands[0]).toEqual([]);
+    expect(view.playerHands[2]).toEqual([]);
+    expect(view.passedCards[0]).toEqual([]);
+    expect(view.handSizes).toEqual([10, 13, 13, 13]);
+    expect(view.hasPassed).toEqual([true, false, false, false]);
+    expect(view.viewerIndex).toBe(1);
+
+    const spectatorView = plugin.getPlayerView(state, null, players);
+    expect(spectatorView.playerHands.every(h => h.length === 0)).toBe(true);
+    expect(spectatorView.viewerIndex).toBe(null);
+
+    // The stored state is untouched
+    expect(state.playerHands[0]).toHaveLength(10);
+  });
+
+  test('A timeout is adjudicated to the lowest score among the others', () => {
+    const state = { ...plugin.getInitialBoardState(), scores: [5, 40, 12, 12] };
+
+    expect(plugin.getTimeoutWinner(state, 'player-2', players)).toBe('player-1');
+    expect(plugin.getTimeoutWinner(state, 'player-1', players)).toBe(null);
+  });
+});
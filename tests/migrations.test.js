@@ -0,0 +1,122 @@
+const sqlite3 = require('sqlite3');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { migrate, rollback, getMigrationStatus, loadMigrations } = require('../src/database/migrator');
+
+function all(database, sql) {
+  return new Promise((resolve, reject) => {
+    database.all(sql, (err, rows) => err ? reject(err) : resolve(rows));
+  });
+}
+
+async function tableNames(database) {
+  const rows = await all(database, "SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name");
+  return rows.map(row => row.name);
+}
+
+async function columnNames(database, table) {
+  return (await all(database, `PRAGMA table_info(${table})`)).map(column => column.name);
+}
+
+describe('Schema migrations', () => {
+  let database;
+
+  beforeEach(() => {
+    database = new sqlite3.Database(':memory:');
+  });
+
+  afterEach((done) => {
+    database.close(done);
+  });
+
+  test('Applies every migration once, in order', async () => {
+    const applied = await migrate(database);
+    const versions = loadMigrations().map(migration => migration.version);
+
+    expect(applied.map(migration => migration.version)).toEqual(versions);
+    expect(await tableNames(database)).toEqual(expect.arrayContaining(['users', 'games', 'moves', 'audit_log', 'schema_migrations']));
+    expect(await columnNames(database, 'users')).toContain('role');
+
+    expect(await migrate(database)).toEqual([]);
+    const status = await getMigrationStatus(database);
+    expect(status.every(migration => migration.applied)).toBe(true);
+  });
+
+  test('Rolls back the newest migrations and reapplies them', async () => {
+    await migrate(database);
+
+    // Everything after the initial schema, newest first
+    const later = loadMigrations().slice(1);
+    const rolledBack = await rollback(database, { steps: later.length });
+    expect(rolledBack.map(migration => migration.name)).toEqual(later.map(migration => migration.name).reverse());
+    expect(await tableNames(database)).not.toContain('audit_log');
+    expect(await tableNames(database)).not.toContain('game_offers');
+    expect(await columnNames(database, 'users')).not.toContain('role');
+    expect(await columnNames(database, 'games')).not.toContain('move_deadline');
+    expect(await columnNames(database, 'users')).not.toContain('vacation_started_at');
+    expect(await columnNames(database, 'games')).not.toContain('visibility');
+    expect(await tableNames(database)).not.toContain('challenges');
+    expect(await tableNames(database)).not.toContain('matchmaking_queue');
+    expect(await columnNames(database, 'games')).not.toContain('rematch_of');
+    expect(await tableNames(database)).not.toContain('conditional_moves');
+    expect(await tableNames(database)).not.toContain('game_messages');
+    expect(await tableNames(database)).not.toContain('game_notes');
+    expect(await columnNames(database, 'moves')).not.toContain('annotation');
+    expect(await columnNames(database, 'games')).not.toContain('forked_from');
+    expect(await columnNames(database, 'games')).not.toContain('initial_board_state');
+
+    const laterVersions = later.map(migration => migration.version);
+    const status = await getMigrationStatus(database);
+    expect(status.filter(migration => !migration.applied).map(migration => migration.version)).toEqual(laterVersions);
+
+    expect((await migrate(database)).map(migration => migration.version)).toEqual(laterVersions);
+  });
+
+  test('Adopts a database created before migrations existed', async () => {
+    await new Promise((resolve, reject) => {
+      database.exec(`
+        CREATE TABLE users (id TEXT PRIMARY KEY, username TEXT UNIQUE NOT NULL, email TEXT UNIQUE NOT NULL,
+          password_hash TEXT NOT NULL, created_at DATETIME, last_active DATETIME);
+        INSERT INTO users (id, username, email, password_hash) VALUES ('u1', 'old_timer', 'old@test.com', 'hash');
+      `, (err) => err ? reject(err) : resolve());
+    });
+
+    await migrate(database);
+
+    const rows = await all(database, 'SELECT username, role FROM users');
+    expect(rows).toEqual([{ username: 'old_timer', role: 'user' }]);
+  });
+
+  test('A failing migration leaves no partial changes behind', async () => {
+    const migrationsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    fs.writeFileSync(path.join(migrationsDir, '001_widgets.js'), `
+      module.exports = {
+        async up(db) { await db.exec('CREATE TABLE widgets (id TEXT PRIMARY KEY)'); },
+        async down(db) { await db.exec('DROP TABLE widgets'); }
+      };
+    `);
+    fs.writeFileSync(path.join(migrationsDir, '002_broken.js'), `
+      module.exports = {
+        async up(db) {
+          await db.exec('CREATE TABLE gadgets (id TEXT PRIMARY KEY)');
+          await db.exec('ALTER TABLE missing_table ADD COLUMN nope TEXT');
+        },
+        async down(db) {}
+      };
+    `);
+
+    try {
+      await expect(migrate(database, { migrationsDir })).rejects.toThrow('Migration 2_broken failed');
+
+      const tables = await tableNames(database);
+      expect(tables).toContain('widgets');
+      expect(tables).not.toContain('gadgets');
+      const status = await getMigrationStatus(database, { migrationsDir });
+      expect(status.map(migration => migration.applied)).toEqual([true, false]);
+    } finally {
+      fs.rmSync(migrationsDir, { recursive: true, force: true });
+    }
+  });
+});